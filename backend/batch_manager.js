@@ -0,0 +1,229 @@
+/**
+ * 🧮 SCRAPE BATCHES
+ *
+ * Runs one scrape per keyword × location pair ("dentists in Miami",
+ * "dentists in Tampa", "orthodontists in Miami" ...) as a single batch.
+ *
+ * Features:
+ * - Keyword and location lists from pasted text or uploaded files
+ * - Query matrix from a template ("{keyword} in {location}")
+ * - One scrape job per query, queued on the ScrapeJobManager
+ * - Per-query progress and stats, and a combined result set with each
+ *   place kept once
+ *
+ * A batch has no state of its own: its jobs carry
+ * params.batch = { id, position, keyword, location }, so batches survive
+ * restarts with the jobs that make them up.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import { randomUUID } from 'crypto';
+import { derivePlaceIdentity } from './place_identity.js';
+import { TERMINAL_STATUSES } from './job_manager.js';
+
+const DEFAULT_TEMPLATE = '{keyword} in {location}';
+
+/**
+ * Entries of a pasted or uploaded list: one per line, blank lines and
+ * "#" comments skipped, repeats (ignoring case) dropped. Arrays are
+ * taken entry by entry.
+ */
+const parseQueryList = (value) => {
+    const entries = Array.isArray(value) ? value : String(value ?? '').split(/\r?\n/);
+    const seen = new Set();
+
+    return entries
+        .map(entry => String(entry ?? '').replace(/\s+/g, ' ').trim())
+        .filter(entry => entry && !entry.startsWith('#'))
+        .filter(entry => !seen.has(entry.toLowerCase()) && seen.add(entry.toLowerCase()));
+};
+
+/**
+ * Every keyword × location pair as { keyword, location, query }, keyword
+ * by keyword. Without locations each keyword is a query of its own.
+ * Pairs whose query repeats an earlier one are dropped.
+ */
+const expandQueryMatrix = (keywords, locations = [], { template = DEFAULT_TEMPLATE } = {}) => {
+    const pairs = locations.length > 0
+        ? keywords.flatMap(keyword => locations.map(location => ({ keyword, location })))
+        : keywords.map(keyword => ({ keyword, location: null }));
+    const seen = new Set();
+
+    return pairs
+        .map(({ keyword, location }) => ({
+            keyword,
+            location,
+            query: location === null
+                ? keyword
+                : template.replaceAll('{keyword}', keyword).replaceAll('{location}', location).replace(/\s+/g, ' ').trim()
+        }))
+        .filter(({ query }) => !seen.has(query.toLowerCase()) && seen.add(query.toLowerCase()));
+};
+
+/**
+ * Overall status from the statuses of a batch's jobs
+ */
+const batchStatus = (statuses) => {
+    if (statuses.every(status => status === 'queued')) return 'queued';
+    if (!statuses.every(status => TERMINAL_STATUSES.includes(status))) return 'running';
+    if (statuses.includes('cancelled')) return 'cancelled';
+    return statuses.includes('completed') ? 'completed' : 'failed';
+};
+
+class ScrapeBatchManager {
+    constructor(options = {}) {
+        this.options = { ...options };
+
+        if (!this.options.jobManager) {
+            throw new Error('ScrapeBatchManager requires a jobManager');
+        }
+
+        this.jobManager = this.options.jobManager;
+    }
+
+    log(message, type = 'info') {
+        const icons = { info: '🧮', success: '✅', error: '❌', warn: '⚠️' };
+        console.log(`${icons[type]} [batches] ${message}`);
+    }
+
+    /**
+     * Queue one job per query. `params` are the scrape settings shared by
+     * every query (maxResults, engine, mode, ...). Returns the batch.
+     */
+    createBatch(queries, params) {
+        const id = randomUUID();
+
+        queries.forEach(({ keyword, location, query }, position) => {
+            this.jobManager.createJob({ ...params, query, batch: { id, position, keyword, location } });
+        });
+
+        this.log(`Queued batch ${id} with ${queries.length} queries`);
+        return this.getBatch(id);
+    }
+
+    /**
+     * A batch ({ id, jobs } with jobs in query order), or null
+     */
+    getBatch(id) {
+        const jobs = this.jobManager.listJobs({ limit: Infinity })
+            .filter(job => job.params.batch?.id === id)
+            .sort((a, b) => a.params.batch.position - b.params.batch.position);
+
+        return jobs.length > 0 ? { id, jobs } : null;
+    }
+
+    /**
+     * Most recent batches first
+     */
+    listBatches({ limit = 20 } = {}) {
+        const ids = [];
+        for (const job of this.jobManager.listJobs({ limit: Infinity })) {
+            const id = job.params.batch?.id;
+            if (id && !ids.includes(id)) ids.push(id);
+        }
+
+        return ids.slice(0, limit).map(id => this.getBatch(id));
+    }
+
+    /**
+     * Cancel every job of the batch that has not finished. Returns the
+     * number of jobs cancelled.
+     */
+    cancelBatch(batch) {
+        const cancelled = batch.jobs.filter(job => this.jobManager.cancelJob(job)).length;
+        if (cancelled > 0) this.log(`Cancelled ${cancelled} job(s) of batch ${batch.id}`, 'warn');
+        return cancelled;
+    }
+
+    /**
+     * Results of all the batch's jobs in query order, each place once. A
+     * place found by several queries lists them all in `matchedQueries`.
+     * Also returns how many results of each job were new to the batch.
+     */
+    combineResults(batch) {
+        const byKey = new Map();
+        const added = new Map();
+
+        for (const job of batch.jobs) {
+            added.set(job.id, 0);
+
+            for (const result of job.results) {
+                const key = derivePlaceIdentity(result).key ?? result.googleMapsUrl;
+                const existing = key && byKey.get(key);
+
+                if (existing) {
+                    if (!existing.matchedQueries.includes(job.params.query)) existing.matchedQueries.push(job.params.query);
+                    continue;
+                }
+
+                byKey.set(key ?? Symbol('unkeyed'), { ...result, matchedQueries: [job.params.query] });
+                added.set(job.id, added.get(job.id) + 1);
+            }
+        }
+
+        return { results: [...byKey.values()], added };
+    }
+
+    /**
+     * Public JSON shape of a batch; combined results only on request
+     */
+    serializeBatch(batch, { includeResults = false } = {}) {
+        const { results, added } = this.combineResults(batch);
+        const statuses = batch.jobs.map(job => job.status);
+        const startedAt = batch.jobs.map(job => job.startedAt).filter(Boolean).sort()[0] ?? null;
+        const status = batchStatus(statuses);
+        const finishedAt = TERMINAL_STATUSES.includes(status)
+            ? batch.jobs.map(job => job.finishedAt).filter(Boolean).sort().at(-1) ?? null
+            : null;
+
+        const queries = batch.jobs.map(job => ({
+            jobId: job.id,
+            keyword: job.params.batch.keyword,
+            location: job.params.batch.location,
+            query: job.params.query,
+            status: job.status,
+            totalResults: job.results.length,
+            newResults: added.get(job.id),
+            duplicates: job.results.length - added.get(job.id),
+            stats: job.stats && {
+                processed: job.stats.processed,
+                successful: job.stats.successful,
+                failed: job.stats.failed,
+                urlsFound: job.stats.urlsFound
+            },
+            error: job.error
+        }));
+
+        const data = {
+            id: batch.id,
+            status,
+            keywords: [...new Set(queries.map(query => query.keyword))],
+            locations: [...new Set(queries.map(query => query.location).filter(location => location !== null))],
+            createdAt: batch.jobs[0].createdAt,
+            startedAt,
+            finishedAt,
+            processingTime: startedAt ? (finishedAt ? Date.parse(finishedAt) : Date.now()) - Date.parse(startedAt) : null,
+            progress: {
+                totalQueries: queries.length,
+                ...Object.fromEntries(['queued', 'running', 'interrupted', ...TERMINAL_STATUSES]
+                    .map(name => [name, statuses.filter(value => value === name).length]))
+            },
+            stats: {
+                totalResults: queries.reduce((sum, query) => sum + query.totalResults, 0),
+                uniqueResults: results.length,
+                duplicates: queries.reduce((sum, query) => sum + query.duplicates, 0)
+            },
+            queries
+        };
+
+        if (includeResults) {
+            data.results = results;
+        }
+
+        return data;
+    }
+}
+
+export { ScrapeBatchManager, parseQueryList, expandQueryMatrix, DEFAULT_TEMPLATE };
@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+/**
+ * 💻 LEADGEN CLI
+ *
+ * Runs the Google Maps scraper from a terminal, cron job or script, without
+ * the API server:
+ *
+ *   leadgen scrape "dentists in Miami" --max 100 --out leads.csv
+ *   leadgen batch queries.txt --locations cities.txt --out leads.xlsx
+ *   leadgen enrich --job cli-… --limit 50
+ *   leadgen export --min-score 50 --has-email --out hot.csv
+ *
+ * Features:
+ * - Scraped leads saved to the same database as the server (LEADS_DB),
+ *   deduplicated by place, unless --no-save
+ * - CSV, XLSX, NDJSON or JSON output to a file or stdout; logs go to stderr
+ * - Ctrl+C (or SIGTERM) stops at a safe point and still writes what was found
+ * - Exit codes: 0 ok, 1 failed, 2 bad arguments, 3 nothing found,
+ *   130 interrupted
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import { Command, Option, InvalidArgumentError, CommanderError } from 'commander';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { GoogleMapsBusinessScraper } from './gmaps_scraper.js';
+import { checkEngine, SCRAPER_ENGINES, DEFAULT_ENGINE } from './drivers/index.js';
+import { LeadStore, SORT_COLUMNS } from './lead_store.js';
+import { WebsiteEnricher } from './website_enricher.js';
+import { parseQueryList, expandQueryMatrix, DEFAULT_TEMPLATE } from './batch_manager.js';
+import { exportChunks, parseExportColumns, EXPORT_FORMATS } from './lead_export.js';
+import { derivePlaceIdentity } from './place_identity.js';
+
+dotenv.config();
+
+const EXIT_CODES = {
+    ok: 0,
+    failed: 1,
+    usage: 2,
+    noResults: 3,
+    interrupted: 130
+};
+
+const OUTPUT_FORMATS = [...Object.keys(EXPORT_FORMATS), 'json'];
+
+const { version } = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+
+const failure = (message, exitCode = EXIT_CODES.failed) => Object.assign(new Error(message), { exitCode });
+
+const wholeNumber = (min) => (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) throw new InvalidArgumentError(`Expected a whole number of at least ${min}.`);
+    return number;
+};
+
+const number = (value) => {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) throw new InvalidArgumentError('Expected a number.');
+    return parsed;
+};
+
+const readTextFile = (file) => {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw failure(`Cannot read ${file}: ${error.message}`, EXIT_CODES.usage);
+    }
+};
+
+// ===== OUTPUT =====
+
+/**
+ * Where and how to write leads: the format comes from --format, else the
+ * --out extension, else CSV. Checked before any scraping starts.
+ */
+const resolveOutput = (options) => {
+    const toStdout = !options.out || options.out === '-';
+    const extension = toStdout ? '' : path.extname(options.out).slice(1).toLowerCase();
+    const format = options.format ?? (OUTPUT_FORMATS.includes(extension) ? extension : 'csv');
+
+    let columns;
+    try {
+        columns = parseExportColumns(options.columns);
+    } catch (error) {
+        throw failure(error.message, EXIT_CODES.usage);
+    }
+
+    return { format, columns, bom: Boolean(options.bom), file: toStdout ? null : options.out };
+};
+
+function* jsonChunks(leads) {
+    let separator = '[\n';
+    for (const lead of leads) {
+        yield `${separator}${JSON.stringify(lead)}`;
+        separator = ',\n';
+    }
+    yield separator === '[\n' ? '[]\n' : '\n]\n';
+}
+
+/**
+ * Write leads (any iterable) to the output. Resolves to how many were written.
+ */
+const writeLeads = async (leads, output) => {
+    let count = 0;
+    const counted = (function* () {
+        for (const lead of leads) {
+            count++;
+            yield lead;
+        }
+    })();
+
+    const chunks = output.format === 'json'
+        ? jsonChunks(counted)
+        : exportChunks(output.format, counted, { columns: output.columns, bom: output.bom });
+
+    if (output.file) {
+        fs.mkdirSync(path.dirname(path.resolve(output.file)), { recursive: true });
+        await pipeline(Readable.from(chunks), fs.createWriteStream(output.file));
+        console.error(`📄 Wrote ${count} leads to ${output.file}`);
+    } else {
+        await pipeline(Readable.from(chunks), process.stdout, { end: false });
+    }
+
+    return count;
+};
+
+// ===== SCRAPING =====
+
+const stopRequest = { stopped: false, scraper: null };
+
+/**
+ * First Ctrl+C / SIGTERM stops the running scrape at a safe point; a
+ * second one quits at once
+ */
+const handleStopSignals = () => {
+    const stop = (signal) => {
+        if (stopRequest.stopped) process.exit(EXIT_CODES.interrupted);
+
+        stopRequest.stopped = true;
+        console.error(`🛑 ${signal} received - stopping and writing what was found (again to quit now)`);
+        stopRequest.scraper?.cancel();
+    };
+
+    process.on('SIGINT', () => stop('SIGINT'));
+    process.on('SIGTERM', () => stop('SIGTERM'));
+};
+
+const scrapeQuery = async (query, options) => {
+    const scraper = new GoogleMapsBusinessScraper({
+        engine: options.engine,
+        headless: options.headless,
+        verbose: options.verbose,
+        maxResults: options.max,
+        maxConcurrency: options.concurrency,
+        delay: options.delay,
+        timeout: options.timeout,
+        reviewsLimit: options.reviews,
+        defaultCountry: process.env.PHONE_DEFAULT_COUNTRY || 'US',
+        // Progress goes to stderr so stdout only carries exported data
+        logger: line => console.error(line)
+    });
+
+    stopRequest.scraper = scraper;
+    try {
+        return await scraper.scrapeBusinesses(query, options.max);
+    } finally {
+        stopRequest.scraper = null;
+    }
+};
+
+/**
+ * Collects a run's leads: saved to the store and read back (with ids and
+ * scores), or kept as scraped. Either way one lead per place.
+ */
+const createCollector = (store) => {
+    const runId = `cli-${randomUUID()}`;
+    const leads = new Map();
+
+    return {
+        runId,
+        add(businesses) {
+            for (const business of businesses) {
+                if (store) {
+                    const { id } = store.upsertLead(business, { jobId: runId });
+                    leads.set(id, id);
+                } else {
+                    const key = derivePlaceIdentity(business).key ?? business.googleMapsUrl ?? business.name;
+                    if (!leads.has(key)) leads.set(key, business);
+                }
+            }
+        },
+        get size() {
+            return leads.size;
+        },
+        ids() {
+            return store ? [...leads.keys()] : [];
+        },
+        *leads() {
+            for (const lead of leads.values()) yield store ? store.getLead(lead) : lead;
+        }
+    };
+};
+
+const databasePath = (options) => options.db ?? (process.env.LEADS_DB || path.join(process.cwd(), 'data', 'leads.db'));
+
+const openStore = (options) => new LeadStore({ dbPath: databasePath(options) });
+
+/**
+ * Scrape each query in turn, save, optionally enrich, then write the
+ * combined leads. Sets the exit code.
+ */
+const runScrapes = async (queries, options) => {
+    try {
+        checkEngine(options.engine);
+    } catch (error) {
+        throw failure(error.message, EXIT_CODES.usage);
+    }
+
+    const output = resolveOutput(options);
+    const store = options.save ? openStore(options) : null;
+    const collector = createCollector(store);
+    const failed = [];
+
+    handleStopSignals();
+
+    try {
+        for (const [index, query] of queries.entries()) {
+            if (stopRequest.stopped) break;
+            if (queries.length > 1) console.error(`🔎 [${index + 1}/${queries.length}] ${query}`);
+
+            try {
+                collector.add(await scrapeQuery(query, options));
+            } catch (error) {
+                failed.push(query);
+                console.error(`❌ "${query}" failed: ${error.message}`);
+            }
+        }
+
+        if (store) console.error(`💾 Saved ${collector.size} leads to ${databasePath(options)} (run ${collector.runId})`);
+        if (store && options.enrich && !stopRequest.stopped) {
+            await enrichLeads(store, collector.ids(), options);
+        }
+
+        // An empty run leaves an earlier output file alone
+        if (collector.size > 0) await writeLeads(collector.leads(), output);
+    } finally {
+        store?.close();
+    }
+
+    if (stopRequest.stopped) {
+        process.exitCode = EXIT_CODES.interrupted;
+    } else if (failed.length > 0) {
+        console.error(`❌ ${failed.length} of ${queries.length} queries failed`);
+        process.exitCode = EXIT_CODES.failed;
+    } else if (collector.size === 0) {
+        console.error('⚠️ No businesses found');
+        process.exitCode = EXIT_CODES.noResults;
+    }
+};
+
+// ===== ENRICHMENT =====
+
+/**
+ * Enrich saved leads from their websites, `concurrency` at a time. Leads
+ * whose enrichment throws count as failed and make the exit code 1.
+ */
+const enrichLeads = async (store, ids, options) => {
+    const enricher = new WebsiteEnricher({
+        maxPages: parseInt(process.env.ENRICH_MAX_PAGES) || 5,
+        timeout: parseInt(process.env.ENRICH_TIMEOUT) || 10000,
+        defaultCountry: process.env.PHONE_DEFAULT_COUNTRY || 'US'
+    });
+    const queue = ids.filter(id => store.getLead(id)?.website);
+    const counts = { enriched: 0, emails: 0, failed: 0 };
+    const total = queue.length;
+
+    console.error(`🌐 Enriching ${total} leads from their websites...`);
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const lead = store.getLead(queue.shift());
+            try {
+                const enrichment = await enricher.enrich(lead.website, { knownPhones: [lead.phone] });
+                store.saveEnrichment(lead.id, enrichment);
+                counts.enriched++;
+                if (enrichment.emails.length > 0) counts.emails++;
+                if (options.verbose) console.error(`   ${lead.name}: ${enrichment.status}, ${enrichment.emails.length} emails`);
+            } catch (error) {
+                counts.failed++;
+                console.error(`❌ Enriching ${lead.name} failed: ${error.message}`);
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(options.enrichConcurrency ?? 2, Math.max(total, 1)) }, worker));
+    console.error(`✅ Enriched ${counts.enriched}/${total} leads, ${counts.emails} with emails`);
+
+    if (counts.failed > 0) process.exitCode = EXIT_CODES.failed;
+    return counts;
+};
+
+// ===== COMMANDS =====
+
+const program = new Command();
+
+program
+    .name('leadgen')
+    .description('Scrape Google Maps businesses, enrich them and export leads')
+    .version(version)
+    .exitOverride()
+    .option('--db <file>', 'lead database (default: LEADS_DB or ./data/leads.db)')
+    .option('--no-headless', 'show the browser window')
+    .option('-v, --verbose', 'log every step', false)
+    .option('--delay <ms>', 'wait between businesses', wholeNumber(0), 3000)
+    .option('--timeout <ms>', 'page load timeout', wholeNumber(1000), 45000);
+
+const addScrapeOptions = (command) => command
+    .option('-m, --max <n>', 'most businesses per query', wholeNumber(1), 50)
+    .addOption(new Option('--engine <name>', 'browser engine').choices(SCRAPER_ENGINES).default(DEFAULT_ENGINE))
+    .option('--concurrency <n>', 'place pages scraped in parallel', wholeNumber(1), 1)
+    .option('--reviews <n>', 'reviews to read per place', wholeNumber(0), 0)
+    .option('--enrich', 'enrich saved leads from their websites afterwards', false)
+    .option('--no-save', 'do not save leads to the database');
+
+const addOutputOptions = (command) => command
+    .option('-o, --out <file>', 'output file, or - for stdout (default: stdout)')
+    .addOption(new Option('-f, --format <format>', 'output format (default: from --out, else csv)').choices(OUTPUT_FORMATS))
+    .option('--columns <ids>', 'comma-separated export columns')
+    .option('--bom', 'start CSV with a byte order mark for Excel', false);
+
+addOutputOptions(addScrapeOptions(program
+    .command('scrape')
+    .description('scrape one Google Maps search')
+    .argument('<query>', 'search, e.g. "dentists in Miami"')))
+    .action(async (query, options, command) => {
+        await runScrapes([query], command.optsWithGlobals());
+    });
+
+addOutputOptions(addScrapeOptions(program
+    .command('batch')
+    .description('scrape every query in a file (one per line, # for comments), combining the results')
+    .argument('<file>', 'queries, or keywords with --locations')
+    .option('--locations <file>', 'locations to combine with every keyword')
+    .option('--template <template>', 'query for a keyword × location pair', DEFAULT_TEMPLATE)))
+    .action(async (file, options, command) => {
+        const keywords = parseQueryList(readTextFile(file));
+        const locations = options.locations ? parseQueryList(readTextFile(options.locations)) : [];
+        const queries = expandQueryMatrix(keywords, locations, { template: options.template }).map(pair => pair.query);
+
+        if (queries.length === 0) throw failure(`${file} has no queries`, EXIT_CODES.usage);
+        await runScrapes(queries, command.optsWithGlobals());
+    });
+
+program
+    .command('enrich')
+    .description('enrich saved leads with emails, phones and contact forms from their websites')
+    .option('--job <id>', 'only leads found by this scrape job or CLI run')
+    .option('--query <query>', 'only leads found by this search')
+    .option('--limit <n>', 'most leads to enrich', wholeNumber(1), 100)
+    .option('--force', 'enrich leads that were enriched before', false)
+    .option('--concurrency <n>', 'websites enriched at the same time', wholeNumber(1), 2)
+    .action(async (options, command) => {
+        const settings = command.optsWithGlobals();
+        const store = openStore(settings);
+
+        try {
+            // Ids first: enriching leads changes which leads the filter matches
+            const ids = [];
+            for (const lead of store.iterateLeads({
+                jobId: settings.job,
+                query: settings.query,
+                hasWebsite: true,
+                enriched: settings.force ? undefined : false,
+                sort: 'createdAt',
+                order: 'asc'
+            })) {
+                ids.push(lead.id);
+                if (ids.length >= settings.limit) break;
+            }
+
+            await enrichLeads(store, ids, { ...settings, enrichConcurrency: settings.concurrency });
+        } finally {
+            store.close();
+        }
+    });
+
+addOutputOptions(program
+    .command('export')
+    .description('write saved leads to a file')
+    .option('--job <id>', 'leads found by this scrape job or CLI run')
+    .option('--query <query>', 'leads found by this search')
+    .option('--search <text>', 'full-text search over name and address')
+    .option('--category <text>', 'category contains')
+    .option('--min-rating <n>', 'lowest rating', number)
+    .option('--min-score <n>', 'lowest lead score', number)
+    .option('--has-website', 'only leads with a website')
+    .option('--has-phone', 'only leads with a phone number')
+    .option('--has-email', 'only leads with an email')
+    .option('--since <date>', 'saved on or after this date')
+    .addOption(new Option('--sort <key>', 'sort by').choices(Object.keys(SORT_COLUMNS)).default('createdAt'))
+    .addOption(new Option('--order <order>', 'sort order').choices(['asc', 'desc']).default('asc')))
+    .action(async (options, command) => {
+        const settings = command.optsWithGlobals();
+        const output = resolveOutput(settings);
+        const store = openStore(settings);
+
+        try {
+            const count = await writeLeads(store.iterateLeads({
+                jobId: settings.job,
+                query: settings.query,
+                search: settings.search,
+                category: settings.category,
+                minRating: settings.minRating,
+                minScore: settings.minScore,
+                hasWebsite: settings.hasWebsite,
+                hasPhone: settings.hasPhone,
+                hasEmail: settings.hasEmail,
+                since: settings.since,
+                sort: settings.sort,
+                order: settings.order
+            }), output);
+
+            if (count === 0) console.error('⚠️ No saved leads match');
+        } finally {
+            store.close();
+        }
+    });
+
+try {
+    await program.parseAsync();
+} catch (error) {
+    if (error instanceof CommanderError) {
+        // Help and --version exit with 0, argument errors with 2
+        process.exitCode = error.exitCode === 0 ? EXIT_CODES.ok : EXIT_CODES.usage;
+    } else {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = error.exitCode ?? EXIT_CODES.failed;
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * 🧭 CRM FIELD MAPPING
+ *
+ * Maps lead fields onto CRM properties: [{ field, property }], where
+ * `field` is a lead field or dotted path (enrichment.emails.email) and
+ * `property` the CRM's name for it. Leads also have a derived `domain`
+ * (the website's host without "www.").
+ *
+ * Empty values are left out of the pushed record, so a lead missing a
+ * phone never blanks the phone a sales rep typed into the CRM.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+// Keys leads can be matched to existing CRM records on
+const DEDUPE_KEYS = ['domain', 'phone', 'none'];
+
+// Lead fields offered by the mapping editor; any dotted path is accepted
+const LEAD_FIELDS = [
+    'name', 'category', 'address', 'phone', 'website', 'domain', 'email', 'rating', 'reviewCount',
+    'priceLevel', 'claimed', 'score', 'plusCode', 'googleMapsUrl', 'enrichment.emails.email'
+];
+
+const FIELD_PATH = /^[A-Za-z_]\w*(\.\w+)*$/;
+const MAX_MAPPED_FIELDS = 50;
+
+const leadDomain = (lead) => {
+    try {
+        return new URL(lead.website).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+};
+
+const readPath = (value, keys) => {
+    if (keys.length === 0 || value === null || value === undefined) return value;
+    if (Array.isArray(value)) return value.map(item => readPath(item, keys));
+    return readPath(value[keys[0]], keys.slice(1));
+};
+
+/**
+ * A lead field as a CRM value: lists joined with ", ", objects as JSON,
+ * null when empty
+ */
+const leadValue = (lead, field) => {
+    const value = field === 'domain' ? leadDomain(lead) : readPath(lead, field.split('.'));
+    if (value === null || value === undefined || value === '') return null;
+    if (Array.isArray(value)) {
+        const items = value.filter(item => item !== null && item !== undefined);
+        return items.length > 0 ? items.map(item => (typeof item === 'object' ? JSON.stringify(item) : item)).join(', ') : null;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+};
+
+/**
+ * A mapping and dedupe key checked and trimmed: { mapping, dedupeOn }.
+ * Throws when invalid.
+ */
+const validateCrmMapping = ({ mapping, dedupeOn = 'domain' } = {}) => {
+    if (!Array.isArray(mapping) || mapping.length === 0) throw new Error('"mapping" must list at least one field');
+    if (mapping.length > MAX_MAPPED_FIELDS) throw new Error(`At most ${MAX_MAPPED_FIELDS} fields can be mapped`);
+    if (!DEDUPE_KEYS.includes(dedupeOn)) throw new Error(`"dedupeOn" must be one of: ${DEDUPE_KEYS.join(', ')}`);
+
+    const checked = mapping.map((entry, position) => {
+        const field = typeof entry?.field === 'string' ? entry.field.trim() : '';
+        const property = typeof entry?.property === 'string' ? entry.property.trim() : '';
+        if (!FIELD_PATH.test(field)) throw new Error(`Mapping ${position + 1} needs a lead field such as "name" or "domain"`);
+        if (!property || property.length > 100) throw new Error(`Mapping ${position + 1} needs a CRM property name`);
+        return { field, property };
+    });
+
+    const properties = checked.map(entry => entry.property);
+    const repeated = properties.find((property, index) => properties.indexOf(property) !== index);
+    if (repeated) throw new Error(`CRM property "${repeated}" is mapped twice`);
+
+    return { mapping: checked, dedupeOn };
+};
+
+/**
+ * The CRM record for a lead: { property: value } without empty values
+ */
+const applyMapping = (lead, mapping) => {
+    const record = {};
+    for (const { field, property } of mapping) {
+        const value = leadValue(lead, field);
+        if (value !== null) record[property] = value;
+    }
+    return record;
+};
+
+export { applyMapping, validateCrmMapping, leadValue, DEDUPE_KEYS, LEAD_FIELDS };
@@ -0,0 +1,49 @@
+/**
+ * 🌐 CRM HTTP
+ *
+ * JSON requests for the CRM adapters. Error responses throw with the HTTP
+ * status and the CRM's own message, so a lead's sync error says why it
+ * was rejected.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Send a JSON request and resolve with the parsed response body (null when
+ * empty). The error message names the path only: query strings may hold
+ * API tokens.
+ */
+const requestJson = async (fetch, url, { method = 'GET', headers = {}, body, timeout = DEFAULT_TIMEOUT } = {}) => {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            Accept: 'application/json',
+            ...(body !== undefined && { 'Content-Type': 'application/json' }),
+            ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeout)
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+        data = text ? JSON.parse(text) : null;
+    } catch {
+        data = null;
+    }
+
+    if (!response.ok) {
+        const reason = data?.message ?? data?.error?.message ?? data?.error ?? text.slice(0, 200);
+        const error = new Error(`${method} ${new URL(url).pathname} failed with HTTP ${response.status}${reason ? `: ${reason}` : ''}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return data;
+};
+
+export { requestJson };
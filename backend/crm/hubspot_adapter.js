@@ -0,0 +1,98 @@
+/**
+ * 🟠 HUBSPOT CRM ADAPTER
+ *
+ * Pushes leads to HubSpot companies or contacts through the CRM v3 objects
+ * API with a private app access token.
+ *
+ * Features:
+ * - Duplicate lookup with the search API (company domain or phone,
+ *   contact email domain or phone)
+ * - Create and update by record id
+ * - Base URL override (HUBSPOT_BASE_URL) for tests against a local mock
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import { requestJson } from './http.js';
+
+const DEFAULT_BASE_URL = 'https://api.hubapi.com';
+
+// Default mappings, and the HubSpot property each dedupe key searches
+const HUBSPOT_OBJECTS = {
+    companies: {
+        mapping: [
+            { field: 'name', property: 'name' },
+            { field: 'domain', property: 'domain' },
+            { field: 'website', property: 'website' },
+            { field: 'phone', property: 'phone' },
+            { field: 'address', property: 'address' }
+        ],
+        dedupeProperties: { domain: 'domain', phone: 'phone' }
+    },
+    contacts: {
+        mapping: [
+            { field: 'email', property: 'email' },
+            { field: 'name', property: 'company' },
+            { field: 'phone', property: 'phone' },
+            { field: 'website', property: 'website' },
+            { field: 'address', property: 'address' }
+        ],
+        dedupeProperties: { domain: 'hs_email_domain', phone: 'phone' }
+    }
+};
+
+class HubSpotAdapter {
+    constructor(options = {}) {
+        this.options = {
+            baseUrl: DEFAULT_BASE_URL,
+            fetch: globalThis.fetch,
+            ...options
+        };
+
+        if (!HUBSPOT_OBJECTS[this.options.object]) {
+            throw new Error(`HubSpot has no "${this.options.object}" object. Objects: ${Object.keys(HUBSPOT_OBJECTS).join(', ')}`);
+        }
+        if (!this.options.accessToken) {
+            throw new Error('HubSpot needs an access token (HUBSPOT_ACCESS_TOKEN)');
+        }
+
+        this.object = this.options.object;
+        this.baseUrl = this.options.baseUrl.replace(/\/+$/, '');
+    }
+
+    request(path, init = {}) {
+        return requestJson(this.options.fetch, `${this.baseUrl}/crm/v3/objects/${this.object}${path}`, {
+            ...init,
+            headers: { Authorization: `Bearer ${this.options.accessToken}` }
+        });
+    }
+
+    /**
+     * Id of the first record whose dedupe property equals `value`, or null
+     */
+    async findDuplicate({ key, value }) {
+        const propertyName = HUBSPOT_OBJECTS[this.object].dedupeProperties[key];
+        const data = await this.request('/search', {
+            method: 'POST',
+            body: {
+                filterGroups: [{ filters: [{ propertyName, operator: 'EQ', value: String(value) }] }],
+                properties: [propertyName],
+                limit: 1
+            }
+        });
+        return data?.results?.[0]?.id ?? null;
+    }
+
+    async create(record) {
+        const data = await this.request('', { method: 'POST', body: { properties: record } });
+        return data.id;
+    }
+
+    async update(id, record) {
+        await this.request(`/${encodeURIComponent(id)}`, { method: 'PATCH', body: { properties: record } });
+        return id;
+    }
+}
+
+export { HubSpotAdapter, HUBSPOT_OBJECTS };
@@ -0,0 +1,52 @@
+/**
+ * 🤝 CRM ADAPTERS
+ *
+ * Registry of the CRMs leads can be pushed to. An adapter writes one kind
+ * of record (its `object`: HubSpot companies, Pipedrive persons ...) and
+ * has this interface:
+ *
+ * - findDuplicate({ key, value, property }) → id of an existing record
+ *   whose domain or phone (`key`) equals `value`, or null
+ * - create(record) → id of the new record
+ * - update(id, record) → id
+ *
+ * A target names an adapter and object, e.g. "hubspot:companies".
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import { HubSpotAdapter, HUBSPOT_OBJECTS } from './hubspot_adapter.js';
+import { PipedriveAdapter, PIPEDRIVE_OBJECTS } from './pipedrive_adapter.js';
+import { RestAdapter, REST_OBJECTS } from './rest_adapter.js';
+
+const ADAPTERS = {
+    hubspot: { label: 'HubSpot', Adapter: HubSpotAdapter, objects: HUBSPOT_OBJECTS },
+    pipedrive: { label: 'Pipedrive', Adapter: PipedriveAdapter, objects: PIPEDRIVE_OBJECTS },
+    rest: { label: 'REST API', Adapter: RestAdapter, objects: REST_OBJECTS }
+};
+
+const CRM_TARGETS = Object.entries(ADAPTERS).flatMap(([adapter, { label, objects }]) =>
+    Object.entries(objects).map(([object, { mapping }]) => ({
+        target: `${adapter}:${object}`,
+        adapter,
+        object,
+        label: `${label} ${object}`,
+        defaultMapping: mapping
+    })));
+
+/**
+ * The target for an adapter and object, or null
+ */
+const findCrmTarget = (adapter, object) =>
+    CRM_TARGETS.find(target => target.adapter === adapter && target.object === object) ?? null;
+
+const createCrmAdapter = (adapter, options = {}) => {
+    const entry = ADAPTERS[adapter];
+    if (!entry) {
+        throw new Error(`Unknown CRM "${adapter}". Available CRMs: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    return new entry.Adapter(options);
+};
+
+export { createCrmAdapter, findCrmTarget, CRM_TARGETS };
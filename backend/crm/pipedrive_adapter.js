@@ -0,0 +1,129 @@
+/**
+ * 🟢 PIPEDRIVE CRM ADAPTER
+ *
+ * Pushes leads to Pipedrive organizations or persons through the v1 API
+ * with a personal API token.
+ *
+ * Features:
+ * - Duplicate lookup with the search endpoints: persons by email domain
+ *   or phone, organizations by a custom field holding the domain or phone
+ * - Create and update by record id
+ * - Base URL override (PIPEDRIVE_BASE_URL) for tests against a local mock
+ *
+ * Organizations have no built-in website or phone field, so deduplicating
+ * them needs the domain or phone mapped to a custom field.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import { requestJson } from './http.js';
+
+const DEFAULT_BASE_URL = 'https://api.pipedrive.com';
+
+// Default mappings, and the search field each dedupe key searches
+const PIPEDRIVE_OBJECTS = {
+    organizations: {
+        mapping: [
+            { field: 'name', property: 'name' },
+            { field: 'address', property: 'address' }
+        ],
+        searchFields: { domain: 'custom_fields', phone: 'custom_fields' }
+    },
+    persons: {
+        mapping: [
+            { field: 'name', property: 'name' },
+            { field: 'email', property: 'email' },
+            { field: 'phone', property: 'phone' }
+        ],
+        searchFields: { domain: 'email', phone: 'phone' }
+    }
+};
+
+// Person fields Pipedrive stores as lists of { value, primary }
+const PERSON_LIST_FIELDS = ['email', 'phone'];
+
+const digitsOf = (value) => String(value ?? '').replace(/\D/g, '');
+
+/**
+ * Whether a person search hit really has the domain or phone: the
+ * search itself matches words anywhere in the field
+ */
+const personMatches = (item, key, value) => {
+    if (key === 'domain') {
+        return (item.emails ?? []).some(email => String(email).toLowerCase().endsWith(`@${value}`));
+    }
+
+    const wanted = digitsOf(value);
+    // Numbers saved without the country code still match on their last digits
+    return (item.phones ?? []).some(phone => {
+        const digits = digitsOf(phone);
+        return digits.length >= 7 && (wanted.endsWith(digits) || digits.endsWith(wanted));
+    });
+};
+
+class PipedriveAdapter {
+    constructor(options = {}) {
+        this.options = {
+            baseUrl: DEFAULT_BASE_URL,
+            fetch: globalThis.fetch,
+            ...options
+        };
+
+        if (!PIPEDRIVE_OBJECTS[this.options.object]) {
+            throw new Error(`Pipedrive has no "${this.options.object}" object. Objects: ${Object.keys(PIPEDRIVE_OBJECTS).join(', ')}`);
+        }
+        if (!this.options.apiToken) {
+            throw new Error('Pipedrive needs an API token (PIPEDRIVE_API_TOKEN)');
+        }
+
+        this.object = this.options.object;
+        this.baseUrl = this.options.baseUrl.replace(/\/+$/, '');
+    }
+
+    request(path, { params = {}, ...init } = {}) {
+        const query = new URLSearchParams({ ...params, api_token: this.options.apiToken });
+        return requestJson(this.options.fetch, `${this.baseUrl}/v1/${this.object}${path}?${query}`, init);
+    }
+
+    /**
+     * Id of the first record with this domain or phone, or null
+     */
+    async findDuplicate({ key, value }) {
+        const isPerson = this.object === 'persons';
+        const data = await this.request('/search', {
+            params: {
+                term: String(value),
+                fields: PIPEDRIVE_OBJECTS[this.object].searchFields[key],
+                exact_match: String(!isPerson),
+                limit: '10'
+            }
+        });
+
+        const items = (data?.data?.items ?? []).map(result => result.item);
+        const match = isPerson ? items.find(item => personMatches(item, key, value)) : items[0];
+        return match?.id ?? null;
+    }
+
+    body(record) {
+        if (this.object !== 'persons') return record;
+
+        const body = { ...record };
+        for (const field of PERSON_LIST_FIELDS) {
+            if (typeof body[field] === 'string') body[field] = [{ value: body[field], primary: true, label: 'work' }];
+        }
+        return body;
+    }
+
+    async create(record) {
+        const data = await this.request('', { method: 'POST', body: this.body(record) });
+        return data.data.id;
+    }
+
+    async update(id, record) {
+        await this.request(`/${encodeURIComponent(id)}`, { method: 'PUT', body: this.body(record) });
+        return id;
+    }
+}
+
+export { PipedriveAdapter, PIPEDRIVE_OBJECTS };
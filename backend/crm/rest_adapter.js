@@ -0,0 +1,88 @@
+/**
+ * 🔗 GENERIC REST CRM ADAPTER
+ *
+ * Pushes leads to any JSON API with a collection URL (CRM_REST_URL):
+ *
+ * - GET    {url}?{property}={value}   duplicate lookup, a list of records
+ *                                     (or { data | results | items: [...] })
+ * - POST   {url}                      create, answers with the record's id
+ * - PATCH  {url}/{id}                 update
+ *
+ * The lookup uses the CRM property the dedupe field is mapped to, so
+ * mapping `domain` to `company_domain` searches ?company_domain=...
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import { requestJson } from './http.js';
+
+const REST_OBJECTS = {
+    records: {
+        mapping: [
+            'name', 'category', 'address', 'phone', 'website', 'domain', 'email', 'rating', 'googleMapsUrl'
+        ].map(field => ({ field, property: field }))
+    }
+};
+
+const recordsOf = (data) => {
+    if (Array.isArray(data)) return data;
+    return data?.data ?? data?.results ?? data?.items ?? [];
+};
+
+class RestAdapter {
+    constructor(options = {}) {
+        this.options = {
+            object: 'records',
+            idField: 'id',
+            headers: {},
+            fetch: globalThis.fetch,
+            ...options
+        };
+
+        if (!REST_OBJECTS[this.options.object]) {
+            throw new Error(`The REST adapter has no "${this.options.object}" object. Objects: ${Object.keys(REST_OBJECTS).join(', ')}`);
+        }
+        if (!this.options.url) {
+            throw new Error('The REST adapter needs a collection URL (CRM_REST_URL)');
+        }
+
+        this.object = this.options.object;
+        this.url = this.options.url.replace(/\/+$/, '');
+    }
+
+    request(url, init = {}) {
+        return requestJson(this.options.fetch, url, {
+            ...init,
+            headers: {
+                ...(this.options.token && { Authorization: `Bearer ${this.options.token}` }),
+                ...this.options.headers
+            }
+        });
+    }
+
+    idOf(record) {
+        const id = record?.[this.options.idField];
+        return id === undefined || id === null ? null : id;
+    }
+
+    async findDuplicate({ key, value, property }) {
+        const query = new URLSearchParams({ [property ?? key]: String(value) });
+        const [match] = recordsOf(await this.request(`${this.url}?${query}`));
+        return this.idOf(match);
+    }
+
+    async create(record) {
+        const data = await this.request(this.url, { method: 'POST', body: record });
+        const id = this.idOf(data?.data ?? data);
+        if (id === null) throw new Error(`The created record has no "${this.options.idField}" in the response`);
+        return id;
+    }
+
+    async update(id, record) {
+        await this.request(`${this.url}/${encodeURIComponent(id)}`, { method: 'PATCH', body: record });
+        return id;
+    }
+}
+
+export { RestAdapter, REST_OBJECTS };
@@ -0,0 +1,142 @@
+/**
+ * 🤝 CRM SYNC
+ *
+ * Pushes stored leads to a CRM target through its adapter, using the
+ * target's saved field mapping (or the adapter's default one).
+ *
+ * Features:
+ * - A lead pushed before updates the record it created
+ * - Otherwise an existing record with the same domain or phone is updated
+ *   instead of creating a duplicate
+ * - Each lead's outcome is stored as its sync status for the target
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import { createCrmAdapter, findCrmTarget, CRM_TARGETS } from './crm/index.js';
+import { applyMapping, validateCrmMapping, leadValue } from './crm/field_mapping.js';
+
+const DEFAULT_DEDUPE_ON = 'domain';
+
+class CrmSync {
+    /**
+     * @param {object} options
+     * @param {object} options.leadStore
+     * @param {object} options.connections - adapter options of each configured
+     *   CRM, e.g. { hubspot: { accessToken, baseUrl } }
+     */
+    constructor({ leadStore, connections = {}, fetch = globalThis.fetch }) {
+        this.leadStore = leadStore;
+        this.connections = connections;
+        this.fetch = fetch;
+    }
+
+    /**
+     * The target for an adapter and object. Throws when there is none.
+     */
+    target(adapter, object) {
+        const target = findCrmTarget(adapter, object);
+        if (!target) {
+            throw new Error(`Unknown CRM target "${adapter}:${object}". Targets: ${CRM_TARGETS.map(t => t.target).join(', ')}`);
+        }
+        return target;
+    }
+
+    isConfigured(adapter) {
+        return Boolean(this.connections[adapter]);
+    }
+
+    /**
+     * The mapping in use for a target: the saved one or the adapter default
+     */
+    getMapping(target) {
+        return this.leadStore.getCrmMapping(target.target) ?? {
+            mapping: target.defaultMapping,
+            dedupeOn: DEFAULT_DEDUPE_ON,
+            updatedAt: null
+        };
+    }
+
+    /**
+     * Validate and save a target's mapping. Throws when invalid.
+     */
+    saveMapping(target, settings) {
+        return this.leadStore.saveCrmMapping(target.target, validateCrmMapping(settings));
+    }
+
+    /**
+     * Every target with whether its CRM is configured and its mapping
+     */
+    listTargets() {
+        return CRM_TARGETS.map(target => ({
+            target: target.target,
+            adapter: target.adapter,
+            object: target.object,
+            label: target.label,
+            configured: this.isConfigured(target.adapter),
+            ...this.getMapping(target)
+        }));
+    }
+
+    async pushLead(adapter, target, lead, { mapping, dedupeOn }) {
+        const record = applyMapping(lead, mapping);
+        if (Object.keys(record).length === 0) throw new Error('None of the mapped fields has a value');
+
+        const knownId = lead.crmSync?.[target.target]?.remoteId ?? null;
+        if (knownId !== null) {
+            try {
+                return { action: 'updated', remoteId: await adapter.update(knownId, record) };
+            } catch (error) {
+                // The record was deleted in the CRM: match or create it again
+                if (error.status !== 404) throw error;
+            }
+        }
+
+        const value = dedupeOn === 'none' ? null : leadValue(lead, dedupeOn);
+        if (value !== null) {
+            const property = mapping.find(entry => entry.field === dedupeOn)?.property;
+            const duplicateId = await adapter.findDuplicate({ key: dedupeOn, value, property });
+            if (duplicateId !== null) {
+                return { action: 'updated', remoteId: await adapter.update(duplicateId, record) };
+            }
+        }
+
+        return { action: 'created', remoteId: await adapter.create(record) };
+    }
+
+    /**
+     * Push leads one at a time and record each outcome. Resolves to
+     * { created, updated, failed, results: [{ leadId, status, action, remoteId, error }] }.
+     */
+    async syncLeads(target, leads) {
+        if (!this.isConfigured(target.adapter)) throw new Error(`${target.adapter} is not configured`);
+
+        const adapter = createCrmAdapter(target.adapter, {
+            fetch: this.fetch,
+            ...this.connections[target.adapter],
+            object: target.object
+        });
+        const settings = this.getMapping(target);
+        const summary = { created: 0, updated: 0, failed: 0, results: [] };
+
+        for (const lead of leads) {
+            let result;
+            try {
+                const { action, remoteId } = await this.pushLead(adapter, target, lead, settings);
+                result = { leadId: lead.id, status: 'synced', action, remoteId: String(remoteId), error: null };
+                summary[action]++;
+            } catch (error) {
+                result = { leadId: lead.id, status: 'failed', action: null, remoteId: null, error: error.message };
+                summary.failed++;
+            }
+
+            this.leadStore.saveCrmSync(lead.id, target.target, result);
+            summary.results.push(result);
+        }
+
+        return summary;
+    }
+}
+
+export { CrmSync };
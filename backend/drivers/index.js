@@ -0,0 +1,66 @@
+/**
+ * 🔌 BROWSER DRIVERS
+ *
+ * Registry of the browser drivers the scraper core can run on. A driver
+ * launches a browser, opens pages with newPage({ isolated }) and closes
+ * with close(). Pages have this interface:
+ *
+ * - goto(url, { timeout })
+ * - waitForSelector(selector, { timeout })
+ * - wait(ms)
+ * - count(selector)
+ * - evaluate(fn, arg)
+ * - close()
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import { createRequire } from 'module';
+import { PlaywrightDriver } from './playwright_driver.js';
+import { PuppeteerDriver } from './puppeteer_driver.js';
+
+const require = createRequire(import.meta.url);
+
+const DRIVERS = {
+    playwright: PlaywrightDriver,
+    puppeteer: PuppeteerDriver
+};
+
+// Engines whose browser library is an optional dependency
+const OPTIONAL_PACKAGES = {
+    puppeteer: 'puppeteer'
+};
+
+const SCRAPER_ENGINES = Object.keys(DRIVERS);
+const DEFAULT_ENGINE = 'playwright';
+
+const isPackageInstalled = (name) => {
+    try {
+        require.resolve(name);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Throw when an engine is unknown or its optional package is not installed
+ */
+const checkEngine = (engine) => {
+    if (!DRIVERS[engine]) {
+        throw new Error(`Unknown scraper engine "${engine}". Available engines: ${SCRAPER_ENGINES.join(', ')}`);
+    }
+
+    const packageName = OPTIONAL_PACKAGES[engine];
+    if (packageName && !isPackageInstalled(packageName)) {
+        throw new Error(`The ${engine} engine needs the "${packageName}" package. Run \`npm install ${packageName}\` in backend/ or use the ${DEFAULT_ENGINE} engine.`);
+    }
+};
+
+const createDriver = (engine = DEFAULT_ENGINE, options = {}) => {
+    checkEngine(engine);
+    return new DRIVERS[engine](options);
+};
+
+export { createDriver, checkEngine, SCRAPER_ENGINES, DEFAULT_ENGINE };
@@ -0,0 +1,290 @@
+/**
+ * 🎭 PLAYWRIGHT BROWSER DRIVER
+ *
+ * Browser driver for the scraper core (gmaps_scraper.js) backed by
+ * Playwright's bundled Chromium.
+ *
+ * Features:
+ * - Chromium discovery for Render and local installs
+ * - Runtime `npx playwright install chromium` when launch fails in production
+ * - Pages share one browser context, or get their own for parallel workers
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import { chromium } from 'playwright';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
+
+/**
+ * Page wrapper exposing the small surface the scraper core uses
+ */
+class PlaywrightPage {
+    constructor(page, ownContext = null) {
+        this.page = page;
+        this.ownContext = ownContext;
+    }
+
+    async goto(url, { timeout } = {}) {
+        await this.page.goto(url, { waitUntil: 'networkidle', timeout });
+    }
+
+    async waitForSelector(selector, { timeout } = {}) {
+        await this.page.waitForSelector(selector, { timeout });
+    }
+
+    async wait(ms) {
+        await this.page.waitForTimeout(ms);
+    }
+
+    async count(selector) {
+        return await this.page.locator(selector).count();
+    }
+
+    /**
+     * Run fn in the page. Playwright passes a single argument, so callers
+     * bundle their parameters into one object.
+     */
+    async evaluate(fn, arg) {
+        return await this.page.evaluate(fn, arg);
+    }
+
+    async close() {
+        await this.page.close();
+        if (this.ownContext) {
+            await this.ownContext.close();
+        }
+    }
+}
+
+class PlaywrightDriver {
+    constructor(options = {}) {
+        this.name = 'playwright';
+        this.options = {
+            headless: options.headless ?? true,
+            executablePath: options.executablePath ?? process.env.CHROMIUM_EXECUTABLE_PATH,
+            slowMo: options.slowMo ?? 100,
+            userAgent: options.userAgent ?? DEFAULT_USER_AGENT,
+            log: options.log ?? (() => {}),
+            ...options
+        };
+        this.browser = null;
+        this.context = null;
+    }
+
+    log(message, type = 'info') {
+        this.options.log(message, type);
+    }
+
+    /**
+     * Find Chromium executable path on Render
+     */
+    findChromiumExecutable() {
+        const possiblePaths = [
+            // Standard Playwright installation paths
+            '/opt/render/.cache/ms-playwright/chromium-1091/chrome-linux/chrome',
+            '/opt/render/.cache/ms-playwright/chromium-*/chrome-linux/chrome',
+            // Alternative Playwright paths
+            path.join(process.cwd(), 'node_modules/playwright/.local-browsers/chromium-*/chrome-linux/chrome'),
+            path.join(process.cwd(), 'node_modules/playwright-core/.local-browsers/chromium-*/chrome-linux/chrome'),
+            // System Chrome paths
+            '/usr/bin/google-chrome-stable',
+            '/usr/bin/google-chrome',
+            '/usr/bin/chromium-browser',
+            '/usr/bin/chromium'
+        ];
+
+        this.log(`🔍 Searching for Chromium executable...`, 'info');
+
+        for (const execPath of possiblePaths) {
+            if (execPath.includes('*')) {
+                // Handle wildcard paths
+                const dir = path.dirname(execPath);
+                const filename = path.basename(execPath);
+
+                try {
+                    if (fs.existsSync(dir)) {
+                        const items = fs.readdirSync(dir);
+                        for (const item of items) {
+                            if (item.startsWith('chromium-')) {
+                                const fullPath = path.join(dir, item, filename.replace('*', ''));
+                                if (fs.existsSync(fullPath)) {
+                                    this.log(`✅ Found Chromium at: ${fullPath}`, 'success');
+                                    return fullPath;
+                                }
+                            }
+                        }
+                    }
+                } catch (error) {
+                    this.log(`⚠️ Error checking wildcard path ${execPath}: ${error.message}`, 'debug');
+                }
+            } else if (fs.existsSync(execPath)) {
+                this.log(`✅ Found Chromium at: ${execPath}`, 'success');
+                return execPath;
+            }
+        }
+
+        // Try to find via playwright package
+        try {
+            const playwrightPath = require.resolve('playwright');
+            const browsersPath = path.join(path.dirname(playwrightPath), '.local-browsers');
+
+            if (fs.existsSync(browsersPath)) {
+                this.log(`📁 Checking Playwright browsers directory: ${browsersPath}`, 'info');
+
+                for (const browserDir of fs.readdirSync(browsersPath)) {
+                    if (browserDir.startsWith('chromium-')) {
+                        const chromePath = path.join(browsersPath, browserDir, 'chrome-linux', 'chrome');
+                        if (fs.existsSync(chromePath)) {
+                            this.log(`✅ Found Playwright Chromium: ${chromePath}`, 'success');
+                            return chromePath;
+                        }
+                    }
+                }
+            }
+        } catch (error) {
+            this.log(`⚠️ Error finding Playwright installation: ${error.message}`, 'debug');
+        }
+
+        this.log(`❌ No Chromium executable found`, 'error');
+        return null;
+    }
+
+    /**
+     * Get browser launch options for Playwright
+     */
+    getBrowserOptions() {
+        const isProduction = process.env.NODE_ENV === 'production' || process.env.RENDER;
+
+        if (!isProduction) {
+            this.log('💻 Running in development mode', 'info');
+            return {
+                headless: this.options.headless,
+                slowMo: this.options.slowMo,
+                devtools: false,
+                ...(this.options.executablePath && { executablePath: this.options.executablePath })
+            };
+        }
+
+        this.log('🌐 Running in production - using Playwright optimized settings', 'info');
+
+        const executablePath = this.options.executablePath || this.findChromiumExecutable();
+        const options = {
+            headless: true,
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-accelerated-2d-canvas',
+                '--no-first-run',
+                '--disable-gpu',
+                '--disable-web-security',
+                '--disable-features=VizDisplayCompositor',
+                '--disable-background-timer-throttling',
+                '--disable-backgrounding-occluded-windows',
+                '--disable-renderer-backgrounding'
+            ]
+        };
+
+        if (executablePath) {
+            options.executablePath = executablePath;
+            this.log(`🎯 Using executable path: ${executablePath}`, 'info');
+        } else {
+            this.log(`🔄 Using Playwright auto-detection`, 'info');
+        }
+
+        return options;
+    }
+
+    /**
+     * Install Chromium at runtime when the build step did not
+     */
+    async installChromium() {
+        const { exec } = await import('child_process');
+        const { promisify } = await import('util');
+        const execAsync = promisify(exec);
+
+        this.log(`📥 Installing Chromium browser...`, 'info');
+        const { stdout, stderr } = await execAsync('npx playwright install chromium', {
+            timeout: 120000 // 2 minutes timeout
+        });
+
+        this.log(`📥 Installation output: ${stdout}`, 'info');
+        if (stderr) {
+            this.log(`⚠️ Installation warnings: ${stderr}`, 'warn');
+        }
+    }
+
+    async launch() {
+        const isProduction = process.env.RENDER || process.env.NODE_ENV === 'production';
+
+        // Set Playwright browsers path for Render - but let Playwright auto-detect
+        if (isProduction) {
+            if (!process.env.PLAYWRIGHT_BROWSERS_PATH) {
+                process.env.PLAYWRIGHT_BROWSERS_PATH = '/opt/render/.cache/ms-playwright';
+            }
+            this.log(`📁 PLAYWRIGHT_BROWSERS_PATH: ${process.env.PLAYWRIGHT_BROWSERS_PATH}`, 'info');
+        }
+
+        const browserOptions = this.getBrowserOptions();
+        this.log(`🔧 Browser options: ${JSON.stringify(browserOptions, null, 2)}`, 'debug');
+
+        try {
+            this.browser = await chromium.launch(browserOptions);
+            this.log(`✅ Browser launched successfully`, 'success');
+        } catch (launchError) {
+            this.log(`❌ Browser launch failed: ${launchError.message}`, 'error');
+
+            if (!isProduction) throw launchError;
+
+            this.log(`🔄 Attempting runtime browser installation...`, 'info');
+            try {
+                await this.installChromium();
+                this.log(`🔄 Retrying browser launch after installation...`, 'info');
+                this.browser = await chromium.launch(browserOptions);
+                this.log(`✅ Browser launched successfully after runtime installation`, 'success');
+            } catch (installError) {
+                this.log(`❌ Runtime browser installation failed: ${installError.message}`, 'error');
+                throw new Error(`Browser launch failed and runtime installation failed: ${launchError.message} | Install error: ${installError.message}`);
+            }
+        }
+
+        this.context = await this.createContext();
+    }
+
+    async createContext() {
+        return await this.browser.newContext({
+            viewport: { width: 1366, height: 768 },
+            userAgent: this.options.userAgent
+        });
+    }
+
+    /**
+     * Open a page. `isolated` pages get their own context (cookies, cache)
+     * so parallel workers do not share state.
+     */
+    async newPage({ isolated = false } = {}) {
+        if (!isolated) {
+            return new PlaywrightPage(await this.context.newPage());
+        }
+
+        const context = await this.createContext();
+        return new PlaywrightPage(await context.newPage(), context);
+    }
+
+    async close() {
+        if (this.browser) {
+            await this.browser.close();
+            this.browser = null;
+            this.context = null;
+        }
+    }
+}
+
+export { PlaywrightDriver, DEFAULT_USER_AGENT };
@@ -0,0 +1,208 @@
+/**
+ * 🤖 PUPPETEER BROWSER DRIVER
+ *
+ * Browser driver for the scraper core (gmaps_scraper.js) backed by
+ * Puppeteer. Puppeteer is an optional dependency: it is loaded on first
+ * launch, and a missing install fails the scrape with a clear message.
+ *
+ * Features:
+ * - Chrome discovery for Render (build-time Chrome) and local installs
+ * - PUPPETEER_EXECUTABLE_PATH override
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import fs from 'fs';
+import { DEFAULT_USER_AGENT } from './playwright_driver.js';
+
+const PRODUCTION_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--disable-dev-tools',
+    '--disable-software-rasterizer',
+    '--disable-notifications',
+    '--disable-extensions',
+    '--disable-default-apps',
+    '--disable-sync',
+    '--no-default-browser-check',
+    '--disable-background-networking',
+    '--disable-background-timer-throttling',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-renderer-backgrounding',
+    '--disable-gpu',
+    '--disable-web-security',
+    '--disable-features=VizDisplayCompositor'
+];
+
+/**
+ * Page wrapper exposing the small surface the scraper core uses
+ */
+class PuppeteerPage {
+    constructor(page, ownContext = null) {
+        this.page = page;
+        this.ownContext = ownContext;
+    }
+
+    async goto(url, { timeout } = {}) {
+        await this.page.goto(url, { waitUntil: 'networkidle2', timeout });
+    }
+
+    async waitForSelector(selector, { timeout } = {}) {
+        await this.page.waitForSelector(selector, { timeout });
+    }
+
+    async wait(ms) {
+        await new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async count(selector) {
+        return await this.page.$$eval(selector, els => els.length);
+    }
+
+    async evaluate(fn, arg) {
+        return await this.page.evaluate(fn, arg);
+    }
+
+    async close() {
+        await this.page.close();
+        if (this.ownContext) {
+            await this.ownContext.close();
+        }
+    }
+}
+
+class PuppeteerDriver {
+    constructor(options = {}) {
+        this.name = 'puppeteer';
+        this.options = {
+            headless: options.headless ?? true,
+            userAgent: options.userAgent ?? DEFAULT_USER_AGENT,
+            log: options.log ?? (() => {}),
+            ...options
+        };
+        this.browser = null;
+    }
+
+    log(message, type = 'info') {
+        this.options.log(message, type);
+    }
+
+    async loadPuppeteer() {
+        try {
+            const module = await import('puppeteer');
+            return module.default ?? module;
+        } catch (error) {
+            if (error.code === 'ERR_MODULE_NOT_FOUND') {
+                throw new Error('The puppeteer engine needs the "puppeteer" package. Run `npm install puppeteer` in backend/ or use the playwright engine.');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Find a Chrome executable, or undefined to let Puppeteer auto-detect
+     */
+    findChromeExecutable() {
+        const isProduction = process.env.RENDER || process.env.NODE_ENV === 'production';
+        const cacheDir = process.env.PUPPETEER_CACHE_DIR || '/opt/render/.cache/puppeteer';
+
+        const candidates = isProduction
+            ? [
+                process.env.PUPPETEER_EXECUTABLE_PATH,
+                `${cacheDir}/chrome/linux-124.0.6367.207/chrome-linux64/chrome`,
+                `${cacheDir}/chrome/linux-121.0.6167.85/chrome-linux64/chrome`,
+                '/usr/bin/google-chrome-stable',
+                '/usr/bin/google-chrome'
+            ]
+            : [
+                process.env.PUPPETEER_EXECUTABLE_PATH,
+                '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+                '/Applications/Chromium.app/Contents/MacOS/Chromium',
+                'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+                'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
+            ];
+
+        for (const chromePath of candidates.filter(Boolean)) {
+            if (fs.existsSync(chromePath)) {
+                this.log(`✅ Found Chrome at: ${chromePath}`, 'success');
+                return chromePath;
+            }
+            this.log(`❌ Chrome not found at: ${chromePath}`, 'debug');
+        }
+
+        this.log('🔄 No Chrome found, using Puppeteer auto-detection', 'warn');
+        return undefined;
+    }
+
+    /**
+     * Get browser launch options for Puppeteer
+     */
+    getBrowserOptions() {
+        const isProduction = process.env.RENDER || process.env.NODE_ENV === 'production';
+        const options = {
+            headless: this.options.headless ? 'new' : false,
+            defaultViewport: { width: 1366, height: 768 },
+            args: isProduction
+                ? PRODUCTION_ARGS
+                : ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-accelerated-2d-canvas', '--no-first-run', '--disable-gpu']
+        };
+
+        if (isProduction) {
+            Object.assign(options, {
+                headless: 'new',
+                ignoreHTTPSErrors: true,
+                ignoreDefaultArgs: ['--disable-extensions'],
+                handleSIGINT: false,
+                handleSIGTERM: false,
+                handleSIGHUP: false
+            });
+        }
+
+        const executablePath = this.findChromeExecutable();
+        if (executablePath) {
+            options.executablePath = executablePath;
+        }
+
+        return options;
+    }
+
+    async launch() {
+        const puppeteer = await this.loadPuppeteer();
+        const browserOptions = this.getBrowserOptions();
+        this.log(`🔧 Browser options: ${JSON.stringify(browserOptions, null, 2)}`, 'debug');
+
+        this.browser = await puppeteer.launch(browserOptions);
+        this.log(`✅ Browser launched successfully`, 'success');
+    }
+
+    /**
+     * Open a page. `isolated` pages get their own incognito context so
+     * parallel workers do not share state.
+     */
+    async newPage({ isolated = false } = {}) {
+        let context = null;
+        if (isolated) {
+            // Renamed from createIncognitoBrowserContext in Puppeteer 22
+            context = this.browser.createBrowserContext
+                ? await this.browser.createBrowserContext()
+                : await this.browser.createIncognitoBrowserContext();
+        }
+
+        const page = await (context ?? this.browser).newPage();
+        await page.setUserAgent(this.options.userAgent);
+        return new PuppeteerPage(page, context);
+    }
+
+    async close() {
+        if (this.browser) {
+            await this.browser.close();
+            this.browser = null;
+        }
+    }
+}
+
+export { PuppeteerDriver };
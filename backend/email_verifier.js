@@ -0,0 +1,351 @@
+/**
+ * 📧 EMAIL VERIFIER
+ *
+ * Gives every address a deliverable / risky / invalid verdict without
+ * sending mail.
+ *
+ * Features:
+ * - Syntax check and domain normalization
+ * - MX lookup through a pluggable DNS resolver (A record fallback, null MX)
+ * - Disposable domain and role account (info@, sales@ ...) detection; the
+ *   role flag is informational and never changes the verdict
+ * - SMTP RCPT probe, plus catch-all detection with a random mailbox
+ * - Probe host override so tests can point it at a local SMTP server
+ * - Per-domain caching and limited concurrency for bulk checks
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import dns from 'dns';
+import net from 'net';
+import { randomBytes } from 'crypto';
+
+const DISPOSABLE_DOMAINS = [
+    '10minutemail.com', '1secmail.com', 'burnermail.io', 'discard.email', 'dispostable.com',
+    'emailondeck.com', 'fakeinbox.com', 'getnada.com', 'grr.la', 'guerrillamail.com',
+    'guerrillamail.net', 'guerrillamailblock.com', 'mailcatch.com', 'maildrop.cc', 'mailinator.com',
+    'mailnesia.com', 'mintemail.com', 'moakt.com', 'mohmal.com', 'mytemp.email',
+    'sharklasers.com', 'spam4.me', 'spambox.us', 'spamgourmet.com', 'tempail.com',
+    'temp-mail.org', 'tempinbox.com', 'tempmail.com', 'tempr.email', 'throwawaymail.com',
+    'trash-mail.com', 'trashmail.com', 'yopmail.com'
+];
+
+const ROLE_ACCOUNTS = [
+    'abuse', 'accounts', 'admin', 'billing', 'booking', 'careers', 'contact', 'enquiries',
+    'hello', 'help', 'hr', 'info', 'jobs', 'mail', 'marketing', 'media', 'no-reply', 'noreply',
+    'office', 'orders', 'postmaster', 'press', 'reception', 'reservations', 'sales', 'service',
+    'support', 'team', 'webmaster'
+];
+
+const LOCAL_PART = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+const DOMAIN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/i;
+
+// DNS answers that mean "this name has no such records", not a lookup failure
+const NO_RECORDS = new Set(['ENODATA', 'ENOTFOUND', 'NXDOMAIN', 'ENONAME']);
+
+/**
+ * Split and normalize an address. Returns { local, domain } or null.
+ */
+const parseEmail = (value) => {
+    if (typeof value !== 'string') return null;
+
+    const email = value.trim().replace(/^mailto:/i, '');
+    const at = email.lastIndexOf('@');
+    if (at < 1 || email.length > 254) return null;
+
+    const local = email.slice(0, at);
+    const domain = email.slice(at + 1).toLowerCase().replace(/\.$/, '');
+
+    if (local.length > 64 || !LOCAL_PART.test(local) || !DOMAIN.test(domain)) return null;
+    return { local, domain };
+};
+
+/**
+ * Line-based SMTP client: send() writes a command and resolves with the
+ * server's complete (possibly multi-line) reply as { code, message }
+ */
+class SmtpConnection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiters = [];
+        this.error = null;
+
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('Connection closed by server')));
+    }
+
+    onData(chunk) {
+        this.buffer += chunk;
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, newline).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(newline + 1);
+            this.lines.push(line);
+
+            // "250-..." continues a reply, "250 ..." ends it
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = {
+                    code: parseInt(line.slice(0, 3)),
+                    message: this.lines.map(part => part.slice(4)).join('\n')
+                };
+                this.lines = [];
+                const waiter = this.waiters.shift();
+                if (waiter) waiter.resolve(reply);
+                else this.replies.push(reply);
+            }
+        }
+    }
+
+    fail(error) {
+        this.error = this.error ?? error;
+        for (const waiter of this.waiters.splice(0)) waiter.reject(this.error);
+    }
+
+    read() {
+        if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+        if (this.error) return Promise.reject(this.error);
+        return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+    }
+
+    send(command) {
+        this.socket.write(`${command}\r\n`);
+        return this.read();
+    }
+}
+
+const rcptStatus = (code) => {
+    if (code >= 200 && code < 300) return 'accepted';
+    if (code >= 500) return 'rejected';
+    return 'unknown';
+};
+
+class EmailVerifier {
+    constructor(options = {}) {
+        this.options = {
+            // Anything with resolveMx(domain) (and optionally resolve4) - dns.promises by default
+            resolver: options.resolver ?? dns.promises,
+            smtpProbe: options.smtpProbe ?? true,
+            // Probe this host instead of the domain's MX (e.g. a local test server)
+            smtpHost: options.smtpHost ?? null,
+            smtpPort: options.smtpPort ?? 25,
+            smtpTimeout: options.smtpTimeout ?? 10000,
+            heloHost: options.heloHost ?? 'leadgen-copilot.local',
+            mailFrom: options.mailFrom ?? 'verify@leadgen-copilot.local',
+            concurrency: options.concurrency ?? 5,
+            cacheTtl: options.cacheTtl ?? 60 * 60 * 1000,
+            // Failed DNS lookups are retried sooner than good ones
+            errorCacheTtl: options.errorCacheTtl ?? 60 * 1000,
+            ...options
+        };
+
+        this.disposableDomains = new Set([...DISPOSABLE_DOMAINS, ...(options.disposableDomains ?? [])]);
+        this.roleAccounts = new Set([...ROLE_ACCOUNTS, ...(options.roleAccounts ?? [])]);
+        this.domainCache = new Map();
+        this.lastCacheSweep = Date.now();
+    }
+
+    isDisposable(domain) {
+        const parts = domain.split('.');
+        // Subdomains of a disposable service count too
+        return parts.some((part, i) => this.disposableDomains.has(parts.slice(i).join('.')));
+    }
+
+    isRoleAccount(local) {
+        return this.roleAccounts.has(local.toLowerCase().split('+')[0]);
+    }
+
+    /**
+     * Mail exchangers for a domain, best first. Resolves to
+     * { status: 'found' | 'none' | 'error', hosts, error? }.
+     */
+    async lookupMx(domain) {
+        const { resolver } = this.options;
+
+        try {
+            const records = await resolver.resolveMx(domain);
+            const hosts = records
+                .filter(record => record.exchange && record.exchange !== '.')
+                .sort((a, b) => a.priority - b.priority)
+                .map(record => record.exchange);
+
+            // A lone "." exchange is a null MX: the domain accepts no mail
+            return { status: hosts.length > 0 ? 'found' : 'none', hosts };
+        } catch (error) {
+            if (!NO_RECORDS.has(error.code)) {
+                return { status: 'error', hosts: [], error: error.code || error.message };
+            }
+        }
+
+        // No MX records: mail goes to the domain's own address, if it has one
+        if (typeof resolver.resolve4 !== 'function') return { status: 'none', hosts: [] };
+        try {
+            const addresses = await resolver.resolve4(domain);
+            return { status: addresses.length > 0 ? 'found' : 'none', hosts: addresses.length > 0 ? [domain] : [] };
+        } catch (error) {
+            return NO_RECORDS.has(error.code)
+                ? { status: 'none', hosts: [] }
+                : { status: 'error', hosts: [], error: error.code || error.message };
+        }
+    }
+
+    /**
+     * Cached per-domain state: the MX lookup and, once probed, catch-all
+     */
+    domainInfo(domain) {
+        const now = Date.now();
+        this.sweepDomainCache(now);
+
+        const cached = this.domainCache.get(domain);
+        if (cached && now < cached.expiresAt) return cached;
+
+        const info = { expiresAt: now + this.options.cacheTtl, mx: this.lookupMx(domain), catchAll: null, catchAllProbe: null };
+        info.mx.then(mx => {
+            if (mx.status === 'error') info.expiresAt = Math.min(info.expiresAt, Date.now() + this.options.errorCacheTtl);
+        });
+        this.domainCache.set(domain, info);
+        return info;
+    }
+
+    /**
+     * Drop expired domains, at most once per errorCacheTtl
+     */
+    sweepDomainCache(now = Date.now()) {
+        if (now - this.lastCacheSweep < this.options.errorCacheTtl) return;
+
+        this.lastCacheSweep = now;
+        for (const [domain, info] of this.domainCache) {
+            if (now >= info.expiresAt && !info.catchAllProbe) this.domainCache.delete(domain);
+        }
+    }
+
+    /**
+     * Ask the mail server whether it accepts RCPT TO for the address and,
+     * unless already known, for a random mailbox on the same domain
+     */
+    async probeSmtp(host, email, domain, { checkCatchAll = true } = {}) {
+        const socket = net.createConnection({ host, port: this.options.smtpPort });
+        const connection = new SmtpConnection(socket);
+        socket.setTimeout(this.options.smtpTimeout, () => socket.destroy(new Error('SMTP timeout')));
+
+        try {
+            const banner = await connection.read();
+            if (banner.code !== 220) {
+                return { status: 'unknown', code: banner.code, message: banner.message, catchAll: null };
+            }
+
+            let hello = await connection.send(`EHLO ${this.options.heloHost}`);
+            if (hello.code !== 250) hello = await connection.send(`HELO ${this.options.heloHost}`);
+
+            const mail = await connection.send(`MAIL FROM:<${this.options.mailFrom}>`);
+            if (mail.code !== 250) {
+                return { status: 'unknown', code: mail.code, message: mail.message, catchAll: null };
+            }
+
+            const rcpt = await connection.send(`RCPT TO:<${email}>`);
+            const result = { status: rcptStatus(rcpt.code), code: rcpt.code, message: rcpt.message, catchAll: null };
+
+            if (result.status === 'accepted' && checkCatchAll) {
+                const probe = await connection.send(`RCPT TO:<${randomBytes(12).toString('hex')}@${domain}>`);
+                const probeStatus = rcptStatus(probe.code);
+                result.catchAll = probeStatus === 'unknown' ? null : probeStatus === 'accepted';
+            }
+
+            socket.write('QUIT\r\n');
+            return result;
+        } catch (error) {
+            return { status: 'unknown', code: null, message: error.message, catchAll: null };
+        } finally {
+            socket.end();
+            socket.destroy();
+        }
+    }
+
+    /**
+     * Verify one address. Resolves to { email, verdict, reason, checks }.
+     */
+    async verify(value) {
+        const input = typeof value === 'string' ? value.trim() : value;
+        const parsed = parseEmail(input);
+        const checks = { syntax: Boolean(parsed), mx: null, disposable: null, role: null, smtp: null, catchAll: null };
+        const result = (verdict, reason) => ({
+            email: parsed ? `${parsed.local}@${parsed.domain}` : input,
+            verdict,
+            reason,
+            checks
+        });
+
+        if (!parsed) return result('invalid', 'syntax');
+
+        const { local, domain } = parsed;
+        const email = `${local}@${domain}`;
+        checks.disposable = this.isDisposable(domain);
+        // Informational only: a business's info@ is often its one real inbox,
+        // so role accounts are not downgraded
+        checks.role = this.isRoleAccount(local);
+
+        const info = this.domainInfo(domain);
+        const mx = await info.mx;
+        checks.mx = mx;
+
+        if (mx.status === 'none') return result('invalid', 'no-mx');
+        if (mx.status === 'error') return result('risky', 'dns-error');
+        if (checks.disposable) return result('risky', 'disposable');
+
+        if (!this.options.smtpProbe) {
+            checks.smtp = { status: 'skipped' };
+            return result('risky', 'unverified');
+        }
+
+        // One catch-all probe per domain at a time: other addresses wait for
+        // it, and take over if it ended without an answer
+        while (info.catchAllProbe) await info.catchAllProbe;
+        const checkCatchAll = info.catchAll === null;
+        let probeDone = null;
+        if (checkCatchAll) info.catchAllProbe = new Promise(resolve => { probeDone = resolve; });
+
+        const host = this.options.smtpHost ?? mx.hosts[0];
+        try {
+            checks.smtp = await this.probeSmtp(host, email, domain, { checkCatchAll });
+            if (checks.smtp.catchAll !== null) info.catchAll = checks.smtp.catchAll;
+        } finally {
+            if (probeDone) {
+                info.catchAllProbe = null;
+                probeDone();
+            }
+        }
+        checks.catchAll = info.catchAll;
+        delete checks.smtp.catchAll;
+
+        if (checks.smtp.status === 'rejected') return result('invalid', 'mailbox-not-found');
+        if (checks.smtp.status === 'unknown') return result('risky', 'smtp-unverified');
+        if (info.catchAll) return result('risky', 'catch-all');
+        return result('deliverable', 'accepted');
+    }
+
+    /**
+     * Verify many addresses, at most `concurrency` at a time. Results keep
+     * the input order.
+     */
+    async verifyMany(emails) {
+        const results = new Array(emails.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < emails.length) {
+                const i = next++;
+                results[i] = await this.verify(emails[i]);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.options.concurrency, emails.length) }, worker));
+        return results;
+    }
+}
+
+export { EmailVerifier, SmtpConnection, parseEmail, DISPOSABLE_DOMAINS, ROLE_ACCOUNTS };
@@ -0,0 +1,165 @@
+/**
+ * 🗺️ GEOGRAPHIC GRID
+ *
+ * Splits an area into tiles so a query can be searched once per tile. A
+ * single Maps search stops at about 120 places; searching many small
+ * viewports covers a whole metro area.
+ *
+ * Features:
+ * - Bounding boxes as "south,west,north,east" or { south, west, north, east }
+ * - City and region names geocoded to a bounding box (Nominatim by default)
+ * - Square tiles of a given size, each with the Maps zoom level whose
+ *   viewport covers it
+ * - Place keys for deduplicating the same place found from several tiles
+ *
+ * Bounding boxes may not cross the antimeridian.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import { parsePlaceUrl } from './place_identity.js';
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+// Metres per pixel at zoom 0 on the equator (256 px Web Mercator tiles)
+const METERS_PER_PIXEL_Z0 = 156543.03;
+// Map pixels left visible by the results panel in a 1366x768 browser
+const MAP_VIEWPORT_PX = 700;
+const MIN_ZOOM = 3;
+const MAX_ZOOM = 20;
+
+const DEFAULT_GEOCODER_URL = 'https://nominatim.openstreetmap.org/search';
+
+/**
+ * A bounding box from "south,west,north,east", [south, west, north, east]
+ * or an object. Returns null when it is malformed or out of range.
+ */
+const parseBounds = (value) => {
+    let parts = value;
+    if (typeof value === 'string') parts = value.split(',');
+    if (value && !Array.isArray(parts) && typeof value === 'object') {
+        parts = [value.south, value.west, value.north, value.east];
+    }
+    if (!Array.isArray(parts) || parts.length !== 4) return null;
+
+    const [south, west, north, east] = parts.map(part => (part === '' || part === null ? NaN : Number(part)));
+    const valid = [south, west, north, east].every(Number.isFinite) &&
+        south >= -85 && north <= 85 && west >= -180 && east <= 180 &&
+        south < north && west < east;
+
+    return valid ? { south, west, north, east } : null;
+};
+
+/**
+ * Zoom level whose visible map is at least `widthKm` wide at `lat`
+ */
+const zoomForWidth = (widthKm, lat) => {
+    const metersPerPixel = (widthKm * 1000) / MAP_VIEWPORT_PX;
+    const zoom = Math.floor(Math.log2((METERS_PER_PIXEL_Z0 * Math.cos((lat * Math.PI) / 180)) / metersPerPixel));
+    return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+};
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Split a bounding box into rows × columns of roughly tileSizeKm squares,
+ * row by row from the north-west corner. Each tile is
+ * { index, row, col, bounds, center: { lat, lng }, zoom }. Throws when
+ * more than maxTiles would be needed.
+ */
+const buildGrid = (bounds, { tileSizeKm = 2, maxTiles = 100 } = {}) => {
+    const midLat = (bounds.south + bounds.north) / 2;
+    const heightKm = (bounds.north - bounds.south) * KM_PER_DEGREE_LAT;
+    const widthKm = (bounds.east - bounds.west) * KM_PER_DEGREE_LAT * Math.cos((midLat * Math.PI) / 180);
+
+    const rows = Math.max(1, Math.ceil(heightKm / tileSizeKm));
+    const cols = Math.max(1, Math.ceil(widthKm / tileSizeKm));
+    if (rows * cols > maxTiles) {
+        throw new Error(`The area needs ${rows * cols} tiles of ${tileSizeKm} km (at most ${maxTiles}); use larger tiles or a smaller area`);
+    }
+
+    const latStep = (bounds.north - bounds.south) / rows;
+    const lngStep = (bounds.east - bounds.west) / cols;
+    const tiles = [];
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const tileBounds = {
+                south: round(bounds.north - (row + 1) * latStep),
+                west: round(bounds.west + col * lngStep),
+                north: round(bounds.north - row * latStep),
+                east: round(bounds.west + (col + 1) * lngStep)
+            };
+            const center = {
+                lat: round((tileBounds.south + tileBounds.north) / 2),
+                lng: round((tileBounds.west + tileBounds.east) / 2)
+            };
+            const tileWidthKm = Math.max(latStep * KM_PER_DEGREE_LAT, lngStep * KM_PER_DEGREE_LAT * Math.cos((center.lat * Math.PI) / 180));
+
+            tiles.push({ index: tiles.length, row, col, bounds: tileBounds, center, zoom: zoomForWidth(tileWidthKm, center.lat) });
+        }
+    }
+
+    return tiles;
+};
+
+/**
+ * Bounding box of a place name ("Austin, TX") from a Nominatim-compatible
+ * geocoder: { name, bounds }, or null when nothing matches. Network and
+ * HTTP errors throw.
+ */
+const geocodeArea = async (name, { fetch = globalThis.fetch, url = DEFAULT_GEOCODER_URL, userAgent = 'LeadGenCopilot/1.0 (+https://github.com/leadgen-copilot)' } = {}) => {
+    const params = new URLSearchParams({ q: name, format: 'json', limit: '1' });
+    const response = await fetch(`${url}?${params}`, {
+        headers: { 'User-Agent': userAgent, Accept: 'application/json' },
+        signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+        throw new Error(`Geocoder responded with HTTP ${response.status}`);
+    }
+
+    const [match] = await response.json();
+    if (!match?.boundingbox) return null;
+
+    // Nominatim orders the box [south, north, west, east]
+    const [south, north, west, east] = match.boundingbox;
+    const bounds = parseBounds([south, west, north, east]);
+    return bounds ? { name: match.display_name ?? name, bounds } : null;
+};
+
+/**
+ * Coverage entries for tiles not searched yet. Searching a tile sets its
+ * status ('searched' or 'failed'), the places it `found`, how many were
+ * `added` (not found by an earlier tile) and whether it was `saturated`.
+ */
+const pendingCoverage = (tiles) =>
+    tiles.map(tile => ({ ...tile, status: 'pending', found: 0, added: 0, duplicates: 0, saturated: false }));
+
+/**
+ * Search URL for a query centred on a tile
+ */
+const tileSearchUrl = (baseUrl, query, tile) =>
+    `${baseUrl}/maps/search/${encodeURIComponent(query)}/@${tile.center.lat},${tile.center.lng},${tile.zoom}z`;
+
+/**
+ * Key that is the same for one place's URLs from different searches
+ */
+const placeKeyForUrl = (url) => {
+    const tokens = parsePlaceUrl(url);
+    if (tokens.cid) return `cid:${tokens.cid}`;
+    if (tokens.placeId) return `place:${tokens.placeId}`;
+    // Without tokens, the URL minus its viewport and query string
+    return String(url).split('?')[0].replace(/\/@[^/]*/, '');
+};
+
+export {
+    parseBounds,
+    buildGrid,
+    zoomForWidth,
+    geocodeArea,
+    pendingCoverage,
+    tileSearchUrl,
+    placeKeyForUrl
+};
@@ -1,58 +1,101 @@
 /**
- * 🚀 GOOGLE MAPS BUSINESS SCRAPER - RENDER OPTIMIZED VERSION
- * 
+ * 🚀 GOOGLE MAPS BUSINESS SCRAPER
+ *
  * Features:
- * - Fixed Chrome detection for Render environment
- * - Uses Puppeteer's bundled Chromium by default
- * - Proven double-scroll method (6→12→18 results tested)
- * - Pro Mode with parallel processing (10x faster)
- * - Production-ready error handling
- * 
- * @version 1.0.0
+ * - One scraper core over pluggable browser drivers (see drivers/)
+ * - Playwright (default) or Puppeteer engine, per scraper or via SCRAPER_ENGINE
+ * - Proven double-scroll method for loading more results
+ * - Parallel place-page processing over a pool of isolated pages, with
+ *   per-page retry and results kept in search order
+ * - Live progress events (scroll, URLs found, per-business results)
+ * - Cooperative cancellation that keeps the results collected so far
+ * - Checkpoint events and resume support for interrupted runs
+ * - Typed, normalized business records (see normalize_business.js)
+ * - Selectors from versioned packs with fallbacks, and per-field hit
+ *   tracking for drift detection (see selector_packs.js)
+ * - Weekly opening hours from the expanded hours table (see opening_hours.js)
+ * - Plus code, claimed status, photo count, parent place and About tab
+ *   attributes (see place_attributes.js)
+ * - Optional place reviews from the Reviews tab (see reviews.js)
+ * - Grid mode: one search per map tile, with places deduplicated across
+ *   tiles and per-tile coverage (see geo_grid.js)
+ *
+ * @version 3.1.0
  * @author LeadGen Copilot Team
  */
 
-import { Cluster } from 'puppeteer-cluster';
-import puppeteer from 'puppeteer';
-import fs from 'fs';
+import { EventEmitter } from 'events';
+import { createDriver, DEFAULT_ENGINE } from './drivers/index.js';
+import { normalizeBusiness } from './normalize_business.js';
+import { normalizeReviews } from './reviews.js';
+import { normalizeAttributes, serviceOptionsOf } from './place_attributes.js';
+import { tileSearchUrl, placeKeyForUrl, pendingCoverage } from './geo_grid.js';
+import { loadSelectorPack, validateSelectorPack, selectorPackLabel, SEARCH_FIELDS } from './selector_packs.js';
+import { SelectorHitTracker } from './selector_health.js';
 
-class GoogleMapsBusinessScraper {
+class GoogleMapsBusinessScraper extends EventEmitter {
     constructor(options = {}) {
+        super();
         this.options = {
-            maxConcurrency: options.maxConcurrency ?? 2,
-            useParallel: options.useParallel ?? false,
+            engine: options.engine ?? process.env.SCRAPER_ENGINE ?? DEFAULT_ENGINE,
+            // Point at a local fixture server to replay saved pages offline
+            baseUrl: options.baseUrl ?? 'https://www.google.com',
+            maxConcurrency: options.maxConcurrency ?? 1,
             headless: options.headless ?? true,
             maxResults: options.maxResults ?? 50,
             delay: options.delay ?? 3000,
             verbose: options.verbose ?? false,
             retryLimit: options.retryLimit ?? 2,
+            retryDelay: options.retryDelay ?? 2000,
             timeout: options.timeout ?? 45000,
-            outputFormat: options.outputFormat ?? 'json',
             maxScrollAttempts: options.maxScrollAttempts ?? 10,
             scrollDelay: options.scrollDelay ?? 2500,
-            proMode: options.proMode ?? false,
+            placeLoadDelay: options.placeLoadDelay ?? 2000,
+            placeSelectorTimeout: options.placeSelectorTimeout ?? 15000,
+            placeSettleDelay: options.placeSettleDelay ?? 1000,
+            // Wait after expanding the opening hours table
+            hoursExpandDelay: options.hoursExpandDelay ?? 500,
+            // Open the About tab for attributes (when the pack has an about group)
+            aboutTab: options.aboutTab ?? true,
+            aboutDelay: options.aboutDelay ?? 800,
+            // Reviews to read per place from the Reviews tab (0 = none)
+            reviewsLimit: options.reviewsLimit ?? 0,
+            reviewsScrollDelay: options.reviewsScrollDelay ?? 1500,
+            maxReviewScrolls: options.maxReviewScrolls ?? 20,
+            defaultCountry: options.defaultCountry ?? 'US',
+            // Businesses between checkpoints; each one rewrites every result so far
+            checkpointEvery: options.checkpointEvery ?? 10,
+            // Pack id (see selectors/) or a pack object; defaults to the newest pack
+            selectorPack: options.selectorPack ?? null,
+            // Shared SelectorHealthMonitor that collects each run's hit counts
+            selectorHealth: options.selectorHealth ?? null,
+            // Where log lines go; the CLI sends them to stderr
+            logger: options.logger ?? (line => console.log(line)),
             ...options
         };
-        
-        // Proven working selectors
-        this.selectors = {
-            feedContainer: '[role="feed"]',
-            resultContainer: '.Nv2PK',
-            resultLinks: 'a[href*="/place/"]',
-            businessName: 'h1.DUwDvf.lfPIob',
-            businessCategory: 'button.DkEaL',
-            websiteLink: 'a[data-item-id="authority"]',
-            phoneNumber: 'button[aria-label^="Phone:"]',
-            address: 'button[data-item-id="address"]',
-            rating: 'div.F7nice span[aria-hidden="true"]',
-            reviewCount: 'button[aria-label*="reviews"]',
-            hours: 'div[aria-label*="Hours"]',
-            priceLevel: 'span[aria-label*="Price"]'
-        };
-        
+
+        // A ready-made driver can be passed in; otherwise build one for the engine
+        this.driver = this.options.driver ?? createDriver(this.options.engine, {
+            headless: this.options.headless,
+            log: (message, type) => this.log(message, type)
+        });
+
+        // Selector lists per field, preferred selector first
+        const { selectorPack } = this.options;
+        this.selectorPack = selectorPack && typeof selectorPack === 'object'
+            ? validateSelectorPack(selectorPack)
+            : loadSelectorPack(selectorPack ?? undefined);
+        this.selectors = { ...this.selectorPack.search, ...this.selectorPack.place };
+
+        // The search selectors that matched on the current results page
+        this.searchSelectors = Object.fromEntries(SEARCH_FIELDS.map(field => [field, this.selectors[field][0]]));
+        this.selectorHits = new SelectorHitTracker(this.selectorPack);
+
         this.results = [];
-        this.cluster = null;
-        this.browser = null;
+        this.failedIndexes = [];
+        // Grid mode: one entry per tile with its search outcome
+        this.coverage = null;
+        this.cancelRequested = false;
         this.page = null;
         this.stats = {
             total: 0,
@@ -60,371 +103,73 @@ class GoogleMapsBusinessScraper {
             successful: 0,
             failed: 0,
             scrollAttempts: 0,
+            urlsFound: 0,
+            tilesSearched: 0,
+            reviews: 0,
             startTime: null,
             endTime: null,
-            mode: 'sequential'
+            cancelled: false,
+            concurrency: 1,
+            mode: this.driver.name,
+            selectorPack: selectorPackLabel(this.selectorPack)
         };
     }
 
     log(message, type = 'info') {
         if (!this.options.verbose && type === 'debug') return;
-        
+
         const timestamp = new Date().toLocaleTimeString();
         const icons = {
             info: '📋', success: '✅', error: '❌', debug: '🔍',
             warn: '⚠️', cluster: '🚀', scroll: '📜'
         };
-        
-        console.log(`${icons[type]} [${timestamp}] ${message}`);
-    }
 
-    exploreDirectory(dirPath, maxDepth, currentDepth = 0) {
-        if (currentDepth >= maxDepth) return;
-        
-        try {
-            const items = fs.readdirSync(dirPath);
-            const indent = '  '.repeat(currentDepth);
-            
-            for (const item of items) {
-                const itemPath = `${dirPath}/${item}`;
-                try {
-                    const stats = fs.statSync(itemPath);
-                    if (stats.isDirectory()) {
-                        this.log(`${indent}📁 ${item}/`, 'info');
-                        if (item.includes('chrome') || item.includes('puppeteer')) {
-                            this.exploreDirectory(itemPath, maxDepth, currentDepth + 1);
-                        }
-                    } else {
-                        if (item.includes('chrome')) {
-                            this.log(`${indent}📄 ${item} (${stats.size} bytes)`, 'info');
-                        }
-                    }
-                } catch (itemError) {
-                    this.log(`${indent}⚠️ Error checking ${item}: ${itemError.message}`, 'debug');
-                }
-            }
-        } catch (error) {
-            this.log(`⚠️ Error exploring ${dirPath}: ${error.message}`, 'warn');
-        }
-    }
-    /**
-     * Get browser launch options optimized for Render
-     */
-    async getBrowserOptions() {
-        const isRender = process.env.RENDER || process.env.NODE_ENV === 'production';
-        
-        if (isRender) {
-            // Render environment - use build-time installed Chrome
-            this.log('🌐 Running on Render - using build-time Chrome', 'info');
-           
-            const args = [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--disable-dev-tools',
-                '--disable-software-rasterizer',
-                '--disable-notifications',
-                '--disable-extensions',
-                '--disable-default-apps',
-                '--disable-sync',
-                '--no-default-browser-check',
-                '--disable-background-networking',
-                '--disable-background-timer-throttling',
-                '--disable-backgrounding-occluded-windows',
-                '--disable-renderer-backgrounding',
-                '--disable-gpu',
-                '--disable-web-security',
-                '--disable-features=VizDisplayCompositor'
-            ];
-            
-            // Debug: List actual directory contents
-            this.log('🔍 Debugging directory structure...', 'info');
-            try {
-                const renderDir = '/opt/render';
-                if (fs.existsSync(renderDir)) {
-                    this.log(`📁 /opt/render exists`, 'info');
-                    const renderContents = fs.readdirSync(renderDir);
-                    this.log(`📁 /opt/render contents: ${renderContents.join(', ')}`, 'info');
-                    
-                    // Check project directory
-                    const projectDir = '/opt/render/project';
-                    if (fs.existsSync(projectDir)) {
-                        this.log(`📁 /opt/render/project exists`, 'info');
-                        const projectContents = fs.readdirSync(projectDir);
-                        this.log(`📁 /opt/render/project contents: ${projectContents.join(', ')}`, 'info');
-                    }
-                }
-                
-                // Check the actual .cache directory structure
-                const baseCacheDir = '/opt/render/.cache';
-                if (fs.existsSync(baseCacheDir)) {
-                    this.log(`📁 Base cache directory exists: ${baseCacheDir}`, 'info');
-                    const baseCacheContents = fs.readdirSync(baseCacheDir);
-                    this.log(`📁 Base cache contents: ${baseCacheContents.join(', ')}`, 'info');
-                    
-                    // Check if puppeteer subdirectory exists
-                    const puppeteerCacheDir = '/opt/render/.cache/puppeteer';
-                    if (fs.existsSync(puppeteerCacheDir)) {
-                        this.log(`📁 Puppeteer cache directory exists: ${puppeteerCacheDir}`, 'info');
-                        const puppeteerContents = fs.readdirSync(puppeteerCacheDir);
-                        this.log(`📁 Puppeteer cache contents: ${puppeteerContents.join(', ')}`, 'info');
-                        
-                        // Check chrome subdirectory
-                        const chromeDir = '/opt/render/.cache/puppeteer/chrome';
-                        if (fs.existsSync(chromeDir)) {
-                            this.log(`📁 Chrome directory exists: ${chromeDir}`, 'info');
-                            const chromeContents = fs.readdirSync(chromeDir);
-                            this.log(`📁 Chrome directory contents: ${chromeContents.join(', ')}`, 'info');
-                        }
-                    } else {
-                        this.log(`❌ Puppeteer cache directory not found: ${puppeteerCacheDir}`, 'error');
-                        this.log(`🔍 Let's see what's actually in the base cache...`, 'info');
-                        
-                        // Recursively explore .cache to find Chrome
-                        this.exploreDirectory(baseCacheDir, 2); // Max depth 2
-                    }
-                } else {
-                    this.log(`❌ Base cache directory not found: ${baseCacheDir}`, 'error');
-                }
-            } catch (debugError) {
-                this.log(`⚠️ Debug error: ${debugError.message}`, 'warn');
-            }
-            
-            // Try to find Chrome in various locations
-            const possibleChromePaths = [
-                '/opt/render/.cache/puppeteer/chrome/linux-124.0.6367.207/chrome-linux64/chrome',
-                '/opt/render/.cache/puppeteer/chrome/linux-121.0.6167.85/chrome-linux64/chrome',
-                process.env.PUPPETEER_EXECUTABLE_PATH,
-                // Try to find in project directory
-                '/opt/render/project/src/backend/.cache/puppeteer/chrome/linux-124.0.6367.207/chrome-linux64/chrome',
-                '/opt/render/project/src/backend/node_modules/puppeteer/.local-chromium/linux-*/chrome-linux/chrome'
-            ].filter(Boolean);
-            
-            // Try each possible Chrome path
-            for (const chromePath of possibleChromePaths) {
-                try {
-                    if (fs.existsSync(chromePath)) {
-                        this.log(`✅ Found build-time Chrome: ${chromePath}`, 'success');
-                        return {
-                            headless: 'new',
-                            defaultViewport: { width: 1366, height: 768 },
-                            args,
-                            executablePath: chromePath,
-                            ignoreHTTPSErrors: true,
-                            ignoreDefaultArgs: ['--disable-extensions'],
-                            handleSIGINT: false,
-                            handleSIGTERM: false,
-                            handleSIGHUP: false
-                        };
-                    } else {
-                        this.log(`❌ Chrome not found at: ${chromePath}`, 'debug');
-                    }
-                } catch (error) {
-                    this.log(`⚠️ Error checking Chrome path ${chromePath}: ${error.message}`, 'debug');
-                }
-            }
-            
-            this.log('🔄 No Chrome found, using Puppeteer auto-detection', 'warn');
-            
-            // Final fallback to Puppeteer auto-detection
-            return {
-                headless: 'new',
-                defaultViewport: { width: 1366, height: 768 },
-                args,
-                ignoreHTTPSErrors: true,
-                ignoreDefaultArgs: ['--disable-extensions'],
-                handleSIGINT: false,
-                handleSIGTERM: false,
-                handleSIGHUP: false
-            };
-        } else {
-            // Local development - try to find Chrome
-            const chromePath = this.getLocalChromePath();
-            this.log(`💻 Local development - Chrome path: ${chromePath || 'auto-detect'}`, 'info');
-            
-            const options = {
-                headless: 'new',
-                defaultViewport: { width: 1366, height: 768 },
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-accelerated-2d-canvas',
-                    '--no-first-run',
-                    '--disable-gpu'
-                ]
-            };
-            
-            if (chromePath) {
-                options.executablePath = chromePath;
-            }
-            
-            return options;
-        }
+        this.options.logger(`${icons[type]} [${timestamp}] ${message}`);
     }
+
     /**
-     * Find Chrome executable path in Render environment
+     * Emit a progress event for listeners (job manager, SSE clients).
+     * Every event carries a snapshot of the current stats.
      */
-    getRenderChromePath() {
-        const cacheDir = process.env.PUPPETEER_CACHE_DIR || '/opt/render/.cache/puppeteer';
-        this.log(`🔍 Searching for Chrome in cache directory: ${cacheDir}`, 'info');
-        
-        // First, let's explore the actual directory structure
-        try {
-            if (fs.existsSync(cacheDir)) {
-                this.log(`✅ Cache directory exists: ${cacheDir}`, 'info');
-                const contents = fs.readdirSync(cacheDir);
-                this.log(`📁 Cache directory contents: ${contents.join(', ')}`, 'info');
-                
-                // Check chrome subdirectory
-                const chromeDir = `${cacheDir}/chrome`;
-                if (fs.existsSync(chromeDir)) {
-                    this.log(`✅ Chrome directory exists: ${chromeDir}`, 'info');
-                    const chromeContents = fs.readdirSync(chromeDir);
-                    this.log(`📁 Chrome directory contents: ${chromeContents.join(', ')}`, 'info');
-                    
-                    // Look for any linux version directory
-                    for (const item of chromeContents) {
-                        if (item.startsWith('linux-')) {
-                            const versionDir = `${chromeDir}/${item}`;
-                            this.log(`🔍 Checking version directory: ${versionDir}`, 'info');
-                            
-                            if (fs.existsSync(versionDir)) {
-                                const versionContents = fs.readdirSync(versionDir);
-                                this.log(`📁 Version directory contents: ${versionContents.join(', ')}`, 'info');
-                                
-                                // Check for chrome-linux64 directory
-                                const chromeLinuxDir = `${versionDir}/chrome-linux64`;
-                                if (fs.existsSync(chromeLinuxDir)) {
-                                    this.log(`✅ Chrome-linux64 directory exists: ${chromeLinuxDir}`, 'info');
-                                    const linuxContents = fs.readdirSync(chromeLinuxDir);
-                                    this.log(`📁 Chrome-linux64 contents: ${linuxContents.join(', ')}`, 'info');
-                                    
-                                    // Check for chrome executable
-                                    const chromePath = `${chromeLinuxDir}/chrome`;
-                                    if (fs.existsSync(chromePath)) {
-                                        this.log(`✅ Found Chrome executable: ${chromePath}`, 'success');
-                                        
-                                        // Check if it's executable
-                                        try {
-                                            const stats = fs.statSync(chromePath);
-                                            this.log(`📊 Chrome file permissions: ${stats.mode.toString(8)}`, 'info');
-                                            return chromePath;
-                                        } catch (statError) {
-                                            this.log(`⚠️ Error checking Chrome stats: ${statError.message}`, 'warn');
-                                            return chromePath; // Still try to use it
-                                        }
-                                    } else {
-                                        this.log(`❌ Chrome executable not found at: ${chromePath}`, 'error');
-                                    }
-                                } else {
-                                    this.log(`❌ Chrome-linux64 directory not found: ${chromeLinuxDir}`, 'error');
-                                }
-                            }
-                        }
-                    }
-                } else {
-                    this.log(`❌ Chrome directory not found: ${chromeDir}`, 'error');
-                }
-            } else {
-                this.log(`❌ Cache directory not found: ${cacheDir}`, 'error');
-            }
-        } catch (error) {
-            this.log(`❌ Error exploring directory structure: ${error.message}`, 'error');
-        }
-        
-        // Fallback: try known paths directly
-        const fallbackPaths = [
-            `${cacheDir}/chrome/linux-124.0.6367.207/chrome-linux64/chrome`,
-            `${cacheDir}/chrome/linux-121.0.6167.85/chrome-linux64/chrome`,
-            '/usr/bin/google-chrome-stable',
-            '/usr/bin/google-chrome'
-        ];
-        
-        this.log(`🔄 Trying fallback paths...`, 'info');
-        for (const path of fallbackPaths) {
-            if (fs.existsSync(path)) {
-                this.log(`✅ Found Chrome at fallback path: ${path}`, 'success');
-                return path;
-            } else {
-                this.log(`❌ Fallback path not found: ${path}`, 'debug');
-            }
-        }
-        
-        this.log('❌ No Chrome executable found in any location', 'error');
-        return null;
+    emitProgress(type, data = {}) {
+        this.emit('progress', {
+            type,
+            ...data,
+            stats: { ...this.stats },
+            timestamp: new Date().toISOString()
+        });
     }
 
     /**
-     * Find Chrome executable path for local development
+     * Ask a running scrape to stop. The scrape loop checks this flag between
+     * scroll attempts and businesses, then returns what it has collected.
      */
-    getLocalChromePath() {
-        const platform = process.platform;
-        
-        if (platform === 'darwin') {
-            // macOS - check multiple possible paths
-            const macPaths = [
-                '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-                '/Applications/Chromium.app/Contents/MacOS/Chromium'
-            ];
-            
-            for (const path of macPaths) {
-                try {
-                    if (fs.existsSync(path)) {
-                        this.log(`✅ Found Chrome at: ${path}`, 'success');
-                        return path;
-                    }
-                } catch (error) {
-                    // Continue checking other paths
-                }
-            }
-            
-            this.log('⚠️ Chrome not found at expected paths, using auto-detect', 'warn');
-            return undefined; // Let puppeteer auto-detect
-            
-        } else if (platform === 'win32') {
-            // Windows
-            const winPaths = [
-                'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-                'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
-            ];
-            
-            for (const path of winPaths) {
-                try {
-                    if (fs.existsSync(path)) {
-                        this.log(`✅ Found Chrome at: ${path}`, 'success');
-                        return path;
-                    }
-                } catch (error) {
-                    // Continue checking other paths
-                }
-            }
-        }
-        
-        return undefined; // Let puppeteer auto-detect
+    cancel() {
+        if (this.cancelRequested) return;
+        this.cancelRequested = true;
+        this.log(`🛑 Cancellation requested`, 'warn');
+        this.emitProgress('cancelling');
     }
 
     /**
-     * PROVEN DOUBLE SCROLL METHOD - Optimized for Render
+     * Double scroll method for loading more results
      */
     async performDoubleScroll(page) {
-        return await page.evaluate(() => {
-            const container = document.querySelector('[role="feed"]');
+        return await page.evaluate((feedSelector) => {
+            const container = document.querySelector(feedSelector);
             if (!container) return { success: false, error: 'No feed container found' };
-            
+
             const beforeScrollTop = container.scrollTop;
             const beforeHeight = container.scrollHeight;
-            
+
             // FIRST SCROLL - Triggers loading
             container.scrollTop += 800;
-            
+
             // SECOND SCROLL - Shows results (with delay)
             setTimeout(() => {
                 container.scrollTop += 200;
             }, 500);
-            
+
             return {
                 success: true,
                 beforeScrollTop,
@@ -432,36 +177,41 @@ class GoogleMapsBusinessScraper {
                 beforeHeight,
                 heightChanged: container.scrollHeight > beforeHeight
             };
-        });
+        }, this.searchSelectors.feedContainer);
     }
 
     /**
-     * INFINITE SCROLL HANDLER - Render Optimized
+     * Handle infinite scrolling to load more results
      */
     async handleInfiniteScroll(page, maxResults) {
-        this.log(`📜 Starting proven double-scroll method for ${maxResults} results...`, 'scroll');
-        
+        this.log(`📜 Starting scroll method for ${maxResults} results...`, 'scroll');
+
         let scrollAttempts = 0;
         let consecutiveFailures = 0;
-        const maxConsecutiveFailures = this.options.proMode ? 3 : 2;
-        
+        const maxConsecutiveFailures = 3;
+
         while (scrollAttempts < this.options.maxScrollAttempts) {
+            if (this.cancelRequested) {
+                this.log(`🛑 Scrolling stopped by cancellation`, 'scroll');
+                break;
+            }
+
             try {
-                const currentResults = await page.$$eval(this.selectors.resultContainer, els => els.length);
-                
+                const currentResults = await page.count(this.searchSelectors.resultContainer);
+
                 this.log(`📊 Attempt ${scrollAttempts + 1}: ${currentResults}/${maxResults} results`, 'debug');
 
                 if (currentResults >= maxResults) {
-                    this.log(`�� Target reached: ${currentResults}/${maxResults} results`, 'scroll');
+                    this.log(`🎯 Target reached: ${currentResults}/${maxResults} results`, 'scroll');
                     break;
                 }
 
                 const scrollResult = await this.performDoubleScroll(page);
-                
+
                 if (!scrollResult.success) {
                     consecutiveFailures++;
                     this.log(`❌ Scroll failed: ${scrollResult.error}`, 'error');
-                    
+
                     if (consecutiveFailures >= maxConsecutiveFailures) {
                         this.log(`🛑 Too many scroll failures (${consecutiveFailures})`, 'error');
                         break;
@@ -472,40 +222,45 @@ class GoogleMapsBusinessScraper {
                 this.log(`✅ Double scroll: ${scrollResult.beforeScrollTop} → ${scrollResult.afterScrollTop}`, 'debug');
                 consecutiveFailures = 0;
 
-                await new Promise(resolve => setTimeout(resolve, this.options.scrollDelay));
+                await page.wait(this.options.scrollDelay);
 
-                const newResultCount = await page.$$eval(this.selectors.resultContainer, els => els.length);
+                const newResultCount = await page.count(this.searchSelectors.resultContainer);
                 const newResults = newResultCount - currentResults;
-                
+
                 if (newResults > 0) {
                     this.log(`🎉 Loaded ${newResults} new results! Total: ${newResultCount}`, 'success');
                 } else {
                     this.log(`⏸️ No new results this round`, 'debug');
                 }
-                
+
                 scrollAttempts++;
                 this.stats.scrollAttempts = scrollAttempts;
-                
-                const isAtBottom = await page.evaluate(() => {
-                    const container = document.querySelector('[role="feed"]');
-                    return container ? container.scrollTop + container.clientHeight >= container.scrollHeight - 100 : false;
+                this.emitProgress('scroll', {
+                    attempt: scrollAttempts,
+                    resultCount: newResultCount,
+                    newResults
                 });
 
+                const isAtBottom = await page.evaluate((feedSelector) => {
+                    const container = document.querySelector(feedSelector);
+                    return container ? container.scrollTop + container.clientHeight >= container.scrollHeight - 100 : false;
+                }, this.searchSelectors.feedContainer);
+
                 if (isAtBottom && newResults === 0) {
                     this.log(`🏁 Reached bottom of results`, 'scroll');
                     break;
                 }
-                
+
             } catch (error) {
                 this.log(`❌ Scroll error: ${error.message}`, 'error');
                 scrollAttempts++;
                 consecutiveFailures++;
             }
         }
-        
-        const finalCount = await page.$$eval(this.selectors.resultContainer, els => els.length);
+
+        const finalCount = await page.count(this.searchSelectors.resultContainer);
         this.log(`🎯 Scroll complete: ${finalCount} results after ${scrollAttempts} attempts`, 'scroll');
-        
+
         return {
             totalResults: finalCount,
             scrollAttempts,
@@ -514,27 +269,65 @@ class GoogleMapsBusinessScraper {
     }
 
     /**
-     * Extract business data with comprehensive details
+     * Extract business data from a business page. Returns the normalized
+     * business and, per field, the index of the selector that matched (-1
+     * when none did).
      */
     async extractBusinessData(page, query, resultIndex) {
-        return await page.evaluate((selectors, query, resultIndex) => {
-            const getText = (selector) => {
-                const el = document.querySelector(selector);
-                return el ? el.textContent.trim() : 'Not Found';
+        const { raw, hits } = await page.evaluate(({ selectors, query, resultIndex }) => {
+            const hits = {};
+
+            // Try the field's selectors in order until one yields a value
+            const first = (field, read) => {
+                const candidates = selectors[field] ?? [];
+                for (let i = 0; i < candidates.length; i++) {
+                    const el = document.querySelector(candidates[i]);
+                    const value = el ? read(el) : null;
+                    if (value) {
+                        hits[field] = i;
+                        return value;
+                    }
+                }
+                hits[field] = -1;
+                return null;
             };
 
-            const getHref = (selector) => {
-                const el = document.querySelector(selector);
-                return el ? el.href : 'Not Found';
+            const getText = (field) => first(field, el => el.textContent.trim());
+
+            const getHref = (field) => first(field, el => el.href);
+
+            // "Plus code: ...", "Located in: ..." and the like; the label is stripped later
+            const getLabel = (field) => first(field, el => el.getAttribute('aria-label') || el.textContent.trim());
+
+            // The aria-label ("Phone: ...", "Telefon: ...") keeps the number as
+            // displayed; data-item-id ("phone:tel:3055550142") is the fallback
+            const getPhoneFromAria = (field) => first(field, el => {
+                const ariaLabel = (el.getAttribute('aria-label') || '').replace(/^[^:\d+(]*:\s*/, '').trim();
+                const itemId = (el.getAttribute('data-item-id') || '').replace(/^phone:tel:/, '').trim();
+                return ariaLabel || itemId || null;
+            });
+
+            // The first selector's attribute that has a value, without counting a hit
+            const getAttribute = (field, name) => {
+                for (const selector of selectors[field]) {
+                    const value = document.querySelector(selector)?.getAttribute(name);
+                    if (value) return value;
+                }
+                return null;
             };
 
-            const getPhoneFromAria = (selector) => {
-                const el = document.querySelector(selector);
-                if (el) {
-                    const ariaLabel = el.getAttribute('aria-label');
-                    return ariaLabel ? ariaLabel.replace('Phone: ', '').trim() : 'Not Found';
+            // [day cell, hours cell] text of the expanded weekly hours table; the
+            // hours cell's text keeps holiday notes its aria-label leaves out
+            const getHoursRows = () => {
+                for (const selector of selectors.hoursRows ?? []) {
+                    const rows = Array.from(document.querySelectorAll(selector), row => {
+                        const cells = row.querySelectorAll('td');
+                        const text = (cell) => (cell ? (cell.innerText || cell.textContent || '').trim() : '');
+                        return [text(cells[0]), text(cells[1]) || cells[1]?.getAttribute('aria-label')];
+                    }).filter(([day, hours]) => day && hours);
+                    if (rows.length > 0) return rows;
                 }
-                return 'Not Found';
+                return null;
             };
 
             const getCoordinates = () => {
@@ -548,324 +341,601 @@ class GoogleMapsBusinessScraper {
                 return null;
             };
 
-            return {
-                name: getText(selectors.businessName),
-                category: getText(selectors.businessCategory),
-                website: getHref(selectors.websiteLink),
-                phone: getPhoneFromAria(selectors.phoneNumber),
-                address: getText(selectors.address),
-                rating: getText(selectors.rating),
-                reviewCount: getText(selectors.reviewCount),
-                hours: getText(selectors.hours),
-                priceLevel: getText(selectors.priceLevel),
+            const raw = {
+                name: getText('businessName'),
+                category: getText('businessCategory'),
+                website: getHref('websiteLink'),
+                phone: getPhoneFromAria('phoneNumber'),
+                address: getText('address'),
+                rating: getText('rating'),
+                reviewCount: getText('reviewCount'),
+                hours: getText('hours'),
+                // Parsed by normalizeBusiness; the hours aria-label lists the week when there is no table
+                openingHours: getHoursRows() ?? getAttribute('hours', 'aria-label'),
+                priceLevel: getText('priceLevel'),
+                plusCode: getLabel('plusCode'),
+                locatedIn: getLabel('locatedIn'),
+                photoCount: getLabel('photoCount'),
+                // Only packs that know the claim link can tell claimed listings apart
+                claimed: selectors.claimBusiness ? !first('claimBusiness', () => true) : null,
                 coordinates: getCoordinates(),
                 searchQuery: query,
                 resultIndex: resultIndex,
                 googleMapsUrl: window.location.href,
                 extractedAt: new Date().toISOString()
             };
-        }, this.selectors, query, resultIndex);
+            return { raw, hits };
+        }, { selectors: this.selectorPack.place, query, resultIndex });
+
+        return {
+            business: normalizeBusiness(raw, { defaultCountry: this.options.defaultCountry }),
+            hits
+        };
     }
 
     /**
-     * Sequential scraper optimized for Render
+     * Click the pack's opening hours toggle so the weekly table is in the
+     * page. Pages without one (or packs without hoursToggle) are left alone.
      */
-    async scrapeSequential(query, maxResults) {
-        this.log('🔄 Using sequential scraping mode (Render optimized)', 'info');
-        this.stats.mode = 'sequential';
-        
+    async expandOpeningHours(page) {
+        const toggles = this.selectorPack.place.hoursToggle;
+        if (!toggles) return false;
+
         try {
-            // Browser configuration optimized for Render
-            const browserOptions = await this.getBrowserOptions();
-            this.browser = await puppeteer.launch(browserOptions);
-
-            this.page = await this.browser.newPage();
-            
-            // Set user agent
-            await this.page.setUserAgent(
-                'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
-            );
-
-            // Navigate to Google Maps
-            const encodedQuery = encodeURIComponent(query);
-            const searchUrl = `https://www.google.com/maps/search/${encodedQuery}`;
-            
-            this.log(`🌐 Navigating to: ${searchUrl}`);
-            await this.page.goto(searchUrl, {
-                waitUntil: 'networkidle2',
-                timeout: 30000
-            });
+            const clicked = await page.evaluate((selectors) => {
+                for (const selector of selectors) {
+                    const toggle = document.querySelector(selector);
+                    if (toggle) {
+                        toggle.click();
+                        return true;
+                    }
+                }
+                return false;
+            }, toggles);
+
+            if (clicked) await page.wait(this.options.hoursExpandDelay);
+            return clicked;
+        } catch (error) {
+            this.log(`⚠️ Could not expand opening hours: ${error.message}`, 'warn');
+            return false;
+        }
+    }
 
-            // Wait for initial results
-            await this.page.waitForSelector(this.selectors.resultContainer, { timeout: 20000 });
-            await new Promise(resolve => setTimeout(resolve, this.options.delay));
-            
-            const initialResults = await this.page.$$eval(this.selectors.resultContainer, els => els.length);
-            this.log(`📊 Initial results loaded: ${initialResults}`);
-            
-            // Perform proven infinite scroll
-            const scrollResult = await this.handleInfiniteScroll(this.page, maxResults);
-            
-            if (!scrollResult || !scrollResult.success) {
-                const currentCount = await this.page.$$eval(this.selectors.resultContainer, els => els.length);
-                if (currentCount === 0) {
-                    throw new Error('Failed to load any results during scrolling');
+    /**
+     * Click the first place-page tab matching one of `tabs` and wait for
+     * it to render. Returns false when the place has no such tab.
+     */
+    async openTab(page, tabs, delay) {
+        const opened = await page.evaluate((tabs) => {
+            for (const selector of tabs) {
+                const tab = document.querySelector(selector);
+                if (tab) {
+                    tab.click();
+                    return true;
                 }
-                this.log(`✅ Fallback: Found ${currentCount} results despite scroll error`, 'success');
             }
-            
-            // Get all business URLs
-            const businessUrls = await this.page.$$eval(this.selectors.resultLinks, links => 
-                Array.from(links, (link, index) => ({
-                    url: link.href,
-                    index: index + 1
-                }))
-            );
-            
-            this.log(`🔗 Found ${businessUrls.length} business URLs to process`);
-            
-            const resultsToProcess = Math.min(maxResults, businessUrls.length);
-            
-            // Process each business with progress logging
-            for (let i = 0; i < resultsToProcess; i++) {
-                const business = businessUrls[i];
-                
-                this.log(`🏢 Processing Business ${i + 1}/${resultsToProcess}: ${business.url.slice(0, 80)}...`);
+            return false;
+        }, tabs);
 
-                try {
-                    await this.page.goto(business.url, {
-                        waitUntil: 'networkidle2',
-                        timeout: this.options.timeout
-                    });
-                    
-                    await this.page.waitForSelector(this.selectors.businessName, { timeout: 10000 });
-                    await new Promise(resolve => setTimeout(resolve, 1500));
-
-                    const businessDetails = await this.extractBusinessData(this.page, query, i + 1);
-                    
-                    if (businessDetails && businessDetails.name !== 'Not Found') {
-                        this.results.push(businessDetails);
-                        this.stats.successful++;
-                        this.log(`✅ Successfully extracted: ${businessDetails.name}`, 'success');
-                    } else {
-                        this.stats.failed++;
-                        this.log(`❌ Failed to extract valid business data`, 'error');
-                    }
+        if (opened) await page.wait(delay);
+        return opened;
+    }
 
-                    if (i < resultsToProcess - 1) {
-                        const delay = this.options.delay + Math.random() * 1000;
-                        await new Promise(resolve => setTimeout(resolve, delay));
-                    }
+    /**
+     * Add the About tab's attributes and service options to a scraped
+     * business. A place without the tab keeps attributes null.
+     */
+    async attachAttributes(page, business) {
+        try {
+            const sections = await this.scrapeAbout(page);
+            if (!sections) return;
 
-                } catch (error) {
-                    this.stats.failed++;
-                    this.log(`❌ Error processing business ${i + 1}: ${error.message}`, 'error');
-                    continue;
+            business.attributes = normalizeAttributes(sections);
+            business.serviceOptions = serviceOptionsOf(business.attributes);
+        } catch (error) {
+            this.log(`⚠️ Could not read the About tab for ${business.name}: ${error.message}`, 'warn');
+        }
+    }
+
+    /**
+     * Open the About tab and read its sections as
+     * [{ title, items: [{ name, label }] }], or null without a tab
+     */
+    async scrapeAbout(page) {
+        const selectors = this.selectorPack.about;
+        if (!await this.openTab(page, selectors.tab, this.options.aboutDelay)) return null;
+
+        return page.evaluate((selectors) => {
+            const text = (el) => (el ? (el.innerText || el.textContent || '').trim() : '') || null;
+            const findAll = (root, field) => {
+                for (const selector of selectors[field]) {
+                    const matches = Array.from(root.querySelectorAll(selector));
+                    if (matches.length > 0) return matches;
                 }
-                
-                this.stats.processed++;
-            }
+                return [];
+            };
 
-            return this.results;
+            return findAll(document, 'section').map(section => ({
+                title: text(findAll(section, 'sectionTitle')[0]),
+                // The aria-label says whether the place has it; the list item's text names it
+                items: findAll(section, 'item').map(item => ({
+                    name: text(item.closest('li') ?? item),
+                    label: item.getAttribute('aria-label')
+                }))
+            }));
+        }, selectors);
+    }
+
+    /**
+     * Add the place's reviews to a scraped business. A failure leaves the
+     * business without `reviews` rather than failing the place.
+     */
+    async attachReviews(page, business) {
+        try {
+            const reviews = await this.scrapeReviews(page, this.options.reviewsLimit);
+            if (!reviews) return;
 
+            business.reviews = normalizeReviews(reviews);
+            this.stats.reviews += business.reviews.length;
+            this.log(`⭐ ${business.reviews.length} review(s) for ${business.name}`, 'debug');
         } catch (error) {
-            this.log(`❌ Sequential scraping failed: ${error.message}`, 'error');
-            throw error;
+            this.log(`⚠️ Could not read reviews for ${business.name}: ${error.message}`, 'warn');
         }
     }
 
     /**
-     * Parallel scraper for Pro Mode - 10x faster (Render optimized)
+     * Open the Reviews tab and read up to `limit` reviews, scrolling the
+     * list until it has enough or stops growing. Returns the raw reviews,
+     * or null when the pack has no reviews group or the place no tab.
      */
-    async scrapeParallel(query, maxResults) {
-        this.log('🚀 Using PRO parallel scraping mode (10x faster)', 'cluster');
-        this.stats.mode = 'parallel-pro';
-        
-        try {
-            // Get optimized browser options for Render
-            const browserOptions = await this.getBrowserOptions();
-            
-            // Initialize cluster with optimized settings for speed
-            this.cluster = await Cluster.launch({
-                concurrency: Cluster.CONCURRENCY_CONTEXT,
-                maxConcurrency: this.options.maxConcurrency,
-                retryLimit: this.options.retryLimit,
-                timeout: this.options.timeout,
-                monitor: this.options.verbose,
-                puppeteerOptions: browserOptions
+    async scrapeReviews(page, limit) {
+        const selectors = this.selectorPack.reviews;
+        if (!selectors) return null;
+        if (!await this.openTab(page, selectors.tab, this.options.reviewsScrollDelay)) return null;
+
+        // The first item selector that matches, like the search selectors
+        let itemSelector = selectors.item[0];
+        for (const selector of selectors.item) {
+            if (await page.count(selector) > 0) {
+                itemSelector = selector;
+                break;
+            }
+        }
+
+        let count = await page.count(itemSelector);
+        for (let scroll = 0; count < limit && scroll < this.options.maxReviewScrolls && !this.cancelRequested; scroll++) {
+            await page.evaluate(({ feeds, itemSelector }) => {
+                const feed = feeds.map(selector => document.querySelector(selector)).find(Boolean);
+                if (feed) {
+                    feed.scrollTop = feed.scrollHeight;
+                } else {
+                    const items = document.querySelectorAll(itemSelector);
+                    items[items.length - 1]?.scrollIntoView();
+                }
+            }, { feeds: selectors.feed, itemSelector });
+            await page.wait(this.options.reviewsScrollDelay);
+
+            const newCount = await page.count(itemSelector);
+            if (newCount <= count) break;
+            count = newCount;
+        }
+
+        return page.evaluate(({ selectors, itemSelector, limit }) => {
+            const text = (el) => (el ? (el.innerText || el.textContent || '').trim() : '') || null;
+
+            // First match inside `root` for a field, skipping the owner's
+            // response unless `inResponse` is set
+            const find = (root, field, inResponse = false) => {
+                for (const selector of selectors[field]) {
+                    const match = Array.from(root.querySelectorAll(selector)).find(el =>
+                        inResponse || !selectors.ownerResponse.some(response => el.closest(response)));
+                    if (match) return match;
+                }
+                return null;
+            };
+
+            const items = Array.from(document.querySelectorAll(itemSelector)).slice(0, limit);
+
+            // Expand truncated texts ("More") before reading them
+            for (const item of items) {
+                for (const selector of selectors.more) {
+                    item.querySelectorAll(selector).forEach(button => button.click());
+                }
+            }
+
+            return items.map(item => {
+                const rating = find(item, 'rating');
+                const response = find(item, 'ownerResponse', true);
+                const authorLink = item.querySelector('[data-href*="/contrib/"], a[href*="/contrib/"]');
+
+                return {
+                    id: item.getAttribute('data-review-id'),
+                    author: text(find(item, 'author')),
+                    authorUrl: authorLink?.getAttribute('data-href') || authorLink?.href || null,
+                    rating: rating?.getAttribute('aria-label') || text(rating),
+                    relativeDate: text(find(item, 'date')),
+                    text: text(find(item, 'text')),
+                    ownerResponse: response ? {
+                        text: text(find(response, 'ownerResponseText', true)),
+                        relativeDate: text(find(response, 'ownerResponseDate', true))
+                    } : null
+                };
             });
+        }, { selectors, itemSelector, limit });
+    }
 
-            this.log(`✅ Pro cluster initialized with ${this.options.maxConcurrency} workers`, 'success');
+    /**
+     * Pick, for each search-page field, the first selector in the pack that
+     * matches on the loaded results page
+     */
+    async resolveSearchSelectors(page) {
+        for (const field of SEARCH_FIELDS) {
+            const candidates = this.selectors[field];
+            let resolved = candidates[0];
+
+            for (const selector of candidates) {
+                if (await page.count(selector) > 0) {
+                    resolved = selector;
+                    break;
+                }
+            }
 
-            // First, get business URLs using sequential method
-            const businessUrls = await this.getBusinessUrlsSequential(query, maxResults);
-            
-            if (businessUrls.length === 0) {
-                throw new Error('No business URLs found');
+            if (resolved !== candidates[0]) {
+                this.log(`⚠️ ${field} matched fallback selector "${resolved}" - the ${this.stats.selectorPack} pack may be out of date`, 'warn');
             }
+            this.searchSelectors[field] = resolved;
+        }
+    }
+
+    /**
+     * Open the search results for a query (centred on a grid tile when one
+     * is given), scroll the feed and collect the place URLs to visit
+     */
+    async collectBusinessUrls(query, maxResults, tile = null) {
+        // Navigate to Google Maps
+        const searchUrl = tile
+            ? tileSearchUrl(this.options.baseUrl, query, tile)
+            : `${this.options.baseUrl}/maps/search/${encodeURIComponent(query)}`;
+
+        this.log(`🌐 Navigating to: ${searchUrl}`);
+        await this.page.goto(searchUrl, { timeout: 30000 });
+
+        // Wait for initial results, or for the results feed: a search (or
+        // grid tile) with no places shows the feed without any results
+        const loaded = [...this.selectors.resultContainer, ...this.selectors.feedContainer];
+        await this.page.waitForSelector(loaded.join(', '), { timeout: 20000 });
+        await this.page.wait(this.options.delay);
+        await this.resolveSearchSelectors(this.page);
+
+        const initialResults = await this.page.count(this.searchSelectors.resultContainer);
+        if (initialResults === 0) {
+            this.log(`📭 No results for this search`, 'warn');
+            return [];
+        }
+        this.log(`📊 Initial results loaded: ${initialResults}`);
+
+        // Perform infinite scroll
+        const scrollResult = await this.handleInfiniteScroll(this.page, maxResults);
 
-            this.log(`🔗 Found ${businessUrls.length} business URLs for parallel processing`, 'success');
+        if ((!scrollResult || !scrollResult.success) && !this.cancelRequested) {
+            const currentCount = await this.page.count(this.searchSelectors.resultContainer);
+            if (currentCount === 0) {
+                throw new Error('Failed to load any results during scrolling');
+            }
+            this.log(`✅ Fallback: Found ${currentCount} results despite scroll error`, 'success');
+        }
 
-            // Setup cluster task for processing businesses in parallel
-            await this.cluster.task(async ({ page, data }) => {
-                const { url, resultIndex, query } = data;
-                
-                await page.setUserAgent(
-                    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
-                );
+        // Get all business URLs
+        const businessUrls = await this.page.evaluate((linkSelector) =>
+            Array.from(document.querySelectorAll(linkSelector), (link, index) => ({
+                url: link.href,
+                index: index + 1
+            })),
+            this.searchSelectors.resultLinks
+        );
+
+        this.log(`🔗 Found ${businessUrls.length} business URLs to process`);
+        return businessUrls;
+    }
 
-                await page.goto(url, { waitUntil: 'networkidle2', timeout: this.options.timeout });
-                await page.waitForSelector(this.selectors.businessName, { timeout: 15000 });
-                await new Promise(resolve => setTimeout(resolve, 1000)); // Reduced delay for Pro mode
+    /**
+     * Grid mode: search the query on each tile not searched yet and append
+     * the places no earlier tile found to businessUrls. A tile without
+     * results counts as searched with nothing found; a tile that fails is
+     * recorded and the search moves on.
+     */
+    async searchTiles(query, grid, businessUrls) {
+        const seen = new Set(businessUrls.map(business => placeKeyForUrl(business.url)));
 
-                return await this.extractBusinessData(page, query, resultIndex);
-            });
+        for (const entry of this.coverage) {
+            if (entry.status !== 'pending') continue;
+            if (this.cancelRequested) break;
 
-            // Process all URLs in parallel with batching for efficiency
-            const batchSize = this.options.maxConcurrency;
-            const results = [];
-            
-            for (let i = 0; i < businessUrls.length; i += batchSize) {
-                const batch = businessUrls.slice(i, i + batchSize);
-                const batchPromises = batch.map(async (businessUrl, batchIndex) => {
-                    try {
-                        const result = await this.cluster.execute({
-                            url: businessUrl,
-                            resultIndex: i + batchIndex + 1,
-                            query
-                        });
-
-                        if (result && result.name !== 'Not Found') {
-                            this.stats.successful++;
-                            this.log(`✅ Pro processed: ${result.name}`, 'success');
-                            return result;
-                        }
-                        return null;
-                    } catch (error) {
-                        this.stats.failed++;
-                        this.log(`❌ Pro failed Business ${i + batchIndex + 1}: ${error.message}`, 'error');
-                        return null;
-                    }
+            this.log(`🧭 Tile ${entry.index + 1}/${this.coverage.length} at ${entry.center.lat},${entry.center.lng} (zoom ${entry.zoom})`);
+
+            try {
+                const urls = await this.collectBusinessUrls(query, grid.perTileResults, entry);
+                // A tile cut short stays pending and is searched again on resume
+                if (this.cancelRequested) break;
+                let added = 0;
+
+                for (const { url } of urls) {
+                    const key = placeKeyForUrl(url);
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    businessUrls.push({ url, index: businessUrls.length + 1, tile: entry.index });
+                    added++;
+                }
+
+                Object.assign(entry, {
+                    status: 'searched',
+                    found: urls.length,
+                    added,
+                    duplicates: urls.length - added,
+                    // The search may have stopped at its cap; smaller tiles would find more
+                    saturated: urls.length >= grid.perTileResults
                 });
+            } catch (error) {
+                if (this.cancelRequested) break;
+                Object.assign(entry, { status: 'failed', error: error.message });
+                this.log(`⚠️ Tile ${entry.index + 1} failed: ${error.message}`, 'warn');
+            }
+
+            this.stats.tilesSearched++;
+            this.stats.urlsFound = businessUrls.length;
+            this.emitProgress('tile', { tile: { ...entry } });
+            this.saveCheckpoint(businessUrls, 0);
+        }
+
+        const saturated = this.coverage.filter(entry => entry.saturated).length;
+        this.log(`🗺️ Grid search found ${businessUrls.length} unique places in ${this.stats.tilesSearched} tiles` +
+            (saturated > 0 ? ` (${saturated} tile(s) hit the per-search cap)` : ''), 'success');
+    }
+
+    /**
+     * Report the scrape position so an interrupted run can be resumed.
+     * nextIndex is the first business in businessUrls not processed yet;
+     * with parallel pages, businesses finished past it are left out and
+     * scraped again on resume.
+     */
+    saveCheckpoint(businessUrls, nextIndex) {
+        const results = this.results.filter(result => result.resultIndex <= nextIndex);
+        const failedIndexes = this.failedIndexes.filter(index => index < nextIndex);
+
+        this.emit('checkpoint', {
+            businessUrls,
+            nextIndex,
+            results,
+            failedIndexes,
+            coverage: this.coverage,
+            stats: {
+                ...this.stats,
+                processed: results.length + failedIndexes.length,
+                successful: results.length,
+                failed: failedIndexes.length
+            }
+        });
+    }
+
+    /**
+     * Keep results in search order when parallel pages finish out of order
+     */
+    insertResult(business) {
+        const position = this.results.findIndex(result => result.resultIndex > business.resultIndex);
+        if (position === -1) {
+            this.results.push(business);
+        } else {
+            this.results.splice(position, 0, business);
+        }
+    }
 
-                const batchResults = await Promise.all(batchPromises);
-                results.push(...batchResults.filter(result => result !== null));
-                
-                this.stats.processed += batch.length;
-                this.log(`🚀 Pro batch completed: ${results.length} total results`, 'cluster');
+    /**
+     * Open one place page and extract it, retrying failed navigations and
+     * pages without a business name up to retryLimit times
+     */
+    async scrapeBusinessPage(page, query, business, index) {
+        let lastError;
+        let lastHits = null;
+
+        for (let attempt = 0; attempt <= this.options.retryLimit; attempt++) {
+            if (attempt > 0) {
+                if (this.cancelRequested) break;
+                this.log(`🔁 Retrying business ${index + 1} (attempt ${attempt + 1}/${this.options.retryLimit + 1}): ${lastError.message}`, 'warn');
+                await page.wait(this.options.retryDelay);
             }
 
-            this.results = results;
-            return results;
+            try {
+                await page.goto(business.url, { timeout: this.options.timeout });
 
-        } catch (error) {
-            this.log(`❌ Pro parallel scraping failed: ${error.message}`, 'error');
-            throw error;
-        } finally {
-            if (this.cluster) {
-                await this.cluster.close();
-                this.cluster = null;
+                // Wait for page to load and try multiple selectors
+                await page.wait(this.options.placeLoadDelay);
+
+                // Try to wait for any of the business name selectors
+                try {
+                    await page.waitForSelector(this.selectors.businessName.join(', '), { timeout: this.options.placeSelectorTimeout });
+                } catch (selectorError) {
+                    this.log(`⚠️ Business name selector timeout, continuing with extraction`, 'warn');
+                    // Continue anyway - we might still extract some data
+                }
+
+                await page.wait(this.options.placeSettleDelay);
+                await this.expandOpeningHours(page);
+
+                const { business: businessDetails, hits } = await this.extractBusinessData(page, query, index + 1);
+                lastHits = hits;
+                if (businessDetails && businessDetails.name) {
+                    this.selectorHits.record(hits);
+                    if (this.options.aboutTab && this.selectorPack.about) {
+                        await this.attachAttributes(page, businessDetails);
+                    }
+                    if (this.options.reviewsLimit > 0) {
+                        await this.attachReviews(page, businessDetails);
+                    }
+                    return businessDetails;
+                }
+                lastError = new Error('No business name found on page');
+            } catch (error) {
+                lastError = error;
             }
         }
+
+        // Count the page once, by its last extraction; load errors are not selector misses
+        if (lastHits) this.selectorHits.record(lastHits);
+        throw lastError;
     }
 
     /**
-     * Helper method to get business URLs sequentially (used by parallel scraper)
+     * Scrape businessUrls[startIndex..endIndex) with up to maxConcurrency
+     * pages. Each worker takes the next unclaimed business; the checkpoint
+     * advances past every business finished in order and is saved every
+     * checkpointEvery businesses and when the workers stop.
      */
-    async getBusinessUrlsSequential(query, maxResults) {
-        const browserOptions = await this.getBrowserOptions();
-        const browser = await puppeteer.launch(browserOptions);
+    async processBusinesses(query, businessUrls, startIndex, endIndex) {
+        const concurrency = Math.max(1, Math.min(this.options.maxConcurrency, endIndex - startIndex));
+        const pages = [this.page];
+        this.stats.concurrency = concurrency;
 
-        try {
-            const page = await browser.newPage();
-            
-            await page.setUserAgent(
-                'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
-            );
-
-            const encodedQuery = encodeURIComponent(query);
-            const searchUrl = `https://www.google.com/maps/search/${encodedQuery}`;
-            
-            this.log(`🌐 Pro mode: Getting URLs from ${searchUrl}`, 'cluster');
-            await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-
-            await page.waitForSelector(this.selectors.resultContainer, { timeout: 20000 });
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Reduced delay
-            
-            // Use faster scroll for Pro mode
-            const scrollResult = await this.handleInfiniteScroll(page, maxResults);
-            
-            if (!scrollResult.success && scrollResult.totalResults === 0) {
-                throw new Error('Failed to load any results during scrolling');
+        for (let n = 1; n < concurrency; n++) {
+            pages.push(await this.driver.newPage({ isolated: true }));
+        }
+
+        if (concurrency > 1) {
+            this.log(`🚀 Processing ${endIndex - startIndex} businesses with ${concurrency} parallel pages`, 'cluster');
+        }
+
+        let nextIndex = startIndex;
+        let checkpointIndex = startIndex;
+        let sinceCheckpoint = 0;
+        const finished = new Set();
+
+        const worker = async (page) => {
+            while (nextIndex < endIndex && !this.cancelRequested) {
+                const i = nextIndex++;
+                const business = businessUrls[i];
+
+                this.log(`🏢 Processing Business ${i + 1}/${endIndex}: ${business.url.slice(0, 80)}...`);
+
+                try {
+                    const businessDetails = await this.scrapeBusinessPage(page, query, business, i);
+
+                    this.stats.processed++;
+                    this.stats.successful++;
+                    this.insertResult(businessDetails);
+                    this.log(`✅ Successfully extracted: ${businessDetails.name}`, 'success');
+                    this.emitProgress('business', { index: i + 1, business: businessDetails });
+                } catch (error) {
+                    this.stats.processed++;
+                    this.stats.failed++;
+                    this.failedIndexes.push(i);
+                    this.log(`❌ Error processing business ${i + 1}: ${error.message}`, 'error');
+                    this.emitProgress('business-failed', { index: i + 1, url: business.url, error: error.message });
+                }
+
+                finished.add(i);
+                while (finished.delete(checkpointIndex)) checkpointIndex++;
+                if (++sinceCheckpoint >= this.options.checkpointEvery) {
+                    sinceCheckpoint = 0;
+                    this.saveCheckpoint(businessUrls, checkpointIndex);
+                }
+
+                if (nextIndex < endIndex && !this.cancelRequested) {
+                    const delay = this.options.delay + Math.random() * 1000;
+                    await page.wait(delay);
+                }
             }
-            
-            const businessUrls = await page.$$eval(this.selectors.resultLinks, links => 
-                Array.from(links, link => link.href).filter(href => href.includes('/place/'))
-            );
-            
-            return businessUrls.slice(0, maxResults);
+        };
 
+        try {
+            await Promise.all(pages.map(worker));
         } finally {
-            await browser.close();
+            await Promise.all(pages.slice(1).map(page => page.close().catch(() => {})));
+            // A cancelled or drained run resumes from exactly where it stopped
+            if (sinceCheckpoint > 0) this.saveCheckpoint(businessUrls, checkpointIndex);
+        }
+
+        if (this.cancelRequested) {
+            this.log(`🛑 Stopped after ${this.stats.processed}/${endIndex} businesses (cancelled)`, 'warn');
         }
     }
 
     /**
-     * Main scraping method
+     * Main scraping method.
+     * Pass options.resumeFrom (a checkpoint) to continue an interrupted run,
+     * and options.grid ({ tiles, perTileResults }) to search tile by tile.
      */
-    async scrapeBusinesses(query, maxResults = 50) {
+    async scrapeBusinesses(query, maxResults = 50, { resumeFrom = null, grid = null } = {}) {
         this.stats.startTime = Date.now();
         this.stats.total = maxResults;
-        
-        const modeText = this.options.proMode ? 'Pro (10x Faster)' : 'Standard';
-        this.log(`🚀 Starting ${modeText} Google Maps business scraping...`, 'info');
+
+        this.log(`🚀 Starting Google Maps scraping with the ${this.driver.name} engine...`, 'info');
         this.log(`Query: "${query}", Max Results: ${maxResults}`);
 
-        try {
-            let results = [];
+        this.options.selectorHealth?.startRun(this.selectorHits);
 
-            if (this.options.proMode && this.options.useParallel) {
-                this.log('🚀 Using PRO MODE with parallel processing', 'cluster');
-                try {
-                    results = await this.scrapeParallel(query, maxResults);
-                } catch (proError) {
-                    this.log(`⚠️ Pro mode failed: ${proError.message}`, 'warn');
-                    this.log('🔄 Falling back to Standard mode...', 'info');
-                    
-                    // Reset options for fallback
-                    this.options.proMode = false;
-                    this.options.useParallel = false;
-                    results = await this.scrapeSequential(query, maxResults);
+        try {
+            await this.driver.launch();
+            this.page = await this.driver.newPage();
+
+            let businessUrls;
+            let startIndex = 0;
+
+            if (resumeFrom) {
+                // Resume from a checkpoint: skip the search and scrolling entirely
+                businessUrls = resumeFrom.businessUrls;
+                startIndex = resumeFrom.nextIndex;
+                this.results.push(...resumeFrom.results);
+                this.failedIndexes.push(...(resumeFrom.failedIndexes ?? []));
+                for (const key of ['processed', 'successful', 'failed', 'scrollAttempts', 'urlsFound', 'tilesSearched']) {
+                    this.stats[key] = resumeFrom.stats?.[key] ?? this.stats[key];
                 }
-            } else {
-                this.log('⚡ Using STANDARD MODE with sequential processing', 'info');
-                results = await this.scrapeSequential(query, maxResults);
+                this.log(`♻️ Resuming from checkpoint at business ${startIndex + 1}/${businessUrls.length} (${this.results.length} results restored)`, 'info');
+            } else if (!grid) {
+                businessUrls = await this.collectBusinessUrls(query, maxResults);
+            }
+
+            if (grid) {
+                // A run interrupted during the tile searches carries on with the pending tiles
+                businessUrls = businessUrls ?? [];
+                this.coverage = resumeFrom?.coverage ?? pendingCoverage(grid.tiles);
+                await this.searchTiles(query, grid, businessUrls);
             }
 
+            const resultsToProcess = Math.min(maxResults, businessUrls.length);
+            this.stats.urlsFound = businessUrls.length;
+            this.stats.total = resultsToProcess;
+            this.emitProgress('urls', { found: businessUrls.length, toProcess: resultsToProcess });
+            this.saveCheckpoint(businessUrls, startIndex);
+
+            await this.processBusinesses(query, businessUrls, startIndex, resultsToProcess);
+
             this.stats.endTime = Date.now();
+            this.stats.cancelled = this.cancelRequested;
             const processingTime = (this.stats.endTime - this.stats.startTime);
-            const avgSpeed = results.length > 0 ? processingTime / results.length : 0;
-            
-            const actualMode = this.options.proMode ? 'Pro' : 'Standard';
-            this.log(`🎉 ${actualMode} scraping completed! ${results.length} businesses extracted in ${(processingTime/1000).toFixed(1)}s (${avgSpeed.toFixed(0)}ms per business)`, 'success');
+            const avgSpeed = this.results.length > 0 ? processingTime / this.results.length : 0;
+            const outcome = this.cancelRequested ? 'cancelled' : 'completed';
 
-            return results;
+            this.log(`🎉 Scraping ${outcome}! ${this.results.length} businesses extracted in ${(processingTime/1000).toFixed(1)}s (${avgSpeed.toFixed(0)}ms per business)`, 'success');
+
+            return this.results;
 
         } catch (error) {
             this.stats.endTime = Date.now();
-            this.log(`❌ Fatal error during ${modeText} scraping: ${error.message}`, 'error');
+
+            // A page torn down mid-navigation is expected when cancelling
+            if (this.cancelRequested) {
+                this.stats.cancelled = true;
+                this.log(`🛑 Scrape cancelled (${error.message})`, 'warn');
+                return this.results;
+            }
+
+            this.log(`❌ Fatal error during ${this.driver.name} scraping: ${error.message}`, 'error');
             throw error;
         } finally {
-            if (this.browser) {
-                await this.browser.close();
-                this.browser = null;
-            }
-            if (this.cluster) {
-                await this.cluster.close();
-                this.cluster = null;
-            }
+            this.page = null;
+            this.options.selectorHealth?.finishRun(this.selectorHits);
+            await this.driver.close();
         }
     }
 }
 
-export { GoogleMapsBusinessScraper };
\ No newline at end of file
+export { GoogleMapsBusinessScraper };
@@ -0,0 +1,479 @@
+/**
+ * 🗂️ SCRAPE JOB MANAGER
+ *
+ * Runs Google Maps scrapes in the background so the HTTP request that
+ * starts one can return a job ID immediately.
+ *
+ * Features:
+ * - In-memory job registry with live stats and partial results
+ * - FIFO queue with a configurable number of concurrent scrapes
+ * - Optional on-disk persistence (one JSON file per job)
+ * - Per-job event stream relayed from the scraper's progress events
+ * - Cancellation of queued or running jobs, keeping partial results
+ * - Checkpoints on disk, graceful drain on shutdown and resume on restart
+ * - Grid jobs with per-tile search coverage
+ * - Batch membership (see batch_manager.js)
+ * - onResult / onFinish hooks for each extracted business and finished job
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { normalizeBusiness } from './normalize_business.js';
+import { pendingCoverage } from './geo_grid.js';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class ScrapeJobManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = {
+            persistDir: options.persistDir ?? null,
+            maxConcurrentJobs: options.maxConcurrentJobs ?? 1,
+            maxStoredJobs: options.maxStoredJobs ?? 100,
+            onResult: options.onResult ?? null,
+            onFinish: options.onFinish ?? null,
+            ...options
+        };
+
+        if (typeof this.options.createScraper !== 'function') {
+            throw new Error('ScrapeJobManager requires a createScraper(params) function');
+        }
+
+        this.jobs = new Map();
+        this.queue = [];
+        // One SSE connection per browser tab can subscribe to the same job
+        this.setMaxListeners(0);
+        this.activeRuns = new Set();
+        this.draining = false;
+
+        if (this.options.persistDir) {
+            fs.mkdirSync(this.options.persistDir, { recursive: true });
+            this.loadPersistedJobs();
+            this.processQueue();
+        }
+    }
+
+    log(message, type = 'info') {
+        const icons = { info: '📋', success: '✅', error: '❌', warn: '⚠️' };
+        console.log(`${icons[type]} [jobs] ${message}`);
+    }
+
+    /**
+     * Emit an event for a single job. Listeners subscribe with
+     * onJobEvent(jobId, listener).
+     */
+    emitJobEvent(job, type, data = {}) {
+        this.emit(`job:${job.id}`, { type, jobId: job.id, ...data });
+    }
+
+    onJobEvent(jobId, listener) {
+        this.on(`job:${jobId}`, listener);
+        return () => this.off(`job:${jobId}`, listener);
+    }
+
+    setJobStatus(job, status) {
+        job.status = status;
+        this.persistJob(job);
+        this.emitJobEvent(job, 'status', { status, error: job.error, stats: job.stats });
+        if (TERMINAL_STATUSES.includes(status)) this.handleFinish(job);
+    }
+
+    /**
+     * Register a new scrape job and queue it for execution
+     */
+    createJob(params) {
+        const job = {
+            id: randomUUID(),
+            status: 'queued',
+            params,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            stats: null,
+            results: [],
+            coverage: null,
+            error: null,
+            cancelRequested: false,
+            resumeCount: 0,
+            resumeFrom: null,
+            scraper: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.persistJob(job);
+        this.pruneJobs();
+        this.log(`Queued job ${job.id} for "${params.query}"`);
+
+        this.processQueue();
+        return job;
+    }
+
+    processQueue() {
+        while (!this.draining && this.activeRuns.size < this.options.maxConcurrentJobs && this.queue.length > 0) {
+            const job = this.queue.shift();
+
+            const run = this.runJob(job)
+                .catch(error => this.log(`Job ${job.id} crashed: ${error.message}`, 'error'))
+                .finally(() => {
+                    this.activeRuns.delete(run);
+                    this.processQueue();
+                });
+
+            this.activeRuns.add(run);
+        }
+    }
+
+    /**
+     * Execute a queued job. The scraper's results and stats objects are shared
+     * with the job so GET /api/jobs/:id sees them grow while the scrape runs.
+     */
+    async runJob(job) {
+        const resumeFrom = job.resumeFrom;
+        job.resumeFrom = null;
+        job.startedAt = job.startedAt || new Date().toISOString();
+
+        let scraper = null;
+        let status;
+        try {
+            // Building the scraper can throw too (unknown or uninstalled engine)
+            scraper = this.options.createScraper(job.params);
+            job.scraper = scraper;
+            job.results = scraper.results;
+            job.stats = scraper.stats;
+            scraper.on('progress', event => {
+                if (event.type === 'business') this.handleResult(job, event.business);
+                this.emitJobEvent(job, event.type, event);
+            });
+            scraper.on('checkpoint', checkpoint => this.saveCheckpoint(job, checkpoint));
+            this.setJobStatus(job, 'running');
+
+            const results = await scraper.scrapeBusinesses(job.params.query, job.params.maxResults, {
+                resumeFrom,
+                grid: job.params.grid ?? null
+            });
+            job.results = results;
+            status = 'completed';
+
+            if (scraper.stats.cancelled) {
+                // Stopped by drain() rather than by the user: resume after restart
+                status = job.cancelRequested ? 'cancelled' : 'interrupted';
+            }
+
+            this.log(`Job ${job.id} ${status} with ${results.length} results`, 'success');
+        } catch (error) {
+            status = 'failed';
+            job.error = error.message || 'Scraping failed';
+            this.log(`Job ${job.id} failed: ${job.error}`, 'error');
+        } finally {
+            job.scraper = null;
+            if (scraper) {
+                scraper.removeAllListeners('progress');
+                scraper.removeAllListeners('checkpoint');
+                job.stats = { ...scraper.stats };
+                job.coverage = scraper.coverage;
+            }
+        }
+
+        if (status !== 'interrupted') {
+            job.finishedAt = new Date().toISOString();
+            this.removeCheckpoint(job);
+        }
+
+        this.setJobStatus(job, status);
+    }
+
+    /**
+     * Hand each extracted business to the onResult hook (e.g. the lead
+     * database). A failing hook must never stop the scrape.
+     */
+    handleResult(job, business) {
+        if (!this.options.onResult) return;
+
+        try {
+            this.options.onResult(business, job);
+        } catch (error) {
+            this.log(`onResult failed for job ${job.id}: ${error.message}`, 'warn');
+        }
+    }
+
+    /**
+     * Hand a completed, failed or cancelled job to the onFinish hook (e.g.
+     * webhooks). A failing hook must never affect the job.
+     */
+    handleFinish(job) {
+        if (!this.options.onFinish) return;
+
+        try {
+            this.options.onFinish(job);
+        } catch (error) {
+            this.log(`onFinish failed for job ${job.id}: ${error.message}`, 'warn');
+        }
+    }
+
+    /**
+     * Stop starting new jobs and ask running scrapes to stop at their next
+     * safe point. Their checkpoints stay on disk so they resume on restart.
+     * Resolves once every running job has stopped or the timeout elapses.
+     */
+    async drain({ timeout = 20000 } = {}) {
+        this.draining = true;
+
+        const running = [...this.jobs.values()].filter(job => job.scraper);
+        if (running.length === 0) return;
+
+        this.log(`Draining ${running.length} running job(s)...`, 'warn');
+        running.forEach(job => job.scraper.cancel());
+
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve(true), timeout);
+        });
+
+        const expired = await Promise.race([Promise.allSettled([...this.activeRuns]), timedOut]);
+        clearTimeout(timer);
+
+        if (expired === true) {
+            this.log(`Drain timed out after ${timeout}ms; unfinished jobs resume from their last checkpoint`, 'warn');
+        } else {
+            this.log(`All running jobs stopped and checkpointed`, 'success');
+        }
+    }
+
+    /**
+     * Cancel a job. Jobs that are not running stop immediately; running
+     * jobs stop at the scraper's next safe point and finish as "cancelled".
+     * Returns false when the job has already finished.
+     */
+    cancelJob(job) {
+        if (TERMINAL_STATUSES.includes(job.status)) return false;
+
+        job.cancelRequested = true;
+
+        if (job.scraper) {
+            job.scraper.cancel();
+        } else {
+            // Queued or interrupted: nothing is running, so finish right away
+            this.queue = this.queue.filter(queued => queued.id !== job.id);
+            job.finishedAt = new Date().toISOString();
+            this.removeCheckpoint(job);
+            this.setJobStatus(job, 'cancelled');
+        }
+
+        this.log(`Cancellation requested for job ${job.id}`, 'warn');
+        return true;
+    }
+
+    getJob(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Most recent jobs first
+     */
+    listJobs({ limit = 20 } = {}) {
+        return [...this.jobs.values()]
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+
+    /**
+     * Public JSON shape of a job; results are only included on request
+     */
+    serializeJob(job, { includeResults = false } = {}) {
+        const startedAt = job.startedAt ? Date.parse(job.startedAt) : null;
+        const finishedAt = job.finishedAt ? Date.parse(job.finishedAt) : null;
+
+        const data = {
+            id: job.id,
+            status: job.status,
+            query: job.params.query,
+            maxResults: job.params.maxResults,
+            engine: job.params.engine,
+            mode: job.params.mode,
+            maxConcurrency: job.params.maxConcurrency,
+            enrich: job.params.enrich ?? false,
+            reviews: job.params.reviews ?? 0,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            processingTime: startedAt ? (finishedAt || Date.now()) - startedAt : null,
+            totalResults: job.results.length,
+            stats: job.stats,
+            grid: this.serializeGrid(job),
+            batch: job.params.batch ?? null,
+            error: job.error,
+            cancelRequested: job.cancelRequested,
+            resumeCount: job.resumeCount
+        };
+
+        if (includeResults) {
+            data.results = job.results;
+        }
+
+        return data;
+    }
+
+    /**
+     * Grid parameters with each tile's coverage (pending until searched),
+     * or null for single searches
+     */
+    serializeGrid(job) {
+        const grid = job.params.grid;
+        if (!grid) return null;
+
+        const { tiles, ...settings } = grid;
+        return {
+            ...settings,
+            tiles: job.scraper?.coverage ?? job.coverage ?? pendingCoverage(tiles)
+        };
+    }
+
+    jobFilePath(id) {
+        return path.join(this.options.persistDir, `${id}.json`);
+    }
+
+    checkpointFilePath(id) {
+        return path.join(this.options.persistDir, `${id}.checkpoint.json`);
+    }
+
+    /**
+     * Write the scraper's checkpoint (collected URLs, next index, results)
+     */
+    saveCheckpoint(job, checkpoint) {
+        if (!this.options.persistDir) return;
+
+        const filePath = this.checkpointFilePath(job.id);
+        const tmpPath = `${filePath}.tmp`;
+
+        try {
+            fs.writeFileSync(tmpPath, JSON.stringify(checkpoint));
+            fs.renameSync(tmpPath, filePath);
+        } catch (error) {
+            this.log(`Could not checkpoint job ${job.id}: ${error.message}`, 'warn');
+        }
+    }
+
+    loadCheckpoint(job) {
+        try {
+            return JSON.parse(fs.readFileSync(this.checkpointFilePath(job.id), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    removeCheckpoint(job) {
+        if (!this.options.persistDir) return;
+        fs.rmSync(this.checkpointFilePath(job.id), { force: true });
+    }
+
+    persistJob(job) {
+        if (!this.options.persistDir) return;
+
+        const filePath = this.jobFilePath(job.id);
+        const tmpPath = `${filePath}.tmp`;
+
+        try {
+            const data = { ...this.serializeJob(job, { includeResults: true }), params: job.params };
+            fs.writeFileSync(tmpPath, JSON.stringify(data));
+            fs.renameSync(tmpPath, filePath);
+        } catch (error) {
+            this.log(`Could not persist job ${job.id}: ${error.message}`, 'warn');
+        }
+    }
+
+    /**
+     * Reload jobs from disk. Jobs that were queued, running or interrupted
+     * when the process stopped are queued again, resuming from their
+     * checkpoint when one was written.
+     */
+    loadPersistedJobs() {
+        const files = fs.readdirSync(this.options.persistDir)
+            .filter(file => file.endsWith('.json') && !file.endsWith('.checkpoint.json'));
+        const unfinished = [];
+
+        for (const file of files) {
+            try {
+                const data = JSON.parse(fs.readFileSync(path.join(this.options.persistDir, file), 'utf8'));
+                const job = {
+                    id: data.id,
+                    status: data.status,
+                    params: data.params,
+                    createdAt: data.createdAt,
+                    startedAt: data.startedAt,
+                    finishedAt: data.finishedAt,
+                    stats: data.stats,
+                    coverage: data.grid?.tiles ?? null,
+                    // Jobs saved before records were normalized hold raw strings
+                    results: (data.results || []).map(result => normalizeBusiness(result)),
+                    error: data.error,
+                    cancelRequested: data.cancelRequested || false,
+                    resumeCount: data.resumeCount || 0,
+                    resumeFrom: null,
+                    scraper: null
+                };
+
+                this.jobs.set(job.id, job);
+
+                if (!TERMINAL_STATUSES.includes(job.status)) {
+                    unfinished.push(job);
+                }
+            } catch (error) {
+                this.log(`Skipping unreadable job file ${file}: ${error.message}`, 'warn');
+            }
+        }
+
+        this.log(`Loaded ${this.jobs.size} persisted jobs from ${this.options.persistDir}`);
+
+        unfinished
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .forEach(job => {
+                job.resumeFrom = job.status === 'queued' ? null : this.loadCheckpoint(job);
+                if (job.status !== 'queued') job.resumeCount++;
+                job.status = 'queued';
+                this.queue.push(job);
+                this.persistJob(job);
+                this.log(`Re-queued job ${job.id}${job.resumeFrom ? ` from business ${job.resumeFrom.nextIndex + 1}` : ''}`);
+            });
+    }
+
+    /**
+     * Drop the oldest finished jobs once more than maxStoredJobs are kept.
+     * A batch goes as a whole, once all of its jobs have finished, so no
+     * batch is left reporting part of its queries.
+     */
+    pruneJobs() {
+        const groups = new Map();
+        for (const job of this.jobs.values()) {
+            const key = job.params.batch?.id ?? job.id;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(job);
+        }
+
+        const finished = [...groups.values()]
+            .filter(jobs => jobs.every(job => TERMINAL_STATUSES.includes(job.status)))
+            .map(jobs => ({ jobs, createdAt: jobs.map(job => job.createdAt).sort()[0] }))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        let excess = this.jobs.size - this.options.maxStoredJobs;
+
+        for (const { jobs } of finished) {
+            if (excess <= 0) break;
+            for (const job of jobs) {
+                this.jobs.delete(job.id);
+                if (this.options.persistDir) {
+                    fs.rmSync(this.jobFilePath(job.id), { force: true });
+                    this.removeCheckpoint(job);
+                }
+            }
+            excess -= jobs.length;
+        }
+    }
+}
+
+export { ScrapeJobManager, TERMINAL_STATUSES };
@@ -0,0 +1,306 @@
+/**
+ * 📤 LEAD EXPORT
+ *
+ * Streams saved leads as CSV, Excel (XLSX) or NDJSON files.
+ *
+ * Features:
+ * - RFC 4180 CSV: quoted fields, doubled quotes, CRLF line ends, and an
+ *   optional UTF-8 byte order mark so Excel reads accents correctly
+ * - XLSX written as a stream (inline strings, deflated ZIP entries with
+ *   data descriptors), so no workbook is built in memory
+ * - NDJSON: one JSON object per line, whole leads unless columns are chosen
+ * - Column selection and order from a list of column ids
+ *
+ * Every writer takes any iterable of leads and yields the file in chunks.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import zlib from 'zlib';
+import { Readable, pipeline } from 'stream';
+
+const joinList = (values) => (Array.isArray(values) && values.length > 0 ? values.join('; ') : null);
+
+// Exportable columns: id → { header, value(lead) }
+const EXPORT_COLUMNS = {
+    id: { header: 'ID', value: lead => lead.id },
+    name: { header: 'Name', value: lead => lead.name },
+    category: { header: 'Category', value: lead => lead.category },
+    address: { header: 'Address', value: lead => lead.address },
+    phone: { header: 'Phone', value: lead => lead.phone },
+    phoneRaw: { header: 'Phone (as listed)', value: lead => lead.phoneRaw },
+    phoneType: { header: 'Phone Type', value: lead => lead.phoneType },
+    website: { header: 'Website', value: lead => lead.website },
+    email: { header: 'Email', value: lead => lead.email },
+    emails: { header: 'All Emails', value: lead => joinList(lead.enrichment?.emails?.map(found => found.email)) },
+    rating: { header: 'Rating', value: lead => lead.rating },
+    reviewCount: { header: 'Reviews', value: lead => lead.reviewCount },
+    priceLevel: { header: 'Price Level', value: lead => lead.priceLevel },
+    claimed: { header: 'Claimed', value: lead => lead.claimed },
+    photoCount: { header: 'Photos', value: lead => lead.photoCount },
+    score: { header: 'Score', value: lead => lead.score },
+    hours: { header: 'Hours', value: lead => lead.hours },
+    latitude: { header: 'Latitude', value: lead => lead.coordinates?.lat },
+    longitude: { header: 'Longitude', value: lead => lead.coordinates?.lng },
+    plusCode: { header: 'Plus Code', value: lead => lead.plusCode },
+    cid: { header: 'CID', value: lead => lead.cid },
+    placeId: { header: 'Place ID', value: lead => lead.placeId },
+    googleMapsUrl: { header: 'Google Maps URL', value: lead => lead.googleMapsUrl },
+    searchQueries: { header: 'Search Queries', value: lead => joinList(lead.searchQueries) },
+    createdAt: { header: 'Saved At', value: lead => lead.createdAt },
+    updatedAt: { header: 'Updated At', value: lead => lead.updatedAt }
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+    'name', 'category', 'address', 'phone', 'phoneType', 'website', 'email', 'rating',
+    'reviewCount', 'priceLevel', 'claimed', 'score', 'latitude', 'longitude', 'googleMapsUrl'
+];
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+/**
+ * Column ids from "name,phone,website" or a list, checked against
+ * EXPORT_COLUMNS. Empty input gives null (the format's default columns).
+ */
+const parseExportColumns = (value) => {
+    const ids = (Array.isArray(value) ? value : String(value ?? '').split(','))
+        .map(id => String(id).trim())
+        .filter(Boolean);
+    if (ids.length === 0) return null;
+
+    const unknown = ids.filter(id => !EXPORT_COLUMNS[id]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown column(s) ${unknown.join(', ')}. Columns: ${Object.keys(EXPORT_COLUMNS).join(', ')}`);
+    }
+
+    return [...new Set(ids)];
+};
+
+const cellOf = (lead, id) => EXPORT_COLUMNS[id].value(lead) ?? null;
+
+const csvField = (value) => {
+    if (value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function* csvChunks(leads, { columns = DEFAULT_EXPORT_COLUMNS, bom = false } = {}) {
+    yield `${bom ? '\uFEFF' : ''}${columns.map(id => csvField(EXPORT_COLUMNS[id].header)).join(',')}\r\n`;
+    for (const lead of leads) {
+        yield `${columns.map(id => csvField(cellOf(lead, id))).join(',')}\r\n`;
+    }
+}
+
+function* ndjsonChunks(leads, { columns = null } = {}) {
+    for (const lead of leads) {
+        const record = columns ? Object.fromEntries(columns.map(id => [id, cellOf(lead, id)])) : lead;
+        yield `${JSON.stringify(record)}\n`;
+    }
+}
+
+// ZIP container for XLSX ----------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (buffer, crc = 0) => {
+    let c = crc ^ 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+};
+
+// Bit 3: sizes and CRC follow the data; bit 11: UTF-8 file names
+const ZIP_FLAGS = 0x0808;
+const DEFLATE = 8;
+
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * A ZIP file from entries { name, chunks } whose chunks (strings or
+ * Buffers, sync or async iterable) are deflated as they stream through
+ */
+async function* zipChunks(entries) {
+    const { time, date } = dosDateTime(new Date());
+    const directory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(ZIP_FLAGS, 6);
+        local.writeUInt16LE(DEFLATE, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt16LE(name.length, 26);
+        yield Buffer.concat([local, name]);
+
+        const record = { name, offset, crc: 0, size: 0, compressedSize: 0 };
+        offset += local.length + name.length;
+
+        async function* counted() {
+            for await (const chunk of entry.chunks) {
+                const buffer = Buffer.from(chunk);
+                record.crc = crc32(buffer, record.crc);
+                record.size += buffer.length;
+                yield buffer;
+            }
+        }
+
+        // Errors in the source reach the loop below through the deflate stream
+        const deflate = zlib.createDeflateRaw();
+        pipeline(Readable.from(counted()), deflate, () => {});
+        for await (const compressed of deflate) {
+            record.compressedSize += compressed.length;
+            yield compressed;
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(record.crc, 4);
+        descriptor.writeUInt32LE(record.compressedSize, 8);
+        descriptor.writeUInt32LE(record.size, 12);
+        yield descriptor;
+
+        offset += record.compressedSize + descriptor.length;
+        directory.push(record);
+    }
+
+    const central = directory.map(record => {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(ZIP_FLAGS, 8);
+        header.writeUInt16LE(DEFLATE, 10);
+        header.writeUInt16LE(time, 12);
+        header.writeUInt16LE(date, 14);
+        header.writeUInt32LE(record.crc, 16);
+        header.writeUInt32LE(record.compressedSize, 20);
+        header.writeUInt32LE(record.size, 24);
+        header.writeUInt16LE(record.name.length, 28);
+        header.writeUInt32LE(record.offset, 42);
+        return Buffer.concat([header, record.name]);
+    });
+    const centralSize = central.reduce((sum, header) => sum + header.length, 0);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(directory.length, 8);
+    end.writeUInt16LE(directory.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    yield Buffer.concat([...central, end]);
+}
+
+// XLSX parts -----------------------------------------------------------------
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const XLSX_PARTS = {
+    '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>',
+    '_rels/.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>',
+    'xl/workbook.xml': `${XML_HEADER}<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}">` +
+        '<sheets><sheet name="Leads" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+        '</Relationships>',
+    // Style 1 is the bold header row
+    'xl/styles.xml': `${XML_HEADER}<styleSheet xmlns="${SHEET_NS}">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>'
+};
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const xmlText = (value) => String(value)
+    .replace(INVALID_XML, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+// Excel caps a cell at 32,767 characters
+const MAX_CELL_LENGTH = 32767;
+
+/**
+ * Cut text to Excel's cell limit before escaping, so no entity or
+ * surrogate pair is split
+ */
+const cellText = (value) => {
+    const text = String(value);
+    if (text.length <= MAX_CELL_LENGTH) return text;
+
+    const cut = text.slice(0, MAX_CELL_LENGTH);
+    return /[\uD800-\uDBFF]$/.test(cut) ? cut.slice(0, -1) : cut;
+};
+
+const xlsxCell = (value, style = '') => {
+    if (value === null) return '<c/>';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c${style}><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+    return `<c${style} t="inlineStr"><is><t xml:space="preserve">${xmlText(cellText(value))}</t></is></c>`;
+};
+
+function* sheetChunks(leads, columns) {
+    yield `${XML_HEADER}<worksheet xmlns="${SHEET_NS}"><sheetViews><sheetView workbookViewId="0">` +
+        '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>';
+    yield `<row>${columns.map(id => xlsxCell(EXPORT_COLUMNS[id].header, ' s="1"')).join('')}</row>`;
+    for (const lead of leads) {
+        yield `<row>${columns.map(id => xlsxCell(cellOf(lead, id))).join('')}</row>`;
+    }
+    yield '</sheetData></worksheet>';
+}
+
+const xlsxChunks = (leads, { columns = DEFAULT_EXPORT_COLUMNS } = {}) => zipChunks([
+    ...['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml']
+        .map(name => ({ name, chunks: [XLSX_PARTS[name]] })),
+    { name: 'xl/worksheets/sheet1.xml', chunks: sheetChunks(leads, columns) }
+]);
+
+/**
+ * The export file as an iterable of chunks. Options: columns (ids, null
+ * for the default) and bom (CSV only).
+ */
+const exportChunks = (format, leads, { columns = null, bom = false } = {}) => {
+    if (format === 'csv') return csvChunks(leads, { columns: columns ?? DEFAULT_EXPORT_COLUMNS, bom });
+    if (format === 'xlsx') return xlsxChunks(leads, { columns: columns ?? DEFAULT_EXPORT_COLUMNS });
+    if (format === 'ndjson') return ndjsonChunks(leads, { columns });
+    throw new Error(`Unknown export format "${format}". Formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+};
+
+export {
+    exportChunks,
+    parseExportColumns,
+    EXPORT_COLUMNS,
+    DEFAULT_EXPORT_COLUMNS,
+    EXPORT_FORMATS
+};
@@ -0,0 +1,159 @@
+/**
+ * 🎯 LEAD SCORING
+ *
+ * Rules-based scores that rank leads by how good a prospect they are:
+ * a business with no website, few reviews and an unclaimed listing needs
+ * help more than a polished one.
+ *
+ * Features:
+ * - Rules over lead fields: { field, op, value, points, label }
+ * - Named scoring profiles, validated before they are saved
+ * - A score with a breakdown listing the rules that matched
+ *
+ * A rule whose field is unknown for a lead (rating not shown, claimed
+ * status never read) does not match, except `missing`.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+// Lead fields rules may test, with the words used in generated labels
+const SCORING_FIELDS = {
+    website: 'website',
+    email: 'email',
+    phone: 'phone',
+    phoneType: 'phone type',
+    category: 'category',
+    rating: 'rating',
+    reviewCount: 'reviews',
+    photoCount: 'photos',
+    priceLevel: 'price level',
+    claimed: 'claimed',
+    openingHours: 'opening hours',
+    enrichment: 'website enrichment'
+};
+
+const isKnown = (value) => value !== null && value !== undefined;
+
+const OPERATORS = {
+    missing: { test: (actual) => !isKnown(actual) },
+    present: { test: (actual) => isKnown(actual) },
+    lt: { symbol: '<', number: true, test: (actual, value) => typeof actual === 'number' && actual < value },
+    lte: { symbol: '≤', number: true, test: (actual, value) => typeof actual === 'number' && actual <= value },
+    gt: { symbol: '>', number: true, test: (actual, value) => typeof actual === 'number' && actual > value },
+    gte: { symbol: '≥', number: true, test: (actual, value) => typeof actual === 'number' && actual >= value },
+    eq: { symbol: 'is', test: (actual, value) => isKnown(actual) && actual === value },
+    neq: { symbol: 'is not', test: (actual, value) => isKnown(actual) && actual !== value },
+    in: { symbol: 'is one of', list: true, test: (actual, value) => isKnown(actual) && value.includes(actual) },
+    contains: {
+        symbol: 'contains',
+        test: (actual, value) => typeof actual === 'string' && actual.toLowerCase().includes(String(value).toLowerCase())
+    }
+};
+
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+const DEFAULT_PROFILE = {
+    name: 'default',
+    description: 'Businesses that need help with their online presence',
+    rules: [
+        { id: 'no-website', label: 'No website', field: 'website', op: 'missing', points: 20 },
+        { id: 'low-rating', label: 'Rating below 4', field: 'rating', op: 'lt', value: 4, points: 10 },
+        { id: 'few-reviews', label: 'Fewer than 20 reviews', field: 'reviewCount', op: 'lt', value: 20, points: 15 },
+        { id: 'unclaimed', label: 'Unclaimed listing', field: 'claimed', op: 'eq', value: false, points: 25 }
+    ]
+};
+
+const ruleLabel = ({ field, op, value }) => {
+    const name = SCORING_FIELDS[field];
+    if (op === 'missing') return `No ${name}`;
+    if (op === 'present') return `Has ${name}`;
+
+    const shown = Array.isArray(value) ? value.join(', ') : value;
+    return `${name.charAt(0).toUpperCase()}${name.slice(1)} ${OPERATORS[op].symbol} ${shown}`;
+};
+
+/**
+ * Check one rule and fill in its id and label. Throws on invalid rules.
+ */
+const validateRule = (rule, position) => {
+    const where = `Rule ${position + 1}`;
+    if (!rule || typeof rule !== 'object') throw new Error(`${where} must be an object`);
+
+    const { field, op, value } = rule;
+    if (!SCORING_FIELDS[field]) {
+        throw new Error(`${where} has unknown field "${field}". Fields: ${Object.keys(SCORING_FIELDS).join(', ')}`);
+    }
+
+    const operator = OPERATORS[op];
+    if (!operator) throw new Error(`${where} has unknown op "${op}". Ops: ${Object.keys(OPERATORS).join(', ')}`);
+    if (operator.number && !Number.isFinite(value)) throw new Error(`${where} needs a number value for "${op}"`);
+    if (operator.list && (!Array.isArray(value) || value.length === 0)) throw new Error(`${where} needs a list value for "in"`);
+    if (operator.symbol && !operator.number && !operator.list && !isKnown(value)) throw new Error(`${where} needs a value for "${op}"`);
+
+    if (!Number.isFinite(rule.points)) throw new Error(`${where} needs a number of points`);
+
+    const label = typeof rule.label === 'string' && rule.label.trim() ? rule.label.trim() : ruleLabel(rule);
+    const id = typeof rule.id === 'string' && rule.id.trim()
+        ? rule.id.trim()
+        : label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    return {
+        id,
+        label,
+        field,
+        op,
+        ...(operator.symbol && { value }),
+        points: rule.points
+    };
+};
+
+/**
+ * A scoring profile with every rule checked, ids and labels filled in.
+ * Throws when the name or a rule is invalid.
+ */
+const validateScoringProfile = (profile) => {
+    if (!profile || typeof profile !== 'object') throw new Error('Scoring profile must be an object');
+    if (typeof profile.name !== 'string' || !PROFILE_NAME.test(profile.name)) {
+        throw new Error('Profile name must be 1-40 letters, digits, "-" or "_"');
+    }
+    if (!Array.isArray(profile.rules) || profile.rules.length === 0) {
+        throw new Error('Scoring profile needs a non-empty "rules" list');
+    }
+
+    const rules = profile.rules.map(validateRule);
+    const ids = new Set();
+    for (const { id } of rules) {
+        if (ids.has(id)) throw new Error(`Rule id "${id}" is used twice`);
+        ids.add(id);
+    }
+
+    return {
+        name: profile.name,
+        description: typeof profile.description === 'string' ? profile.description.trim() || null : null,
+        rules
+    };
+};
+
+/**
+ * Score a lead with a validated profile: { score, breakdown }, where the
+ * breakdown lists the matched rules as { rule, label, points }
+ */
+const scoreLead = (lead, profile) => {
+    const breakdown = profile.rules
+        .filter(({ field, op, value }) => OPERATORS[op].test(lead?.[field], value))
+        .map(({ id, label, points }) => ({ rule: id, label, points }));
+
+    return {
+        score: breakdown.reduce((sum, { points }) => sum + points, 0),
+        breakdown
+    };
+};
+
+export {
+    scoreLead,
+    validateScoringProfile,
+    DEFAULT_PROFILE,
+    SCORING_FIELDS,
+    OPERATORS
+};
@@ -0,0 +1,1184 @@
+/**
+ * 🗄️ LEAD STORE - SQLITE
+ *
+ * Embedded database for every business record the scraper extracts, so a
+ * finished scrape survives page refreshes and server restarts.
+ *
+ * Features:
+ * - Schema migrations tracked with PRAGMA user_version
+ * - Filtering, sorting and pagination for the /api/leads endpoint, and
+ *   batched reads of every match for exports
+ * - FTS5 full-text search over business name and address
+ * - Deduplication by Google place identity, merging repeat finds and
+ *   recording every query that found a lead
+ * - Website enrichment results (emails, extra phones, contact forms)
+ * - Phone line type filters for WhatsApp outreach
+ * - "Open at" and open-on-day filters over each lead's weekly opening hours
+ * - Scraped reviews in their own table, kept across rescrapes
+ * - Claimed / unclaimed listing filter
+ * - Lead scores from the active scoring profile (see lead_scoring.js),
+ *   recomputed whenever a lead or the profile changes
+ * - CRM field mappings and each lead's push status per CRM target
+ * - Webhook subscriptions and their delivery log
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { derivePlaceIdentity } from './place_identity.js';
+import { normalizeBusiness } from './normalize_business.js';
+import { weeklyIntervals, DAYS } from './opening_hours.js';
+import { scoreLead, validateScoringProfile, DEFAULT_PROFILE } from './lead_scoring.js';
+
+/**
+ * Combine a stored record with a fresh scrape of the same place: fresh
+ * values win, but a missing fresh value never erases a stored one
+ */
+const mergeRecords = (existing, incoming) => {
+    const merged = { ...existing };
+    for (const [key, value] of Object.entries(incoming)) {
+        if (value !== null && value !== undefined) merged[key] = value;
+    }
+    return merged;
+};
+
+/**
+ * Migration 2: place identity columns and the queries that found each lead.
+ * Leads saved before this migration are deduplicated in place.
+ */
+const addPlaceIdentity = (db) => {
+    db.exec(`
+        ALTER TABLE leads ADD COLUMN place_key TEXT;
+        ALTER TABLE leads ADD COLUMN cid TEXT;
+        ALTER TABLE leads ADD COLUMN place_id TEXT;
+        ALTER TABLE leads ADD COLUMN fallback_key TEXT;
+        ALTER TABLE leads ADD COLUMN updated_at TEXT;
+
+        CREATE TABLE lead_queries (
+            lead_id INTEGER NOT NULL REFERENCES leads (id) ON DELETE CASCADE,
+            search_query TEXT NOT NULL,
+            job_id TEXT,
+            found_at TEXT NOT NULL,
+            UNIQUE (lead_id, search_query, job_id)
+        );
+
+        CREATE INDEX idx_lead_queries_query ON lead_queries (search_query COLLATE NOCASE);
+        CREATE INDEX idx_lead_queries_job_id ON lead_queries (job_id);
+    `);
+
+    const insertQuery = db.prepare(`
+        INSERT OR IGNORE INTO lead_queries (lead_id, search_query, job_id, found_at) VALUES (?, ?, ?, ?)
+    `);
+    const setIdentity = db.prepare(`
+        UPDATE leads SET place_key = ?, cid = ?, place_id = ?, fallback_key = ?, updated_at = created_at WHERE id = ?
+    `);
+    const deleteLead = db.prepare('DELETE FROM leads WHERE id = ?');
+    const keptIds = new Map();
+
+    for (const row of db.prepare('SELECT id, job_id, search_query, data, created_at FROM leads ORDER BY id').all()) {
+        const identity = derivePlaceIdentity(JSON.parse(row.data));
+        const aliases = [identity.key, identity.cid && `cid:${identity.cid}`, identity.placeId && `place:${identity.placeId}`, identity.fallbackKey]
+            .filter(Boolean);
+        const keptId = aliases.map(alias => keptIds.get(alias)).find(Boolean);
+
+        if (keptId) {
+            deleteLead.run(row.id);
+        } else {
+            setIdentity.run(identity.key, identity.cid, identity.placeId, identity.fallbackKey, row.id);
+            aliases.forEach(alias => keptIds.set(alias, row.id));
+        }
+
+        if (row.search_query) {
+            insertQuery.run(keptId || row.id, row.search_query, row.job_id, row.created_at);
+        }
+    }
+
+    db.exec(`
+        CREATE UNIQUE INDEX idx_leads_place_key ON leads (place_key);
+        CREATE INDEX idx_leads_cid ON leads (cid);
+        CREATE INDEX idx_leads_place_id ON leads (place_id);
+        CREATE INDEX idx_leads_fallback_key ON leads (fallback_key);
+    `);
+};
+
+/**
+ * Migration 3: rewrite records saved with 'Not Found' strings and display
+ * formats into normalized records
+ */
+const normalizeStoredLeads = (db) => {
+    const update = db.prepare(`
+        UPDATE leads SET
+            name = @name, category = @category, address = @address, phone = @phone,
+            website = @website, rating = @rating, review_count = @reviewCount, data = @data
+        WHERE id = @id
+    `);
+
+    for (const row of db.prepare('SELECT id, data FROM leads').all()) {
+        const record = normalizeBusiness(JSON.parse(row.data));
+        update.run({
+            id: row.id,
+            name: record.name ?? '',
+            category: record.category,
+            address: record.address,
+            phone: record.phone,
+            website: record.website,
+            rating: record.rating,
+            reviewCount: record.reviewCount,
+            data: JSON.stringify(record)
+        });
+    }
+};
+
+/**
+ * Migration 5: phone line type column, filled in by normalizing stored
+ * records again
+ */
+const classifyStoredPhones = (db) => {
+    db.exec(`
+        ALTER TABLE leads ADD COLUMN phone_type TEXT;
+        CREATE INDEX idx_leads_phone_type ON leads (phone_type);
+    `);
+
+    const update = db.prepare('UPDATE leads SET phone = @phone, phone_type = @phoneType, data = @data WHERE id = @id');
+
+    for (const row of db.prepare('SELECT id, data FROM leads').all()) {
+        const record = normalizeBusiness(JSON.parse(row.data));
+        update.run({
+            id: row.id,
+            phone: record.phone,
+            phoneType: record.phoneType,
+            data: JSON.stringify(record)
+        });
+    }
+};
+
+/**
+ * Replace a lead's rows in lead_hours with its schedule's minute-of-week
+ * intervals
+ */
+const writeLeadHours = ({ deleteHours, insertHours }, leadId, schedule) => {
+    deleteHours.run(leadId);
+    for (const { day, start, end } of weeklyIntervals(schedule)) {
+        insertHours.run(leadId, DAYS.indexOf(day), start, end);
+    }
+};
+
+const prepareHoursStatements = (db) => ({
+    deleteHours: db.prepare('DELETE FROM lead_hours WHERE lead_id = ?'),
+    insertHours: db.prepare('INSERT INTO lead_hours (lead_id, day, start_minute, end_minute) VALUES (?, ?, ?, ?)')
+});
+
+/**
+ * Migration 6: opening hours intervals, one row per open interval with
+ * minutes counted from Monday 00:00. Stored leads are normalized again so
+ * hours text that lists the week is parsed.
+ */
+const addOpeningHours = (db) => {
+    db.exec(`
+        CREATE TABLE lead_hours (
+            lead_id INTEGER NOT NULL REFERENCES leads (id) ON DELETE CASCADE,
+            day INTEGER NOT NULL,
+            start_minute INTEGER NOT NULL,
+            end_minute INTEGER NOT NULL
+        );
+
+        CREATE INDEX idx_lead_hours_lead_id ON lead_hours (lead_id);
+        CREATE INDEX idx_lead_hours_range ON lead_hours (start_minute, end_minute);
+    `);
+
+    const update = db.prepare('UPDATE leads SET data = @data WHERE id = @id');
+    const hoursStatements = prepareHoursStatements(db);
+
+    for (const row of db.prepare('SELECT id, data FROM leads').all()) {
+        const record = normalizeBusiness(JSON.parse(row.data));
+        update.run({ id: row.id, data: JSON.stringify(record) });
+        writeLeadHours(hoursStatements, row.id, record.openingHours);
+    }
+};
+
+/**
+ * Migration 8: claimed status column. Stored leads are normalized again so
+ * they get the place ID and CID fields; their claimed status stays unknown
+ * until they are scraped again.
+ */
+const addClaimedStatus = (db) => {
+    db.exec(`
+        ALTER TABLE leads ADD COLUMN claimed INTEGER;
+        CREATE INDEX idx_leads_claimed ON leads (claimed);
+    `);
+
+    const update = db.prepare('UPDATE leads SET data = @data WHERE id = @id');
+
+    for (const row of db.prepare('SELECT id, data FROM leads').all()) {
+        update.run({ id: row.id, data: JSON.stringify(normalizeBusiness(JSON.parse(row.data))) });
+    }
+};
+
+/**
+ * Score every stored lead with a profile. Returns the number of leads.
+ */
+const rescoreAll = (db, profile) => {
+    const update = db.prepare('UPDATE leads SET score = @score, score_breakdown = @breakdown WHERE id = @id');
+    const rows = db.prepare('SELECT id, data FROM leads').all();
+
+    for (const row of rows) {
+        const { score, breakdown } = scoreLead(JSON.parse(row.data), profile);
+        update.run({ id: row.id, score, breakdown: JSON.stringify(breakdown) });
+    }
+
+    return rows.length;
+};
+
+/**
+ * Migration 9: scoring profiles, with the default profile active, and a
+ * score and breakdown for every stored lead
+ */
+const addLeadScores = (db) => {
+    db.exec(`
+        CREATE TABLE scoring_profiles (
+            name TEXT PRIMARY KEY,
+            description TEXT,
+            rules TEXT NOT NULL,
+            active INTEGER NOT NULL DEFAULT 0,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+
+        ALTER TABLE leads ADD COLUMN score REAL;
+        ALTER TABLE leads ADD COLUMN score_breakdown TEXT;
+        CREATE INDEX idx_leads_score ON leads (score);
+    `);
+
+    const profile = validateScoringProfile(DEFAULT_PROFILE);
+    const now = new Date().toISOString();
+    db.prepare(`
+        INSERT INTO scoring_profiles (name, description, rules, active, created_at, updated_at) VALUES (?, ?, ?, 1, ?, ?)
+    `).run(profile.name, profile.description, JSON.stringify(profile.rules), now, now);
+
+    rescoreAll(db, profile);
+};
+
+const rowToProfile = (row) => ({
+    name: row.name,
+    description: row.description,
+    rules: JSON.parse(row.rules),
+    active: Boolean(row.active),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const rowToWebhook = (row) => ({
+    id: row.id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    description: row.description,
+    active: Boolean(row.active),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const rowToDelivery = (row) => ({
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    eventId: row.event_id,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    nextAttemptAt: row.next_attempt_at,
+    redeliveryOf: row.redelivery_of,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at
+});
+
+// Each entry upgrades the schema by one version (SQL or a function of the
+// database); never edit a shipped one
+const MIGRATIONS = [
+    `
+    CREATE TABLE leads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT,
+        name TEXT NOT NULL,
+        category TEXT,
+        address TEXT,
+        phone TEXT,
+        website TEXT,
+        rating REAL,
+        review_count INTEGER,
+        search_query TEXT,
+        google_maps_url TEXT,
+        latitude REAL,
+        longitude REAL,
+        data TEXT NOT NULL,
+        extracted_at TEXT,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_leads_job_id ON leads (job_id);
+    CREATE INDEX idx_leads_category ON leads (category COLLATE NOCASE);
+    CREATE INDEX idx_leads_rating ON leads (rating);
+    CREATE INDEX idx_leads_created_at ON leads (created_at);
+
+    CREATE VIRTUAL TABLE leads_fts USING fts5(
+        name, address, content='leads', content_rowid='id'
+    );
+
+    CREATE TRIGGER leads_fts_insert AFTER INSERT ON leads BEGIN
+        INSERT INTO leads_fts (rowid, name, address) VALUES (new.id, new.name, new.address);
+    END;
+
+    CREATE TRIGGER leads_fts_delete AFTER DELETE ON leads BEGIN
+        INSERT INTO leads_fts (leads_fts, rowid, name, address) VALUES ('delete', old.id, old.name, old.address);
+    END;
+
+    CREATE TRIGGER leads_fts_update AFTER UPDATE ON leads BEGIN
+        INSERT INTO leads_fts (leads_fts, rowid, name, address) VALUES ('delete', old.id, old.name, old.address);
+        INSERT INTO leads_fts (rowid, name, address) VALUES (new.id, new.name, new.address);
+    END;
+    `,
+    addPlaceIdentity,
+    normalizeStoredLeads,
+    `
+    ALTER TABLE leads ADD COLUMN email TEXT;
+    ALTER TABLE leads ADD COLUMN enriched_at TEXT;
+
+    CREATE INDEX idx_leads_email ON leads (email);
+    `,
+    classifyStoredPhones,
+    addOpeningHours,
+    `
+    CREATE TABLE lead_reviews (
+        lead_id INTEGER NOT NULL REFERENCES leads (id) ON DELETE CASCADE,
+        review_id TEXT NOT NULL,
+        author TEXT,
+        author_url TEXT,
+        rating INTEGER,
+        relative_date TEXT,
+        review_date TEXT,
+        date_precision TEXT,
+        edited INTEGER NOT NULL DEFAULT 0,
+        text TEXT,
+        owner_response TEXT,
+        scraped_at TEXT NOT NULL,
+        UNIQUE (lead_id, review_id)
+    );
+
+    CREATE INDEX idx_lead_reviews_date ON lead_reviews (lead_id, review_date);
+    `,
+    addClaimedStatus,
+    addLeadScores,
+    `
+    CREATE TABLE crm_mappings (
+        target TEXT PRIMARY KEY,
+        mapping TEXT NOT NULL,
+        dedupe_on TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE crm_syncs (
+        lead_id INTEGER NOT NULL REFERENCES leads (id) ON DELETE CASCADE,
+        target TEXT NOT NULL,
+        status TEXT NOT NULL,
+        action TEXT,
+        remote_id TEXT,
+        error TEXT,
+        synced_at TEXT NOT NULL,
+        PRIMARY KEY (lead_id, target)
+    );
+    `,
+    `
+    CREATE TABLE webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        description TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        next_attempt_at TEXT,
+        redelivery_of INTEGER,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT
+    );
+
+    CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id);
+    CREATE INDEX idx_webhook_deliveries_pending ON webhook_deliveries (status, next_attempt_at);
+    `
+];
+
+// Public sort keys mapped to columns
+const SORT_COLUMNS = {
+    name: 'name COLLATE NOCASE',
+    category: 'category COLLATE NOCASE',
+    rating: 'rating',
+    reviewCount: 'review_count',
+    score: 'score',
+    createdAt: 'created_at'
+};
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Turn free text into an FTS5 query: every word must match as a prefix
+ */
+const toFtsQuery = (text) => text
+    .split(/\s+/)
+    .map(term => term.replace(/"/g, ''))
+    .filter(Boolean)
+    .map(term => `"${term}"*`)
+    .join(' ');
+
+class LeadStore {
+    constructor(options = {}) {
+        this.options = {
+            dbPath: options.dbPath ?? ':memory:',
+            ...options
+        };
+
+        if (this.options.dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.options.dbPath), { recursive: true });
+        }
+
+        this.db = new Database(this.options.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.migrate();
+
+        this.statements = {
+            insert: this.db.prepare(`
+                INSERT INTO leads (
+                    job_id, name, category, address, phone, phone_type, website, rating, review_count,
+                    claimed, search_query, google_maps_url, latitude, longitude, data, extracted_at,
+                    place_key, cid, place_id, fallback_key, score, score_breakdown, created_at, updated_at
+                ) VALUES (
+                    @jobId, @name, @category, @address, @phone, @phoneType, @website, @rating, @reviewCount,
+                    @claimed, @searchQuery, @googleMapsUrl, @latitude, @longitude, @data, @extractedAt,
+                    @placeKey, @cid, @placeId, @fallbackKey, @score, @scoreBreakdown, @now, @now
+                )
+            `),
+            update: this.db.prepare(`
+                UPDATE leads SET
+                    name = @name, category = @category, address = @address, phone = @phone,
+                    phone_type = @phoneType, website = @website, rating = @rating, review_count = @reviewCount,
+                    claimed = @claimed, search_query = @searchQuery, google_maps_url = @googleMapsUrl,
+                    latitude = @latitude, longitude = @longitude, data = @data, extracted_at = @extractedAt,
+                    place_key = @placeKey, cid = @cid, place_id = @placeId, fallback_key = @fallbackKey,
+                    score = @score, score_breakdown = @scoreBreakdown, updated_at = @now
+                WHERE id = @id
+            `),
+            findByIdentity: this.db.prepare(`
+                SELECT * FROM leads
+                WHERE place_key = @key OR cid = @cid OR place_id = @placeId OR fallback_key = @fallbackKey
+                ORDER BY (place_key = @key) DESC, id
+                LIMIT 1
+            `),
+            insertQuery: this.db.prepare(`
+                INSERT OR IGNORE INTO lead_queries (lead_id, search_query, job_id, found_at)
+                VALUES (?, ?, ?, ?)
+            `),
+            ...prepareHoursStatements(this.db),
+            // A review's approximate date is best on the first scrape ("2 days
+            // ago" beats "a month ago"), so it is only replaced when the text changed
+            upsertReview: this.db.prepare(`
+                INSERT INTO lead_reviews (
+                    lead_id, review_id, author, author_url, rating, relative_date, review_date,
+                    date_precision, edited, text, owner_response, scraped_at
+                ) VALUES (
+                    @leadId, @id, @author, @authorUrl, @rating, @relativeDate, @date,
+                    @datePrecision, @edited, @text, @ownerResponse, @now
+                )
+                ON CONFLICT (lead_id, review_id) DO UPDATE SET
+                    author = excluded.author, author_url = excluded.author_url, rating = excluded.rating,
+                    relative_date = excluded.relative_date,
+                    review_date = CASE WHEN lead_reviews.text IS excluded.text THEN lead_reviews.review_date ELSE excluded.review_date END,
+                    date_precision = CASE WHEN lead_reviews.text IS excluded.text THEN lead_reviews.date_precision ELSE excluded.date_precision END,
+                    edited = excluded.edited, text = excluded.text, owner_response = excluded.owner_response,
+                    scraped_at = excluded.scraped_at
+            `),
+            getReviews: this.db.prepare(`
+                SELECT * FROM lead_reviews WHERE lead_id = ?
+                ORDER BY review_date DESC NULLS LAST, rowid
+            `),
+            getById: this.db.prepare('SELECT * FROM leads WHERE id = ?'),
+            saveEnrichment: this.db.prepare(`
+                UPDATE leads SET
+                    data = @data, email = @email, enriched_at = @enrichedAt,
+                    score = @score, score_breakdown = @scoreBreakdown, updated_at = @now
+                WHERE id = @id
+            `),
+            listProfiles: this.db.prepare('SELECT * FROM scoring_profiles ORDER BY active DESC, name'),
+            getProfile: this.db.prepare('SELECT * FROM scoring_profiles WHERE name = ?'),
+            getActiveProfile: this.db.prepare('SELECT * FROM scoring_profiles WHERE active = 1'),
+            saveProfile: this.db.prepare(`
+                INSERT INTO scoring_profiles (name, description, rules, created_at, updated_at)
+                VALUES (@name, @description, @rules, @now, @now)
+                ON CONFLICT (name) DO UPDATE SET
+                    description = excluded.description, rules = excluded.rules, updated_at = excluded.updated_at
+            `),
+            deleteProfile: this.db.prepare('DELETE FROM scoring_profiles WHERE name = ? AND active = 0'),
+            setActiveProfile: this.db.prepare('UPDATE scoring_profiles SET active = (name = ?)'),
+            getCrmMapping: this.db.prepare('SELECT * FROM crm_mappings WHERE target = ?'),
+            saveCrmMapping: this.db.prepare(`
+                INSERT INTO crm_mappings (target, mapping, dedupe_on, updated_at)
+                VALUES (@target, @mapping, @dedupeOn, @now)
+                ON CONFLICT (target) DO UPDATE SET
+                    mapping = excluded.mapping, dedupe_on = excluded.dedupe_on, updated_at = excluded.updated_at
+            `),
+            // A failed push keeps the remote id of an earlier successful one
+            saveCrmSync: this.db.prepare(`
+                INSERT INTO crm_syncs (lead_id, target, status, action, remote_id, error, synced_at)
+                VALUES (@leadId, @target, @status, @action, @remoteId, @error, @now)
+                ON CONFLICT (lead_id, target) DO UPDATE SET
+                    status = excluded.status, action = excluded.action,
+                    remote_id = COALESCE(excluded.remote_id, crm_syncs.remote_id),
+                    error = excluded.error, synced_at = excluded.synced_at
+            `),
+            getWebhook: this.db.prepare('SELECT * FROM webhooks WHERE id = ?'),
+            listWebhooks: this.db.prepare('SELECT * FROM webhooks ORDER BY id'),
+            insertWebhook: this.db.prepare(`
+                INSERT INTO webhooks (url, events, secret, description, active, created_at, updated_at)
+                VALUES (@url, @events, @secret, @description, @active, @now, @now)
+            `),
+            updateWebhook: this.db.prepare(`
+                UPDATE webhooks SET
+                    url = @url, events = @events, secret = @secret, description = @description,
+                    active = @active, updated_at = @now
+                WHERE id = @id
+            `),
+            deleteWebhook: this.db.prepare('DELETE FROM webhooks WHERE id = ?'),
+            getDelivery: this.db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?'),
+            insertDelivery: this.db.prepare(`
+                INSERT INTO webhook_deliveries (webhook_id, event, event_id, payload, status, next_attempt_at, redelivery_of, created_at)
+                VALUES (@webhookId, @event, @eventId, @payload, 'pending', @now, @redeliveryOf, @now)
+            `),
+            saveDeliveryAttempt: this.db.prepare(`
+                UPDATE webhook_deliveries SET
+                    status = @status, attempts = attempts + 1, response_status = @responseStatus, error = @error,
+                    next_attempt_at = @nextAttemptAt, delivered_at = @deliveredAt
+                WHERE id = @id
+            `),
+            pendingDeliveries: this.db.prepare(`
+                SELECT * FROM webhook_deliveries WHERE status = 'pending' ORDER BY next_attempt_at, id
+            `),
+            pruneDeliveries: this.db.prepare(`
+                DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?
+            `)
+        };
+
+        this.scoringProfile = rowToProfile(this.statements.getActiveProfile.get());
+    }
+
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+
+        for (let i = version; i < MIGRATIONS.length; i++) {
+            this.db.transaction(() => {
+                if (typeof MIGRATIONS[i] === 'function') {
+                    MIGRATIONS[i](this.db);
+                } else {
+                    this.db.exec(MIGRATIONS[i]);
+                }
+                this.db.pragma(`user_version = ${i + 1}`);
+            })();
+        }
+    }
+
+    /**
+     * Score and breakdown columns for a record, from the active profile
+     */
+    scoreColumns(record) {
+        const { score, breakdown } = scoreLead(record, this.scoringProfile);
+        return { score, scoreBreakdown: JSON.stringify(breakdown) };
+    }
+
+    /**
+     * Column values for a business record
+     */
+    recordColumns(record, identity) {
+        return {
+            ...this.scoreColumns(record),
+            name: record.name,
+            category: record.category,
+            address: record.address,
+            phone: record.phone,
+            phoneType: record.phoneType ?? null,
+            website: record.website,
+            rating: record.rating,
+            reviewCount: record.reviewCount,
+            claimed: typeof record.claimed === 'boolean' ? Number(record.claimed) : null,
+            searchQuery: record.searchQuery ?? null,
+            googleMapsUrl: record.googleMapsUrl ?? null,
+            latitude: record.coordinates?.lat ?? null,
+            longitude: record.coordinates?.lng ?? null,
+            data: JSON.stringify(record),
+            extractedAt: record.extractedAt ?? null,
+            placeKey: identity.key,
+            cid: identity.cid,
+            placeId: identity.placeId,
+            fallbackKey: identity.fallbackKey
+        };
+    }
+
+    /**
+     * Save a scraped business, merging it into the existing lead for the
+     * same place if there is one. Returns { id, created }.
+     */
+    upsertLead(business, { jobId = null } = {}) {
+        // Reviews go to lead_reviews rather than the record's JSON
+        const { reviews, ...record } = normalizeBusiness(business);
+
+        return this.db.transaction(() => {
+            const identity = derivePlaceIdentity(record);
+            const existing = identity.key ? this.statements.findByIdentity.get(identity) : null;
+            const now = new Date().toISOString();
+            let id;
+            let saved = record;
+
+            if (existing) {
+                const merged = mergeRecords(JSON.parse(existing.data), record);
+                saved = merged;
+                // Keep every identity token either scrape produced
+                const mergedIdentity = {
+                    key: identity.cid || identity.placeId ? identity.key : existing.place_key,
+                    cid: identity.cid ?? existing.cid,
+                    placeId: identity.placeId ?? existing.place_id,
+                    fallbackKey: identity.fallbackKey ?? existing.fallback_key
+                };
+
+                id = existing.id;
+                this.statements.update.run({ ...this.recordColumns(merged, mergedIdentity), id, now });
+            } else {
+                const result = this.statements.insert.run({ ...this.recordColumns(record, identity), jobId, now });
+                id = Number(result.lastInsertRowid);
+            }
+
+            if (record.searchQuery) {
+                this.statements.insertQuery.run(id, record.searchQuery, jobId, now);
+            }
+            writeLeadHours(this.statements, id, saved.openingHours);
+            for (const review of reviews ?? []) {
+                this.statements.upsertReview.run({
+                    ...review,
+                    leadId: id,
+                    edited: review.edited ? 1 : 0,
+                    ownerResponse: review.ownerResponse ? JSON.stringify(review.ownerResponse) : null,
+                    now
+                });
+            }
+
+            return { id, created: !existing };
+        })();
+    }
+
+    upsertLeads(records, options = {}) {
+        return this.db.transaction(() => records.map(record => this.upsertLead(record, options)))();
+    }
+
+    /**
+     * Attach a website enrichment (see website_enricher.js) to a lead. The
+     * best email becomes the lead's `email`. Returns the updated lead.
+     */
+    saveEnrichment(id, enrichment) {
+        const row = this.statements.getById.get(id);
+        if (!row) return null;
+
+        const email = enrichment.emails[0]?.email ?? null;
+        const data = { ...JSON.parse(row.data), email, enrichment };
+
+        this.statements.saveEnrichment.run({
+            ...this.scoreColumns(data),
+            id,
+            data: JSON.stringify(data),
+            email,
+            enrichedAt: enrichment.enrichedAt,
+            now: new Date().toISOString()
+        });
+
+        return this.getLead(id);
+    }
+
+    getLead(id) {
+        const row = this.statements.getById.get(id);
+        if (!row) return null;
+
+        const lead = this.attachCrmSyncs(this.attachQueries([this.rowToLead(row)]))[0];
+        lead.reviews = this.getReviews(id);
+        return lead;
+    }
+
+    /**
+     * A lead's stored reviews, newest first
+     */
+    getReviews(leadId) {
+        return this.statements.getReviews.all(leadId).map(row => ({
+            id: row.review_id,
+            author: row.author,
+            authorUrl: row.author_url,
+            rating: row.rating,
+            relativeDate: row.relative_date,
+            date: row.review_date,
+            datePrecision: row.date_precision,
+            edited: Boolean(row.edited),
+            text: row.text,
+            ownerResponse: row.owner_response ? JSON.parse(row.owner_response) : null,
+            scrapedAt: row.scraped_at
+        }));
+    }
+
+    /**
+     * WHERE and ORDER BY clauses, with their parameters, for lead filters.
+     *
+     * Filters: search (full text over name/address), query (the scrape query),
+     * jobId, category, minRating, maxRating, hasWebsite, hasPhone, hasEmail,
+     * enriched, phoneType (one type or a list), likelyMobile, claimed, minScore, openAt
+     * (minute of the week, Monday 00:00 = 0, compared with every lead's hours
+     * as printed, in no timezone), openOn (day names: open on any of them),
+     * since/until (ISO dates the lead was saved), sort and order.
+     */
+    leadQuery(filters) {
+        const where = [];
+        const params = {};
+
+        if (filters.search) {
+            const ftsQuery = toFtsQuery(filters.search);
+            if (ftsQuery) {
+                where.push('leads.id IN (SELECT rowid FROM leads_fts WHERE leads_fts MATCH @search)');
+                params.search = ftsQuery;
+            }
+        }
+
+        if (filters.query) {
+            where.push('leads.id IN (SELECT lead_id FROM lead_queries WHERE search_query = @query COLLATE NOCASE)');
+            params.query = filters.query;
+        }
+
+        if (filters.jobId) {
+            where.push('leads.id IN (SELECT lead_id FROM lead_queries WHERE job_id = @jobId)');
+            params.jobId = filters.jobId;
+        }
+
+        if (filters.category) {
+            where.push(`category LIKE @category`);
+            params.category = `%${filters.category}%`;
+        }
+
+        if (filters.minRating != null) {
+            where.push('rating >= @minRating');
+            params.minRating = filters.minRating;
+        }
+
+        if (filters.maxRating != null) {
+            where.push('rating <= @maxRating');
+            params.maxRating = filters.maxRating;
+        }
+
+        if (filters.hasWebsite != null) {
+            where.push(filters.hasWebsite ? 'website IS NOT NULL' : 'website IS NULL');
+        }
+
+        if (filters.hasPhone != null) {
+            where.push(filters.hasPhone ? 'phone IS NOT NULL' : 'phone IS NULL');
+        }
+
+        if (filters.hasEmail != null) {
+            where.push(filters.hasEmail ? 'email IS NOT NULL' : 'email IS NULL');
+        }
+
+        if (filters.enriched != null) {
+            where.push(filters.enriched ? 'enriched_at IS NOT NULL' : 'enriched_at IS NULL');
+        }
+
+        const phoneTypes = [filters.phoneType ?? []].flat().filter(Boolean);
+        if (phoneTypes.length > 0) {
+            const names = phoneTypes.map((type, i) => {
+                params[`phoneType${i}`] = type;
+                return `@phoneType${i}`;
+            });
+            where.push(`phone_type IN (${names.join(', ')})`);
+        }
+
+        if (filters.likelyMobile != null) {
+            where.push(filters.likelyMobile ? "phone_type = 'mobile'" : "(phone_type IS NULL OR phone_type != 'mobile')");
+        }
+
+        // Leads scraped before the claim link was read match neither value
+        if (filters.claimed != null) {
+            where.push(filters.claimed ? 'claimed = 1' : 'claimed = 0');
+        }
+
+        if (filters.minScore != null) {
+            where.push('score >= @minScore');
+            params.minScore = filters.minScore;
+        }
+
+        if (filters.openAt != null) {
+            where.push('leads.id IN (SELECT lead_id FROM lead_hours WHERE start_minute <= @openAt AND end_minute > @openAt)');
+            params.openAt = filters.openAt;
+        }
+
+        const openDays = [filters.openOn ?? []].flat().map(day => DAYS.indexOf(day)).filter(index => index >= 0);
+        if (openDays.length > 0) {
+            where.push(`leads.id IN (SELECT lead_id FROM lead_hours WHERE day IN (${openDays.join(', ')}))`);
+        }
+
+        if (filters.since) {
+            where.push('created_at >= @since');
+            params.since = filters.since;
+        }
+
+        if (filters.until) {
+            where.push('created_at <= @until');
+            params.until = filters.until;
+        }
+
+        const sortColumn = SORT_COLUMNS[filters.sort] || SORT_COLUMNS.createdAt;
+        const order = filters.order === 'asc' ? 'ASC' : 'DESC';
+
+        return {
+            whereSql: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '',
+            orderSql: `ORDER BY ${sortColumn} ${order} NULLS LAST, id ${order}`,
+            params
+        };
+    }
+
+    /**
+     * Filter, sort and paginate stored leads (filters as for leadQuery)
+     */
+    queryLeads(filters = {}) {
+        const { whereSql, orderSql, params } = this.leadQuery(filters);
+        const pageSize = Math.min(Math.max(parseInt(filters.pageSize) || 50, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(filters.page) || 1, 1);
+
+        const total = this.db.prepare(`SELECT COUNT(*) AS count FROM leads ${whereSql}`).get(params).count;
+        const rows = this.db.prepare(`
+            SELECT * FROM leads ${whereSql}
+            ${orderSql}
+            LIMIT @limit OFFSET @offset
+        `).all({ ...params, limit: pageSize, offset: (page - 1) * pageSize });
+
+        return {
+            leads: this.attachCrmSyncs(this.attachQueries(rows.map(row => this.rowToLead(row)))),
+            pagination: {
+                page,
+                pageSize,
+                total,
+                totalPages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    /**
+     * Every lead matching the filters, read `batchSize` at a time so large
+     * exports never hold all of them in memory
+     */
+    *iterateLeads(filters = {}, { batchSize = 500 } = {}) {
+        const { whereSql, orderSql, params } = this.leadQuery(filters);
+        const statement = this.db.prepare(`SELECT * FROM leads ${whereSql} ${orderSql} LIMIT @limit OFFSET @offset`);
+
+        for (let offset = 0; ; offset += batchSize) {
+            const rows = statement.all({ ...params, limit: batchSize, offset });
+            yield* this.attachQueries(rows.map(row => this.rowToLead(row)));
+            if (rows.length < batchSize) return;
+        }
+    }
+
+    rowToLead(row) {
+        return {
+            id: row.id,
+            ...JSON.parse(row.data),
+            placeKey: row.place_key,
+            jobId: row.job_id,
+            email: row.email ?? null,
+            enrichedAt: row.enriched_at ?? null,
+            score: row.score,
+            scoreBreakdown: row.score_breakdown ? JSON.parse(row.score_breakdown) : [],
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Add the queries that found each lead as `searchQueries` and `foundBy`
+     */
+    attachQueries(leads) {
+        if (leads.length === 0) return leads;
+
+        const placeholders = leads.map(() => '?').join(', ');
+        const rows = this.db.prepare(`
+            SELECT lead_id, search_query, job_id, found_at FROM lead_queries
+            WHERE lead_id IN (${placeholders})
+            ORDER BY found_at
+        `).all(...leads.map(lead => lead.id));
+
+        for (const lead of leads) {
+            lead.foundBy = rows
+                .filter(row => row.lead_id === lead.id)
+                .map(row => ({ query: row.search_query, jobId: row.job_id, foundAt: row.found_at }));
+            lead.searchQueries = [...new Set(lead.foundBy.map(found => found.query))];
+        }
+
+        return leads;
+    }
+
+    /**
+     * Add each lead's CRM push status per target as `crmSync`:
+     * { 'hubspot:companies': { status, action, remoteId, error, syncedAt } }
+     */
+    attachCrmSyncs(leads) {
+        if (leads.length === 0) return leads;
+
+        const placeholders = leads.map(() => '?').join(', ');
+        const rows = this.db.prepare(`SELECT * FROM crm_syncs WHERE lead_id IN (${placeholders}) ORDER BY target`)
+            .all(...leads.map(lead => lead.id));
+
+        for (const lead of leads) {
+            lead.crmSync = Object.fromEntries(rows
+                .filter(row => row.lead_id === lead.id)
+                .map(row => [row.target, {
+                    status: row.status,
+                    action: row.action,
+                    remoteId: row.remote_id,
+                    error: row.error,
+                    syncedAt: row.synced_at
+                }]));
+        }
+
+        return leads;
+    }
+
+    /**
+     * The saved field mapping of a CRM target ({ mapping, dedupeOn, updatedAt }), or null
+     */
+    getCrmMapping(target) {
+        const row = this.statements.getCrmMapping.get(target);
+        return row ? { mapping: JSON.parse(row.mapping), dedupeOn: row.dedupe_on, updatedAt: row.updated_at } : null;
+    }
+
+    saveCrmMapping(target, { mapping, dedupeOn }) {
+        this.statements.saveCrmMapping.run({ target, mapping: JSON.stringify(mapping), dedupeOn, now: new Date().toISOString() });
+        return this.getCrmMapping(target);
+    }
+
+    /**
+     * Record the outcome of pushing a lead to a CRM target:
+     * { status: 'synced' | 'failed', action: 'created' | 'updated', remoteId, error }
+     */
+    saveCrmSync(leadId, target, { status, action = null, remoteId = null, error = null }) {
+        this.statements.saveCrmSync.run({
+            leadId,
+            target,
+            status,
+            action,
+            remoteId: remoteId === null ? null : String(remoteId),
+            error,
+            now: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Saved scoring profiles, the active one first
+     */
+    listScoringProfiles() {
+        return this.statements.listProfiles.all().map(rowToProfile);
+    }
+
+    getScoringProfile(name) {
+        const row = this.statements.getProfile.get(name);
+        return row ? rowToProfile(row) : null;
+    }
+
+    /**
+     * Create or replace a scoring profile (throws when it is invalid). Saving
+     * the active profile rescores every lead. Returns the saved profile.
+     */
+    saveScoringProfile(profile) {
+        const { name, description, rules } = validateScoringProfile(profile);
+
+        return this.db.transaction(() => {
+            this.statements.saveProfile.run({ name, description, rules: JSON.stringify(rules), now: new Date().toISOString() });
+            const saved = this.getScoringProfile(name);
+
+            if (saved.active) {
+                this.scoringProfile = saved;
+                rescoreAll(this.db, saved);
+            }
+            return saved;
+        })();
+    }
+
+    /**
+     * Make a profile the active one and rescore every lead with it.
+     * Returns { profile, rescored }, or null when there is no such profile.
+     */
+    activateScoringProfile(name) {
+        return this.db.transaction(() => {
+            if (!this.statements.getProfile.get(name)) return null;
+
+            this.statements.setActiveProfile.run(name);
+            this.scoringProfile = this.getScoringProfile(name);
+            return { profile: this.scoringProfile, rescored: rescoreAll(this.db, this.scoringProfile) };
+        })();
+    }
+
+    /**
+     * Delete a profile that is not active. Returns whether it was deleted.
+     */
+    deleteScoringProfile(name) {
+        return this.statements.deleteProfile.run(name).changes > 0;
+    }
+
+    listWebhooks() {
+        return this.statements.listWebhooks.all().map(rowToWebhook);
+    }
+
+    getWebhook(id) {
+        const row = this.statements.getWebhook.get(id);
+        return row ? rowToWebhook(row) : null;
+    }
+
+    /**
+     * A webhook with its signing secret, which the other methods leave out
+     */
+    getWebhookWithSecret(id) {
+        const row = this.statements.getWebhook.get(id);
+        return row ? { ...rowToWebhook(row), secret: row.secret } : null;
+    }
+
+    /**
+     * Active webhooks subscribed to an event, with their secrets
+     */
+    webhooksForEvent(event) {
+        return this.statements.listWebhooks.all()
+            .filter(row => row.active && JSON.parse(row.events).includes(event))
+            .map(row => ({ ...rowToWebhook(row), secret: row.secret }));
+    }
+
+    /**
+     * Save a webhook checked by parseWebhook (see webhooks.js)
+     */
+    createWebhook({ url, events, secret, description = null, active = true }) {
+        const { lastInsertRowid } = this.statements.insertWebhook.run({
+            url,
+            events: JSON.stringify(events),
+            secret,
+            description,
+            active: active ? 1 : 0,
+            now: new Date().toISOString()
+        });
+        return this.getWebhook(Number(lastInsertRowid));
+    }
+
+    /**
+     * Change some of a webhook's settings. Returns the webhook, or null
+     * when there is no such webhook.
+     */
+    updateWebhook(id, changes) {
+        const current = this.getWebhookWithSecret(id);
+        if (!current) return null;
+
+        const next = { ...current, ...changes };
+        this.statements.updateWebhook.run({
+            id,
+            url: next.url,
+            events: JSON.stringify(next.events),
+            secret: next.secret,
+            description: next.description,
+            active: next.active ? 1 : 0,
+            now: new Date().toISOString()
+        });
+        return this.getWebhook(id);
+    }
+
+    /**
+     * Delete a webhook and its delivery log. Returns whether it existed.
+     */
+    deleteWebhook(id) {
+        return this.statements.deleteWebhook.run(id).changes > 0;
+    }
+
+    /**
+     * Queue a delivery, due now. Returns it with its payload.
+     */
+    createWebhookDelivery({ webhookId, event, eventId, payload, redeliveryOf = null }) {
+        const { lastInsertRowid } = this.statements.insertDelivery.run({
+            webhookId,
+            event,
+            eventId,
+            payload,
+            redeliveryOf,
+            now: new Date().toISOString()
+        });
+        return this.getWebhookDelivery(Number(lastInsertRowid));
+    }
+
+    /**
+     * A delivery with its payload (the exact JSON body sent), or null
+     */
+    getWebhookDelivery(id) {
+        const row = this.statements.getDelivery.get(id);
+        return row ? { ...rowToDelivery(row), payload: row.payload } : null;
+    }
+
+    /**
+     * A webhook's deliveries, newest first, without payloads
+     */
+    listWebhookDeliveries(webhookId, { status, limit = 50 } = {}) {
+        const statusSql = status ? 'AND status = @status' : '';
+        return this.db.prepare(`
+            SELECT * FROM webhook_deliveries WHERE webhook_id = @webhookId ${statusSql} ORDER BY id DESC LIMIT @limit
+        `).all({ webhookId, status, limit }).map(rowToDelivery);
+    }
+
+    /**
+     * Record a delivery attempt: { status: 'pending' | 'succeeded' | 'failed',
+     * responseStatus, error, nextAttemptAt } - pending ones are retried at nextAttemptAt
+     */
+    saveWebhookAttempt(id, { status, responseStatus = null, error = null, nextAttemptAt = null }) {
+        this.statements.saveDeliveryAttempt.run({
+            id,
+            status,
+            responseStatus,
+            error,
+            nextAttemptAt,
+            deliveredAt: status === 'succeeded' ? new Date().toISOString() : null
+        });
+        return this.getWebhookDelivery(id);
+    }
+
+    /**
+     * Deliveries still to be attempted, soonest first, with payloads
+     */
+    pendingWebhookDeliveries() {
+        return this.statements.pendingDeliveries.all().map(row => ({ ...rowToDelivery(row), payload: row.payload }));
+    }
+
+    /**
+     * Delete finished deliveries created before a date. Returns how many.
+     */
+    pruneWebhookDeliveries(before) {
+        return this.statements.pruneDeliveries.run(before.toISOString()).changes;
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+export { LeadStore, SORT_COLUMNS };
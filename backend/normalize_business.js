@@ -0,0 +1,222 @@
+/**
+ * 🧹 BUSINESS RECORD NORMALIZATION
+ *
+ * Turns the raw text pulled off a Google Maps place page into a typed
+ * record. Every API response, export and stored lead uses this shape.
+ *
+ * Features:
+ * - null for missing values (legacy 'Not Found' strings included)
+ * - Numeric rating and integer review count ("1.2K" → 1200)
+ * - E.164 phone number, keeping the displayed value as `phoneRaw`, with its
+ *   line type and a wa.me link (country inferred from the address)
+ * - Website with Google redirect wrappers and UTM parameters removed
+ * - Price level as 1-4, keeping the displayed value as `priceText`
+ * - Weekly `openingHours` schedule from the hours table or text
+ * - Place ID and CID from the Maps URL, plus code, parent place ("located
+ *   in"), photo count and claimed status
+ * - About attributes and service options (see place_attributes.js)
+ * - `reviews`, when the place's reviews were scraped, with relative dates
+ *   read against the extraction time
+ *
+ * Normalizing an already normalized record returns the same record.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import { analyzePhone, inferCountry } from './phone_numbers.js';
+import { normalizeOpeningHours } from './opening_hours.js';
+import { normalizeReviews } from './reviews.js';
+import { normalizeAttributes, serviceOptionsOf, stripLabel } from './place_attributes.js';
+import { parsePlaceUrl } from './place_identity.js';
+
+const MISSING_VALUES = new Set(['', 'not found', 'n/a', 'null', 'undefined']);
+
+const PRICE_WORDS = {
+    inexpensive: 1,
+    cheap: 1,
+    moderate: 2,
+    moderately: 2,
+    expensive: 3,
+    'very expensive': 4
+};
+
+/**
+ * Trimmed text, or null when the value is missing
+ */
+const cleanText = (value) => {
+    if (value === null || value === undefined) return null;
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return MISSING_VALUES.has(text.toLowerCase()) ? null : text;
+};
+
+/**
+ * "4.5", "4,5" or 4.5 → 4.5; anything outside 0-5 → null
+ */
+const normalizeRating = (value) => {
+    const text = cleanText(value);
+    if (text === null) return null;
+
+    const match = text.replace(',', '.').match(/\d+(?:\.\d+)?/);
+    const rating = match ? parseFloat(match[0]) : NaN;
+    return Number.isFinite(rating) && rating >= 0 && rating <= 5 ? rating : null;
+};
+
+/**
+ * "(1,234)", "1.234 reviews", "1.2K" or 1234 → 1234
+ */
+const normalizeReviewCount = (value) => {
+    if (typeof value === 'number') return Number.isInteger(value) && value >= 0 ? value : null;
+
+    const text = cleanText(value);
+    if (text === null) return null;
+
+    const abbreviated = text.match(/(\d+(?:[.,]\d+)?)\s*([KM])\b/i);
+    if (abbreviated) {
+        const multiplier = abbreviated[2].toUpperCase() === 'K' ? 1e3 : 1e6;
+        return Math.round(parseFloat(abbreviated[1].replace(',', '.')) * multiplier);
+    }
+
+    const digits = text.match(/\d[\d.,\s]*/);
+    if (!digits) return null;
+    const count = parseInt(digits[0].replace(/[^\d]/g, ''), 10);
+    return Number.isFinite(count) ? count : null;
+};
+
+/**
+ * "(305) 555-0123" → "+13055550123"; numbers without a country code are
+ * read as `defaultCountry`, unparseable ones give null
+ */
+const normalizePhone = (value, defaultCountry) => {
+    const text = cleanText(value);
+    if (text === null) return null;
+
+    return analyzePhone(text, { country: defaultCountry }).phone;
+};
+
+/**
+ * Unwrap google.com/url?q=… redirects and drop utm_* tracking parameters
+ */
+const normalizeWebsite = (value) => {
+    const text = cleanText(value);
+    if (text === null) return null;
+
+    // Relative Google redirects ("/url?q=...") come straight from Maps hrefs;
+    // anything else with a scheme ("mailto:", but not "host:8080") is kept as is
+    let url;
+    try {
+        if (text.startsWith('/url?')) {
+            url = new URL(text, 'https://www.google.com');
+        } else {
+            url = new URL(/^[a-z][a-z\d+.-]*:(?!\d)/i.test(text) ? text : `https://${text}`);
+        }
+    } catch (error) {
+        return null;
+    }
+
+    if (/(^|\.)google\.[a-z.]+$/i.test(url.hostname) && url.pathname === '/url') {
+        const target = url.searchParams.get('q') || url.searchParams.get('url');
+        return target ? normalizeWebsite(target) : null;
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+
+    for (const key of [...url.searchParams.keys()]) {
+        if (/^utm_/i.test(key)) url.searchParams.delete(key);
+    }
+
+    return url.toString();
+};
+
+/**
+ * "$$", "€€€", "Price: Moderate" or 2 → 2
+ */
+const normalizePriceLevel = (value) => {
+    if (typeof value === 'number') return Number.isInteger(value) && value >= 1 && value <= 4 ? value : null;
+
+    const text = cleanText(value);
+    if (text === null) return null;
+
+    // A run of currency symbols; "$10–20" style ranges have no level
+    const symbols = text.match(/^([$€£¥₩₹₺₽])\1{0,3}(?!\d)/);
+    if (symbols) return symbols[0].length;
+
+    const lower = text.toLowerCase();
+    const word = Object.keys(PRICE_WORDS)
+        .sort((a, b) => b.length - a.length)
+        .find(candidate => lower.includes(candidate));
+    return word ? PRICE_WORDS[word] : null;
+};
+
+const normalizeCoordinates = (value) => {
+    const lat = Number(value?.lat);
+    const lng = Number(value?.lng);
+    return value && Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+/**
+ * Normalize one scraped business record. Fields this module does not know
+ * about are kept, with missing-value strings turned into null.
+ */
+const normalizeBusiness = (raw, options = {}) => {
+    const defaultCountry = options.defaultCountry ?? 'US';
+    const coordinates = normalizeCoordinates(raw.coordinates);
+    const address = cleanText(raw.address);
+    const phoneRaw = cleanText(raw.phoneRaw ?? raw.phone);
+    const phone = analyzePhone(cleanText(raw.phone), {
+        country: inferCountry({ address, coordinates }) ?? defaultCountry
+    });
+    const record = {};
+
+    for (const [key, value] of Object.entries(raw ?? {})) {
+        record[key] = typeof value === 'string' ? cleanText(value) : value;
+    }
+
+    const placeTokens = parsePlaceUrl(raw.googleMapsUrl);
+    const attributes = normalizeAttributes(raw.attributes);
+    const extractedAt = raw.extractedAt ? new Date(raw.extractedAt) : null;
+    const reviewsNow = extractedAt && !Number.isNaN(extractedAt.getTime()) ? extractedAt : new Date();
+
+    const priceText = cleanText(raw.priceText ?? (typeof raw.priceLevel === 'string' ? raw.priceLevel : null));
+
+    return {
+        ...record,
+        name: cleanText(raw.name),
+        category: cleanText(raw.category),
+        address,
+        website: normalizeWebsite(raw.website),
+        phone: phone?.phone ?? null,
+        phoneRaw,
+        phoneType: phone?.valid ? phone.type : null,
+        phoneCountry: phone?.country ?? null,
+        whatsappUrl: phone?.whatsappUrl ?? null,
+        rating: normalizeRating(raw.rating),
+        reviewCount: normalizeReviewCount(raw.reviewCount),
+        hours: cleanText(raw.hours),
+        openingHours: normalizeOpeningHours(raw.openingHours ?? cleanText(raw.hours)),
+        priceLevel: normalizePriceLevel(raw.priceLevel ?? priceText),
+        priceText,
+        coordinates,
+        cid: placeTokens.cid ?? cleanText(raw.cid),
+        placeId: placeTokens.placeId ?? cleanText(raw.placeId),
+        plusCode: stripLabel(raw.plusCode),
+        locatedIn: stripLabel(raw.locatedIn),
+        // false when the page offers "Claim this business"
+        claimed: typeof raw.claimed === 'boolean' ? raw.claimed : null,
+        // "1,234 photos" parses like a review count
+        photoCount: normalizeReviewCount(raw.photoCount),
+        attributes,
+        serviceOptions: serviceOptionsOf(attributes),
+        ...(Array.isArray(raw.reviews) && { reviews: normalizeReviews(raw.reviews, { now: reviewsNow }) })
+    };
+};
+
+export {
+    normalizeBusiness,
+    normalizeRating,
+    normalizeReviewCount,
+    normalizePhone,
+    normalizeWebsite,
+    normalizePriceLevel,
+    cleanText
+};
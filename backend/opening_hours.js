@@ -0,0 +1,296 @@
+/**
+ * 🕘 OPENING HOURS
+ *
+ * Turns the opening hours shown on a Google Maps place page into a weekly
+ * schedule that can be filtered on.
+ *
+ * Features:
+ * - Reads the expanded hours table ([day, hours] rows) or the hours
+ *   aria-label ("Monday, 9 AM to 5 PM; Tuesday, ...")
+ * - Several intervals per day, overnight spans, "Open 24 hours", "Closed"
+ *   and holiday notes ("Labor Day", "Hours might differ")
+ * - Minute-of-week intervals for the lead store, and "open at" checks
+ *
+ * A schedule maps each day that was read to
+ * { status: 'open' | 'closed' | 'open-24-hours', intervals: [{ open, close }] }
+ * with 24-hour "HH:MM" times, plus `holiday` and `note` when Google shows
+ * them. A close earlier than the open means the interval runs past midnight.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+const DAY_ALIASES = {
+    mon: 'monday', tue: 'tuesday', tues: 'tuesday', wed: 'wednesday', thu: 'thursday',
+    thur: 'thursday', thurs: 'thursday', fri: 'friday', sat: 'saturday', sun: 'sunday'
+};
+
+// Longest names first so "Sunday" is not read as "Sun"
+const DAY_NAMES = [...DAYS, ...Object.keys(DAY_ALIASES).sort((a, b) => b.length - a.length)].join('|');
+const DAY_NAME = new RegExp(`\\b(${DAY_NAMES})\\b`, 'gi');
+// The day at the start of a table row's day cell: "Monday", "Monday (Labor Day)", "MondayLabor Day"
+const DAY_LABEL = new RegExp(`^\\s*(${DAY_NAMES})`, 'i');
+
+// "9", "9:30", "9 AM", "9:30 p.m.", "18:00"
+const TIME = String.raw`(\d{1,2})(?:[:.](\d{2}))?(?:\s*([ap])\.?\s?m\.?)?`;
+const INTERVAL = new RegExp(`${TIME}\\s*(?:–|—|-|to)\\s*${TIME}`, 'gi');
+
+const STATUSES = new Set(['open', 'closed', 'open-24-hours']);
+const CLOCK = /^(?:[01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const toDay = (name) => {
+    const key = String(name ?? '').trim().toLowerCase();
+    return DAYS.includes(key) ? key : DAY_ALIASES[key] ?? null;
+};
+
+const formatClock = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const parseClock = (clock) => {
+    const [hours, minutes] = clock.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const clockMinutes = (hour, minute, meridiem) => {
+    const h = Number(hour);
+    const m = Number(minute ?? 0);
+    if (m > 59) return null;
+    if (!meridiem) return h <= 24 ? h * 60 + m : null;
+    if (h < 1 || h > 12) return null;
+    return (h % 12 + (meridiem.toLowerCase() === 'p' ? 12 : 0)) * 60 + m;
+};
+
+/**
+ * Intervals in one day's hours text, e.g. "8:30 AM–12 PM, 1–5 PM". An
+ * opening time without AM/PM takes the closing time's, unless that would
+ * put it after the close ("11–2 PM" opens at 11 AM).
+ */
+const parseIntervals = (text) => {
+    const intervals = [];
+
+    for (const match of text.matchAll(INTERVAL)) {
+        const [, openHour, openMinute, openMeridiem, closeHour, closeMinute, closeMeridiem] = match;
+        let close = clockMinutes(closeHour, closeMinute, closeMeridiem);
+        let open = clockMinutes(openHour, openMinute, openMeridiem ?? closeMeridiem);
+
+        if (!openMeridiem && closeMeridiem && open !== null && close !== null && open > close) {
+            open = clockMinutes(openHour, openMinute, closeMeridiem.toLowerCase() === 'p' ? 'a' : 'p');
+        }
+        if (open === null || close === null || open >= MINUTES_PER_DAY) continue;
+
+        // Closing at midnight ends the day rather than starting it
+        if (close === 0 && open > 0) close = MINUTES_PER_DAY;
+        if (close === open) continue;
+
+        intervals.push({ open: formatClock(open), close: formatClock(close) });
+    }
+
+    return intervals;
+};
+
+/**
+ * One day's entry from its hours text ("9 AM–5 PM", "Closed", "Open 24 hours").
+ * A holiday is read from parentheses in the text unless the table row gave one.
+ */
+const parseDay = (text, rowHoliday = null) => {
+    let hoursText = String(text ?? '');
+    const holiday = rowHoliday || hoursText.match(/\(([^)]+)\)/)?.[1].trim() || null;
+    hoursText = hoursText.replace(/\([^)]*\)/g, ' ');
+
+    const note = hoursText.match(/hours might differ/i)?.[0] ?? null;
+    const entry = /open 24 hours/i.test(hoursText)
+        ? { status: 'open-24-hours', intervals: [{ open: '00:00', close: '24:00' }] }
+        : { status: 'open', intervals: parseIntervals(hoursText) };
+
+    if (entry.intervals.length === 0) {
+        if (!/closed/i.test(hoursText)) return null;
+        entry.status = 'closed';
+    }
+    if (holiday) entry.holiday = holiday;
+    if (note) entry.note = note.charAt(0).toUpperCase() + note.slice(1).toLowerCase();
+
+    return entry;
+};
+
+/**
+ * Split hours text on the day names in it ("Monday, 9 AM to 5 PM; Tuesday, ...").
+ * Day names inside parentheses belong to holidays ("(Good Friday)").
+ */
+const splitByDay = (text) => {
+    const starts = [];
+    let depth = 0;
+    let scanned = 0;
+
+    for (const match of text.matchAll(DAY_NAME)) {
+        for (; scanned < match.index; scanned++) {
+            if (text[scanned] === '(') depth++;
+            if (text[scanned] === ')') depth = Math.max(0, depth - 1);
+        }
+        if (depth === 0) starts.push({ day: toDay(match[1]), index: match.index, length: match[0].length });
+    }
+
+    return starts.map((start, i) => {
+        const end = starts[i + 1]?.index ?? text.length;
+        const segment = text.slice(start.index + start.length, end)
+            .replace(/(hide|show) open hours.*$/i, '')
+            .replace(/copy open hours.*$/i, '');
+        return { day: start.day, hours: segment };
+    });
+};
+
+/**
+ * Day and holiday from a table row's day cell; whatever follows the day
+ * name is the holiday
+ */
+const readDayLabel = (label) => {
+    const text = String(label ?? '');
+    const match = text.match(DAY_LABEL);
+    if (!match) return { day: null, holiday: null };
+
+    const holiday = text.slice(match[0].length).replace(/[()]/g, ' ').replace(/\s+/g, ' ').trim();
+    return { day: toDay(match[1]), holiday: holiday || null };
+};
+
+const orderDays = (schedule) => Object.fromEntries(DAYS.filter(day => schedule[day]).map(day => [day, schedule[day]]));
+
+/**
+ * Weekly schedule from [day, hours] rows or an hours text. Returns null
+ * when no day could be read.
+ */
+const parseOpeningHours = (source) => {
+    const rows = Array.isArray(source)
+        ? source.map(([label, hours]) => ({ ...readDayLabel(label), hours }))
+        : typeof source === 'string' ? splitByDay(source) : [];
+
+    const schedule = {};
+    for (const { day, hours, holiday } of rows) {
+        if (!day || schedule[day]) continue;
+        const entry = parseDay(hours, holiday);
+        if (entry) schedule[day] = entry;
+    }
+
+    return Object.keys(schedule).length > 0 ? orderDays(schedule) : null;
+};
+
+/**
+ * A schedule as stored, or a new one parsed from rows or text. Invalid
+ * entries in a stored schedule are dropped.
+ */
+const normalizeOpeningHours = (value) => {
+    if (value === null || value === undefined) return null;
+    if (Array.isArray(value) || typeof value === 'string') return parseOpeningHours(value);
+    if (typeof value !== 'object') return null;
+
+    const schedule = {};
+    for (const day of DAYS) {
+        const entry = value[day];
+        if (!entry || !STATUSES.has(entry.status) || !Array.isArray(entry.intervals)) continue;
+
+        const intervals = entry.intervals.filter(interval => CLOCK.test(interval?.open) && CLOCK.test(interval?.close));
+        schedule[day] = {
+            ...entry,
+            intervals: intervals.map(({ open, close }) => ({ open, close }))
+        };
+    }
+
+    return Object.keys(schedule).length > 0 ? schedule : null;
+};
+
+/**
+ * Minute-of-week intervals (Monday 00:00 = 0) for each open interval, as
+ * { day, start, end }. Overnight intervals end on the next day; Sunday
+ * night spans are split at the end of the week.
+ */
+const weeklyIntervals = (schedule) => {
+    const intervals = [];
+
+    DAYS.forEach((day, dayIndex) => {
+        for (const { open, close } of schedule?.[day]?.intervals ?? []) {
+            const start = dayIndex * MINUTES_PER_DAY + parseClock(open);
+            const closeMinutes = parseClock(close);
+            const end = dayIndex * MINUTES_PER_DAY + closeMinutes + (closeMinutes <= parseClock(open) ? MINUTES_PER_DAY : 0);
+
+            if (end > MINUTES_PER_WEEK) {
+                intervals.push({ day, start, end: MINUTES_PER_WEEK });
+                intervals.push({ day, start: 0, end: end - MINUTES_PER_WEEK });
+            } else {
+                intervals.push({ day, start, end });
+            }
+        }
+    });
+
+    return intervals;
+};
+
+/**
+ * "tuesday 08:00", "Tue 8am", "sat 9:30 PM" → minute of the week, or null
+ */
+const parseWeekTime = (text) => {
+    const match = String(text ?? '').trim().match(new RegExp(`^([a-z]+)\\.?,?\\s+${TIME}$`, 'i'));
+    const day = match && toDay(match[1]);
+    if (!day) return null;
+
+    const minutes = clockMinutes(match[2], match[3], match[4]);
+    if (minutes === null || minutes >= MINUTES_PER_DAY) return null;
+    return DAYS.indexOf(day) * MINUTES_PER_DAY + minutes;
+};
+
+/**
+ * "saturday,sunday", "sat, sun", "weekend" or "weekdays" → day names, or
+ * null when any entry is not a day
+ */
+const parseDayList = (text) => {
+    const days = new Set();
+
+    for (const entry of String(text ?? '').split(',').map(part => part.trim().toLowerCase()).filter(Boolean)) {
+        if (entry === 'weekend' || entry === 'weekends') {
+            days.add('saturday').add('sunday');
+        } else if (entry === 'weekday' || entry === 'weekdays') {
+            DAYS.slice(0, 5).forEach(day => days.add(day));
+        } else if (toDay(entry)) {
+            days.add(toDay(entry));
+        } else {
+            return null;
+        }
+    }
+
+    return days.size > 0 ? DAYS.filter(day => days.has(day)) : null;
+};
+
+/**
+ * The current minute of the week in an IANA time zone (throws a
+ * RangeError for unknown zones)
+ */
+const weekMinuteNow = (timeZone, now = new Date()) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'long',
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(now).map(({ type, value }) => [type, value]));
+
+    return DAYS.indexOf(parts.weekday.toLowerCase()) * MINUTES_PER_DAY + Number(parts.hour) * 60 + Number(parts.minute);
+};
+
+/**
+ * Whether a schedule is open at a minute of the week
+ */
+const isOpenAt = (schedule, weekMinute) =>
+    weeklyIntervals(schedule).some(({ start, end }) => start <= weekMinute && weekMinute < end);
+
+export {
+    parseOpeningHours,
+    normalizeOpeningHours,
+    weeklyIntervals,
+    parseWeekTime,
+    parseDayList,
+    weekMinuteNow,
+    isOpenAt,
+    DAYS
+};
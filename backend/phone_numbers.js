@@ -0,0 +1,176 @@
+/**
+ * 📞 PHONE NUMBERS
+ *
+ * Parses, validates and classifies business phone numbers for outreach.
+ *
+ * Features:
+ * - Country inference from the business address or map coordinates, for
+ *   numbers listed without a country code
+ * - Validation and line type (mobile / landline / toll-free ...) from the
+ *   full libphonenumber metadata
+ * - E.164, national and international formats, and wa.me click-to-chat links
+ *
+ * Numbering plans such as the US and Canada do not separate mobile from
+ * landline numbers; those are typed 'fixed-or-mobile'.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+
+// libphonenumber type → our line type
+const LINE_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'landline',
+    FIXED_LINE_OR_MOBILE: 'fixed-or-mobile',
+    TOLL_FREE: 'toll-free',
+    PREMIUM_RATE: 'premium-rate',
+    SHARED_COST: 'shared-cost',
+    VOIP: 'voip',
+    PERSONAL_NUMBER: 'personal',
+    PAGER: 'pager',
+    UAN: 'uan',
+    VOICEMAIL: 'voicemail'
+};
+
+const PHONE_TYPES = [...Object.values(LINE_TYPES), 'unknown'];
+
+// Service numbers nobody can chat with on WhatsApp
+const NO_WHATSAPP_TYPES = new Set(['toll-free', 'premium-rate', 'shared-cost', 'pager', 'uan', 'voicemail']);
+
+// Country names as they end a Google Maps address, lower case
+const COUNTRY_NAMES = {
+    'united states': 'US', 'usa': 'US', 'united states of america': 'US',
+    'canada': 'CA', 'mexico': 'MX', 'méxico': 'MX', 'brazil': 'BR', 'brasil': 'BR',
+    'argentina': 'AR', 'chile': 'CL', 'colombia': 'CO', 'peru': 'PE', 'perú': 'PE',
+    'united kingdom': 'GB', 'uk': 'GB', 'ireland': 'IE', 'france': 'FR', 'germany': 'DE',
+    'deutschland': 'DE', 'austria': 'AT', 'österreich': 'AT', 'switzerland': 'CH', 'schweiz': 'CH',
+    'suisse': 'CH', 'netherlands': 'NL', 'nederland': 'NL', 'belgium': 'BE', 'belgië': 'BE',
+    'belgique': 'BE', 'spain': 'ES', 'españa': 'ES', 'portugal': 'PT', 'italy': 'IT', 'italia': 'IT',
+    'poland': 'PL', 'polska': 'PL', 'sweden': 'SE', 'sverige': 'SE', 'norway': 'NO', 'norge': 'NO',
+    'denmark': 'DK', 'danmark': 'DK', 'finland': 'FI', 'greece': 'GR', 'turkey': 'TR', 'türkiye': 'TR',
+    'australia': 'AU', 'new zealand': 'NZ', 'india': 'IN', 'pakistan': 'PK', 'bangladesh': 'BD',
+    'united arab emirates': 'AE', 'uae': 'AE', 'saudi arabia': 'SA', 'israel': 'IL', 'egypt': 'EG',
+    'south africa': 'ZA', 'nigeria': 'NG', 'kenya': 'KE', 'singapore': 'SG', 'malaysia': 'MY',
+    'indonesia': 'ID', 'philippines': 'PH', 'thailand': 'TH', 'vietnam': 'VN', 'japan': 'JP',
+    'south korea': 'KR', 'china': 'CN', 'hong kong': 'HK', 'taiwan': 'TW'
+};
+
+const US_STATES = new Set(('AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH NJ ' +
+    'NM NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY PR').split(' '));
+const CA_PROVINCES = new Set('AB BC MB NB NL NS NT NU ON PE QC SK YT'.split(' '));
+const AU_STATES = new Set('NSW VIC QLD WA SA TAS ACT NT'.split(' '));
+
+// Rough bounding boxes [country, south, north, west, east]; smaller
+// countries first so they win where boxes overlap
+const COUNTRY_BOUNDS = [
+    ['SG', 1.15, 1.48, 103.6, 104.1],
+    ['HK', 22.15, 22.57, 113.8, 114.45],
+    ['NL', 50.75, 53.6, 3.3, 7.25],
+    ['BE', 49.5, 51.5, 2.5, 6.4],
+    ['CH', 45.8, 47.8, 5.95, 10.5],
+    ['AT', 46.35, 49.05, 9.5, 17.2],
+    ['IE', 51.4, 55.45, -10.7, -6.0],
+    ['PT', 36.9, 42.2, -9.6, -6.2],
+    ['GB', 49.85, 60.9, -8.2, 1.8],
+    ['DE', 47.25, 55.1, 5.85, 15.05],
+    ['IT', 36.6, 47.1, 6.6, 18.55],
+    ['ES', 36.0, 43.8, -9.3, 3.35],
+    ['FR', 42.3, 51.1, -4.8, 8.25],
+    ['AE', 22.6, 26.1, 51.5, 56.4],
+    ['IL', 29.45, 33.35, 34.25, 35.9],
+    ['NZ', -47.3, -34.4, 166.4, 178.6],
+    ['AU', -43.7, -10.6, 113.1, 153.7],
+    ['ZA', -34.9, -22.1, 16.4, 32.9],
+    ['MX', 14.5, 32.7, -118.4, -86.7],
+    ['US', 24.4, 49.0, -125.0, -66.9],
+    ['CA', 41.7, 70.0, -141.0, -52.6],
+    ['BR', -33.8, 5.3, -74.0, -34.8],
+    ['IN', 6.7, 35.5, 68.1, 97.4]
+];
+
+/**
+ * Best guess at the country a business is in, as an ISO 3166 code, from
+ * its address (country name or postcode style) or coordinates
+ */
+const inferCountry = ({ address, coordinates } = {}) => {
+    if (typeof address === 'string' && address.trim()) {
+        const parts = address.split(',').map(part => part.trim()).filter(Boolean);
+        const named = COUNTRY_NAMES[parts.at(-1)?.toLowerCase()];
+        if (named) return named;
+
+        // "Miami, FL 33131", "Toronto, ON M5V 3L9", "Sydney NSW 2000", "London SW1A 2AA"
+        const tail = parts.at(-1) ?? '';
+        const usMatch = tail.match(/\b([A-Z]{2}) \d{5}(?:-\d{4})?$/);
+        if (usMatch && US_STATES.has(usMatch[1])) return 'US';
+        const caMatch = tail.match(/\b([A-Z]{2}) [A-Z]\d[A-Z] ?\d[A-Z]\d$/);
+        if (caMatch && CA_PROVINCES.has(caMatch[1])) return 'CA';
+        const auMatch = tail.match(/\b([A-Z]{2,3}) \d{4}$/);
+        if (auMatch && AU_STATES.has(auMatch[1])) return 'AU';
+        if (/\b[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/.test(tail)) return 'GB';
+    }
+
+    const lat = coordinates?.lat;
+    const lng = coordinates?.lng;
+    if (typeof lat === 'number' && typeof lng === 'number') {
+        const match = COUNTRY_BOUNDS.find(([, south, north, west, east]) =>
+            lat >= south && lat <= north && lng >= west && lng <= east);
+        if (match) return match[0];
+    }
+
+    return null;
+};
+
+const invalidPhone = (phoneRaw, country = null) => ({
+    phone: null,
+    phoneRaw,
+    valid: false,
+    type: 'unknown',
+    country,
+    nationalFormat: null,
+    internationalFormat: null,
+    whatsappUrl: null,
+    likelyMobile: false
+});
+
+/**
+ * Parse and classify a phone number. Numbers without a country code are
+ * read as `country`. Returns null for empty input; otherwise
+ * { phone, phoneRaw, valid, type, country, nationalFormat,
+ *   internationalFormat, whatsappUrl, likelyMobile }.
+ */
+const analyzePhone = (value, { country = 'US' } = {}) => {
+    if (value === null || value === undefined) return null;
+    const phoneRaw = String(value).trim();
+    if (!phoneRaw) return null;
+
+    const parsed = parsePhoneNumberFromString(phoneRaw, country);
+    const valid = Boolean(parsed && parsed.isValid());
+
+    if (!valid) return invalidPhone(phoneRaw, parsed?.country ?? null);
+
+    const type = LINE_TYPES[parsed.getType()] ?? 'unknown';
+
+    return {
+        phone: parsed.number,
+        phoneRaw,
+        valid: true,
+        type,
+        country: parsed.country ?? null,
+        nationalFormat: parsed.formatNational(),
+        internationalFormat: parsed.formatInternational(),
+        whatsappUrl: NO_WHATSAPP_TYPES.has(type) ? null : `https://wa.me/${parsed.number.slice(1)}`,
+        likelyMobile: type === 'mobile'
+    };
+};
+
+/**
+ * Analyze a list of phone numbers. Returns one result per input, in the
+ * same order; blank entries come back as invalid.
+ */
+const analyzePhones = (values, options = {}) => values.map(value =>
+    analyzePhone(value, options) ?? invalidPhone(value === null || value === undefined ? '' : String(value).trim())
+);
+
+export { analyzePhone, analyzePhones, inferCountry, PHONE_TYPES };
@@ -0,0 +1,106 @@
+/**
+ * 🏷️ PLACE ATTRIBUTES
+ *
+ * Normalizes the extra place details shown on a Google Maps place page:
+ * the About tab's attributes, the plus code, the parent place and the
+ * photo count.
+ *
+ * Features:
+ * - About attributes grouped by section ("Accessibility", "Service options",
+ *   "From the business"), each true or false ("No delivery" → false)
+ * - Available service options as slugs: ['dine-in', 'takeout', 'delivery']
+ * - Labels such as "Plus code: " and "Located in: " removed
+ *
+ * Attributes are stored as { [section]: { [attribute]: boolean } } with
+ * the names Google shows. Normalizing stored attributes returns them
+ * unchanged.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+// An item's aria-label starts like this when the place lacks the attribute
+const UNAVAILABLE_PREFIX = /^(no|not|doesn't|does not|don't|isn't|is not)\b/i;
+
+const SERVICE_OPTIONS_SECTION = /^service options$/i;
+
+const cleanText = (value) => {
+    if (value === null || value === undefined) return null;
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text || null;
+};
+
+/**
+ * "Curbside pickup" → "curbside-pickup"
+ */
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9+]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Text after a "Label: " prefix ("Plus code: QQGJ+2H Miami, Florida"),
+ * or the text itself when it has none
+ */
+const stripLabel = (value) => {
+    const text = cleanText(value);
+    return text ? cleanText(text.replace(/^[^:]{1,40}:\s*/, '')) : null;
+};
+
+/**
+ * One About item: its name and whether the place has it. The aria-label
+ * ("Has wheelchair accessible entrance", "No delivery") decides; the
+ * visible text is the name.
+ */
+const parseAttribute = ({ name, label } = {}) => {
+    const text = cleanText(name) ?? cleanText(label);
+    if (!text) return null;
+
+    return {
+        name: text,
+        available: !UNAVAILABLE_PREFIX.test(cleanText(label) ?? text)
+    };
+};
+
+/**
+ * Attributes from the About tab, as scraped ([{ title, items: [{ name,
+ * label }] }]) or as stored. Returns null when there are none.
+ */
+const normalizeAttributes = (value) => {
+    if (!value || typeof value !== 'object') return null;
+    const attributes = {};
+
+    if (Array.isArray(value)) {
+        for (const section of value) {
+            const title = cleanText(section?.title);
+            if (!title || !Array.isArray(section.items)) continue;
+
+            for (const attribute of section.items.map(parseAttribute).filter(Boolean)) {
+                attributes[title] = { ...attributes[title], [attribute.name]: attribute.available };
+            }
+        }
+    } else {
+        for (const [title, items] of Object.entries(value)) {
+            if (!items || typeof items !== 'object') continue;
+            const kept = Object.entries(items).filter(([, available]) => typeof available === 'boolean');
+            if (kept.length > 0) attributes[title] = Object.fromEntries(kept);
+        }
+    }
+
+    return Object.keys(attributes).length > 0 ? attributes : null;
+};
+
+/**
+ * Slugs of the service options a place offers, from normalized attributes
+ */
+const serviceOptionsOf = (attributes) => {
+    const [, options] = Object.entries(attributes ?? {}).find(([title]) => SERVICE_OPTIONS_SECTION.test(title)) ?? [];
+    if (!options) return null;
+
+    return Object.entries(options).filter(([, available]) => available).map(([name]) => slugify(name));
+};
+
+export {
+    normalizeAttributes,
+    serviceOptionsOf,
+    parseAttribute,
+    stripLabel,
+    slugify
+};
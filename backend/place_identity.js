@@ -0,0 +1,109 @@
+/**
+ * 🆔 PLACE IDENTITY
+ *
+ * Derives a stable identity for a Google Maps place so the same business
+ * found by overlapping queries ("dentists in Miami", "dentist Miami Beach")
+ * is stored once.
+ *
+ * Sources, strongest first:
+ * - CID: the customer ID, from `?cid=` or the second half of the
+ *   `!1s0x…:0x…` feature ID in a `/place/` URL data token
+ * - Place ID: the `!19sChIJ…` token
+ * - Fallback: normalized name plus coordinates rounded to ~11 m
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+const FEATURE_ID_PATTERN = /!1s(0x[0-9a-f]+):(0x[0-9a-f]+)/i;
+const PLACE_ID_PATTERN = /!19s(ChIJ[\w-]+)/;
+const PIN_COORDINATES_PATTERN = /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/;
+const VIEWPORT_COORDINATES_PATTERN = /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/;
+
+const safeDecode = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+};
+
+/**
+ * Lowercase, strip accents and punctuation: "Joe's Café & Bar" → "joes cafe bar"
+ */
+const normalizeName = (name) => String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Pull the place tokens out of a Google Maps URL
+ */
+const parsePlaceUrl = (url) => {
+    const tokens = { featureId: null, cid: null, placeId: null, coordinates: null };
+    if (!url || typeof url !== 'string') return tokens;
+
+    const decoded = safeDecode(url);
+
+    const featureMatch = decoded.match(FEATURE_ID_PATTERN);
+    if (featureMatch) {
+        tokens.featureId = `${featureMatch[1]}:${featureMatch[2]}`.toLowerCase();
+        tokens.cid = BigInt(featureMatch[2]).toString();
+    }
+
+    const cidParam = decoded.match(/[?&]cid=(\d+)/);
+    if (cidParam) {
+        tokens.cid = cidParam[1];
+    }
+
+    const placeMatch = decoded.match(PLACE_ID_PATTERN);
+    if (placeMatch) {
+        tokens.placeId = placeMatch[1];
+    }
+
+    // Prefer the place pin (!3d/!4d) over the viewport centre (@lat,lng)
+    const coordinateMatch = decoded.match(PIN_COORDINATES_PATTERN) || decoded.match(VIEWPORT_COORDINATES_PATTERN);
+    if (coordinateMatch) {
+        tokens.coordinates = {
+            lat: parseFloat(coordinateMatch[1]),
+            lng: parseFloat(coordinateMatch[2])
+        };
+    }
+
+    return tokens;
+};
+
+/**
+ * Identity of a scraped business record.
+ * `key` is the canonical identity; `cid`, `placeId` and `fallbackKey` are
+ * aliases used to match records that only carry some of the tokens.
+ */
+const derivePlaceIdentity = (record) => {
+    const tokens = parsePlaceUrl(record.googleMapsUrl);
+    const coordinates = tokens.coordinates || record.coordinates || null;
+    const name = normalizeName(record.name);
+
+    let fallbackKey = null;
+    if (name && coordinates) {
+        fallbackKey = `name:${name}@${coordinates.lat.toFixed(4)},${coordinates.lng.toFixed(4)}`;
+    } else if (name && record.address && record.address !== 'Not Found') {
+        fallbackKey = `name:${name}@${normalizeName(record.address)}`;
+    }
+
+    const key = (tokens.cid && `cid:${tokens.cid}`)
+        || (tokens.placeId && `place:${tokens.placeId}`)
+        || fallbackKey;
+
+    return {
+        key,
+        cid: tokens.cid,
+        placeId: tokens.placeId,
+        featureId: tokens.featureId,
+        fallbackKey
+    };
+};
+
+export { derivePlaceIdentity, parsePlaceUrl, normalizeName };
@@ -0,0 +1,146 @@
+/**
+ * ⭐ PLACE REVIEWS
+ *
+ * Normalizes the reviews scraped from a place page's Reviews tab.
+ *
+ * Features:
+ * - Star rating from labels such as "5 stars" or "Rated 4.0 out of 5"
+ * - Relative dates ("3 weeks ago", "a year ago", "Edited 2 months ago")
+ *   converted to an approximate ISO date with its precision
+ * - Owner responses, with their own dates
+ * - Stable ids: Google's review id, or a hash of author and text
+ *
+ * Normalizing an already normalized review returns the same review; the
+ * approximate date is only computed once.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import crypto from 'crypto';
+
+const UNITS = {
+    minute: 'day', hour: 'day', day: 'day', week: 'week', month: 'month', year: 'year'
+};
+
+const WORD_NUMBERS = { a: 1, an: 1, one: 1 };
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const cleanText = (value) => {
+    if (value === null || value === undefined) return null;
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text || null;
+};
+
+/**
+ * "3 weeks ago" → { date: '2026-09-27', precision: 'week' } relative to
+ * `now`; null when the text is not a relative date
+ */
+const parseRelativeDate = (value, now = new Date()) => {
+    const text = cleanText(value)?.toLowerCase().replace(/^edited\s+/, '');
+    if (!text) return null;
+
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const toResult = (precision) => ({ date: date.toISOString().slice(0, 10), precision });
+
+    if (/^(just now|today|moments? ago)$/.test(text)) return toResult('day');
+    if (text === 'yesterday') {
+        date.setUTCDate(date.getUTCDate() - 1);
+        return toResult('day');
+    }
+
+    const match = text.match(/^(\d+|an?|one)\s+(minute|hour|day|week|month|year)s?\s+ago$/);
+    if (!match) return null;
+
+    const amount = WORD_NUMBERS[match[1]] ?? parseInt(match[1], 10);
+    const unit = match[2];
+
+    if (unit === 'day') date.setUTCDate(date.getUTCDate() - amount);
+    if (unit === 'week') date.setUTCDate(date.getUTCDate() - amount * 7);
+    if (unit === 'month') date.setUTCMonth(date.getUTCMonth() - amount);
+    if (unit === 'year') date.setUTCFullYear(date.getUTCFullYear() - amount);
+
+    return toResult(UNITS[unit]);
+};
+
+/**
+ * "5 stars", "Rated 4.0 out of 5", "4/5" → 1-5, or null
+ */
+const parseStarRating = (value) => {
+    if (typeof value === 'number') return value >= 1 && value <= 5 ? Math.round(value) : null;
+    const match = cleanText(value)?.match(/(\d(?:[.,]\d)?)\s*(?:stars?|\/\s*5|out of 5)/i);
+    if (!match) return null;
+
+    const rating = Math.round(parseFloat(match[1].replace(',', '.')));
+    return rating >= 1 && rating <= 5 ? rating : null;
+};
+
+const reviewId = (raw, author, text) => {
+    const id = cleanText(raw.id ?? raw.reviewId);
+    if (id) return id;
+
+    const hash = crypto.createHash('sha1').update(`${author ?? ''}\n${text ?? ''}`).digest('hex');
+    return `h:${hash.slice(0, 16)}`;
+};
+
+/**
+ * The relative date as shown, and its approximate ISO date (kept when the
+ * input already has one)
+ */
+const normalizeDates = (raw, now) => {
+    const relativeDate = cleanText(raw.relativeDate);
+    if (typeof raw.date === 'string' && ISO_DATE.test(raw.date)) {
+        return { relativeDate, date: raw.date, datePrecision: raw.datePrecision ?? null };
+    }
+
+    const parsed = parseRelativeDate(relativeDate, now);
+    return { relativeDate, date: parsed?.date ?? null, datePrecision: parsed?.precision ?? null };
+};
+
+/**
+ * Normalize one scraped review. Returns null when it has neither an
+ * author, a rating nor text.
+ */
+const normalizeReview = (raw, { now = new Date() } = {}) => {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const author = cleanText(raw.author);
+    const text = cleanText(raw.text);
+    const rating = parseStarRating(raw.rating);
+    if (!author && !text && rating === null) return null;
+
+    const response = raw.ownerResponse;
+    const responseText = cleanText(typeof response === 'string' ? response : response?.text);
+
+    return {
+        id: reviewId(raw, author, text),
+        author,
+        authorUrl: cleanText(raw.authorUrl),
+        rating,
+        ...normalizeDates(raw, now),
+        edited: raw.edited ?? /^edited\b/i.test(cleanText(raw.relativeDate) ?? ''),
+        text,
+        ownerResponse: responseText
+            ? { text: responseText, ...normalizeDates(typeof response === 'object' ? response : {}, now) }
+            : null
+    };
+};
+
+/**
+ * Normalize a list of reviews, dropping empty ones and repeats of the same id
+ */
+const normalizeReviews = (reviews, options = {}) => {
+    const seen = new Set();
+
+    return (Array.isArray(reviews) ? reviews : [])
+        .map(review => normalizeReview(review, options))
+        .filter(review => review && !seen.has(review.id) && seen.add(review.id));
+};
+
+export {
+    normalizeReview,
+    normalizeReviews,
+    parseRelativeDate,
+    parseStarRating
+};
@@ -0,0 +1,176 @@
+/**
+ * 🩺 SELECTOR HEALTH
+ *
+ * Tracks how often each place-page selector finds a value, per scrape run,
+ * and flags fields whose hit rate drops sharply compared with earlier runs.
+ * A drop usually means Google renamed a class and the pack needs updating.
+ *
+ * Features:
+ * - Per-run hit counts, including hits served by fallback selectors
+ * - Rolling history of finished runs, optionally kept in a JSON file
+ * - Drift report comparing the latest run with the runs before it
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PLACE_FIELDS, selectorPackLabel } from './selector_packs.js';
+
+/**
+ * Hit counts for one scrape run. record() takes the extraction's hits map:
+ * field → index of the selector that matched, or -1 when none did.
+ */
+class SelectorHitTracker {
+    constructor(pack) {
+        this.pack = selectorPackLabel(pack);
+        this.startedAt = new Date().toISOString();
+        this.finishedAt = null;
+        this.fields = Object.fromEntries(
+            PLACE_FIELDS.map(field => [field, { attempts: 0, hits: 0, fallbackHits: 0 }])
+        );
+    }
+
+    record(hits) {
+        for (const [field, counts] of Object.entries(this.fields)) {
+            const index = hits[field] ?? -1;
+            counts.attempts++;
+            if (index >= 0) counts.hits++;
+            if (index > 0) counts.fallbackHits++;
+        }
+    }
+
+    get attempts() {
+        return Math.max(0, ...Object.values(this.fields).map(counts => counts.attempts));
+    }
+
+    toJSON() {
+        return {
+            pack: this.pack,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            fields: this.fields
+        };
+    }
+}
+
+const rate = (hits, attempts) => attempts > 0 ? Number((hits / attempts).toFixed(3)) : null;
+
+const summarize = (runs, field) => {
+    const totals = { attempts: 0, hits: 0, fallbackHits: 0 };
+    for (const run of runs) {
+        const counts = run.fields[field];
+        if (!counts) continue;
+        totals.attempts += counts.attempts;
+        totals.hits += counts.hits;
+        totals.fallbackHits += counts.fallbackHits;
+    }
+    return { ...totals, hitRate: rate(totals.hits, totals.attempts) };
+};
+
+class SelectorHealthMonitor {
+    constructor(options = {}) {
+        this.options = {
+            filePath: options.filePath ?? null,
+            maxRuns: options.maxRuns ?? 50,
+            // Flag a field when its hit rate falls this much below the baseline
+            dropThreshold: options.dropThreshold ?? 0.3,
+            // Pages needed in both the latest run and the baseline before judging
+            minSamples: options.minSamples ?? 5,
+            ...options
+        };
+        this.runs = this.load();
+        this.activeRuns = new Set();
+    }
+
+    load() {
+        if (!this.options.filePath) return [];
+        try {
+            return JSON.parse(fs.readFileSync(this.options.filePath, 'utf8')).runs ?? [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    persist() {
+        if (!this.options.filePath) return;
+
+        const tmpPath = `${this.options.filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.options.filePath), { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify({ runs: this.runs }));
+            fs.renameSync(tmpPath, this.options.filePath);
+        } catch (error) {
+            console.log(`⚠️ Could not save selector health: ${error.message}`);
+        }
+    }
+
+    /**
+     * Include a running scrape's counts in report() until finishRun()
+     */
+    startRun(tracker) {
+        this.activeRuns.add(tracker);
+    }
+
+    finishRun(tracker) {
+        this.activeRuns.delete(tracker);
+        tracker.finishedAt = new Date().toISOString();
+
+        // Runs that never reached a place page say nothing about selectors
+        if (tracker.attempts === 0) return;
+
+        this.runs.push(tracker.toJSON());
+        this.runs = this.runs.slice(-this.options.maxRuns);
+        this.persist();
+    }
+
+    /**
+     * Compare each field's hit rate in the latest run (a running one if
+     * any) with all earlier runs combined
+     */
+    report() {
+        const runs = [
+            ...this.runs,
+            ...[...this.activeRuns].filter(tracker => tracker.attempts > 0).map(tracker => tracker.toJSON())
+        ];
+        const latest = runs.at(-1) ?? null;
+        const { dropThreshold, minSamples } = this.options;
+
+        const fields = {};
+        for (const field of PLACE_FIELDS) {
+            const recent = summarize(latest ? [latest] : [], field);
+            const baseline = summarize(runs.slice(0, -1), field);
+            const drop = recent.hitRate !== null && baseline.hitRate !== null
+                ? Number((baseline.hitRate - recent.hitRate).toFixed(3))
+                : null;
+
+            let status = 'ok';
+            if (recent.attempts < minSamples || baseline.attempts < minSamples) {
+                status = 'insufficient-data';
+            } else if (drop >= dropThreshold) {
+                status = 'dropped';
+            }
+
+            fields[field] = {
+                status,
+                recent,
+                baseline,
+                drop,
+                fallbackShare: rate(recent.fallbackHits, recent.hits)
+            };
+        }
+
+        return {
+            pack: latest?.pack ?? null,
+            runs: runs.length,
+            activeRuns: this.activeRuns.size,
+            lastRunAt: latest?.finishedAt ?? latest?.startedAt ?? null,
+            thresholds: { dropThreshold, minSamples },
+            flagged: Object.keys(fields).filter(field => fields[field].status === 'dropped'),
+            fields
+        };
+    }
+}
+
+export { SelectorHitTracker, SelectorHealthMonitor };
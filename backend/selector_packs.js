@@ -0,0 +1,146 @@
+/**
+ * 🎯 SELECTOR PACKS
+ *
+ * Loads the CSS selectors the scraper uses from versioned JSON packs in
+ * selectors/, so a Google markup change is fixed by shipping a new pack
+ * instead of editing the scraper.
+ *
+ * Features:
+ * - Several selectors per field, tried in order (first one is preferred)
+ * - Packs named <name>.v<version>.json; the newest version loads by default
+ * - SELECTOR_PACK env var pins a specific pack (e.g. google-maps.v1)
+ * - Validation with clear errors for missing fields or empty selector lists
+ * - Optional page actions (e.g. expanding the opening hours table) and
+ *   optional groups for the About and Reviews tabs
+ *
+ * Published packs are never edited: a change ships as a copy with the next
+ * version, and its description says what changed. Old versions stay so
+ * SELECTOR_PACK can roll back to a known-good pack without a deploy, and
+ * so selector health reports (labelled name@version) keep pointing at the
+ * selectors they measured. Fields and groups added later are optional, so
+ * an older pack still loads; it just skips what it has no selectors for.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SELECTORS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'selectors');
+const DEFAULT_PACK_NAME = 'google-maps';
+
+// Search results page: used to wait for, scroll and collect the feed
+const SEARCH_FIELDS = ['feedContainer', 'resultContainer', 'resultLinks'];
+
+// Place page: one value per business, tracked for selector health
+const PLACE_FIELDS = [
+    'businessName', 'businessCategory', 'websiteLink', 'phoneNumber', 'address',
+    'rating', 'reviewCount', 'hours', 'priceLevel'
+];
+
+// Place page extras a pack may add: the button that expands the weekly
+// hours table, that table's rows, and details that many places lack (a
+// missing "Claim this business" link means the listing is claimed)
+const OPTIONAL_PLACE_FIELDS = ['hoursToggle', 'hoursRows', 'plusCode', 'locatedIn', 'photoCount', 'claimBusiness'];
+
+// About tab: its sections, each with a title and attribute items (looked
+// up inside the section)
+const ABOUT_FIELDS = ['tab', 'section', 'sectionTitle', 'item'];
+
+// Reviews tab, used when review scraping is on. The fields after `item`
+// are looked up inside each review.
+const REVIEW_FIELDS = [
+    'tab', 'feed', 'item', 'author', 'rating', 'date', 'text', 'more',
+    'ownerResponse', 'ownerResponseText', 'ownerResponseDate'
+];
+
+/**
+ * Check a parsed pack and return it. Throws naming the first problem.
+ */
+const validateSelectorPack = (pack, source = 'selector pack') => {
+    if (!pack || typeof pack !== 'object') {
+        throw new Error(`${source} must be a JSON object`);
+    }
+    if (typeof pack.name !== 'string' || !pack.name) {
+        throw new Error(`${source} is missing "name"`);
+    }
+    if (!Number.isInteger(pack.version)) {
+        throw new Error(`${source} must have an integer "version"`);
+    }
+
+    const checks = [
+        ['search', SEARCH_FIELDS, true],
+        ['place', PLACE_FIELDS, true],
+        ['place', OPTIONAL_PLACE_FIELDS, false]
+    ];
+    if (pack.about !== undefined) checks.push(['about', ABOUT_FIELDS, true]);
+    if (pack.reviews !== undefined) checks.push(['reviews', REVIEW_FIELDS, true]);
+
+    for (const [group, fields, required] of checks) {
+        for (const field of fields) {
+            const selectors = pack[group]?.[field];
+            if (!required && selectors === undefined) continue;
+            const valid = Array.isArray(selectors) && selectors.length > 0 &&
+                selectors.every(selector => typeof selector === 'string' && selector.trim());
+
+            if (!valid) {
+                throw new Error(`${source} needs a non-empty list of selectors for ${group}.${field}`);
+            }
+        }
+    }
+
+    return pack;
+};
+
+const readPackFile = (fileName) => {
+    const source = path.join(SELECTORS_DIR, fileName);
+    let pack;
+    try {
+        pack = JSON.parse(fs.readFileSync(source, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read selector pack ${fileName}: ${error.message}`);
+    }
+    return { id: path.basename(fileName, '.json'), ...validateSelectorPack(pack, fileName) };
+};
+
+/**
+ * Every pack in selectors/, oldest version first
+ */
+const listSelectorPacks = () => fs.readdirSync(SELECTORS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(readPackFile)
+    .sort((a, b) => a.name.localeCompare(b.name) || a.version - b.version);
+
+/**
+ * Load a pack by id (file name without .json). Without an id, the newest
+ * google-maps pack is used.
+ */
+const loadSelectorPack = (id = process.env.SELECTOR_PACK) => {
+    if (!id) {
+        const latest = listSelectorPacks().filter(pack => pack.name === DEFAULT_PACK_NAME).at(-1);
+        if (!latest) throw new Error(`No ${DEFAULT_PACK_NAME} selector pack found in ${SELECTORS_DIR}`);
+        return latest;
+    }
+
+    if (!/^[\w.-]+$/.test(id)) {
+        throw new Error(`Invalid selector pack id "${id}"`);
+    }
+    return readPackFile(`${id}.json`);
+};
+
+const selectorPackLabel = (pack) => `${pack.name}@${pack.version}`;
+
+export {
+    loadSelectorPack,
+    listSelectorPacks,
+    validateSelectorPack,
+    selectorPackLabel,
+    SEARCH_FIELDS,
+    PLACE_FIELDS,
+    OPTIONAL_PLACE_FIELDS,
+    ABOUT_FIELDS,
+    REVIEW_FIELDS,
+    SELECTORS_DIR
+};
@@ -3,7 +3,25 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
-import { GoogleMapsBusinessScraper } from './gmaps_scraper_playwright.js';
+import { GoogleMapsBusinessScraper } from './gmaps_scraper.js';
+import { checkEngine, DEFAULT_ENGINE } from './drivers/index.js';
+import { ScrapeJobManager, TERMINAL_STATUSES } from './job_manager.js';
+import { LeadStore } from './lead_store.js';
+import { listSelectorPacks } from './selector_packs.js';
+import { SelectorHealthMonitor } from './selector_health.js';
+import { WebsiteEnricher, EnrichmentQueue } from './website_enricher.js';
+import { EmailVerifier } from './email_verifier.js';
+import { analyzePhones, PHONE_TYPES } from './phone_numbers.js';
+import { parseWeekTime, parseDayList, weekMinuteNow } from './opening_hours.js';
+import { parseBounds, buildGrid, geocodeArea } from './geo_grid.js';
+import { SCORING_FIELDS, OPERATORS } from './lead_scoring.js';
+import { ScrapeBatchManager, parseQueryList, expandQueryMatrix, DEFAULT_TEMPLATE } from './batch_manager.js';
+import { GoogleSheetsClient, exportLeadsToSheet, parseSheetExport, serviceAccountFromEnv } from './sheets_export.js';
+import { exportChunks, parseExportColumns, EXPORT_FORMATS } from './lead_export.js';
+import { CrmSync } from './crm_sync.js';
+import { LEAD_FIELDS, DEDUPE_KEYS } from './crm/field_mapping.js';
+import { WebhookDispatcher, parseWebhook, WEBHOOK_EVENTS } from './webhooks.js';
+import { Readable, pipeline } from 'stream';
 
 // Load environment variables
 dotenv.config();
@@ -16,6 +34,149 @@ const scraper = new GoogleMapsBusinessScraper({
     delay: parseInt(process.env.DELAY) || 3000
 });
 
+// Every extracted business is saved to the lead database
+const leadStore = new LeadStore({
+    dbPath: process.env.LEADS_DB || path.join(process.cwd(), 'data', 'leads.db')
+});
+
+// Website enrichment (emails, extra phones, contact forms) for saved leads
+const websiteEnricher = new WebsiteEnricher({
+    maxPages: parseInt(process.env.ENRICH_MAX_PAGES) || 5,
+    timeout: parseInt(process.env.ENRICH_TIMEOUT) || 10000,
+    defaultCountry: process.env.PHONE_DEFAULT_COUNTRY || 'US'
+});
+
+const enrichLead = async (id) => {
+    const lead = leadStore.getLead(id);
+    if (!lead) throw new Error(`Lead ${id} not found`);
+
+    const enrichment = await websiteEnricher.enrich(lead.website, { knownPhones: [lead.phone] });
+    return leadStore.saveEnrichment(id, enrichment);
+};
+
+const enrichmentQueue = new EnrichmentQueue({
+    concurrency: parseInt(process.env.ENRICH_CONCURRENCY) || 2,
+    worker: enrichLead
+});
+enrichmentQueue.on('failed', (id, error) => console.log(`⚠️ Enrichment of lead ${id} failed: ${error.message}`));
+
+// Google Sheets export - off until service account credentials are set
+const sheetsCredentials = serviceAccountFromEnv();
+const sheetsClient = sheetsCredentials ? new GoogleSheetsClient(sheetsCredentials) : null;
+
+// CRM push - each CRM is on once its token (or REST collection URL) is set;
+// the base URLs can point at a local mock for testing
+const crmSync = new CrmSync({
+    leadStore,
+    connections: {
+        ...(process.env.HUBSPOT_ACCESS_TOKEN && {
+            hubspot: {
+                accessToken: process.env.HUBSPOT_ACCESS_TOKEN,
+                ...(process.env.HUBSPOT_BASE_URL && { baseUrl: process.env.HUBSPOT_BASE_URL })
+            }
+        }),
+        ...(process.env.PIPEDRIVE_API_TOKEN && {
+            pipedrive: {
+                apiToken: process.env.PIPEDRIVE_API_TOKEN,
+                ...(process.env.PIPEDRIVE_BASE_URL && { baseUrl: process.env.PIPEDRIVE_BASE_URL })
+            }
+        }),
+        ...(process.env.CRM_REST_URL && {
+            rest: { url: process.env.CRM_REST_URL, token: process.env.CRM_REST_TOKEN || null }
+        })
+    }
+});
+
+// Leads pushed per CRM sync request
+const MAX_CRM_SYNC_LEADS = parseInt(process.env.MAX_CRM_SYNC_LEADS) || 100;
+
+// Outbound webhooks - failed deliveries are retried with exponential backoff
+// and pending ones resume after a restart
+const webhookDispatcher = new WebhookDispatcher({
+    store: leadStore,
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 30000,
+    retentionDays: parseInt(process.env.WEBHOOK_RETENTION_DAYS) || 30
+});
+webhookDispatcher.start();
+
+// Email verification - turn the SMTP probe off where outbound port 25 is blocked
+const emailVerifier = new EmailVerifier({
+    smtpProbe: process.env.EMAIL_SMTP_PROBE !== 'false',
+    smtpHost: process.env.EMAIL_SMTP_HOST || null,
+    smtpPort: parseInt(process.env.EMAIL_SMTP_PORT) || 25,
+    smtpTimeout: parseInt(process.env.EMAIL_SMTP_TIMEOUT) || 10000,
+    ...(process.env.EMAIL_HELO_HOST && { heloHost: process.env.EMAIL_HELO_HOST }),
+    ...(process.env.EMAIL_MAIL_FROM && { mailFrom: process.env.EMAIL_MAIL_FROM }),
+    disposableDomains: (process.env.EMAIL_DISPOSABLE_DOMAINS || '')
+        .split(',')
+        .map(domain => domain.trim().toLowerCase())
+        .filter(Boolean)
+});
+
+const MAX_EMAILS_PER_REQUEST = parseInt(process.env.EMAIL_VERIFY_MAX) || 100;
+
+const MAX_PHONES_PER_REQUEST = 1000;
+
+// Per-field selector hit rates across scrape runs, for drift detection
+const selectorHealth = new SelectorHealthMonitor({
+    filePath: process.env.SELECTOR_HEALTH_FILE || path.join(process.cwd(), 'data', 'selector_health.json')
+});
+
+// Background scrape jobs - job state and checkpoints are kept in JOBS_DIR
+const jobManager = new ScrapeJobManager({
+    persistDir: process.env.JOBS_DIR || path.join(process.cwd(), 'data', 'jobs'),
+    maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS) || 1,
+    onResult: (business, job) => {
+        const { id, created } = leadStore.upsertLead(business, { jobId: job.id });
+        if (job.params.enrich && business.website) enrichmentQueue.push(id);
+        if (created) webhookDispatcher.dispatch('lead.created', () => ({ jobId: job.id, lead: leadStore.getLead(id) }));
+    },
+    // job.completed, job.failed or job.cancelled, with the job's (partial) results
+    onFinish: (job) => {
+        webhookDispatcher.dispatch(`job.${job.status}`, () => ({
+            job: jobManager.serializeJob(job),
+            results: job.results
+        }));
+    },
+    createScraper: (params) => new GoogleMapsBusinessScraper({
+        engine: params.engine,
+        headless: true,
+        maxResults: params.maxResults,
+        // Parallel pages already spread the load, so each waits less between places
+        maxConcurrency: params.maxConcurrency ?? 1,
+        delay: params.mode === 'parallel' ? 1500 : 3000,
+        verbose: true,
+        retryLimit: 2,
+        timeout: 45000,
+        maxScrollAttempts: 10,
+        scrollDelay: 2500,
+        defaultCountry: process.env.PHONE_DEFAULT_COUNTRY || 'US',
+        reviewsLimit: params.reviews ?? 0,
+        selectorHealth
+    })
+});
+
+// Keyword × location batches, each query running as a job above
+const batchManager = new ScrapeBatchManager({ jobManager });
+
+// Pages per job in Pro (parallel) mode, and the most a request may ask for
+const PRO_MODE_CONCURRENCY = parseInt(process.env.PRO_MODE_CONCURRENCY) || 4;
+const MAX_SCRAPE_CONCURRENCY = parseInt(process.env.MAX_SCRAPE_CONCURRENCY) || 8;
+
+// Most reviews a scrape may read per place
+const MAX_REVIEWS_PER_PLACE = parseInt(process.env.MAX_REVIEWS_PER_PLACE) || 100;
+
+// Grid search limits, and the geocoder that turns area names into bounding boxes
+const MAX_GRID_TILES = parseInt(process.env.MAX_GRID_TILES) || 100;
+const MAX_GRID_RESULTS = parseInt(process.env.MAX_GRID_RESULTS) || 2000;
+const DEFAULT_GRID_TILE_KM = parseFloat(process.env.DEFAULT_GRID_TILE_KM) || 2;
+const GEOCODER_URL = process.env.GEOCODER_URL || undefined;
+
+// Most keyword × location queries one batch may expand to
+const MAX_BATCH_QUERIES = parseInt(process.env.MAX_BATCH_QUERIES) || 50;
+
 const app = express();
 const PORT = process.env.PORT || 10000;
 
@@ -29,7 +190,7 @@ app.use(cors({
     process.env.FRONTEND_URL
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
@@ -84,10 +245,113 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Google Maps scraper endpoint
+/**
+ * Grid for a grid search request ({ area | bounds, tileSizeKm, perTileResults }):
+ * { grid } or { error, status }
+ */
+const planGrid = async (request) => {
+  if (!request || typeof request !== 'object') {
+    return { error: 'Grid must be an object with "area" or "bounds"', status: 400 };
+  }
+
+  const tileSizeKm = Number(request.tileSizeKm ?? DEFAULT_GRID_TILE_KM);
+  if (!Number.isFinite(tileSizeKm) || tileSizeKm < 0.2 || tileSizeKm > 50) {
+    return { error: 'Grid tile size must be from 0.2 to 50 km', status: 400 };
+  }
+
+  const perTileResults = Number(request.perTileResults ?? 120);
+  if (!Number.isInteger(perTileResults) || perTileResults < 1 || perTileResults > 120) {
+    return { error: 'Grid results per tile must be a whole number from 1 to 120', status: 400 };
+  }
+
+  let area = null;
+  let bounds = null;
+  if (request.bounds !== undefined) {
+    bounds = parseBounds(request.bounds);
+    if (!bounds) return { error: 'Grid bounds must be "south,west,north,east" in degrees', status: 400 };
+  } else if (typeof request.area === 'string' && request.area.trim()) {
+    let match;
+    try {
+      match = await geocodeArea(request.area.trim(), { url: GEOCODER_URL });
+    } catch (error) {
+      return { error: `Could not geocode "${request.area}": ${error.message}`, status: 502 };
+    }
+    if (!match) return { error: `No area found for "${request.area}"`, status: 400 };
+    ({ name: area, bounds } = match);
+  } else {
+    return { error: 'Grid needs an "area" name or "bounds"', status: 400 };
+  }
+
+  try {
+    const tiles = buildGrid(bounds, { tileSizeKm, maxTiles: MAX_GRID_TILES });
+    return { grid: { area, bounds, tileSizeKm, perTileResults, tiles } };
+  } catch (error) {
+    return { error: error.message, status: 400 };
+  }
+};
+
+/**
+ * Scrape settings shared by single and batch scrapes, from a request body:
+ * { settings } or { error, status }
+ */
+const parseScrapeSettings = async (body) => {
+  const {
+    maxResults = 15,
+    engine = process.env.SCRAPER_ENGINE || DEFAULT_ENGINE,
+    proMode = false,
+    enrich = false,
+    reviews = 0
+  } = body;
+  const mode = body.mode || (proMode ? 'parallel' : 'sequential');
+
+  const resultsLimit = body.grid ? MAX_GRID_RESULTS : 500;
+  if (maxResults > resultsLimit) {
+    return { error: `Maximum results cannot exceed ${resultsLimit}`, status: 400 };
+  }
+
+  try {
+    checkEngine(engine);
+  } catch (error) {
+    return { error: error.message, status: 400 };
+  }
+
+  if (!['sequential', 'parallel'].includes(mode)) {
+    return { error: 'Mode must be "sequential" or "parallel"', status: 400 };
+  }
+
+  const reviewsPerPlace = Number(reviews);
+  if (!Number.isInteger(reviewsPerPlace) || reviewsPerPlace < 0 || reviewsPerPlace > MAX_REVIEWS_PER_PLACE) {
+    return { error: `Reviews must be a whole number from 0 to ${MAX_REVIEWS_PER_PLACE}`, status: 400 };
+  }
+
+  let grid = null;
+  if (body.grid) {
+    const plan = await planGrid(body.grid);
+    if (plan.error) return plan;
+    grid = plan.grid;
+  }
+
+  const maxConcurrency = mode === 'parallel'
+    ? Math.min(parseInt(body.maxConcurrency) || PRO_MODE_CONCURRENCY, MAX_SCRAPE_CONCURRENCY)
+    : 1;
+
+  return {
+    settings: {
+      maxResults: parseInt(maxResults),
+      engine,
+      mode,
+      maxConcurrency,
+      enrich: Boolean(enrich),
+      reviews: reviewsPerPlace,
+      grid
+    }
+  };
+};
+
+// Google Maps scraper endpoint - queues a background job and returns its ID
 app.post('/api/scrape-gmaps', async (req, res) => {
   try {
-    const { query, maxResults = 15 } = req.body;
+    const { query } = req.body;
 
     // Validation
     if (!query || typeof query !== 'string' || query.trim().length === 0) {
@@ -97,61 +361,859 @@ app.post('/api/scrape-gmaps', async (req, res) => {
       });
     }
 
-    if (maxResults > 500) {
+    const { settings, error, status } = await parseScrapeSettings(req.body);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const job = jobManager.createJob({ query: query.trim(), ...settings });
+    const { engine, mode, maxConcurrency, grid } = settings;
+
+    const gridNote = grid ? `, grid of ${grid.tiles.length} tile(s)` : '';
+    console.log(`🔍 Queued ${engine} ${mode} scrape job ${job.id} for query: "${job.params.query}" (max ${job.params.maxResults} results, ${maxConcurrency} page(s)${gridNote})`);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    console.error('❌ Scraping error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Preview the tiles a grid search would use, without starting a scrape
+app.post('/api/grid/plan', async (req, res) => {
+  try {
+    const plan = await planGrid(req.body);
+    if (plan.error) {
+      return res.status(plan.status).json({ success: false, error: plan.error });
+    }
+
+    const { tiles, ...settings } = plan.grid;
+    res.json({ success: true, ...settings, tileCount: tiles.length, tiles });
+  } catch (error) {
+    console.error('❌ Grid plan error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Batch scrape - one job per keyword × location query
+app.post('/api/batches', async (req, res) => {
+  try {
+    const { template = DEFAULT_TEMPLATE } = req.body;
+    const keywords = parseQueryList(req.body.keywords);
+    const locations = parseQueryList(req.body.locations);
+
+    if (keywords.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Maximum results cannot exceed 500'
+        error: 'Keywords must be a non-empty list (an array, or one keyword per line)'
       });
     }
 
-    const modeText = 'Playwright (Reliable)';
-    console.log(`🔍 Starting ${modeText} scrape for query: "${query}" (max ${maxResults} results)`);
+    if (typeof template !== 'string' || !template.includes('{keyword}') || (locations.length > 0 && !template.includes('{location}'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Template must contain {keyword}, and {location} when locations are given'
+      });
+    }
 
-    // Initialize Playwright scraper
-    const scraper = new GoogleMapsBusinessScraper({
-      headless: true,
-      maxResults: parseInt(maxResults),
-      delay: 3000,
-      verbose: true,
-      retryLimit: 2,
-      timeout: 45000,
-      maxScrollAttempts: 10,
-      scrollDelay: 2500
+    if (req.body.grid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Batches do not support grid search; start a grid scrape per location instead'
+      });
+    }
+
+    const queries = expandQueryMatrix(keywords, locations, { template });
+    if (queries.length > MAX_BATCH_QUERIES) {
+      return res.status(400).json({
+        success: false,
+        error: `A batch can have at most ${MAX_BATCH_QUERIES} queries (got ${queries.length})`
+      });
+    }
+
+    const { settings, error, status } = await parseScrapeSettings(req.body);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const batch = batchManager.createBatch(queries, settings);
+
+    res.status(202).json({
+      success: true,
+      batchId: batch.id,
+      queries: queries.map(({ query }) => query),
+      statusUrl: `/api/batches/${batch.id}`
+    });
+  } catch (error) {
+    console.error('❌ Batch error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// List recent batches (without results)
+app.get('/api/batches', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  res.json({
+    success: true,
+    batches: batchManager.listBatches({ limit }).map(batch => batchManager.serializeBatch(batch))
+  });
+});
+
+// Batch progress per query, with the combined deduplicated results
+app.get('/api/batches/:id', (req, res) => {
+  const batch = batchManager.getBatch(req.params.id);
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      error: 'Batch not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    batch: batchManager.serializeBatch(batch, { includeResults: true })
+  });
+});
+
+// Cancel every unfinished job of a batch
+app.post('/api/batches/:id/cancel', (req, res) => {
+  const batch = batchManager.getBatch(req.params.id);
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      error: 'Batch not found'
+    });
+  }
+
+  const cancelled = batchManager.cancelBatch(batch);
+  if (cancelled === 0) {
+    return res.status(409).json({
+      success: false,
+      error: 'Batch already finished'
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    cancelled,
+    batch: batchManager.serializeBatch(batch)
+  });
+});
+
+// List recent scrape jobs (without results)
+app.get('/api/jobs', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  res.json({
+    success: true,
+    jobs: jobManager.listJobs({ limit }).map(job => jobManager.serializeJob(job))
+  });
+});
+
+// Scrape job status with partial or final results
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    job: jobManager.serializeJob(job, { includeResults: true })
+  });
+});
+
+// Cancel a queued or running scrape job; results collected so far are kept
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (!jobManager.cancelJob(job)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${job.status}`
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    job: jobManager.serializeJob(job)
+  });
+});
+
+// Live scrape job progress over Server-Sent Events
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Late subscribers first get everything collected so far
+  send('snapshot', jobManager.serializeJob(job, { includeResults: true }));
+
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const unsubscribe = jobManager.onJobEvent(job.id, (event) => {
+    send(event.type, event);
+
+    if (event.type === 'status' && TERMINAL_STATUSES.includes(event.status)) {
+      cleanup();
+      res.end();
+    }
+  });
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  req.on('close', cleanup);
+});
+
+// Write a job's saved leads to Google Sheets: a new spreadsheet, appended
+// rows, or rows upserted by place ID
+app.post('/api/jobs/:id/export/sheets', async (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (!sheetsClient) {
+    return res.status(503).json({
+      success: false,
+      error: 'Google Sheets export is not configured (set GOOGLE_SERVICE_ACCOUNT_FILE, or GOOGLE_SERVICE_ACCOUNT_EMAIL and GOOGLE_PRIVATE_KEY)'
+    });
+  }
+
+  let settings;
+  try {
+    settings = parseSheetExport(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const leads = [...leadStore.iterateLeads({ jobId: job.id, sort: 'createdAt', order: 'asc' })];
+  if (leads.length === 0) {
+    return res.status(409).json({
+      success: false,
+      error: 'The job has no saved leads yet'
+    });
+  }
+
+  try {
+    const exported = await exportLeadsToSheet(sheetsClient, leads, settings);
+    console.log(`📊 Exported ${leads.length} leads of job ${job.id} to ${exported.url}`);
+    res.json({ success: true, export: exported });
+  } catch (error) {
+    console.error('❌ Sheets export error:', error);
+    res.status(502).json({
+      success: false,
+      error: error.message || 'Google Sheets export failed'
+    });
+  }
+});
+
+// Query-string helpers for /api/leads
+const parseBooleanParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return value === 'true' || value === '1';
+};
+
+const parseNumberParam = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Opening hours filters for /api/leads: openAt ("tuesday 08:00") or
+// openNow, and openOn days. Stored hours are each business's wall-clock
+// time with no zone, so openNow reads the clock in one timezone and is
+// only right for businesses in it. Returns { openAt, openOn } or { error }.
+const parseOpeningFilters = (query) => {
+  let openAt;
+  if (query.openNow === 'true' || query.openNow === '1') {
+    try {
+      openAt = weekMinuteNow(query.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone);
+    } catch (error) {
+      return { error: `Unknown timezone "${query.timezone}"` };
+    }
+  } else if (query.openAt) {
+    openAt = parseWeekTime(query.openAt);
+    if (openAt === null) return { error: '"openAt" must be a day and time, e.g. "tuesday 08:00" or "sat 9pm"' };
+  }
+
+  let openOn;
+  if (query.openOn) {
+    openOn = parseDayList(query.openOn);
+    if (!openOn) return { error: '"openOn" must list days, e.g. "saturday,sunday" or "weekend"' };
+  }
+
+  return { openAt, openOn };
+};
+
+// Lead filters from the /api/leads query string: { filters } or { error }
+const parseLeadFilters = (query) => {
+  const opening = parseOpeningFilters(query);
+  if (opening.error) return { error: opening.error };
+
+  return {
+    filters: {
+      search: query.search,
+      query: query.query,
+      jobId: query.jobId,
+      category: query.category,
+      minRating: parseNumberParam(query.minRating),
+      maxRating: parseNumberParam(query.maxRating),
+      hasWebsite: parseBooleanParam(query.hasWebsite),
+      hasPhone: parseBooleanParam(query.hasPhone),
+      hasEmail: parseBooleanParam(query.hasEmail),
+      enriched: parseBooleanParam(query.enriched),
+      phoneType: query.phoneType ? String(query.phoneType).split(',').map(type => type.trim()) : undefined,
+      likelyMobile: parseBooleanParam(query.likelyMobile),
+      claimed: parseBooleanParam(query.claimed),
+      minScore: parseNumberParam(query.minScore),
+      openAt: opening.openAt,
+      openOn: opening.openOn,
+      since: query.since,
+      until: query.until,
+      sort: query.sort,
+      order: query.order
+    }
+  };
+};
+
+// Stream the leads matching `filters` as a CSV, XLSX or NDJSON download
+// (?format=, ?columns=name,phone,... and ?bom=true for Excel-friendly CSV)
+const sendLeadExport = (req, res, filters, filename) => {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      error: `"format" must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  let columns;
+  try {
+    columns = parseExportColumns(req.query.columns);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  res.set({
+    'Content-Type': EXPORT_FORMATS[format].contentType,
+    'Content-Disposition': `attachment; filename="${filename}.${EXPORT_FORMATS[format].extension}"`
+  });
+
+  // Leads are read in batches as the client downloads, never all at once
+  const leads = leadStore.iterateLeads(filters);
+  const chunks = exportChunks(format, leads, { columns, bom: parseBooleanParam(req.query.bom) });
+
+  pipeline(Readable.from(chunks), res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('❌ Lead export error:', error);
+  });
+};
+
+// Saved leads with filtering, sorting, pagination and full-text search
+app.get('/api/leads', (req, res) => {
+  const { filters, error } = parseLeadFilters(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const { leads, pagination } = leadStore.queryLeads({
+      ...filters,
+      page: req.query.page,
+      pageSize: req.query.pageSize
+    });
+
+    res.json({ success: true, leads, pagination });
+  } catch (error) {
+    console.error('❌ Lead query error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Every lead matching the /api/leads filters as a file
+app.get('/api/leads/export', (req, res) => {
+  const { filters, error } = parseLeadFilters(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  sendLeadExport(req, res, filters, `leads_${new Date().toISOString().slice(0, 10)}`);
+});
+
+// A scrape job's saved leads as a file, in the order they were found
+app.get('/api/jobs/:id/export', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  sendLeadExport(req, res, { jobId: job.id, sort: 'createdAt', order: 'asc' }, `gmaps_results_${job.id.slice(0, 8)}`);
+});
+
+app.get('/api/leads/:id', (req, res) => {
+  const lead = leadStore.getLead(parseInt(req.params.id));
+
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      error: 'Lead not found'
+    });
+  }
+
+  res.json({ success: true, lead });
+});
+
+// Queue website enrichment for many leads: by ids, or the leads with a
+// website from a job or query that are not enriched yet (force re-enriches)
+app.post('/api/leads/enrich', (req, res) => {
+  try {
+    const { ids, jobId, query, force = false } = req.body;
+    const limit = Math.min(parseInt(req.body.limit) || 100, 200);
+
+    const leadIds = Array.isArray(ids)
+      ? ids.map(id => parseInt(id)).filter(Number.isInteger).slice(0, limit)
+      : leadStore.queryLeads({
+        jobId,
+        query,
+        hasWebsite: true,
+        enriched: force ? undefined : false,
+        sort: 'createdAt',
+        order: 'asc',
+        pageSize: limit
+      }).leads.map(lead => lead.id);
+
+    const queued = leadIds.filter(id => enrichmentQueue.push(id)).length;
+
+    res.status(202).json({
+      success: true,
+      queued,
+      queue: enrichmentQueue.stats()
+    });
+  } catch (error) {
+    console.error('❌ Enrichment queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Enrich one lead now and return it
+app.post('/api/leads/:id/enrich', async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  if (!leadStore.getLead(id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Lead not found'
+    });
+  }
+
+  try {
+    const lead = await enrichLead(id);
+    res.json({ success: true, lead });
+  } catch (error) {
+    console.error('❌ Enrichment error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Enrichment failed'
     });
+  }
+});
+
+app.get('/api/enrichment', (req, res) => {
+  res.json({ success: true, queue: enrichmentQueue.stats() });
+});
 
-    // Start scraping
-    const startTime = Date.now();
-    const results = await scraper.scrapeBusinesses(query, parseInt(maxResults));
-    const endTime = Date.now();
+// Lead scoring profiles - the active one scores every saved lead
+app.get('/api/scoring/profiles', (req, res) => {
+  res.json({
+    success: true,
+    profiles: leadStore.listScoringProfiles(),
+    fields: Object.keys(SCORING_FIELDS),
+    ops: Object.keys(OPERATORS)
+  });
+});
+
+// Create or replace a profile: { description, rules: [{ field, op, value, points, label }] }
+app.put('/api/scoring/profiles/:name', (req, res) => {
+  const existed = Boolean(leadStore.getScoringProfile(req.params.name));
+
+  try {
+    const profile = leadStore.saveScoringProfile({ ...req.body, name: req.params.name });
+    res.status(existed ? 200 : 201).json({ success: true, profile });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
-    const processingTime = endTime - startTime;
-    const avgSpeed = results.length > 0 ? processingTime / results.length : 0;
+// Score every saved lead with this profile from now on
+app.post('/api/scoring/profiles/:name/activate', (req, res) => {
+  try {
+    const activated = leadStore.activateScoringProfile(req.params.name);
 
-    console.log(`✅ ${modeText} scraping completed! Found ${results.length} businesses in ${processingTime}ms (${avgSpeed.toFixed(0)}ms per business)`);
+    if (!activated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scoring profile not found'
+      });
+    }
+
+    console.log(`🎯 Scoring profile "${req.params.name}" active, ${activated.rescored} leads rescored`);
+    res.json({ success: true, ...activated });
+  } catch (error) {
+    console.error('❌ Rescoring error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+app.delete('/api/scoring/profiles/:name', (req, res) => {
+  const profile = leadStore.getScoringProfile(req.params.name);
+
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'Scoring profile not found'
+    });
+  }
+
+  if (!leadStore.deleteScoringProfile(profile.name)) {
+    return res.status(409).json({
+      success: false,
+      error: 'The active scoring profile cannot be deleted; activate another one first'
+    });
+  }
+
+  res.json({ success: true });
+});
+
+// CRM targets with whether they are configured and their field mapping
+app.get('/api/crm', (req, res) => {
+  res.json({
+    success: true,
+    targets: crmSync.listTargets(),
+    fields: LEAD_FIELDS,
+    dedupeKeys: DEDUPE_KEYS
+  });
+});
+
+const findCrmTargetOr404 = (req, res) => {
+  try {
+    return crmSync.target(req.params.adapter, req.params.object);
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+    return null;
+  }
+};
+
+// Save a target's field mapping: { mapping: [{ field, property }], dedupeOn }
+app.put('/api/crm/:adapter/:object/mapping', (req, res) => {
+  const target = findCrmTargetOr404(req, res);
+  if (!target) return;
+
+  try {
+    const saved = crmSync.saveMapping(target, req.body);
+    res.json({ success: true, target: target.target, ...saved });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Push leads to a CRM target: by ids, or the oldest leads of a job
+app.post('/api/crm/:adapter/:object/sync', async (req, res) => {
+  const target = findCrmTargetOr404(req, res);
+  if (!target) return;
+
+  if (!crmSync.isConfigured(target.adapter)) {
+    return res.status(503).json({
+      success: false,
+      error: `${target.label} is not configured (see the CRM section of the README)`
+    });
+  }
+
+  const { ids, jobId } = req.body;
+  const limit = Math.min(parseInt(req.body.limit) || MAX_CRM_SYNC_LEADS, MAX_CRM_SYNC_LEADS);
+
+  if (!Array.isArray(ids) && !jobId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Send "ids" or a "jobId"'
+    });
+  }
+
+  const leads = Array.isArray(ids)
+    ? ids.slice(0, limit).map(id => leadStore.getLead(parseInt(id))).filter(Boolean)
+    : leadStore.queryLeads({ jobId, sort: 'createdAt', order: 'asc', pageSize: limit }).leads;
+
+  if (leads.length === 0) {
+    return res.status(409).json({
+      success: false,
+      error: 'No saved leads to push'
+    });
+  }
+
+  try {
+    const summary = await crmSync.syncLeads(target, leads);
+    console.log(`🤝 Pushed ${leads.length} leads to ${target.target}: ${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`);
+    res.json({ success: true, target: target.target, ...summary });
+  } catch (error) {
+    console.error('❌ CRM sync error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'CRM sync failed'
+    });
+  }
+});
+
+// Webhook subscriptions
+app.get('/api/webhooks', (req, res) => {
+  res.json({ success: true, webhooks: leadStore.listWebhooks(), events: WEBHOOK_EVENTS });
+});
+
+// Subscribe a URL: { url, events, secret?, description? }. The signing
+// secret is only returned here (generated when not given).
+app.post('/api/webhooks', (req, res) => {
+  try {
+    const settings = parseWebhook(req.body);
+    const webhook = leadStore.createWebhook(settings);
+    res.status(201).json({ success: true, webhook: { ...webhook, secret: settings.secret } });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+const findWebhookOr404 = (req, res) => {
+  const webhook = leadStore.getWebhook(parseInt(req.params.id));
+  if (!webhook) {
+    res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  return webhook;
+};
+
+app.get('/api/webhooks/:id', (req, res) => {
+  const webhook = findWebhookOr404(req, res);
+  if (webhook) res.json({ success: true, webhook });
+});
+
+// Change a webhook's url, events, secret, description or active flag
+app.patch('/api/webhooks/:id', (req, res) => {
+  const webhook = findWebhookOr404(req, res);
+  if (!webhook) return;
+
+  try {
+    res.json({ success: true, webhook: leadStore.updateWebhook(webhook.id, parseWebhook(req.body, { partial: true })) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/webhooks/:id', (req, res) => {
+  const webhook = findWebhookOr404(req, res);
+  if (!webhook) return;
+
+  leadStore.deleteWebhook(webhook.id);
+  res.json({ success: true });
+});
+
+// Delivery log, newest first: ?status=pending|succeeded|failed&limit=50
+app.get('/api/webhooks/:id/deliveries', (req, res) => {
+  const webhook = findWebhookOr404(req, res);
+  if (!webhook) return;
+
+  const status = ['pending', 'succeeded', 'failed'].includes(req.query.status) ? req.query.status : undefined;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  res.json({ success: true, deliveries: leadStore.listWebhookDeliveries(webhook.id, { status, limit }) });
+});
+
+const findDeliveryOr404 = (req, res) => {
+  const webhook = findWebhookOr404(req, res);
+  if (!webhook) return null;
+
+  const delivery = leadStore.getWebhookDelivery(parseInt(req.params.deliveryId));
+  if (!delivery || delivery.webhookId !== webhook.id) {
+    res.status(404).json({ success: false, error: 'Delivery not found' });
+    return null;
+  }
+  return delivery;
+};
+
+// One delivery with the exact JSON body that was sent
+app.get('/api/webhooks/:id/deliveries/:deliveryId', (req, res) => {
+  const delivery = findDeliveryOr404(req, res);
+  if (delivery) res.json({ success: true, delivery: { ...delivery, payload: JSON.parse(delivery.payload) } });
+});
+
+// Send a delivery's payload again, as a new delivery
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', (req, res) => {
+  const delivery = findDeliveryOr404(req, res);
+  if (delivery) res.status(202).json({ success: true, delivery: webhookDispatcher.redeliver(delivery.id) });
+});
+
+// Verify up to MAX_EMAILS_PER_REQUEST addresses: { "emails": [...] } or { "email": "..." }
+app.post('/api/emails/verify', async (req, res) => {
+  const emails = Array.isArray(req.body.emails) ? req.body.emails : [req.body.email].filter(Boolean);
+
+  if (emails.length === 0 || emails.some(email => typeof email !== 'string')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Provide "emails" as an array of strings, or a single "email"'
+    });
+  }
+
+  if (emails.length > MAX_EMAILS_PER_REQUEST) {
+    return res.status(400).json({
+      success: false,
+      error: `At most ${MAX_EMAILS_PER_REQUEST} emails per request`
+    });
+  }
+
+  try {
+    const results = await emailVerifier.verifyMany(emails);
+    const summary = { deliverable: 0, risky: 0, invalid: 0 };
+    results.forEach(result => summary[result.verdict]++);
+
+    res.json({ success: true, results, summary });
+  } catch (error) {
+    console.error('❌ Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Email verification failed'
+    });
+  }
+});
+
+// Validate and classify up to MAX_PHONES_PER_REQUEST numbers: { "phones": [...], "country": "GB" }.
+// Numbers without a country code are read as `country` (default PHONE_DEFAULT_COUNTRY).
+app.post('/api/phones/analyze', (req, res) => {
+  const { phones, country = process.env.PHONE_DEFAULT_COUNTRY || 'US' } = req.body;
+
+  if (!Array.isArray(phones) || phones.length === 0 || phones.some(phone => typeof phone !== 'string')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Provide "phones" as an array of strings'
+    });
+  }
+
+  if (phones.length > MAX_PHONES_PER_REQUEST) {
+    return res.status(400).json({
+      success: false,
+      error: `At most ${MAX_PHONES_PER_REQUEST} phone numbers per request`
+    });
+  }
+
+  if (typeof country !== 'string' || !/^[A-Za-z]{2}$/.test(country)) {
+    return res.status(400).json({
+      success: false,
+      error: '"country" must be a two-letter country code'
+    });
+  }
+
+  try {
+    const results = analyzePhones(phones, { country: country.toUpperCase() });
+    const summary = Object.fromEntries(PHONE_TYPES.map(type => [type, 0]));
+    results.forEach(result => summary[result.type]++);
 
-    // Response
     res.json({
       success: true,
-      query,
-      totalResults: results.length,
-      processingTime: processingTime,
-      mode: 'playwright',
       results,
-      stats: {
-        ...scraper.stats,
-        processingTimeMs: processingTime,
-        avgTimePerResult: avgSpeed,
-        mode: 'playwright-reliable'
-      }
+      summary: { ...summary, invalid: results.filter(result => !result.valid).length }
+    });
+  } catch (error) {
+    console.error('❌ Phone analysis error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Phone analysis failed'
     });
+  }
+});
+
+// Selector hit rates per field; flags fields whose hit rate dropped sharply
+app.get('/api/selectors/health', (req, res) => {
+  try {
+    const report = selectorHealth.report();
 
+    res.json({
+      success: true,
+      healthy: report.flagged.length === 0,
+      ...report,
+      availablePacks: listSelectorPacks().map(({ id, name, version, updated }) => ({ id, name, version, updated }))
+    });
   } catch (error) {
-    console.error('❌ Scraping error:', error);
-    
+    console.error('❌ Selector health error:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Internal server error',
-      timestamp: new Date().toISOString()
+      error: error.message || 'Internal server error'
     });
   }
 });
@@ -174,29 +1236,80 @@ app.use('*', (req, res) => {
     availableEndpoints: {
       'GET /': 'API status',
       'GET /health': 'Health check',
-      'POST /api/scrape-gmaps': 'Google Maps scraper'
+      'POST /api/scrape-gmaps': 'Start a Google Maps scrape job',
+      'POST /api/grid/plan': 'Preview the map tiles of a grid search',
+      'POST /api/batches': 'Start a keyword × location batch of scrape jobs',
+      'GET /api/batches': 'List recent batches',
+      'GET /api/batches/:id': 'Batch progress per query and combined results',
+      'POST /api/batches/:id/cancel': 'Cancel the unfinished jobs of a batch',
+      'GET /api/jobs': 'List recent scrape jobs',
+      'GET /api/jobs/:id': 'Scrape job status and results',
+      'GET /api/jobs/:id/events': 'Live scrape job progress (Server-Sent Events)',
+      'POST /api/jobs/:id/cancel': 'Cancel a scrape job and keep partial results',
+      'GET /api/jobs/:id/export': 'Download a job\'s leads as CSV, XLSX or NDJSON',
+      'POST /api/jobs/:id/export/sheets': 'Export a job\'s leads to Google Sheets',
+      'GET /api/leads': 'Search and filter saved leads',
+      'GET /api/leads/export': 'Download filtered leads as CSV, XLSX or NDJSON',
+      'GET /api/leads/:id': 'A single saved lead',
+      'POST /api/leads/enrich': 'Queue website enrichment for many leads',
+      'POST /api/leads/:id/enrich': 'Enrich one lead from its website now',
+      'GET /api/enrichment': 'Website enrichment queue status',
+      'GET /api/scoring/profiles': 'Lead scoring profiles, fields and ops',
+      'PUT /api/scoring/profiles/:name': 'Create or replace a scoring profile',
+      'POST /api/scoring/profiles/:name/activate': 'Score every lead with a profile',
+      'DELETE /api/scoring/profiles/:name': 'Delete a scoring profile that is not active',
+      'GET /api/crm': 'CRM targets, field mappings and dedupe keys',
+      'PUT /api/crm/:adapter/:object/mapping': 'Save the field mapping of a CRM target',
+      'POST /api/crm/:adapter/:object/sync': 'Push leads to HubSpot, Pipedrive or a REST API',
+      'GET /api/webhooks': 'Webhook subscriptions and event names',
+      'POST /api/webhooks': 'Subscribe a URL to job and lead events',
+      'GET /api/webhooks/:id': 'A webhook subscription',
+      'PATCH /api/webhooks/:id': 'Change or pause a webhook',
+      'DELETE /api/webhooks/:id': 'Delete a webhook and its delivery log',
+      'GET /api/webhooks/:id/deliveries': 'A webhook\'s delivery log',
+      'GET /api/webhooks/:id/deliveries/:deliveryId': 'One delivery with its payload',
+      'POST /api/webhooks/:id/deliveries/:deliveryId/redeliver': 'Send a delivery again',
+      'POST /api/emails/verify': 'Verify email addresses (deliverable / risky / invalid)',
+      'POST /api/phones/analyze': 'Validate phone numbers and classify line type (mobile / landline / toll-free)',
+      'GET /api/selectors/health': 'Selector hit rates and drift flags'
     }
   });
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+// Graceful shutdown - running scrapes stop at a safe point, keep their
+// checkpoint on disk and resume when the server starts again
+let shuttingDown = false;
+
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    console.log(`${signal} received again, exiting immediately`);
+    process.exit(1);
+  }
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down gracefully`);
+  server.close();
+  await jobManager.drain({ timeout: parseInt(process.env.SHUTDOWN_TIMEOUT) || 20000 });
+  webhookDispatcher.stop();
+  leadStore.close();
   process.exit(0);
-});
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 LeadGen Copilot Backend running on port ${PORT}`);
   console.log(`📍 Endpoints:`);
   console.log(`   • GET  http://localhost:${PORT}/ - API status`);
   console.log(`   • GET  http://localhost:${PORT}/health - Health check`);
-  console.log(`   • POST http://localhost:${PORT}/api/scrape-gmaps - Google Maps scraper`);
+  console.log(`   • POST http://localhost:${PORT}/api/scrape-gmaps - Start a Google Maps scrape job`);
+  console.log(`   • GET  http://localhost:${PORT}/api/jobs - List recent scrape jobs`);
+  console.log(`   • GET  http://localhost:${PORT}/api/jobs/:id - Scrape job status and results`);
+  console.log(`   • GET  http://localhost:${PORT}/api/jobs/:id/events - Live scrape job progress (SSE)`);
+  console.log(`   • POST http://localhost:${PORT}/api/jobs/:id/cancel - Cancel a scrape job`);
+  console.log(`   • GET  http://localhost:${PORT}/api/leads - Search and filter saved leads`);
   console.log(`🌍 CORS enabled for frontend connections`);
   console.log(`📦 Environment: ${process.env.NODE_ENV || 'development'}`);
 });
\ No newline at end of file
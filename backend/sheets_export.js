@@ -0,0 +1,318 @@
+/**
+ * 📊 GOOGLE SHEETS EXPORT
+ *
+ * Writes saved leads to a Google Sheet with a service account.
+ *
+ * Features:
+ * - Create a new spreadsheet, append to a sheet, or upsert by place ID
+ *   (a lead already in the sheet has its row updated, not repeated)
+ * - Column mapping from sheet headers to lead fields, dotted paths
+ *   included (enrichment.emails.email)
+ * - Columns the mapping does not cover keep their values on upsert, so
+ *   notes typed into the sheet survive a re-export
+ * - Pluggable Sheets client, so tests can run against an in-memory mock
+ *
+ * A Sheets client has two methods, each resolving to a sheet handle:
+ * - createSpreadsheet({ title, sheetTitle, headers })
+ * - openSheet({ spreadsheetId, sheetTitle, headers }): adds the sheet, or
+ *   the headers missing from its first row, when needed
+ * A handle is { spreadsheetId, url, headers, rows: [{ rowNumber, values }],
+ * appendRows(rows), updateRows([{ rowNumber, values }]), share(email) }.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import fs from 'fs';
+import { GoogleSpreadsheet } from 'google-spreadsheet';
+import { JWT } from 'google-auth-library';
+
+const EXPORT_MODES = ['create', 'append', 'upsert'];
+
+const SCOPES = [
+    'https://www.googleapis.com/auth/spreadsheets',
+    // Sharing the spreadsheets the service account creates
+    'https://www.googleapis.com/auth/drive.file'
+];
+
+const DEFAULT_SHEET_TITLE = 'Leads';
+const MAX_COLUMNS = 100;
+const PLACE_KEY_FIELD = 'placeKey';
+const FIELD_PATH = /^[A-Za-z_]\w*(\.\w+)*$/;
+
+const DEFAULT_COLUMNS = [
+    { header: 'Place ID', field: PLACE_KEY_FIELD },
+    { header: 'Name', field: 'name' },
+    { header: 'Category', field: 'category' },
+    { header: 'Phone', field: 'phone' },
+    { header: 'Website', field: 'website' },
+    { header: 'Email', field: 'email' },
+    { header: 'Address', field: 'address' },
+    { header: 'Rating', field: 'rating' },
+    { header: 'Reviews', field: 'reviewCount' },
+    { header: 'Score', field: 'score' },
+    { header: 'Google Maps URL', field: 'googleMapsUrl' }
+];
+
+/**
+ * Column mapping as [{ header, field }] from a list of { header, field }
+ * or field names, or a { header: field } object. Throws when invalid.
+ */
+const parseColumns = (value) => {
+    const entries = Array.isArray(value)
+        ? value.map(entry => (typeof entry === 'string' ? { header: entry, field: entry } : entry))
+        : Object.entries(value ?? {}).map(([header, field]) => ({ header, field }));
+
+    if (entries.length === 0) throw new Error('"columns" must list at least one column');
+    if (entries.length > MAX_COLUMNS) throw new Error(`At most ${MAX_COLUMNS} columns can be exported`);
+
+    const columns = entries.map((entry, position) => {
+        const header = typeof entry?.header === 'string' ? entry.header.trim() : '';
+        if (!header) throw new Error(`Column ${position + 1} needs a header`);
+        if (typeof entry.field !== 'string' || !FIELD_PATH.test(entry.field)) {
+            throw new Error(`Column "${header}" needs a lead field such as "name" or "enrichment.emails.email"`);
+        }
+        return { header, field: entry.field };
+    });
+
+    const headers = columns.map(column => column.header);
+    const repeated = headers.find((header, index) => headers.indexOf(header) !== index);
+    if (repeated) throw new Error(`Column "${repeated}" is listed twice`);
+
+    return columns;
+};
+
+/**
+ * The spreadsheet ID from an ID or a docs.google.com URL
+ */
+const parseSpreadsheetId = (value) => {
+    const text = String(value ?? '').trim();
+    const match = text.match(/\/spreadsheets\/d\/([\w-]+)/);
+    const id = match ? match[1] : text;
+    return /^[\w-]{10,}$/.test(id) ? id : null;
+};
+
+/**
+ * Export settings from a request body. Throws on invalid settings.
+ */
+const parseSheetExport = (body = {}) => {
+    const mode = body.mode ?? 'create';
+    if (!EXPORT_MODES.includes(mode)) throw new Error(`"mode" must be one of: ${EXPORT_MODES.join(', ')}`);
+
+    const spreadsheetId = mode === 'create' ? null : parseSpreadsheetId(body.spreadsheetId);
+    if (mode !== 'create' && !spreadsheetId) {
+        throw new Error(`"${mode}" needs a spreadsheetId (the ID or URL of the spreadsheet)`);
+    }
+
+    const sheetTitle = body.sheetTitle === undefined ? DEFAULT_SHEET_TITLE : String(body.sheetTitle).trim();
+    // The append endpoint breaks on sheet titles with a colon
+    if (!sheetTitle || sheetTitle.length > 100 || sheetTitle.includes(':')) {
+        throw new Error('"sheetTitle" must be 1-100 characters without ":"');
+    }
+
+    let columns = body.columns === undefined ? DEFAULT_COLUMNS : parseColumns(body.columns);
+    if (mode === 'upsert' && !columns.some(column => column.field === PLACE_KEY_FIELD)) {
+        const header = columns.some(column => column.header === 'Place ID') ? 'Place Key' : 'Place ID';
+        columns = [{ header, field: PLACE_KEY_FIELD }, ...columns];
+    }
+
+    // A spreadsheet the service account creates is only visible to it until shared
+    const shareWith = body.shareWith ? String(body.shareWith).trim() : null;
+    if (shareWith && mode !== 'create') throw new Error('"shareWith" only applies to new spreadsheets');
+    if (shareWith && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(shareWith)) throw new Error('"shareWith" must be an email address');
+
+    return {
+        mode,
+        spreadsheetId,
+        sheetTitle,
+        title: body.title ? String(body.title).trim().slice(0, 200) : null,
+        columns,
+        shareWith
+    };
+};
+
+const readField = (value, keys) => {
+    if (keys.length === 0 || value === null || value === undefined) return value;
+    if (Array.isArray(value)) return value.map(item => readField(item, keys));
+    return readField(value[keys[0]], keys.slice(1));
+};
+
+/**
+ * A lead field as a cell: lists joined with ", ", objects as JSON
+ */
+const cellValue = (lead, field) => {
+    const value = readField(lead, field.split('.'));
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+        return value
+            .filter(item => item !== null && item !== undefined)
+            .map(item => (typeof item === 'object' ? JSON.stringify(item) : String(item)))
+            .join(', ');
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+};
+
+/**
+ * A lead as a row in the sheet's header order. Cells of headers the
+ * mapping does not cover come from `base` (the row being replaced).
+ */
+const leadRow = (lead, columns, headers, base = []) =>
+    headers.map((header, index) => {
+        const column = columns.find(candidate => candidate.header === header);
+        return column ? cellValue(lead, column.field) : base[index] ?? '';
+    });
+
+/**
+ * Write leads to a sheet with a Sheets client and parsed settings.
+ * Resolves to { mode, spreadsheetId, sheetTitle, url, appended, updated }.
+ */
+const exportLeadsToSheet = async (client, leads, settings) => {
+    const { mode, sheetTitle, columns } = settings;
+    const headers = columns.map(column => column.header);
+
+    const sheet = mode === 'create'
+        ? await client.createSpreadsheet({ title: settings.title || `Leads ${new Date().toISOString().slice(0, 10)}`, sheetTitle, headers })
+        : await client.openSheet({ spreadsheetId: settings.spreadsheetId, sheetTitle, headers });
+
+    const appends = [];
+    const updates = [];
+
+    if (mode === 'upsert') {
+        const keyHeader = columns.find(column => column.field === PLACE_KEY_FIELD).header;
+        const keyIndex = sheet.headers.indexOf(keyHeader);
+        const existing = new Map(sheet.rows
+            .filter(row => row.values[keyIndex])
+            .map(row => [String(row.values[keyIndex]), row]));
+        const added = new Map();
+
+        for (const lead of leads) {
+            const key = lead[PLACE_KEY_FIELD];
+            const row = key && existing.get(key);
+
+            if (row) {
+                updates.push({ rowNumber: row.rowNumber, values: leadRow(lead, columns, sheet.headers, row.values) });
+            } else if (key && added.has(key)) {
+                // The same place twice in one export: the later copy wins
+                appends[added.get(key)] = leadRow(lead, columns, sheet.headers);
+            } else {
+                if (key) added.set(key, appends.length);
+                appends.push(leadRow(lead, columns, sheet.headers));
+            }
+        }
+    } else {
+        appends.push(...leads.map(lead => leadRow(lead, columns, sheet.headers)));
+    }
+
+    if (updates.length > 0) await sheet.updateRows(updates);
+    if (appends.length > 0) await sheet.appendRows(appends);
+    if (settings.shareWith) await sheet.share(settings.shareWith);
+
+    return {
+        mode,
+        spreadsheetId: sheet.spreadsheetId,
+        sheetTitle,
+        url: sheet.url,
+        appended: appends.length,
+        updated: updates.length
+    };
+};
+
+/**
+ * Service account credentials from GOOGLE_SERVICE_ACCOUNT_FILE (the JSON
+ * key file) or GOOGLE_SERVICE_ACCOUNT_EMAIL plus GOOGLE_PRIVATE_KEY, or
+ * null when neither is set
+ */
+const serviceAccountFromEnv = (env = process.env) => {
+    if (env.GOOGLE_SERVICE_ACCOUNT_FILE) {
+        const key = JSON.parse(fs.readFileSync(env.GOOGLE_SERVICE_ACCOUNT_FILE, 'utf8'));
+        return { email: key.client_email, privateKey: key.private_key };
+    }
+
+    if (env.GOOGLE_SERVICE_ACCOUNT_EMAIL && env.GOOGLE_PRIVATE_KEY) {
+        // Hosting dashboards often store the key's newlines as "\n"
+        return { email: env.GOOGLE_SERVICE_ACCOUNT_EMAIL, privateKey: env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n') };
+    }
+
+    return null;
+};
+
+const columnLetter = (count) => {
+    let letters = '';
+    for (let rest = count; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((rest - 1) % 26)) + letters;
+    }
+    return letters;
+};
+
+/**
+ * Sheets client for the real Google Sheets API (google-spreadsheet).
+ * Values are written RAW, so a business name starting with "=" is never
+ * run as a formula.
+ */
+class GoogleSheetsClient {
+    constructor({ email, privateKey }) {
+        this.auth = new JWT({ email, key: privateKey, scopes: SCOPES });
+    }
+
+    async createSpreadsheet({ title, sheetTitle, headers }) {
+        const doc = await GoogleSpreadsheet.createNewSpreadsheetDocument(this.auth, { title });
+        const [sheet] = doc.sheetsByIndex;
+
+        await sheet.updateProperties({ title: sheetTitle });
+        return this.prepareSheet(doc, sheet, headers, []);
+    }
+
+    async openSheet({ spreadsheetId, sheetTitle, headers }) {
+        const doc = new GoogleSpreadsheet(spreadsheetId, this.auth);
+        await doc.loadInfo();
+
+        const sheet = doc.sheetsByTitle[sheetTitle] ?? await doc.addSheet({ title: sheetTitle });
+        const values = await sheet.getCellsInRange(`A:${sheet.lastColumnLetter}`) ?? [];
+        return this.prepareSheet(doc, sheet, headers, values);
+    }
+
+    /**
+     * Add the headers missing from the first row and wrap the sheet in a
+     * handle
+     */
+    async prepareSheet(doc, sheet, headers, values) {
+        const [firstRow = [], ...rows] = values;
+        const existing = firstRow.map(header => String(header ?? '').trim());
+        const allHeaders = [...existing, ...headers.filter(header => !existing.includes(header))];
+
+        if (allHeaders.length > existing.length) {
+            if (allHeaders.length > sheet.columnCount) {
+                await sheet.resize({ rowCount: sheet.rowCount, columnCount: allHeaders.length });
+            }
+            await sheet.setHeaderRow(allHeaders);
+        }
+
+        const range = (rowNumber) => `${sheet.a1SheetName}!A${rowNumber}:${columnLetter(allHeaders.length)}${rowNumber}`;
+
+        return {
+            spreadsheetId: doc.spreadsheetId,
+            url: `https://docs.google.com/spreadsheets/d/${doc.spreadsheetId}/edit#gid=${sheet.sheetId}`,
+            headers: allHeaders,
+            rows: rows.map((rowValues, index) => ({ rowNumber: index + 2, values: rowValues })),
+            appendRows: (appended) => doc.sheetsApi.post(`/values/${encodeURIComponent(range(1))}:append`, { values: appended }, {
+                params: { valueInputOption: 'RAW', insertDataOption: 'INSERT_ROWS' }
+            }),
+            updateRows: (updates) => doc.sheetsApi.post('/values:batchUpdate', {
+                valueInputOption: 'RAW',
+                data: updates.map(({ rowNumber, values: rowValues }) => ({ range: range(rowNumber), values: [rowValues] }))
+            }),
+            share: (email) => doc.share(email, { role: 'writer' })
+        };
+    }
+}
+
+export {
+    GoogleSheetsClient,
+    exportLeadsToSheet,
+    parseSheetExport,
+    parseColumns,
+    parseSpreadsheetId,
+    serviceAccountFromEnv,
+    DEFAULT_COLUMNS,
+    EXPORT_MODES
+};
@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { ScrapeJobManager } from '../job_manager.js';
+import { ScrapeBatchManager, parseQueryList, expandQueryMatrix } from '../batch_manager.js';
+
+const place = (name, cid) => ({
+    name,
+    googleMapsUrl: `https://www.google.com/maps/place/${name.replace(/ /g, '+')}/data=!4m7!3m6!1s0x88d9b6:0x${cid.toString(16)}!8m2`
+});
+
+// Places each query finds; the Tampa searches overlap with Miami
+const FOUND = {
+    'dentists in Miami': [place('Smile Dental', 1), place('Bay Dental', 2)],
+    'dentists in Tampa': [place('Bay Dental', 2), place('Tampa Smiles', 3)],
+    'orthodontists in Miami': [place('Luna Orthodontics', 4), place('Smile Dental', 1)],
+    'orthodontists in Tampa': []
+};
+
+class StubScraper extends EventEmitter {
+    constructor() {
+        super();
+        this.results = [];
+        this.stats = { processed: 0, successful: 0, failed: 0, urlsFound: 0, cancelled: false };
+        this.coverage = null;
+    }
+
+    async scrapeBusinesses(query) {
+        for (const business of FOUND[query] ?? []) {
+            this.results.push(business);
+            this.stats.processed++;
+            this.stats.successful++;
+        }
+        this.stats.urlsFound = this.results.length;
+        return this.results;
+    }
+
+    cancel() {}
+}
+
+const createManagers = (options = {}) => {
+    const jobManager = new ScrapeJobManager({ createScraper: () => new StubScraper(), ...options });
+    jobManager.log = () => {};
+    const batchManager = new ScrapeBatchManager({ jobManager });
+    batchManager.log = () => {};
+    return { jobManager, batchManager };
+};
+
+const waitForBatch = async (batchManager, id) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const batch = batchManager.serializeBatch(batchManager.getBatch(id), { includeResults: true });
+        if (!['queued', 'running'].includes(batch.status)) return batch;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Batch did not finish');
+};
+
+describe('parseQueryList', () => {
+    it('reads one entry per line and drops blanks, comments and repeats', () => {
+        assert.deepEqual(parseQueryList('Miami, FL\r\n\n  Tampa,  FL \n# Florida\nmiami, fl'), ['Miami, FL', 'Tampa, FL']);
+        assert.deepEqual(parseQueryList([' dentists ', 'Dentists', '', null]), ['dentists']);
+        assert.deepEqual(parseQueryList(undefined), []);
+    });
+});
+
+describe('expandQueryMatrix', () => {
+    it('pairs every keyword with every location', () => {
+        assert.deepEqual(expandQueryMatrix(['dentists', 'orthodontists'], ['Miami', 'Tampa']).map(({ query }) => query), [
+            'dentists in Miami',
+            'dentists in Tampa',
+            'orthodontists in Miami',
+            'orthodontists in Tampa'
+        ]);
+    });
+
+    it('fills a custom template and uses keywords alone without locations', () => {
+        assert.deepEqual(expandQueryMatrix(['dentist'], ['Miami'], { template: '{location} {keyword}' }), [
+            { keyword: 'dentist', location: 'Miami', query: 'Miami dentist' }
+        ]);
+        assert.deepEqual(expandQueryMatrix(['dentists in Miami', 'Dentists in miami']), [
+            { keyword: 'dentists in Miami', location: null, query: 'dentists in Miami' }
+        ]);
+    });
+});
+
+describe('ScrapeBatchManager', () => {
+    it('runs one job per query and combines their results once per place', async () => {
+        const { jobManager, batchManager } = createManagers();
+        const queries = expandQueryMatrix(['dentists', 'orthodontists'], ['Miami', 'Tampa']);
+
+        const { id } = batchManager.createBatch(queries, { maxResults: 10, engine: 'playwright' });
+        const batch = await waitForBatch(batchManager, id);
+
+        assert.equal(batch.status, 'completed');
+        assert.deepEqual(batch.keywords, ['dentists', 'orthodontists']);
+        assert.deepEqual(batch.locations, ['Miami', 'Tampa']);
+        assert.equal(batch.progress.totalQueries, 4);
+        assert.equal(batch.progress.completed, 4);
+        assert.deepEqual(batch.stats, { totalResults: 6, uniqueResults: 4, duplicates: 2 });
+        assert.deepEqual(
+            batch.queries.map(({ query, totalResults, newResults, duplicates }) => [query, totalResults, newResults, duplicates]),
+            [
+                ['dentists in Miami', 2, 2, 0],
+                ['dentists in Tampa', 2, 1, 1],
+                ['orthodontists in Miami', 2, 1, 1],
+                ['orthodontists in Tampa', 0, 0, 0]
+            ]
+        );
+        assert.deepEqual(batch.results.map(result => result.name), ['Smile Dental', 'Bay Dental', 'Tampa Smiles', 'Luna Orthodontics']);
+        assert.deepEqual(batch.results[0].matchedQueries, ['dentists in Miami', 'orthodontists in Miami']);
+
+        const [job] = jobManager.listJobs().filter(listed => listed.params.query === 'dentists in Tampa');
+        assert.equal(job.params.maxResults, 10);
+        assert.deepEqual(jobManager.serializeJob(job).batch, { id, position: 1, keyword: 'dentists', location: 'Tampa' });
+    });
+
+    it('lists batches and cancels the jobs that have not run yet', () => {
+        // No job may start, so every query stays queued
+        const { batchManager } = createManagers({ maxConcurrentJobs: 0 });
+        const first = batchManager.createBatch(expandQueryMatrix(['cafes'], ['Austin']), {});
+        const second = batchManager.createBatch(expandQueryMatrix(['bakeries'], ['Austin', 'Dallas']), {});
+
+        assert.deepEqual(batchManager.listBatches().map(batch => batch.id).sort(), [first.id, second.id].sort());
+        assert.equal(batchManager.serializeBatch(second).status, 'queued');
+
+        assert.equal(batchManager.cancelBatch(second), 2);
+        assert.equal(batchManager.cancelBatch(second), 0);
+        assert.equal(batchManager.serializeBatch(second).status, 'cancelled');
+        assert.equal(batchManager.serializeBatch(first).status, 'queued');
+        assert.equal(batchManager.getBatch('missing'), null);
+    });
+
+    it('prunes a finished batch with all of its jobs', async () => {
+        const { jobManager, batchManager } = createManagers({ maxStoredJobs: 3 });
+        const batch = batchManager.createBatch(expandQueryMatrix(['dentists', 'orthodontists'], ['Miami']), {});
+        await waitForBatch(batchManager, batch.id);
+
+        // One job over the limit: the whole batch goes, never half of it
+        const single = jobManager.createJob({ query: 'dentists in Tampa' });
+        const second = jobManager.createJob({ query: 'orthodontists in Tampa' });
+        assert.equal(batchManager.getBatch(batch.id), null);
+        assert.deepEqual(jobManager.listJobs().map(job => job.id).sort(), [single.id, second.id].sort());
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LeadStore } from '../lead_store.js';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+
+const placeUrl = (cid) => `https://www.google.com/maps/place/x/data=!4m7!3m6!1s0x88d9b4:${cid}!8m2!3d25.77!4d-80.19`;
+
+/**
+ * Run the CLI. Resolves to { code, stdout, stderr }.
+ */
+const leadgen = (args) => new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+});
+
+describe('leadgen CLI', () => {
+    let dir;
+    let dbPath;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leadgen-cli-'));
+        dbPath = path.join(dir, 'leads.db');
+
+        const store = new LeadStore({ dbPath });
+        store.upsertLeads([
+            { name: 'Smile Dental', rating: 4.7, website: 'https://smile.com', searchQuery: 'dentists miami', googleMapsUrl: placeUrl('0x1') },
+            { name: 'Bright "Teeth", LLC', rating: 3.9, searchQuery: 'dentists miami', googleMapsUrl: placeUrl('0x2') }
+        ], { jobId: 'job-1' });
+        store.close();
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('exports saved leads as CSV on stdout with the chosen columns', async () => {
+        const { code, stdout } = await leadgen(['--db', dbPath, 'export', '--columns', 'name,rating', '--sort', 'rating', '--order', 'desc']);
+
+        assert.equal(code, 0);
+        assert.equal(stdout, 'Name,Rating\r\nSmile Dental,4.7\r\n"Bright ""Teeth"", LLC",3.9\r\n');
+    });
+
+    it('picks the format from the output file and applies filters', async () => {
+        const out = path.join(dir, 'exports', 'good.json');
+        const { code, stderr } = await leadgen(['--db', dbPath, 'export', '--min-rating', '4.5', '--has-website', '--out', out]);
+
+        assert.equal(code, 0);
+        assert.match(stderr, /Wrote 1 leads/);
+        assert.deepEqual(JSON.parse(fs.readFileSync(out, 'utf8')).map(lead => lead.name), ['Smile Dental']);
+    });
+
+    it('exits with 2 on bad arguments', async () => {
+        assert.equal((await leadgen(['scrape'])).code, 2);
+        assert.equal((await leadgen(['scrape', 'dentists', '--max', '0'])).code, 2);
+        assert.equal((await leadgen(['--db', dbPath, 'export', '--format', 'pdf'])).code, 2);
+
+        const columns = await leadgen(['--db', dbPath, 'export', '--columns', 'nope']);
+        assert.equal(columns.code, 2);
+        assert.match(columns.stderr, /Unknown column\(s\) nope/);
+
+        const batch = await leadgen(['batch', path.join(dir, 'missing.txt')]);
+        assert.equal(batch.code, 2);
+        assert.match(batch.stderr, /Cannot read/);
+    });
+});
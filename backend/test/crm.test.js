@@ -0,0 +1,179 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyMapping, validateCrmMapping, leadValue } from '../crm/field_mapping.js';
+import { createCrmAdapter, findCrmTarget } from '../crm/index.js';
+import { CrmSync } from '../crm_sync.js';
+import { LeadStore } from '../lead_store.js';
+import { startCrmServer, TOKEN } from './helpers/crm_server.js';
+
+const placeUrl = (cid) => `https://www.google.com/maps/place/x/data=!4m7!3m6!1s0x88d9b4:${cid}!8m2!3d25.77!4d-80.19`;
+
+const LEAD = {
+    id: 1,
+    name: 'Smile Dental',
+    website: 'https://www.smiledental.com/contact',
+    phone: '+13055550142',
+    email: 'hello@smiledental.com',
+    address: null,
+    enrichment: { emails: [{ email: 'hello@smiledental.com' }, { email: 'care@smiledental.com' }] }
+};
+
+describe('CRM field mapping', () => {
+    it('maps lead fields, derives the domain and leaves out empty values', () => {
+        const record = applyMapping(LEAD, [
+            { field: 'name', property: 'company' },
+            { field: 'domain', property: 'domain' },
+            { field: 'address', property: 'address' },
+            { field: 'enrichment.emails.email', property: 'all_emails' }
+        ]);
+
+        assert.deepEqual(record, {
+            company: 'Smile Dental',
+            domain: 'smiledental.com',
+            all_emails: 'hello@smiledental.com, care@smiledental.com'
+        });
+        assert.equal(leadValue({ website: 'not a url' }, 'domain'), null);
+    });
+
+    it('rejects bad mappings and dedupe keys', () => {
+        assert.throws(() => validateCrmMapping({ mapping: [] }), /at least one field/);
+        assert.throws(() => validateCrmMapping({ mapping: [{ field: 'name; drop', property: 'name' }] }), /needs a lead field/);
+        assert.throws(() => validateCrmMapping({ mapping: [{ field: 'name', property: ' ' }] }), /needs a CRM property/);
+        assert.throws(() => validateCrmMapping({ mapping: [{ field: 'name', property: 'a' }, { field: 'phone', property: 'a' }] }), /mapped twice/);
+        assert.throws(() => validateCrmMapping({ mapping: [{ field: 'name', property: 'name' }], dedupeOn: 'email' }), /"dedupeOn" must be one of/);
+
+        assert.deepEqual(
+            validateCrmMapping({ mapping: [{ field: ' name ', property: ' company ' }] }),
+            { mapping: [{ field: 'name', property: 'company' }], dedupeOn: 'domain' }
+        );
+    });
+});
+
+describe('CRM adapters', () => {
+    let crm;
+
+    before(async () => {
+        crm = await startCrmServer();
+    });
+
+    after(async () => {
+        await crm.close();
+    });
+
+    it('needs credentials and a known object', () => {
+        assert.throws(() => createCrmAdapter('salesforce'), /Unknown CRM "salesforce"/);
+        assert.throws(() => createCrmAdapter('hubspot', { object: 'deals', accessToken: TOKEN }), /no "deals" object/);
+        assert.throws(() => createCrmAdapter('pipedrive', { object: 'persons' }), /PIPEDRIVE_API_TOKEN/);
+        assert.throws(() => createCrmAdapter('rest', { token: TOKEN }), /CRM_REST_URL/);
+        assert.equal(findCrmTarget('hubspot', 'companies').target, 'hubspot:companies');
+        assert.equal(findCrmTarget('hubspot', 'deals'), null);
+    });
+
+    it('creates HubSpot companies and finds them again by domain', async () => {
+        const adapter = createCrmAdapter('hubspot', { object: 'companies', accessToken: TOKEN, baseUrl: crm.baseUrl });
+
+        const id = await adapter.create({ name: 'Smile Dental', domain: 'smiledental.com' });
+        assert.equal(await adapter.findDuplicate({ key: 'domain', value: 'smiledental.com' }), id);
+        assert.equal(await adapter.findDuplicate({ key: 'phone', value: '+13055550142' }), null);
+
+        await adapter.update(id, { phone: '+13055550142' });
+        assert.deepEqual(crm.records.get('hubspot:companies').get(id), { name: 'Smile Dental', domain: 'smiledental.com', phone: '+13055550142' });
+    });
+
+    it('sends Pipedrive person emails as lists and matches their domain', async () => {
+        const adapter = createCrmAdapter('pipedrive', { object: 'persons', apiToken: TOKEN, baseUrl: crm.baseUrl });
+
+        const id = await adapter.create({ name: 'Smile Dental', email: 'hello@smiledental.com', phone: '(305) 555-0142' });
+        assert.deepEqual(crm.records.get('pipedrive:persons').get(id).email, [{ value: 'hello@smiledental.com', primary: true, label: 'work' }]);
+
+        assert.equal(await adapter.findDuplicate({ key: 'domain', value: 'smiledental.com' }), id);
+        // "dental.com" is in the email but is not its domain
+        assert.equal(await adapter.findDuplicate({ key: 'domain', value: 'dental.com' }), null);
+    });
+
+    it('looks up REST records by the mapped property', async () => {
+        const adapter = createCrmAdapter('rest', { url: `${crm.baseUrl}/records`, token: TOKEN });
+
+        const id = await adapter.create({ company_domain: 'smiledental.com' });
+        assert.equal(await adapter.findDuplicate({ key: 'domain', value: 'smiledental.com', property: 'company_domain' }), id);
+        assert.equal(await adapter.findDuplicate({ key: 'domain', value: 'other.com', property: 'company_domain' }), null);
+    });
+
+    it('reports CRM errors with the status and keeps tokens out of the message', async () => {
+        const adapter = createCrmAdapter('pipedrive', { object: 'persons', apiToken: 'wrong-token', baseUrl: crm.baseUrl });
+
+        await assert.rejects(adapter.create({ name: 'Smile Dental' }), (error) => {
+            assert.equal(error.status, 401);
+            assert.match(error.message, /POST \/v1\/persons failed with HTTP 401: unauthorized access/);
+            assert.doesNotMatch(error.message, /wrong-token/);
+            return true;
+        });
+    });
+});
+
+describe('CrmSync', () => {
+    let crm;
+    let store;
+
+    beforeEach(async () => {
+        crm = await startCrmServer();
+        store = new LeadStore();
+    });
+
+    afterEach(async () => {
+        store.close();
+        await crm.close();
+    });
+
+    const saveLead = (name, website, cid) => store.getLead(store.upsertLead({ name, website, googleMapsUrl: placeUrl(cid) }).id);
+
+    it('creates new records, updates duplicates and records each lead\'s status', async () => {
+        const sync = new CrmSync({ leadStore: store, connections: { hubspot: { accessToken: TOKEN, baseUrl: crm.baseUrl } } });
+        const target = sync.target('hubspot', 'companies');
+        const companies = () => crm.records.get('hubspot:companies');
+
+        // Already in the CRM under the same domain
+        await createCrmAdapter('hubspot', { object: 'companies', accessToken: TOKEN, baseUrl: crm.baseUrl })
+            .create({ name: 'Smile Dental Group', domain: 'smiledental.com' });
+
+        const leads = [saveLead('Smile Dental', 'https://www.smiledental.com', '0x1'), saveLead('Bright Teeth', 'https://brightteeth.com', '0x2')];
+        const summary = await sync.syncLeads(target, leads);
+
+        assert.deepEqual([summary.created, summary.updated, summary.failed], [1, 1, 0]);
+        assert.equal(companies().size, 2);
+        assert.equal(companies().get('101').name, 'Smile Dental');
+
+        const synced = store.getLead(leads[1].id).crmSync['hubspot:companies'];
+        assert.equal(synced.status, 'synced');
+        assert.equal(synced.action, 'created');
+
+        // The second push updates the record the first one created
+        crm.requests.length = 0;
+        await sync.syncLeads(target, [store.getLead(leads[1].id)]);
+        assert.deepEqual(crm.requests, [`PATCH /crm/v3/objects/companies/${synced.remoteId}`]);
+    });
+
+    it('uses the saved mapping and records failures', async () => {
+        const sync = new CrmSync({ leadStore: store, connections: { rest: { url: `${crm.baseUrl}/records`, token: TOKEN } } });
+        const target = sync.target('rest', 'records');
+
+        assert.throws(() => sync.saveMapping(target, { mapping: [], dedupeOn: 'phone' }), /at least one field/);
+        sync.saveMapping(target, { mapping: [{ field: 'name', property: 'title' }, { field: 'domain', property: 'company_domain' }], dedupeOn: 'domain' });
+        assert.equal(sync.listTargets().find(entry => entry.target === 'rest:records').configured, true);
+        assert.equal(sync.listTargets().find(entry => entry.target === 'hubspot:companies').configured, false);
+
+        const lead = saveLead('Smile Dental', 'https://smiledental.com', '0x1');
+        const first = await sync.syncLeads(target, [lead]);
+        assert.deepEqual(crm.records.get('rest:records').get(first.results[0].remoteId), { title: 'Smile Dental', company_domain: 'smiledental.com' });
+
+        const broken = new CrmSync({ leadStore: store, connections: { rest: { url: `${crm.baseUrl}/records`, token: 'expired' } } });
+        const failed = await broken.syncLeads(target, [store.getLead(lead.id)]);
+        assert.equal(failed.failed, 1);
+
+        const status = store.getLead(lead.id).crmSync['rest:records'];
+        assert.equal(status.status, 'failed');
+        assert.match(status.error, /HTTP 401/);
+        // The record id from the earlier push is kept for the next one
+        assert.equal(status.remoteId, first.results[0].remoteId);
+    });
+});
@@ -0,0 +1,153 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmailVerifier, parseEmail } from '../email_verifier.js';
+import { startSmtpServer } from './helpers/smtp_server.js';
+
+const dnsError = (code) => Object.assign(new Error(code), { code });
+
+// Fake DNS: catchall.com accepts everything, nomail.com has a null MX,
+// bare.com has only an A record and broken.com times out
+const resolver = {
+    resolveMx: async (domain) => {
+        if (domain === 'nomail.com') return [{ exchange: '.', priority: 0 }];
+        if (domain === 'broken.com') throw dnsError('ETIMEOUT');
+        if (['shop.com', 'catchall.com', 'mailinator.com'].includes(domain)) {
+            return [{ exchange: `mx2.${domain}`, priority: 20 }, { exchange: `mx1.${domain}`, priority: 10 }];
+        }
+        throw dnsError('ENOTFOUND');
+    },
+    resolve4: async (domain) => {
+        if (domain === 'bare.com') return ['203.0.113.7'];
+        throw dnsError('ENODATA');
+    }
+};
+
+describe('parseEmail', () => {
+    it('normalizes the domain and rejects malformed addresses', () => {
+        assert.deepEqual(parseEmail(' Jane.Doe@Shop.COM '), { local: 'Jane.Doe', domain: 'shop.com' });
+        assert.equal(parseEmail('jane..doe@shop.com'), null);
+        assert.equal(parseEmail('jane@shop'), null);
+        assert.equal(parseEmail('@shop.com'), null);
+    });
+});
+
+describe('EmailVerifier without SMTP', () => {
+    const verifier = new EmailVerifier({ resolver, smtpProbe: false });
+
+    it('sorts mail exchangers and understands null MX and A fallbacks', async () => {
+        assert.deepEqual(await verifier.lookupMx('shop.com'), { status: 'found', hosts: ['mx1.shop.com', 'mx2.shop.com'] });
+        assert.equal((await verifier.lookupMx('nomail.com')).status, 'none');
+        assert.deepEqual(await verifier.lookupMx('bare.com'), { status: 'found', hosts: ['bare.com'] });
+        assert.equal((await verifier.lookupMx('broken.com')).status, 'error');
+    });
+
+    it('gives verdicts from syntax, DNS and domain lists', async () => {
+        const results = await verifier.verifyMany([
+            'not-an-email', 'a@nomail.com', 'a@missing.com', 'a@broken.com', 'a@mailinator.com', 'info@shop.com'
+        ]);
+
+        assert.deepEqual(results.map(({ verdict, reason }) => [verdict, reason]), [
+            ['invalid', 'syntax'],
+            ['invalid', 'no-mx'],
+            ['invalid', 'no-mx'],
+            ['risky', 'dns-error'],
+            ['risky', 'disposable'],
+            ['risky', 'unverified']
+        ]);
+        assert.equal(results[5].checks.role, true);
+    });
+
+    it('retries failed DNS lookups sooner and evicts expired domains', async () => {
+        let lookups = 0;
+        const flaky = {
+            resolveMx: async (domain) => {
+                lookups++;
+                if (lookups === 1) throw dnsError('ETIMEOUT');
+                return [{ exchange: `mx.${domain}`, priority: 10 }];
+            }
+        };
+        const verifier = new EmailVerifier({ resolver: flaky, smtpProbe: false, errorCacheTtl: 0 });
+
+        assert.equal((await verifier.verify('a@shop.com')).reason, 'dns-error');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        assert.equal((await verifier.verify('a@shop.com')).reason, 'unverified');
+        assert.equal(lookups, 2);
+
+        const shortLived = new EmailVerifier({ resolver, smtpProbe: false, cacheTtl: 0, errorCacheTtl: 0 });
+        await shortLived.verifyMany(['a@shop.com', 'a@bare.com', 'a@broken.com']);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await shortLived.verify('a@catchall.com');
+        assert.deepEqual([...shortLived.domainCache.keys()], ['catchall.com']);
+    });
+});
+
+describe('EmailVerifier SMTP probe', () => {
+    let strict;
+    let permissive;
+
+    before(async () => {
+        strict = await startSmtpServer({ mailboxes: ['jane@shop.com', 'info@shop.com'], greylist: ['slow@shop.com'] });
+        permissive = await startSmtpServer({ catchAll: true });
+    });
+
+    after(async () => {
+        await strict?.close();
+        await permissive?.close();
+    });
+
+    const verifierFor = (server) => new EmailVerifier({ resolver, smtpHost: server.host, smtpPort: server.port, smtpTimeout: 2000 });
+
+    it('accepts known mailboxes and rejects unknown ones', async () => {
+        const results = await verifierFor(strict).verifyMany(['jane@shop.com', 'nobody@shop.com', 'slow@shop.com']);
+
+        assert.deepEqual(results.map(({ verdict, reason }) => [verdict, reason]), [
+            ['deliverable', 'accepted'],
+            ['invalid', 'mailbox-not-found'],
+            ['risky', 'smtp-unverified']
+        ]);
+        assert.equal(results[0].checks.catchAll, false);
+        assert.equal(results[0].checks.smtp.code, 250);
+        assert.ok(strict.commands.includes('MAIL FROM:<verify@leadgen-copilot.local>'));
+    });
+
+    it('keeps the verdict of role accounts and only flags them', async () => {
+        const result = await verifierFor(strict).verify('info@shop.com');
+
+        assert.equal(result.verdict, 'deliverable');
+        assert.equal(result.reason, 'accepted');
+        assert.equal(result.checks.role, true);
+    });
+
+    it('marks catch-all domains risky and probes them once', async () => {
+        const verifier = verifierFor(permissive);
+        const results = await verifier.verifyMany(['anyone@catchall.com', 'other@catchall.com']);
+
+        assert.deepEqual(results.map(result => result.reason), ['catch-all', 'catch-all']);
+        const randomProbes = permissive.commands.filter(command => /^RCPT TO:<[0-9a-f]{24}@/.test(command));
+        assert.equal(randomProbes.length, 1);
+    });
+
+    it('hands the catch-all probe to one waiter when it found nothing', async () => {
+        const server = await startSmtpServer({ mailboxes: ['jane@shop.com', 'john@shop.com'] });
+        try {
+            const verifier = new EmailVerifier({ resolver, smtpHost: server.host, smtpPort: server.port, smtpTimeout: 2000, concurrency: 3 });
+            // The rejected first address never gets to the random probe
+            const results = await verifier.verifyMany(['nobody@shop.com', 'jane@shop.com', 'john@shop.com']);
+
+            assert.deepEqual(results.map(result => result.reason), ['mailbox-not-found', 'accepted', 'accepted']);
+            assert.deepEqual(results.map(result => result.checks.catchAll), [null, false, false]);
+            const randomProbes = server.commands.filter(command => /^RCPT TO:<[0-9a-f]{24}@/.test(command));
+            assert.equal(randomProbes.length, 1);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('treats an unreachable server as unverified', async () => {
+        const verifier = new EmailVerifier({ resolver, smtpHost: '127.0.0.1', smtpPort: 1, smtpTimeout: 1000 });
+        const result = await verifier.verify('jane@shop.com');
+
+        assert.equal(result.verdict, 'risky');
+        assert.equal(result.checks.smtp.status, 'unknown');
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBounds, buildGrid, zoomForWidth, geocodeArea, pendingCoverage, tileSearchUrl, placeKeyForUrl } from '../geo_grid.js';
+import { GoogleMapsBusinessScraper } from '../gmaps_scraper.js';
+
+const AUSTIN = { south: 30.2, west: -97.8, north: 30.3, east: -97.7 };
+
+const placeUrl = (name, cid) =>
+    `https://www.google.com/maps/place/${name}/@30.25,-97.75,17z/data=!4m7!3m6!1s0x8644b5:0x${cid.toString(16)}!8m2`;
+
+describe('parseBounds', () => {
+    it('reads strings, arrays and objects', () => {
+        assert.deepEqual(parseBounds('30.2,-97.8,30.3,-97.7'), AUSTIN);
+        assert.deepEqual(parseBounds(['30.2', '-97.8', '30.3', '-97.7']), AUSTIN);
+        assert.deepEqual(parseBounds({ ...AUSTIN }), AUSTIN);
+    });
+
+    it('rejects malformed and inverted boxes', () => {
+        assert.equal(parseBounds('30.2,-97.8,30.3'), null);
+        assert.equal(parseBounds('30.3,-97.8,30.2,-97.7'), null);
+        assert.equal(parseBounds('30.2,170,30.3,-170'), null);
+        assert.equal(parseBounds('30.2,,30.3,-97.7'), null);
+        assert.equal(parseBounds(null), null);
+    });
+});
+
+describe('buildGrid', () => {
+    it('splits the box into tiles from the north-west corner', () => {
+        const tiles = buildGrid(AUSTIN, { tileSizeKm: 5 });
+
+        // 11.1 km tall and 9.6 km wide → 3 rows of 2
+        assert.equal(tiles.length, 6);
+        assert.deepEqual(tiles.map(tile => [tile.row, tile.col]), [[0, 0], [0, 1], [1, 0], [1, 1], [2, 0], [2, 1]]);
+        assert.deepEqual(tiles[0].bounds, { south: 30.266667, west: -97.8, north: 30.3, east: -97.75 });
+        assert.equal(tiles[5].bounds.south, 30.2);
+        assert.equal(tiles[5].bounds.east, -97.7);
+        assert.ok(tiles.every(tile => tile.zoom === 14));
+    });
+
+    it('uses one tile for an area smaller than the tile size', () => {
+        const [tile, ...rest] = buildGrid({ south: 30.26, west: -97.75, north: 30.27, east: -97.74 }, { tileSizeKm: 5 });
+
+        assert.equal(rest.length, 0);
+        assert.deepEqual(tile.center, { lat: 30.265, lng: -97.745 });
+    });
+
+    it('refuses grids with more than maxTiles tiles', () => {
+        assert.throws(() => buildGrid(AUSTIN, { tileSizeKm: 1, maxTiles: 50 }), /needs 120 tiles of 1 km \(at most 50\)/);
+    });
+});
+
+describe('zoomForWidth', () => {
+    it('zooms out for wider tiles and stays within Maps zoom levels', () => {
+        assert.ok(zoomForWidth(2, 30) > zoomForWidth(10, 30));
+        assert.equal(zoomForWidth(0.001, 0), 20);
+        assert.equal(zoomForWidth(20000, 0), 3);
+    });
+});
+
+describe('geocodeArea', () => {
+    it('returns the first match as a bounding box', async () => {
+        let requested;
+        const fetch = async (url) => {
+            requested = url;
+            return {
+                ok: true,
+                json: async () => [{ display_name: 'Austin, Travis County, Texas', boundingbox: ['30.0986', '30.5169', '-97.9383', '-97.5614'] }]
+            };
+        };
+
+        const area = await geocodeArea('Austin, TX', { fetch, url: 'http://geocoder.test/search' });
+
+        assert.match(requested, /^http:\/\/geocoder\.test\/search\?q=Austin%2C\+TX&format=json&limit=1$/);
+        assert.deepEqual(area, {
+            name: 'Austin, Travis County, Texas',
+            bounds: { south: 30.0986, west: -97.9383, north: 30.5169, east: -97.5614 }
+        });
+    });
+
+    it('returns null without a match and throws on HTTP errors', async () => {
+        const empty = async () => ({ ok: true, json: async () => [] });
+        const failing = async () => ({ ok: false, status: 503 });
+
+        assert.equal(await geocodeArea('Nowhere', { fetch: empty }), null);
+        await assert.rejects(geocodeArea('Austin', { fetch: failing }), /HTTP 503/);
+    });
+});
+
+describe('tile searches', () => {
+    it('centres the search URL on the tile', () => {
+        const [tile] = buildGrid(AUSTIN, { tileSizeKm: 5 });
+
+        assert.equal(tileSearchUrl('https://www.google.com', 'coffee shops', tile),
+            'https://www.google.com/maps/search/coffee%20shops/@30.283334,-97.775,14z');
+    });
+
+    it('keys a place the same from every tile', () => {
+        const key = placeKeyForUrl(placeUrl('Cafe+One', 42));
+
+        assert.equal(key, 'cid:42');
+        assert.equal(placeKeyForUrl(placeUrl('Cafe+One', 42).replace('@30.25,-97.75', '@30.28,-97.77')), key);
+        assert.equal(placeKeyForUrl('https://www.google.com/maps/place/Cafe/@1,2,17z?hl=en'), 'https://www.google.com/maps/place/Cafe');
+    });
+
+    it('deduplicates places across tiles and records each tile\'s coverage', async () => {
+        const tiles = buildGrid(AUSTIN, { tileSizeKm: 5 }).slice(0, 3);
+        const found = [
+            [placeUrl('A', 1), placeUrl('B', 2)],
+            [placeUrl('B', 2), placeUrl('C', 3)],
+            null
+        ];
+
+        const scraper = new GoogleMapsBusinessScraper({ driver: { name: 'stub' } });
+        scraper.log = () => {};
+        scraper.collectBusinessUrls = async (query, maxResults, tile) => {
+            if (!found[tile.index]) throw new Error('Search results did not load');
+            return found[tile.index].map(url => ({ url }));
+        };
+        const events = [];
+        scraper.on('progress', event => events.push(event));
+
+        scraper.coverage = pendingCoverage(tiles);
+        const businessUrls = [];
+        await scraper.searchTiles('cafes', { perTileResults: 2 }, businessUrls);
+
+        assert.deepEqual(businessUrls.map(({ index, tile }) => [index, tile]), [[1, 0], [2, 0], [3, 1]]);
+        assert.deepEqual(
+            scraper.coverage.map(({ status, found, added, duplicates, saturated }) => ({ status, found, added, duplicates, saturated })),
+            [
+                { status: 'searched', found: 2, added: 2, duplicates: 0, saturated: true },
+                { status: 'searched', found: 2, added: 1, duplicates: 1, saturated: true },
+                { status: 'failed', found: 0, added: 0, duplicates: 0, saturated: false }
+            ]
+        );
+        assert.equal(scraper.coverage[2].error, 'Search results did not load');
+        assert.equal(scraper.stats.tilesSearched, 3);
+        assert.deepEqual(events.filter(event => event.type === 'tile').map(event => event.tile.index), [0, 1, 2]);
+    });
+});
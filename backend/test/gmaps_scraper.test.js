@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GoogleMapsBusinessScraper } from '../gmaps_scraper.js';
+import { pendingCoverage } from '../geo_grid.js';
+
+const stubScraper = (options) => {
+    const scraper = new GoogleMapsBusinessScraper({ driver: { name: 'stub' }, delay: 0, ...options });
+    scraper.log = () => {};
+    scraper.page = { wait: async () => {} };
+    scraper.scrapeBusinessPage = async (page, query, business, index) => {
+        if (business.broken) throw new Error('Place page did not load');
+        return { name: `Business ${index + 1}`, resultIndex: index };
+    };
+    return scraper;
+};
+
+describe('processBusinesses checkpoints', () => {
+    it('saves every checkpointEvery businesses and when the run ends', async () => {
+        const scraper = stubScraper({ checkpointEvery: 3 });
+        const checkpoints = [];
+        scraper.on('checkpoint', checkpoint => checkpoints.push(checkpoint));
+
+        const businessUrls = Array.from({ length: 7 }, (_, i) => ({ url: `https://maps.test/place/${i}`, broken: i === 4 }));
+        await scraper.processBusinesses('cafes', businessUrls, 0, 7);
+
+        assert.deepEqual(checkpoints.map(checkpoint => checkpoint.nextIndex), [3, 6, 7]);
+        assert.deepEqual(checkpoints[1].failedIndexes, [4]);
+        assert.equal(checkpoints[2].results.length, 6);
+    });
+
+    it('checkpoints where a cancelled run stopped', async () => {
+        const scraper = stubScraper({ checkpointEvery: 10 });
+        const checkpoints = [];
+        scraper.on('checkpoint', checkpoint => checkpoints.push(checkpoint));
+        scraper.on('progress', event => {
+            if (event.type === 'business' && event.index === 2) scraper.cancel();
+        });
+
+        const businessUrls = Array.from({ length: 5 }, (_, i) => ({ url: `https://maps.test/place/${i}` }));
+        await scraper.processBusinesses('cafes', businessUrls, 0, 5);
+
+        assert.deepEqual(checkpoints.map(checkpoint => checkpoint.nextIndex), [2]);
+    });
+});
+
+describe('searchTiles', () => {
+    it('records a tile without results as searched with nothing found', async () => {
+        const scraper = new GoogleMapsBusinessScraper({ driver: { name: 'stub' }, delay: 0 });
+        scraper.log = () => {};
+        const waited = [];
+        // The results feed loads, but holds no places
+        scraper.page = {
+            goto: async () => {},
+            wait: async () => {},
+            waitForSelector: async (selector) => { waited.push(selector); },
+            count: async (selector) => (scraper.selectors.feedContainer.includes(selector) ? 1 : 0)
+        };
+
+        scraper.coverage = pendingCoverage([{ index: 0, center: { lat: 30.25, lng: -97.75 }, zoom: 15 }]);
+        const businessUrls = [];
+        await scraper.searchTiles('cafes', { perTileResults: 20 }, businessUrls);
+
+        assert.deepEqual(businessUrls, []);
+        const [entry] = scraper.coverage;
+        assert.equal(entry.status, 'searched');
+        assert.equal(entry.found, 0);
+        assert.equal(entry.saturated, false);
+        assert.ok(scraper.selectors.feedContainer.every(selector => waited[0].includes(selector)));
+    });
+});
+
+describe('log', () => {
+    it('writes through the logger option', () => {
+        const lines = [];
+        const scraper = new GoogleMapsBusinessScraper({ driver: { name: 'stub' }, logger: line => lines.push(line) });
+
+        scraper.log('Starting', 'info');
+        scraper.log('Hidden unless verbose', 'debug');
+
+        assert.equal(lines.length, 1);
+        assert.match(lines[0], /^📋 \[.+\] Starting$/);
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * 🧪 CRM MOCK SERVER
+ *
+ * Answers the slice of the HubSpot, Pipedrive and generic REST APIs the
+ * CRM adapters use, on a local port, keeping records in memory so tests
+ * can seed a CRM and read back what was pushed (point the adapters'
+ * baseUrl / url at `baseUrl`).
+ *
+ * - /crm/v3/objects/<object>[/search | /<id>]   HubSpot, Bearer TOKEN
+ * - /v1/<object>[/search | /<id>]?api_token=    Pipedrive, TOKEN
+ * - /records[/<id>]                             REST, Bearer TOKEN
+ *
+ * `records` maps "<crm>:<object>" to Map(id → fields).
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import http from 'http';
+
+const TOKEN = 'test-token';
+
+const readBody = (req) => new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data ? JSON.parse(data) : null));
+});
+
+const listOf = (value) => (Array.isArray(value) ? value.map(entry => entry.value ?? entry) : [value].filter(Boolean));
+
+/**
+ * Start the server on a free port. Resolves to { baseUrl, records, requests, close }.
+ * `requests` lists "METHOD path" of every request, in order.
+ */
+const startCrmServer = () => new Promise((resolve, reject) => {
+    const records = new Map();
+    const requests = [];
+    let nextId = 101;
+
+    const collection = (name) => {
+        if (!records.has(name)) records.set(name, new Map());
+        return records.get(name);
+    };
+
+    const hubspot = (method, [object, id], body) => {
+        const stored = collection(`hubspot:${object}`);
+
+        if (method === 'POST' && id === 'search') {
+            const { propertyName, value } = body.filterGroups[0].filters[0];
+            const results = [...stored]
+                .filter(([, properties]) => String(properties[propertyName]) === value)
+                .map(([recordId, properties]) => ({ id: recordId, properties }));
+            return [200, { total: results.length, results }];
+        }
+        if (method === 'POST' && !id) {
+            const recordId = String(nextId++);
+            stored.set(recordId, { ...body.properties });
+            return [201, { id: recordId, properties: body.properties }];
+        }
+        if (method === 'PATCH' && stored.has(id)) {
+            stored.set(id, { ...stored.get(id), ...body.properties });
+            return [200, { id, properties: stored.get(id) }];
+        }
+        return [404, { status: 'error', message: 'resource not found' }];
+    };
+
+    const pipedrive = (method, [object, id], body, params) => {
+        const stored = collection(`pipedrive:${object}`);
+
+        if (method === 'GET' && id === 'search') {
+            const term = params.get('term');
+            const exact = params.get('exact_match') === 'true';
+            const matches = (value) => (exact ? String(value) === term : String(value).includes(term));
+            const items = [...stored]
+                .filter(([, fields]) => Object.values(fields).some(value => listOf(value).some(matches)))
+                .map(([recordId, fields]) => ({
+                    result_score: 1,
+                    item: { id: recordId, type: object.slice(0, -1), name: fields.name, emails: listOf(fields.email), phones: listOf(fields.phone) }
+                }));
+            return [200, { success: true, data: { items } }];
+        }
+        if (method === 'POST' && !id) {
+            const recordId = nextId++;
+            stored.set(recordId, { ...body });
+            return [201, { success: true, data: { id: recordId, ...body } }];
+        }
+        if (method === 'PUT' && stored.has(Number(id))) {
+            stored.set(Number(id), { ...stored.get(Number(id)), ...body });
+            return [200, { success: true, data: { id: Number(id) } }];
+        }
+        return [404, { success: false, error: 'Item not found' }];
+    };
+
+    const rest = (method, [id], body, params) => {
+        const stored = collection('rest:records');
+
+        if (method === 'GET' && !id) {
+            const found = [...stored]
+                .filter(([, fields]) => [...params].every(([key, value]) => String(fields[key]) === value))
+                .map(([recordId, fields]) => ({ id: recordId, ...fields }));
+            return [200, { data: found }];
+        }
+        if (method === 'POST' && !id) {
+            const recordId = `rec_${nextId++}`;
+            stored.set(recordId, { ...body });
+            return [201, { id: recordId, ...body }];
+        }
+        if (method === 'PATCH' && stored.has(id)) {
+            stored.set(id, { ...stored.get(id), ...body });
+            return [200, { id, ...stored.get(id) }];
+        }
+        return [404, { error: 'Not found' }];
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        requests.push(`${req.method} ${pathname}`);
+
+        const body = await readBody(req);
+        const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        const bearer = req.headers.authorization === `Bearer ${TOKEN}`;
+
+        let status = 404;
+        let payload = { error: 'Not found' };
+
+        if (pathname.startsWith('/crm/v3/objects/')) {
+            [status, payload] = bearer ? hubspot(req.method, parts.slice(3), body) : [401, { message: 'Authentication credentials not found' }];
+        } else if (parts[0] === 'v1') {
+            const authorized = searchParams.get('api_token') === TOKEN;
+            searchParams.delete('api_token');
+            [status, payload] = authorized ? pipedrive(req.method, parts.slice(1), body, searchParams) : [401, { success: false, error: 'unauthorized access' }];
+        } else if (parts[0] === 'records') {
+            [status, payload] = bearer ? rest(req.method, parts.slice(1), body, searchParams) : [401, { error: 'Unauthorized' }];
+        }
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    });
+
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        resolve({
+            baseUrl: `http://127.0.0.1:${port}`,
+            records,
+            requests,
+            close: () => new Promise(done => server.close(done))
+        });
+    });
+});
+
+export { startCrmServer, TOKEN };
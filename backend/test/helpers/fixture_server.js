@@ -0,0 +1,67 @@
+/**
+ * 🧪 GOOGLE MAPS FIXTURE SERVER
+ *
+ * Serves the saved Maps pages in test/fixtures/maps on a local port so the
+ * scraper can run against them offline (pass `baseUrl` to the scraper).
+ *
+ * - /maps/search/<query>        → search.html
+ * - /maps/place/<Name+Words>/…  → place-<name-words>.html, or not-found.html
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'maps');
+
+const fixtureForPath = (pathname) => {
+    if (pathname.startsWith('/maps/search/')) {
+        return 'search.html';
+    }
+
+    const placeMatch = pathname.match(/^\/maps\/place\/([^/]+)/);
+    if (placeMatch) {
+        const slug = decodeURIComponent(placeMatch[1].replace(/\+/g, ' '))
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-');
+        return `place-${slug}.html`;
+    }
+
+    return null;
+};
+
+/**
+ * Start the server on a free port. Resolves to { baseUrl, requests, close }.
+ * `requests` lists every path served, in order.
+ */
+const startFixtureServer = () => new Promise((resolve, reject) => {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        requests.push(pathname);
+
+        const fixture = fixtureForPath(pathname);
+        const filePath = fixture && path.join(FIXTURES_DIR, fixture);
+        const found = filePath && fs.existsSync(filePath);
+
+        res.writeHead(found ? 200 : 404, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(fs.readFileSync(found ? filePath : path.join(FIXTURES_DIR, 'not-found.html')));
+    });
+
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        resolve({
+            baseUrl: `http://127.0.0.1:${port}`,
+            requests,
+            close: () => new Promise(done => server.close(done))
+        });
+    });
+});
+
+export { startFixtureServer, FIXTURES_DIR };
@@ -0,0 +1,60 @@
+/**
+ * 🧪 IN-MEMORY SHEETS CLIENT
+ *
+ * Stands in for GoogleSheetsClient in tests. Spreadsheets are kept in
+ * `spreadsheets` (id → { title, sheets: { title → rows of cell values } }),
+ * header row first, so tests can seed a sheet and read back what the
+ * export wrote.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+class MockSheetsClient {
+    constructor() {
+        this.spreadsheets = new Map();
+        this.shared = [];
+    }
+
+    async createSpreadsheet({ title, sheetTitle, headers }) {
+        const spreadsheetId = `mock-sheet-${this.spreadsheets.size + 1}`;
+        this.spreadsheets.set(spreadsheetId, { title, sheets: { [sheetTitle]: [] } });
+        return this.openSheet({ spreadsheetId, sheetTitle, headers });
+    }
+
+    async openSheet({ spreadsheetId, sheetTitle, headers }) {
+        const spreadsheet = this.spreadsheets.get(spreadsheetId);
+        if (!spreadsheet) throw new Error('Google API error - [404] Requested entity was not found.');
+
+        spreadsheet.sheets[sheetTitle] ??= [];
+        const rows = spreadsheet.sheets[sheetTitle];
+        rows[0] ??= [];
+        rows[0].push(...headers.filter(header => !rows[0].includes(header)));
+
+        return {
+            spreadsheetId,
+            url: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`,
+            headers: [...rows[0]],
+            rows: rows.slice(1).map((values, index) => ({ rowNumber: index + 2, values: [...values] })),
+            appendRows: async (appended) => {
+                rows.push(...appended.map(values => [...values]));
+            },
+            updateRows: async (updates) => {
+                for (const { rowNumber, values } of updates) rows[rowNumber - 1] = [...values];
+            },
+            share: async (email) => {
+                this.shared.push({ spreadsheetId, email });
+            }
+        };
+    }
+
+    /**
+     * Rows of a sheet as { header: value } objects
+     */
+    records(spreadsheetId, sheetTitle) {
+        const [headers, ...rows] = this.spreadsheets.get(spreadsheetId).sheets[sheetTitle];
+        return rows.map(row => Object.fromEntries(headers.map((header, index) => [header, row[index] ?? ''])));
+    }
+}
+
+export { MockSheetsClient };
@@ -0,0 +1,71 @@
+/**
+ * 📮 TEST SMTP SERVER
+ *
+ * A minimal SMTP server for the email verifier's RCPT probe (pass its port
+ * as `smtpPort` and 127.0.0.1 as `smtpHost`). It accepts RCPT TO for the
+ * listed mailboxes, or for every address when catchAll is set.
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import net from 'net';
+
+/**
+ * Start the server on a free port. Resolves to { host, port, commands, close }.
+ * `commands` lists every command received, in order.
+ */
+const startSmtpServer = ({ mailboxes = [], catchAll = false, greylist = [] } = {}) => new Promise((resolve, reject) => {
+    const accepted = new Set(mailboxes.map(mailbox => mailbox.toLowerCase()));
+    const commands = [];
+    const sockets = new Set();
+
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => {});
+        socket.setEncoding('utf8');
+        socket.write('220 test.local ESMTP ready\r\n');
+
+        let buffer = '';
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let newline;
+            while ((newline = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 2);
+                commands.push(line);
+
+                const rcpt = line.match(/^RCPT TO:<([^>]*)>/i)?.[1]?.toLowerCase();
+                if (/^EHLO/i.test(line)) {
+                    socket.write('250-test.local\r\n250-SIZE 10240000\r\n250 8BITMIME\r\n');
+                } else if (/^MAIL FROM:/i.test(line)) {
+                    socket.write('250 2.1.0 OK\r\n');
+                } else if (rcpt && greylist.includes(rcpt)) {
+                    socket.write('451 4.7.1 Greylisted, try again later\r\n');
+                } else if (rcpt) {
+                    socket.write(catchAll || accepted.has(rcpt) ? '250 2.1.5 OK\r\n' : '550 5.1.1 No such user\r\n');
+                } else if (/^QUIT/i.test(line)) {
+                    socket.end('221 2.0.0 Bye\r\n');
+                } else {
+                    socket.write('502 5.5.2 Command not recognized\r\n');
+                }
+            }
+        });
+    });
+
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+        resolve({
+            host: '127.0.0.1',
+            port: server.address().port,
+            commands,
+            close: () => new Promise(done => {
+                sockets.forEach(socket => socket.destroy());
+                server.close(done);
+            })
+        });
+    });
+});
+
+export { startSmtpServer };
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScrapeJobManager } from '../job_manager.js';
+
+const waitForJob = async (jobManager, id) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const job = jobManager.getJob(id);
+        if (!['queued', 'running'].includes(job.status)) return job;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Job did not finish');
+};
+
+describe('ScrapeJobManager', () => {
+    it('fails the job when the scraper cannot be built', async () => {
+        const finished = [];
+        const jobManager = new ScrapeJobManager({
+            createScraper: () => {
+                throw new Error('The puppeteer engine needs the "puppeteer" package.');
+            },
+            onFinish: job => finished.push(job.id)
+        });
+        jobManager.log = () => {};
+
+        const { id } = jobManager.createJob({ query: 'cafes in Austin', maxResults: 5, engine: 'puppeteer' });
+        const job = await waitForJob(jobManager, id);
+
+        assert.equal(job.status, 'failed');
+        assert.match(job.error, /needs the "puppeteer" package/);
+        assert.ok(job.finishedAt);
+        assert.deepEqual(finished, [id]);
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { exportChunks, parseExportColumns } from '../lead_export.js';
+
+const LEADS = [
+    {
+        id: 1,
+        name: 'Smile "Family" Dental',
+        address: '123 Main St, Miami, FL',
+        phone: '+13055550142',
+        rating: 4.5,
+        claimed: false,
+        coordinates: { lat: 25.77, lng: -80.19 },
+        searchQueries: ['dentists in Miami', 'dentist near me'],
+        enrichment: { emails: [{ email: 'hi@smile.com' }, { email: 'jo@smile.com' }] }
+    },
+    { id: 2, name: 'Café Olé <Bar>\nLounge', address: null, rating: null }
+];
+
+const collect = async (chunks) => {
+    const parts = [];
+    for await (const chunk of chunks) parts.push(Buffer.from(chunk));
+    return Buffer.concat(parts);
+};
+
+// Files of a ZIP archive, read through its central directory
+const unzip = (buffer) => {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    const files = {};
+
+    for (let i = 0, at = buffer.readUInt32LE(end + 16); i < count; i++) {
+        const compressedSize = buffer.readUInt32LE(at + 20);
+        const nameLength = buffer.readUInt16LE(at + 28);
+        const extraLength = buffer.readUInt16LE(at + 30);
+        const commentLength = buffer.readUInt16LE(at + 32);
+        const offset = buffer.readUInt32LE(at + 42);
+        const name = buffer.toString('utf8', at + 46, at + 46 + nameLength);
+
+        const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+        files[name] = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+        at += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+};
+
+describe('parseExportColumns', () => {
+    it('reads column ids in order and rejects unknown ones', () => {
+        assert.deepEqual(parseExportColumns('name, phone,name'), ['name', 'phone']);
+        assert.deepEqual(parseExportColumns(['rating']), ['rating']);
+        assert.equal(parseExportColumns(''), null);
+        assert.throws(() => parseExportColumns('name,secret'), /Unknown column\(s\) secret/);
+    });
+});
+
+describe('exportChunks', () => {
+    it('writes RFC 4180 CSV with quoted commas, quotes and line breaks', async () => {
+        const csv = (await collect(exportChunks('csv', LEADS, { columns: ['name', 'address', 'rating', 'searchQueries'] }))).toString();
+
+        assert.equal(csv, [
+            'Name,Address,Rating,Search Queries',
+            '"Smile ""Family"" Dental","123 Main St, Miami, FL",4.5,dentists in Miami; dentist near me',
+            '"Café Olé <Bar>\nLounge",,,',
+            ''
+        ].join('\r\n'));
+    });
+
+    it('starts CSV with a byte order mark on request', async () => {
+        const csv = await collect(exportChunks('csv', [], { bom: true }));
+
+        assert.deepEqual([...csv.subarray(0, 3)], [0xef, 0xbb, 0xbf]);
+        assert.match(csv.toString(), /^\uFEFFName,Category,Address,Phone/);
+    });
+
+    it('writes whole leads or chosen columns as NDJSON', async () => {
+        const whole = (await collect(exportChunks('ndjson', LEADS))).toString().trim().split('\n').map(line => JSON.parse(line));
+        const picked = (await collect(exportChunks('ndjson', LEADS, { columns: ['emails', 'latitude'] }))).toString();
+
+        assert.deepEqual(whole, LEADS);
+        assert.equal(picked, '{"emails":"hi@smile.com; jo@smile.com","latitude":25.77}\n{"emails":null,"latitude":null}\n');
+    });
+
+    it('streams an XLSX workbook with typed cells', async () => {
+        const files = unzip(await collect(exportChunks('xlsx', LEADS, { columns: ['name', 'rating', 'claimed'] })));
+
+        assert.deepEqual(Object.keys(files), [
+            '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/worksheets/sheet1.xml'
+        ]);
+        const rows = files['xl/worksheets/sheet1.xml'].match(/<row>[\s\S]*?<\/row>/g);
+        assert.equal(rows.length, 3);
+        assert.match(rows[0], /<c s="1" t="inlineStr"><is><t xml:space="preserve">Name<\/t>/);
+        assert.equal(rows[1], '<row><c t="inlineStr"><is><t xml:space="preserve">Smile "Family" Dental</t></is></c><c><v>4.5</v></c><c t="b"><v>0</v></c></row>');
+        assert.equal(rows[2], '<row><c t="inlineStr"><is><t xml:space="preserve">Café Olé &lt;Bar&gt;\nLounge</t></is></c><c/><c/></row>');
+    });
+
+    it('cuts long XLSX cells without splitting entities or surrogate pairs', async () => {
+        const long = [{ name: `${'a'.repeat(32766)}&bc` }, { name: `${'a'.repeat(32766)}😀` }];
+        const sheet = unzip(await collect(exportChunks('xlsx', long, { columns: ['name'] })))['xl/worksheets/sheet1.xml'];
+        const cells = [...sheet.matchAll(/<t xml:space="preserve">([^<]*)<\/t>/g)].map(match => match[1]).slice(1);
+
+        assert.equal(cells[0], `${'a'.repeat(32766)}&amp;`);
+        assert.equal(cells[1], 'a'.repeat(32766));
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => exportChunks('pdf', LEADS), /Unknown export format "pdf"/);
+    });
+});
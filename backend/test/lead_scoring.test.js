@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreLead, validateScoringProfile, DEFAULT_PROFILE } from '../lead_scoring.js';
+
+const defaultProfile = validateScoringProfile(DEFAULT_PROFILE);
+
+describe('scoreLead', () => {
+    it('adds the points of every matching rule and explains them', () => {
+        const { score, breakdown } = scoreLead({ website: null, rating: 3.8, reviewCount: 12, claimed: false }, defaultProfile);
+
+        assert.equal(score, 70);
+        assert.deepEqual(breakdown.map(({ rule, points }) => [rule, points]), [
+            ['no-website', 20],
+            ['low-rating', 10],
+            ['few-reviews', 15],
+            ['unclaimed', 25]
+        ]);
+        assert.equal(breakdown[3].label, 'Unclaimed listing');
+    });
+
+    it('does not match comparisons on unknown values', () => {
+        const lead = { website: 'https://smile.com/', rating: null, reviewCount: 1284, claimed: null };
+
+        assert.deepEqual(scoreLead(lead, defaultProfile), { score: 0, breakdown: [] });
+    });
+
+    it('supports lists, text matches and negative points', () => {
+        const profile = validateScoringProfile({
+            name: 'mobile-dentists',
+            rules: [
+                { field: 'phoneType', op: 'in', value: ['mobile', 'fixed-or-mobile'], points: 10 },
+                { field: 'category', op: 'contains', value: 'dent', points: 5 },
+                { field: 'website', op: 'present', points: -5 }
+            ]
+        });
+
+        assert.deepEqual(profile.rules.map(rule => rule.label), ['Phone type is one of mobile, fixed-or-mobile', 'Category contains dent', 'Has website']);
+        assert.equal(scoreLead({ phoneType: 'mobile', category: 'Cosmetic Dentist', website: 'https://a.com/' }, profile).score, 10);
+        assert.equal(scoreLead({ phoneType: 'landline', category: 'Bakery' }, profile).score, 0);
+    });
+});
+
+describe('validateScoringProfile', () => {
+    it('rejects invalid names and rules', () => {
+        const rule = { field: 'website', op: 'missing', points: 20 };
+
+        assert.throws(() => validateScoringProfile({ name: 'no spaces', rules: [rule] }), /Profile name/);
+        assert.throws(() => validateScoringProfile({ name: 'a', rules: [] }), /non-empty "rules"/);
+        assert.throws(() => validateScoringProfile({ name: 'a', rules: [{ ...rule, field: 'mood' }] }), /Rule 1 has unknown field "mood"/);
+        assert.throws(() => validateScoringProfile({ name: 'a', rules: [{ ...rule, op: 'near' }] }), /unknown op "near"/);
+        assert.throws(() => validateScoringProfile({ name: 'a', rules: [{ field: 'rating', op: 'lt', value: '4', points: 1 }] }), /number value/);
+        assert.throws(() => validateScoringProfile({ name: 'a', rules: [{ ...rule, points: '20' }] }), /number of points/);
+        assert.throws(() => validateScoringProfile({ name: 'a', rules: [rule, rule] }), /"no-website" is used twice/);
+    });
+});
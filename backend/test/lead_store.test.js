@@ -0,0 +1,175 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { LeadStore } from '../lead_store.js';
+
+const placeUrl = (cid) => `https://www.google.com/maps/place/x/data=!4m7!3m6!1s0x88d9b4:${cid}!8m2!3d25.77!4d-80.19`;
+
+describe('LeadStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new LeadStore();
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    it('merges the same place found by two queries', () => {
+        const first = store.upsertLead(
+            { name: 'Smile Dental', website: 'https://smile.com', phone: null, rating: '4.5', searchQuery: 'dentists miami', googleMapsUrl: placeUrl('0x1') },
+            { jobId: 'job-1' }
+        );
+        const second = store.upsertLead(
+            { name: 'Smile Dental', website: null, phone: '(305) 555-0142', rating: '4.6', searchQuery: 'dentist near me', googleMapsUrl: placeUrl('0x1') },
+            { jobId: 'job-2' }
+        );
+
+        assert.deepEqual(first, { id: first.id, created: true });
+        assert.deepEqual(second, { id: first.id, created: false });
+
+        const lead = store.getLead(first.id);
+        assert.equal(lead.website, 'https://smile.com/');
+        assert.equal(lead.phone, '+13055550142');
+        assert.equal(lead.rating, 4.6);
+        assert.deepEqual(lead.searchQueries, ['dentists miami', 'dentist near me']);
+        assert.equal(store.queryLeads({ jobId: 'job-2' }).pagination.total, 1);
+    });
+
+    it('filters, searches and sorts leads', () => {
+        store.upsertLeads([
+            { name: 'Smile Dental', category: 'Dentist', rating: '4.8', website: 'https://smile.com', searchQuery: 'q', googleMapsUrl: placeUrl('0x1') },
+            { name: 'Bay Dental Lounge', category: 'Dentist', rating: '3.9', searchQuery: 'q', googleMapsUrl: placeUrl('0x2') },
+            { name: 'Harbor Gym', category: 'Gym', rating: '4.2', searchQuery: 'q', googleMapsUrl: placeUrl('0x3') }
+        ]);
+
+        const names = (filters) => store.queryLeads(filters).leads.map(lead => lead.name);
+
+        assert.deepEqual(names({ category: 'dentist', sort: 'rating', order: 'desc' }), ['Smile Dental', 'Bay Dental Lounge']);
+        assert.deepEqual(names({ minRating: 4, hasWebsite: false }), ['Harbor Gym']);
+        assert.deepEqual(names({ search: 'dent' }).sort(), ['Bay Dental Lounge', 'Smile Dental']);
+
+        const page = store.queryLeads({ sort: 'name', order: 'asc', pageSize: 2, page: 2 });
+        assert.deepEqual(page.leads.map(lead => lead.name), ['Smile Dental']);
+        assert.equal(page.pagination.totalPages, 2);
+
+        const iterated = [...store.iterateLeads({ category: 'dentist', sort: 'name', order: 'asc' }, { batchSize: 1 })];
+        assert.deepEqual(iterated.map(lead => lead.name), ['Bay Dental Lounge', 'Smile Dental']);
+        assert.deepEqual(iterated[0].searchQueries, ['q']);
+    });
+
+    it('filters by phone line type', () => {
+        store.upsertLeads([
+            { name: 'Corner Cafe', phone: '07911 123456', address: 'London SW1A 2AA', googleMapsUrl: placeUrl('0x1') },
+            { name: 'Brick Bistro', phone: '020 7946 0958', address: 'London SW1A 2AA', googleMapsUrl: placeUrl('0x2') },
+            { name: 'Helpline', phone: '0800 123 4567', address: 'London SW1A 2AA', googleMapsUrl: placeUrl('0x3') }
+        ]);
+
+        const names = (filters) => store.queryLeads({ ...filters, sort: 'name', order: 'asc' }).leads.map(lead => lead.name);
+
+        assert.deepEqual(names({ likelyMobile: true }), ['Corner Cafe']);
+        assert.deepEqual(names({ likelyMobile: false }), ['Brick Bistro', 'Helpline']);
+        assert.deepEqual(names({ phoneType: ['landline', 'toll-free'] }), ['Brick Bistro', 'Helpline']);
+        assert.equal(store.queryLeads({ likelyMobile: true }).leads[0].whatsappUrl, 'https://wa.me/447911123456');
+    });
+
+    it('filters by opening hours', () => {
+        const week = (weekend) => [
+            ['Monday', '9 AM–5 PM'], ['Tuesday', '9 AM–5 PM'], ['Wednesday', '9 AM–5 PM'],
+            ['Thursday', '9 AM–5 PM'], ['Friday', '9 AM–5 PM'], ['Saturday', weekend], ['Sunday', 'Closed']
+        ];
+        store.upsertLeads([
+            { name: 'Office', openingHours: week('Closed'), googleMapsUrl: placeUrl('0x1') },
+            { name: 'Bakery', openingHours: week('7 AM–1 PM'), googleMapsUrl: placeUrl('0x2') },
+            { name: 'Night Bar', openingHours: [['Friday', '8 PM–3 AM'], ['Saturday', '8 PM–3 AM']], googleMapsUrl: placeUrl('0x3') },
+            { name: 'No Hours', googleMapsUrl: placeUrl('0x4') }
+        ]);
+
+        const names = (filters) => store.queryLeads({ ...filters, sort: 'name', order: 'asc' }).leads.map(lead => lead.name);
+        const at = (day, hour) => day * 1440 + hour * 60;
+
+        assert.deepEqual(names({ openAt: at(1, 9) }), ['Bakery', 'Office']);
+        assert.deepEqual(names({ openAt: at(5, 8) }), ['Bakery']);
+        // Friday night hours run into Saturday morning
+        assert.deepEqual(names({ openAt: at(5, 2) }), ['Night Bar']);
+        assert.deepEqual(names({ openOn: ['saturday', 'sunday'] }), ['Bakery', 'Night Bar']);
+
+        // A rescrape without hours keeps the stored schedule
+        store.upsertLead({ name: 'Bakery', rating: 4.5, googleMapsUrl: placeUrl('0x2') });
+        assert.deepEqual(names({ openAt: at(5, 8) }), ['Bakery']);
+    });
+
+    it('filters by claimed status', () => {
+        store.upsertLeads([
+            { name: 'Claimed', claimed: true, googleMapsUrl: placeUrl('0x1') },
+            { name: 'Unclaimed', claimed: false, googleMapsUrl: placeUrl('0x2') },
+            { name: 'Unknown', googleMapsUrl: placeUrl('0x3') }
+        ]);
+        const names = (filters) => store.queryLeads(filters).leads.map(lead => lead.name);
+
+        assert.deepEqual(names({ claimed: false }), ['Unclaimed']);
+        assert.deepEqual(names({ claimed: true }), ['Claimed']);
+
+        // The owner claims the listing; an older pack's rescrape does not undo it
+        store.upsertLead({ name: 'Unclaimed', claimed: true, googleMapsUrl: placeUrl('0x2') });
+        store.upsertLead({ name: 'Unclaimed', googleMapsUrl: placeUrl('0x2') });
+        assert.deepEqual(names({ claimed: false }), []);
+    });
+
+    it('scores leads with the active profile and sorts by score', () => {
+        const { id: bare } = store.upsertLead({ name: 'Bare Dental', rating: '3.9', reviewCount: '(4)', claimed: false, googleMapsUrl: placeUrl('0x1') });
+        const { id: polished } = store.upsertLead({ name: 'Polished Dental', website: 'https://polished.com', rating: '4.9', reviewCount: '(800)', claimed: true, googleMapsUrl: placeUrl('0x2') });
+
+        assert.equal(store.getLead(bare).score, 70);
+        assert.deepEqual(store.getLead(bare).scoreBreakdown.map(entry => entry.rule), ['no-website', 'low-rating', 'few-reviews', 'unclaimed']);
+        assert.deepEqual(store.queryLeads({ sort: 'score', order: 'desc' }).leads.map(lead => lead.id), [bare, polished]);
+        assert.deepEqual(store.queryLeads({ minScore: 1 }).leads.map(lead => lead.id), [bare]);
+
+        // Enrichment changes the record, so the score follows
+        store.saveScoringProfile({ name: 'reachable', rules: [{ field: 'email', op: 'present', points: 50 }] });
+        assert.equal(store.getLead(bare).score, 70, 'saving an inactive profile rescores nothing');
+        assert.deepEqual(store.activateScoringProfile('reachable'), { profile: store.getScoringProfile('reachable'), rescored: 2 });
+        assert.equal(store.getLead(polished).score, 0);
+        store.saveEnrichment(polished, { emails: [{ email: 'hi@polished.com' }], enrichedAt: new Date().toISOString() });
+        assert.equal(store.getLead(polished).score, 50);
+
+        assert.deepEqual(store.listScoringProfiles().map(({ name, active }) => [name, active]), [['reachable', true], ['default', false]]);
+        assert.equal(store.deleteScoringProfile('reachable'), false);
+        assert.equal(store.deleteScoringProfile('default'), true);
+        assert.equal(store.activateScoringProfile('default'), null);
+    });
+
+    it('stores reviews with the lead and keeps their first dates', () => {
+        const review = { id: 'r1', author: 'Jane', rating: '5 stars', text: 'Lovely.', relativeDate: '2 days ago' };
+        const { id } = store.upsertLead({
+            name: 'Smile Dental',
+            googleMapsUrl: placeUrl('0x1'),
+            reviews: [review, { id: 'r2', author: 'Bob', rating: '3 stars', text: 'Fine.', relativeDate: 'a year ago' }]
+        });
+
+        const lead = store.getLead(id);
+        assert.deepEqual(lead.reviews.map(r => r.id), ['r1', 'r2']);
+        assert.equal(lead.reviews[0].rating, 5);
+        assert.equal('reviews' in store.queryLeads({}).leads[0], false);
+
+        // A later scrape shows a coarser relative date; an edited text takes the new one
+        const firstDate = lead.reviews[0].date;
+        store.upsertLead({
+            name: 'Smile Dental',
+            googleMapsUrl: placeUrl('0x1'),
+            reviews: [
+                { ...review, relativeDate: 'a month ago' },
+                { id: 'r2', author: 'Bob', rating: '4 stars', text: 'Better now.', relativeDate: 'Edited a week ago' }
+            ]
+        });
+        const [first, second] = store.getReviews(id).sort((a, b) => a.id.localeCompare(b.id));
+        assert.equal(first.date, firstDate);
+        assert.equal(first.relativeDate, 'a month ago');
+        assert.equal(second.edited, true);
+        assert.equal(second.datePrecision, 'week');
+
+        // Rescrapes without reviews keep them
+        store.upsertLead({ name: 'Smile Dental', googleMapsUrl: placeUrl('0x1') });
+        assert.equal(store.getLead(id).reviews.length, 2);
+    });
+});
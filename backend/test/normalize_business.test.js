@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeBusiness,
+    normalizeReviewCount,
+    normalizeWebsite,
+    normalizePriceLevel
+} from '../normalize_business.js';
+
+describe('normalizeBusiness', () => {
+    it('turns raw place-page text into a typed record', () => {
+        const record = normalizeBusiness({
+            name: ' Smile Dental ',
+            category: 'Not Found',
+            phone: '(305) 555-0142',
+            website: 'https://smile.com/?utm_source=gmb&page=1',
+            rating: '4,6',
+            reviewCount: '(1,284)',
+            priceLevel: '$$',
+            coordinates: { lat: '25.7', lng: '-80.1' },
+            searchQuery: 'dentists'
+        });
+
+        assert.equal(record.name, 'Smile Dental');
+        assert.equal(record.category, null);
+        assert.equal(record.phone, '+13055550142');
+        assert.equal(record.phoneRaw, '(305) 555-0142');
+        assert.equal(record.website, 'https://smile.com/?page=1');
+        assert.equal(record.rating, 4.6);
+        assert.equal(record.reviewCount, 1284);
+        assert.equal(record.priceLevel, 2);
+        assert.equal(record.priceText, '$$');
+        assert.deepEqual(record.coordinates, { lat: 25.7, lng: -80.1 });
+        assert.equal(record.searchQuery, 'dentists');
+    });
+
+    it('reads place details and the place identity from the Maps URL', () => {
+        const record = normalizeBusiness({
+            name: 'Smile Dental',
+            googleMapsUrl: 'https://www.google.com/maps/place/x/data=!4m7!3m6!1s0x88d9b4:0x1a!8m2!3d25.77!4d-80.19!19sChIJabc',
+            plusCode: 'Plus code: QQGJ+2H Miami, Florida',
+            locatedIn: 'Located in: Brickell City Centre',
+            photoCount: 'All 1,204 photos',
+            claimed: false,
+            attributes: [{ title: 'Service options', items: [{ name: 'Takeout', label: 'Offers takeout' }] }]
+        });
+
+        assert.equal(record.cid, '26');
+        assert.equal(record.placeId, 'ChIJabc');
+        assert.equal(record.plusCode, 'QQGJ+2H Miami, Florida');
+        assert.equal(record.locatedIn, 'Brickell City Centre');
+        assert.equal(record.photoCount, 1204);
+        assert.equal(record.claimed, false);
+        assert.deepEqual(record.serviceOptions, ['takeout']);
+        assert.deepEqual(normalizeBusiness(record), record);
+
+        assert.equal(normalizeBusiness({ name: 'Old scrape' }).claimed, null);
+    });
+
+    it('returns the same record when normalizing twice', () => {
+        const once = normalizeBusiness({ name: 'Pub', phone: '020 7946 0958', priceLevel: 'Price: Expensive' }, { defaultCountry: 'GB' });
+        assert.equal(once.phone, '+442079460958');
+        assert.deepEqual(normalizeBusiness(once), once);
+    });
+
+    it('keeps the displayed phone when it cannot be parsed', () => {
+        const record = normalizeBusiness({ name: 'Shop', phone: 'call us' });
+        assert.equal(record.phone, null);
+        assert.equal(record.phoneRaw, 'call us');
+    });
+});
+
+describe('field normalizers', () => {
+    it('parses abbreviated review counts', () => {
+        assert.equal(normalizeReviewCount('1.2K reviews'), 1200);
+        assert.equal(normalizeReviewCount('12 reviews'), 12);
+        assert.equal(normalizeReviewCount('Not Found'), null);
+    });
+
+    it('unwraps Google redirect links', () => {
+        assert.equal(
+            normalizeWebsite('https://www.google.com/url?q=https://shop.com/a%3Futm_medium%3Dx&sa=U'),
+            'https://shop.com/a'
+        );
+        assert.equal(normalizeWebsite('/url?q=https://shop.com/&sa=U'), 'https://shop.com/');
+        assert.equal(normalizeWebsite('shop.com'), 'https://shop.com/');
+        assert.equal(normalizeWebsite('mailto:hi@shop.com'), null);
+    });
+
+    it('reads price levels from symbols and words', () => {
+        assert.equal(normalizePriceLevel('€€€'), 3);
+        assert.equal(normalizePriceLevel('Very expensive'), 4);
+        assert.equal(normalizePriceLevel('$10–20'), null);
+    });
+});
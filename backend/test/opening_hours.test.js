@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOpeningHours, normalizeOpeningHours, weeklyIntervals, parseWeekTime, parseDayList, isOpenAt } from '../opening_hours.js';
+
+describe('parseOpeningHours', () => {
+    it('reads the hours aria-label', () => {
+        const schedule = parseOpeningHours(
+            'Sunday, Closed; Monday, 9 AM to 5 PM; Tuesday, 8:30 AM–12 PM, 1–5 PM; Wednesday, Open 24 hours. Hide open hours for the week'
+        );
+
+        assert.deepEqual(schedule, {
+            monday: { status: 'open', intervals: [{ open: '09:00', close: '17:00' }] },
+            tuesday: { status: 'open', intervals: [{ open: '08:30', close: '12:00' }, { open: '13:00', close: '17:00' }] },
+            wednesday: { status: 'open-24-hours', intervals: [{ open: '00:00', close: '24:00' }] },
+            sunday: { status: 'closed', intervals: [] }
+        });
+    });
+
+    it('reads table rows with holidays and overnight hours', () => {
+        const schedule = parseOpeningHours([
+            ['Friday', '6 PM–2 AM'],
+            ['Monday (Labor Day)', '11–2 PM Hours might differ'],
+            ['Saturday', '9–1 AM']
+        ]);
+
+        assert.deepEqual(schedule.friday.intervals, [{ open: '18:00', close: '02:00' }]);
+        assert.deepEqual(schedule.monday, {
+            status: 'open',
+            intervals: [{ open: '11:00', close: '14:00' }],
+            holiday: 'Labor Day',
+            note: 'Hours might differ'
+        });
+        assert.deepEqual(schedule.saturday.intervals, [{ open: '21:00', close: '01:00' }]);
+    });
+
+    it('ignores day names inside holidays and text without days', () => {
+        const schedule = parseOpeningHours('Thursday, 9 AM–5 PM; Friday (Good Friday), Closed');
+
+        assert.equal(schedule.friday.status, 'closed');
+        assert.equal(schedule.friday.holiday, 'Good Friday');
+        assert.equal(parseOpeningHours('Open ⋅ Closes 6 PM'), null);
+    });
+
+    it('returns a stored schedule unchanged', () => {
+        const schedule = parseOpeningHours([['Monday', '8 AM–6 PM'], ['Sunday', 'Closed']]);
+        assert.deepEqual(normalizeOpeningHours(schedule), schedule);
+    });
+});
+
+describe('weekly intervals', () => {
+    const schedule = parseOpeningHours([['Saturday', '10 PM–2 AM'], ['Sunday', '11 PM–3 AM']]);
+
+    it('carries overnight hours into the next day and wraps the week', () => {
+        assert.deepEqual(weeklyIntervals(schedule), [
+            { day: 'saturday', start: 5 * 1440 + 22 * 60, end: 6 * 1440 + 2 * 60 },
+            { day: 'sunday', start: 6 * 1440 + 23 * 60, end: 7 * 1440 },
+            { day: 'sunday', start: 0, end: 3 * 60 }
+        ]);
+
+        assert.equal(isOpenAt(schedule, parseWeekTime('sun 1:30 am')), true);
+        assert.equal(isOpenAt(schedule, parseWeekTime('monday 02:00')), true);
+        assert.equal(isOpenAt(schedule, parseWeekTime('sunday 12:00')), false);
+    });
+
+    it('parses day and time filters', () => {
+        assert.equal(parseWeekTime('Tuesday 08:00'), 1440 + 480);
+        assert.equal(parseWeekTime('tue 8am'), 1440 + 480);
+        assert.equal(parseWeekTime('someday 8am'), null);
+        assert.deepEqual(parseDayList('weekend'), ['saturday', 'sunday']);
+        assert.deepEqual(parseDayList('fri, Mon'), ['monday', 'friday']);
+        assert.equal(parseDayList('mon,later'), null);
+    });
+});
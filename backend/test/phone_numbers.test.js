@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePhone, analyzePhones, inferCountry } from '../phone_numbers.js';
+
+describe('inferCountry', () => {
+    it('reads the country from the address', () => {
+        assert.equal(inferCountry({ address: 'Unter den Linden 1, 10117 Berlin, Germany' }), 'DE');
+        assert.equal(inferCountry({ address: '120 SE 1st St, Miami, FL 33131' }), 'US');
+        assert.equal(inferCountry({ address: '290 Bremner Blvd, Toronto, ON M5V 3L9' }), 'CA');
+        assert.equal(inferCountry({ address: '10 Downing St, London SW1A 2AA' }), 'GB');
+    });
+
+    it('falls back to the coordinates', () => {
+        assert.equal(inferCountry({ address: 'Calle Mayor 5', coordinates: { lat: 40.42, lng: -3.7 } }), 'ES');
+        assert.equal(inferCountry({ coordinates: { lat: 52.37, lng: 4.9 } }), 'NL');
+        assert.equal(inferCountry({ coordinates: { lat: 0, lng: -160 } }), null);
+        assert.equal(inferCountry({}), null);
+    });
+});
+
+describe('analyzePhone', () => {
+    it('classifies line types', () => {
+        const types = ['07911 123456', '020 7946 0958', '0800 123 4567'].map(phone => analyzePhone(phone, { country: 'GB' }).type);
+        assert.deepEqual(types, ['mobile', 'landline', 'toll-free']);
+
+        // The North American numbering plan does not separate the two
+        assert.equal(analyzePhone('(305) 555-0142').type, 'fixed-or-mobile');
+    });
+
+    it('formats valid numbers and builds wa.me links', () => {
+        const phone = analyzePhone('07911 123456', { country: 'GB' });
+
+        assert.equal(phone.phone, '+447911123456');
+        assert.equal(phone.internationalFormat, '+44 7911 123456');
+        assert.equal(phone.whatsappUrl, 'https://wa.me/447911123456');
+        assert.equal(phone.likelyMobile, true);
+        assert.equal(analyzePhone('0800 123 4567', { country: 'GB' }).whatsappUrl, null);
+    });
+
+    it('marks numbers that cannot be valid', () => {
+        const phone = analyzePhone('12345');
+
+        assert.equal(phone.valid, false);
+        assert.equal(phone.phone, null);
+        assert.equal(phone.whatsappUrl, null);
+        assert.equal(analyzePhone('  '), null);
+    });
+});
+
+describe('analyzePhones', () => {
+    it('returns one result per input in order', () => {
+        const results = analyzePhones(['07911 123456', '  ', '020 7946 0958'], { country: 'GB' });
+
+        assert.equal(results.length, 3);
+        assert.deepEqual(results.map(result => result.type), ['mobile', 'unknown', 'landline']);
+        assert.equal(results[1].valid, false);
+        assert.equal(results[1].phoneRaw, '');
+        assert.equal(results[1].phone, null);
+    });
+});
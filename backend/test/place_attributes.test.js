@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeAttributes, serviceOptionsOf, stripLabel } from '../place_attributes.js';
+
+describe('normalizeAttributes', () => {
+    it('reads About sections and whether the place has each attribute', () => {
+        const attributes = normalizeAttributes([
+            {
+                title: 'Service options',
+                items: [
+                    { name: 'Dine-in', label: 'Serves dine-in' },
+                    { name: 'Curbside pickup', label: 'Has curbside pickup' },
+                    { name: 'Delivery', label: 'No delivery' }
+                ]
+            },
+            { title: 'Accessibility', items: [{ name: 'Wheelchair accessible seating', label: "Doesn't have wheelchair accessible seating" }] },
+            { title: 'Crowd', items: [{ name: null, label: 'LGBTQ+ friendly' }] },
+            { title: null, items: [{ name: 'Orphan', label: 'Has orphan' }] }
+        ]);
+
+        assert.deepEqual(attributes, {
+            'Service options': { 'Dine-in': true, 'Curbside pickup': true, Delivery: false },
+            Accessibility: { 'Wheelchair accessible seating': false },
+            Crowd: { 'LGBTQ+ friendly': true }
+        });
+        assert.deepEqual(normalizeAttributes(attributes), attributes);
+        assert.deepEqual(serviceOptionsOf(attributes), ['dine-in', 'curbside-pickup']);
+    });
+
+    it('returns null without attributes', () => {
+        assert.equal(normalizeAttributes([]), null);
+        assert.equal(normalizeAttributes([{ title: 'Amenities', items: [] }]), null);
+        assert.equal(normalizeAttributes(null), null);
+        assert.equal(serviceOptionsOf({ Accessibility: { Ramp: true } }), null);
+    });
+});
+
+describe('stripLabel', () => {
+    it('removes field labels', () => {
+        assert.equal(stripLabel('Plus code: QQGJ+2H Miami, Florida'), 'QQGJ+2H Miami, Florida');
+        assert.equal(stripLabel('QQGJ+2H Miami, Florida'), 'QQGJ+2H Miami, Florida');
+        assert.equal(stripLabel(' Located in:  Brickell City Centre '), 'Brickell City Centre');
+        assert.equal(stripLabel(''), null);
+    });
+});
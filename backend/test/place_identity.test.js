@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { derivePlaceIdentity, parsePlaceUrl, normalizeName } from '../place_identity.js';
+
+const PLACE_URL = 'https://www.google.com/maps/place/Joe%27s+Caf%C3%A9/@25.77,-80.19,17z/data=!4m7!3m6!1s0x88d9b4:0x1a2b3c!8m2!3d25.7743!4d-80.1937!19sChIJabc123';
+
+describe('parsePlaceUrl', () => {
+    it('reads the CID, place ID and pin coordinates', () => {
+        const tokens = parsePlaceUrl(PLACE_URL);
+
+        assert.equal(tokens.featureId, '0x88d9b4:0x1a2b3c');
+        assert.equal(tokens.cid, String(0x1a2b3c));
+        assert.equal(tokens.placeId, 'ChIJabc123');
+        assert.deepEqual(tokens.coordinates, { lat: 25.7743, lng: -80.1937 });
+    });
+
+    it('reads ?cid= links', () => {
+        assert.equal(parsePlaceUrl('https://maps.google.com/?cid=12345').cid, '12345');
+    });
+});
+
+describe('derivePlaceIdentity', () => {
+    it('prefers the CID as the key', () => {
+        assert.equal(derivePlaceIdentity({ name: 'Joe', googleMapsUrl: PLACE_URL }).key, `cid:${0x1a2b3c}`);
+    });
+
+    it('falls back to name and rounded coordinates', () => {
+        const a = derivePlaceIdentity({ name: "Joe's Café", coordinates: { lat: 25.77431, lng: -80.19372 } });
+        const b = derivePlaceIdentity({ name: 'JOES CAFE', coordinates: { lat: 25.77429, lng: -80.19368 } });
+
+        assert.equal(a.key, 'name:joes cafe@25.7743,-80.1937');
+        assert.equal(a.key, b.key);
+    });
+
+    it('has no key without a URL, coordinates or address', () => {
+        assert.equal(derivePlaceIdentity({ name: 'Joe' }).key, null);
+    });
+});
+
+describe('normalizeName', () => {
+    it('strips accents, apostrophes and punctuation', () => {
+        assert.equal(normalizeName("Joe's Café & Bar"), 'joes cafe bar');
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeReview, normalizeReviews, parseRelativeDate, parseStarRating } from '../reviews.js';
+
+const now = new Date('2026-10-18T15:30:00Z');
+
+describe('parseRelativeDate', () => {
+    it('turns relative dates into approximate dates with their precision', () => {
+        assert.deepEqual(parseRelativeDate('3 weeks ago', now), { date: '2026-09-27', precision: 'week' });
+        assert.deepEqual(parseRelativeDate('a year ago', now), { date: '2025-10-18', precision: 'year' });
+        assert.deepEqual(parseRelativeDate('Edited 2 months ago', now), { date: '2026-08-18', precision: 'month' });
+        assert.deepEqual(parseRelativeDate('5 hours ago', now), { date: '2026-10-18', precision: 'day' });
+        assert.deepEqual(parseRelativeDate('yesterday', now), { date: '2026-10-17', precision: 'day' });
+        assert.equal(parseRelativeDate('New', now), null);
+    });
+});
+
+describe('parseStarRating', () => {
+    it('reads star labels', () => {
+        assert.equal(parseStarRating('5 stars'), 5);
+        assert.equal(parseStarRating('1 star'), 1);
+        assert.equal(parseStarRating('Rated 4.0 out of 5,'), 4);
+        assert.equal(parseStarRating('4/5'), 4);
+        assert.equal(parseStarRating('Local Guide'), null);
+    });
+});
+
+describe('normalizeReviews', () => {
+    it('normalizes reviews and owner responses', () => {
+        const review = normalizeReview({
+            id: 'ChdDSUhNMG9n',
+            author: ' Jane  Doe ',
+            rating: '4 stars',
+            relativeDate: 'Edited a month ago',
+            text: 'Great staff,\n quick cleaning.',
+            ownerResponse: { text: 'Thank you Jane!', relativeDate: '3 weeks ago' }
+        }, { now });
+
+        assert.deepEqual(review, {
+            id: 'ChdDSUhNMG9n',
+            author: 'Jane Doe',
+            authorUrl: null,
+            rating: 4,
+            relativeDate: 'Edited a month ago',
+            date: '2026-09-18',
+            datePrecision: 'month',
+            edited: true,
+            text: 'Great staff, quick cleaning.',
+            ownerResponse: { text: 'Thank you Jane!', relativeDate: '3 weeks ago', date: '2026-09-27', datePrecision: 'week' }
+        });
+    });
+
+    it('drops empty and repeated reviews and is idempotent', () => {
+        const reviews = normalizeReviews([
+            { author: 'Bob', rating: '2 stars', text: 'Long wait.', relativeDate: '2 days ago' },
+            { author: 'Bob', rating: '2 stars', text: 'Long wait.', relativeDate: '2 days ago' },
+            { relativeDate: 'a week ago' }
+        ], { now });
+
+        assert.equal(reviews.length, 1);
+        assert.match(reviews[0].id, /^h:[0-9a-f]{16}$/);
+        // Dates already computed are kept, whatever the current time
+        assert.deepEqual(normalizeReviews(reviews, { now: new Date('2027-01-01') }), reviews);
+    });
+});
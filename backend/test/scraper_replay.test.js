@@ -0,0 +1,206 @@
+/**
+ * Replays saved Google Maps pages through the real scraper and browser.
+ * Skipped when Chromium cannot be launched (run `npx playwright install
+ * chromium`, or set CHROMIUM_EXECUTABLE_PATH).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { GoogleMapsBusinessScraper } from '../gmaps_scraper.js';
+import { PlaywrightDriver } from '../drivers/playwright_driver.js';
+import { startFixtureServer } from './helpers/fixture_server.js';
+import { buildGrid } from '../geo_grid.js';
+
+const QUERY = 'dentists in miami';
+
+const probeBrowser = async () => {
+    const driver = new PlaywrightDriver({ slowMo: 0 });
+    try {
+        await driver.launch();
+        return false;
+    } catch (error) {
+        return `Chromium is not available: ${error.message.split('\n')[0]}`;
+    } finally {
+        await driver.close();
+    }
+};
+
+const browserProblem = await probeBrowser();
+
+describe('scraper replay against saved Maps pages', { skip: browserProblem }, () => {
+    let fixtures;
+    let fullRun;
+
+    const scrape = async (maxResults, options = {}, scrapeOptions = {}) => {
+        const scraper = new GoogleMapsBusinessScraper({
+            driver: new PlaywrightDriver({ slowMo: 0 }),
+            baseUrl: fixtures.baseUrl,
+            delay: 0,
+            scrollDelay: 600,
+            maxScrollAttempts: 5,
+            placeLoadDelay: 0,
+            placeSelectorTimeout: 1000,
+            placeSettleDelay: 0,
+            aboutDelay: 0,
+            retryLimit: 0,
+            ...options
+        });
+        scraper.log = () => {};
+
+        const events = [];
+        scraper.on('progress', event => events.push(event));
+        const results = await scraper.scrapeBusinesses(QUERY, maxResults, scrapeOptions);
+        return { scraper, results, events };
+    };
+
+    before(async () => {
+        fixtures = await startFixtureServer();
+        fullRun = await scrape(10);
+    });
+
+    after(async () => {
+        await fixtures?.close();
+    });
+
+    it('extracts normalized records from place pages', () => {
+        const byName = Object.fromEntries(fullRun.results.map(result => [result.name, result]));
+
+        assert.deepEqual(
+            fullRun.results.map(result => result.name),
+            ['Smile Dental Miami', 'Bay Coffee Dental Lounge', 'Harbor Family Dentistry', 'Luna Orthodontics']
+        );
+
+        const smile = byName['Smile Dental Miami'];
+        assert.equal(smile.category, 'Dentist');
+        assert.equal(smile.address, '120 SE 1st St, Miami, FL 33131');
+        assert.equal(smile.phone, '+13055550142');
+        assert.equal(smile.phoneRaw, '(305) 555-0142');
+        assert.equal(smile.website, 'https://www.smiledentalmiami.com/');
+        assert.equal(smile.rating, 4.8);
+        assert.equal(smile.reviewCount, 1284);
+        assert.equal(smile.priceLevel, 2);
+        assert.equal(smile.hours, 'Open ⋅ Closes 6 PM');
+        assert.deepEqual(smile.openingHours.friday, { status: 'open', intervals: [{ open: '08:00', close: '14:00' }] });
+        assert.equal(smile.openingHours.sunday.status, 'closed');
+        assert.deepEqual(smile.coordinates, { lat: 25.7743, lng: -80.1937 });
+        assert.equal(smile.searchQuery, QUERY);
+        assert.equal(smile.resultIndex, 1);
+        assert.equal('reviews' in smile, false);
+        assert.equal(smile.cid, '1885667171979194497');
+        assert.equal(smile.plusCode, 'QQGJ+2H Miami, Florida');
+        assert.equal(smile.photoCount, 312);
+        assert.equal(smile.claimed, true);
+        assert.equal(smile.locatedIn, null);
+        assert.deepEqual(smile.attributes, {
+            'Service options': { 'Online appointments': true, 'Onsite services': true, Delivery: false },
+            Accessibility: { 'Wheelchair accessible entrance': true },
+            'From the business': { 'Identifies as women-owned': true }
+        });
+        assert.deepEqual(smile.serviceOptions, ['online-appointments', 'onsite-services']);
+
+        const bay = byName['Bay Coffee Dental Lounge'];
+        assert.equal(bay.phone, null);
+        assert.equal(bay.rating, 4.3);
+        assert.equal(bay.website, 'https://baycoffeedental.com/book?ref=maps');
+        assert.equal(bay.priceLevel, null);
+        assert.equal(bay.claimed, false);
+        assert.equal(bay.locatedIn, 'Bay Harbor Plaza');
+        assert.equal(bay.attributes, null);
+
+        const harbor = byName['Harbor Family Dentistry'];
+        assert.equal(harbor.website, null);
+        assert.equal(harbor.reviewCount, 1200);
+        assert.equal(harbor.phone, '+13055550199');
+
+        const luna = byName['Luna Orthodontics'];
+        assert.equal(luna.priceLevel, 3);
+        // Read from the table that only appears after expanding the hours
+        assert.deepEqual(luna.openingHours.monday, {
+            status: 'open',
+            intervals: [{ open: '08:30', close: '12:00' }, { open: '13:00', close: '17:00' }],
+            holiday: 'Labor Day',
+            note: 'Hours might differ'
+        });
+        assert.deepEqual(luna.openingHours.thursday.intervals, [{ open: '10:00', close: '19:00' }]);
+    });
+
+    it('stops scrolling once the feed reaches the end of the list', () => {
+        const { stats } = fullRun.scraper;
+
+        assert.equal(stats.urlsFound, 5);
+        assert.ok(stats.scrollAttempts > 0, 'lazy-loaded results need at least one scroll');
+        assert.ok(stats.scrollAttempts < 5, `stopped after ${stats.scrollAttempts} attempts instead of at the end of the list`);
+
+        const scrollEvents = fullRun.events.filter(event => event.type === 'scroll');
+        assert.equal(scrollEvents.at(-1).resultCount, 5);
+    });
+
+    it('counts a listing whose place page is gone as failed', () => {
+        const { stats } = fullRun.scraper;
+        const failures = fullRun.events.filter(event => event.type === 'business-failed');
+
+        assert.equal(stats.processed, 5);
+        assert.equal(stats.successful, 4);
+        assert.equal(stats.failed, 1);
+        assert.equal(failures.length, 1);
+        assert.equal(failures[0].index, 5);
+        assert.match(failures[0].url, /Closed\+Dental\+Studio/);
+    });
+
+    it('does not scroll when the first results already cover maxResults', async () => {
+        const servedBefore = fixtures.requests.length;
+        const { scraper, results } = await scrape(2);
+        const placeRequests = fixtures.requests.slice(servedBefore).filter(request => request.startsWith('/maps/place/'));
+
+        assert.equal(scraper.stats.scrollAttempts, 0);
+        assert.deepEqual(results.map(result => result.name), ['Smile Dental Miami', 'Bay Coffee Dental Lounge']);
+        assert.equal(placeRequests.length, 2);
+    });
+
+    it('reads reviews from the Reviews tab when asked to', async () => {
+        const { scraper, results } = await scrape(1, { reviewsLimit: 4, reviewsScrollDelay: 400 });
+        const [smile] = results;
+
+        assert.deepEqual(smile.reviews.map(review => review.author), ['Maria Gonzalez', 'James Carter', 'Ana Silva', 'Tom Becker']);
+        assert.equal(scraper.stats.reviews, 4);
+
+        const [maria, james] = smile.reviews;
+        assert.equal(maria.id, 'ChZDSUhNMG9nS0VJQ0FnSURyMXBxSg');
+        assert.equal(maria.rating, 5);
+        assert.equal(maria.relativeDate, '2 weeks ago');
+        assert.equal(maria.datePrecision, 'week');
+        assert.match(maria.text, /painless and they explained every step\.$/);
+        assert.equal(maria.ownerResponse.text, 'Thank you Maria, see you in six months!');
+        assert.equal(maria.ownerResponse.relativeDate, '1 week ago');
+        assert.match(maria.authorUrl, /\/maps\/contrib\//);
+        assert.equal(james.edited, true);
+        assert.equal(james.ownerResponse, null);
+        assert.equal(smile.reviews[3].text, null);
+    });
+
+    it('searches each grid tile and keeps places found from several tiles once', async () => {
+        const servedBefore = fixtures.requests.length;
+        const tiles = buildGrid({ south: 25.70, west: -80.30, north: 25.80, east: -80.25 }, { tileSizeKm: 6 });
+        const { scraper, results } = await scrape(10, {}, { grid: { tiles, perTileResults: 120 } });
+        const searches = fixtures.requests.slice(servedBefore).filter(request => request.startsWith('/maps/search/'));
+
+        // Every tile serves the same saved search page
+        assert.equal(tiles.length, 2);
+        assert.deepEqual(searches.map(search => search.split('/@')[1]), tiles.map(tile => `${tile.center.lat},${tile.center.lng},${tile.zoom}z`));
+        assert.deepEqual(results.map(result => result.name), fullRun.results.map(result => result.name));
+        assert.equal(scraper.stats.tilesSearched, 2);
+        assert.deepEqual(scraper.coverage.map(({ status, found, added, duplicates }) => [status, found, added, duplicates]), [
+            ['searched', 5, 5, 0],
+            ['searched', 5, 0, 5]
+        ]);
+    });
+
+    it('keeps search order when place pages are scraped in parallel', async () => {
+        const { scraper, results } = await scrape(10, { maxConcurrency: 3 });
+
+        assert.equal(scraper.stats.concurrency, 3);
+        assert.deepEqual(results.map(result => result.name), fullRun.results.map(result => result.name));
+        assert.deepEqual(results.map(result => result.resultIndex), [1, 2, 3, 4]);
+        assert.equal(scraper.stats.failed, 1);
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSelectorPack, listSelectorPacks, validateSelectorPack, PLACE_FIELDS } from '../selector_packs.js';
+import { SelectorHitTracker, SelectorHealthMonitor } from '../selector_health.js';
+import { GoogleMapsBusinessScraper } from '../gmaps_scraper.js';
+
+const pack = loadSelectorPack();
+
+// A run of `pages` place pages where `field` matched on `hitPages` of them
+const runWith = (field, pages, hitPages) => {
+    const tracker = new SelectorHitTracker(pack);
+    for (let n = 0; n < pages; n++) {
+        const hits = Object.fromEntries(PLACE_FIELDS.map(name => [name, 0]));
+        hits[field] = n < hitPages ? 0 : -1;
+        tracker.record(hits);
+    }
+    return tracker;
+};
+
+describe('selector packs', () => {
+    it('loads the newest google-maps pack by default', () => {
+        const newest = listSelectorPacks().filter(({ name }) => name === 'google-maps').at(-1);
+
+        assert.equal(pack.id, newest.id);
+        assert.ok(pack.place.businessName.length > 1, 'businessName has fallbacks');
+    });
+
+    it('still loads an old pack pinned for rollback', () => {
+        const first = loadSelectorPack('google-maps.v1');
+
+        assert.equal(first.version, 1);
+        assert.equal(first.reviews, undefined);
+        assert.equal(first.place.hoursToggle, undefined);
+    });
+
+    it('rejects packs with a missing field', () => {
+        const broken = { ...pack, place: { ...pack.place, rating: [] } };
+
+        assert.throws(() => validateSelectorPack(broken), /place\.rating/);
+        assert.throws(() => loadSelectorPack('../package'), /Invalid selector pack id/);
+    });
+});
+
+describe('SelectorHealthMonitor', () => {
+    it('flags a field whose hit rate drops against earlier runs', () => {
+        const monitor = new SelectorHealthMonitor();
+        monitor.finishRun(runWith('rating', 10, 10));
+        monitor.finishRun(runWith('rating', 10, 9));
+        monitor.finishRun(runWith('rating', 10, 2));
+
+        const report = monitor.report();
+
+        assert.deepEqual(report.flagged, ['rating']);
+        assert.equal(report.fields.rating.recent.hitRate, 0.2);
+        assert.equal(report.fields.rating.baseline.hitRate, 0.95);
+        assert.equal(report.fields.businessName.status, 'ok');
+    });
+
+    it('includes a running scrape and waits for enough samples', () => {
+        const monitor = new SelectorHealthMonitor();
+        monitor.finishRun(runWith('phoneNumber', 10, 10));
+
+        const running = runWith('phoneNumber', 3, 0);
+        monitor.startRun(running);
+        assert.equal(monitor.report().fields.phoneNumber.status, 'insufficient-data');
+
+        running.record({});
+        running.record({});
+        assert.deepEqual(monitor.report().flagged.sort(), [...PLACE_FIELDS].sort());
+    });
+});
+
+describe('place page extraction', () => {
+    afterEach(() => {
+        delete globalThis.document;
+        delete globalThis.window;
+    });
+
+    it('falls back to later selectors and records which one matched', async () => {
+        // Only fallback selectors are present on this page
+        const elements = {
+            'h1.DUwDvf': { textContent: ' Smile Dental ' },
+            'button[aria-label^="Phone:"]': { getAttribute: name => (name === 'aria-label' ? 'Phone: (305) 555-0142' : null) }
+        };
+        globalThis.document = { querySelector: selector => elements[selector] ?? null, querySelectorAll: () => [] };
+        globalThis.window = { location: { href: 'https://www.google.com/maps/place/Smile+Dental' } };
+
+        const scraper = new GoogleMapsBusinessScraper({ driver: { name: 'stub' } });
+        const page = { evaluate: async (fn, arg) => fn(arg) };
+        const { business, hits } = await scraper.extractBusinessData(page, 'dentists', 1);
+
+        assert.equal(business.name, 'Smile Dental');
+        assert.equal(business.phone, '+13055550142');
+        assert.equal(hits.businessName, 1);
+        assert.equal(hits.phoneNumber, 1);
+        assert.equal(hits.rating, -1);
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportLeadsToSheet, parseSheetExport, parseColumns, parseSpreadsheetId } from '../sheets_export.js';
+import { MockSheetsClient } from './helpers/sheets_mock.js';
+
+const lead = (name, cid, extra = {}) => ({
+    id: cid,
+    name,
+    placeKey: `cid:${cid}`,
+    phone: '+13055550100',
+    rating: 4.5,
+    searchQueries: ['dentists in Miami'],
+    enrichment: { emails: [{ email: `hello@${name.toLowerCase().replace(/ /g, '')}.com`, foundOn: ['/'] }] },
+    ...extra
+});
+
+const COLUMNS = { 'Place ID': 'placeKey', Business: 'name', Rating: 'rating', Emails: 'enrichment.emails.email' };
+
+describe('parseSheetExport', () => {
+    it('defaults to a new spreadsheet with the standard columns', () => {
+        const settings = parseSheetExport({});
+
+        assert.equal(settings.mode, 'create');
+        assert.equal(settings.sheetTitle, 'Leads');
+        assert.equal(settings.columns[0].field, 'placeKey');
+    });
+
+    it('needs a spreadsheet for append and upsert and adds the place ID column to upserts', () => {
+        assert.throws(() => parseSheetExport({ mode: 'append' }), /needs a spreadsheetId/);
+        assert.throws(() => parseSheetExport({ mode: 'replace' }), /"mode" must be one of/);
+        assert.throws(() => parseSheetExport({ mode: 'append', spreadsheetId: 'abcdefghijkl', shareWith: 'me@example.com' }), /only applies to new/);
+
+        const settings = parseSheetExport({ mode: 'upsert', spreadsheetId: 'abcdefghijkl', columns: ['name'] });
+        assert.deepEqual(settings.columns, [{ header: 'Place ID', field: 'placeKey' }, { header: 'name', field: 'name' }]);
+    });
+
+    it('reads spreadsheet IDs from URLs and rejects bad column mappings', () => {
+        assert.equal(parseSpreadsheetId('https://docs.google.com/spreadsheets/d/1AbC-dEf_123456/edit#gid=0'), '1AbC-dEf_123456');
+        assert.equal(parseSpreadsheetId('nope'), null);
+        assert.throws(() => parseColumns({ Name: 'name; DROP' }), /needs a lead field/);
+        assert.throws(() => parseColumns([{ header: 'Name', field: 'name' }, 'Name']), /listed twice/);
+        assert.throws(() => parseColumns([]), /at least one column/);
+    });
+});
+
+describe('exportLeadsToSheet', () => {
+    it('creates a spreadsheet with mapped columns and shares it', async () => {
+        const client = new MockSheetsClient();
+        const settings = parseSheetExport({ title: 'Miami dentists', columns: COLUMNS, shareWith: 'owner@example.com' });
+
+        const result = await exportLeadsToSheet(client, [lead('Smile Dental', 1), lead('Bay Dental', 2, { rating: null })], settings);
+
+        assert.equal(result.appended, 2);
+        assert.equal(client.spreadsheets.get(result.spreadsheetId).title, 'Miami dentists');
+        assert.deepEqual(client.records(result.spreadsheetId, 'Leads'), [
+            { 'Place ID': 'cid:1', Business: 'Smile Dental', Rating: 4.5, Emails: 'hello@smiledental.com' },
+            { 'Place ID': 'cid:2', Business: 'Bay Dental', Rating: '', Emails: 'hello@baydental.com' }
+        ]);
+        assert.deepEqual(client.shared, [{ spreadsheetId: result.spreadsheetId, email: 'owner@example.com' }]);
+    });
+
+    it('appends to an existing sheet in its own column order', async () => {
+        const client = new MockSheetsClient();
+        client.spreadsheets.set('existing-sheet', { title: 'CRM', sheets: { Leads: [['Business', 'Notes'], ['Old Co', 'called']] } });
+
+        const settings = parseSheetExport({ mode: 'append', spreadsheetId: 'existing-sheet', columns: { Business: 'name', Queries: 'searchQueries' } });
+        const result = await exportLeadsToSheet(client, [lead('Smile Dental', 1)], settings);
+
+        assert.deepEqual(result, {
+            mode: 'append',
+            spreadsheetId: 'existing-sheet',
+            sheetTitle: 'Leads',
+            url: 'https://docs.google.com/spreadsheets/d/existing-sheet/edit',
+            appended: 1,
+            updated: 0
+        });
+        assert.deepEqual(client.spreadsheets.get('existing-sheet').sheets.Leads, [
+            ['Business', 'Notes', 'Queries'],
+            ['Old Co', 'called'],
+            ['Smile Dental', '', 'dentists in Miami']
+        ]);
+    });
+
+    it('upserts by place ID, keeping columns the mapping does not cover', async () => {
+        const client = new MockSheetsClient();
+        const first = await exportLeadsToSheet(client, [lead('Smile Dental', 1), lead('Bay Dental', 2)], parseSheetExport({ columns: COLUMNS }));
+        const rows = client.spreadsheets.get(first.spreadsheetId).sheets.Leads;
+        rows[0].push('Notes');
+        rows[1].push('Call back Friday');
+
+        const settings = parseSheetExport({ mode: 'upsert', spreadsheetId: first.spreadsheetId, columns: COLUMNS });
+        const result = await exportLeadsToSheet(client, [lead('Smile Dental Care', 1, { rating: 4.8 }), lead('Tampa Smiles', 3)], settings);
+
+        assert.equal(result.updated, 1);
+        assert.equal(result.appended, 1);
+        assert.deepEqual(client.records(first.spreadsheetId, 'Leads').map(({ Business, Rating, Notes }) => [Business, Rating, Notes]), [
+            ['Smile Dental Care', 4.8, 'Call back Friday'],
+            ['Bay Dental', 4.5, ''],
+            ['Tampa Smiles', 4.5, '']
+        ]);
+    });
+});
@@ -0,0 +1,165 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { WebhookDispatcher, parseWebhook, signWebhookPayload, verifyWebhookSignature } from '../webhooks.js';
+import { LeadStore } from '../lead_store.js';
+
+const SECRET = 'whsec_test_secret_0123456789';
+
+// Log lines written while the test runner reads results can garble its output
+const createDispatcher = (options) => new WebhookDispatcher({ verbose: false, ...options });
+
+/**
+ * Local receiver answering with the next status of `statuses` (200 once
+ * they run out), recording each request
+ */
+const startReceiver = (statuses = []) => new Promise((resolve) => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(statuses.shift() ?? 200);
+            res.end();
+        });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+        resolve({
+            url: `http://127.0.0.1:${server.address().port}/hooks`,
+            received,
+            close: () => new Promise(done => server.close(done))
+        });
+    });
+});
+
+const waitFor = async (check, timeout = 3000) => {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeout) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+describe('webhook signatures', () => {
+    it('verifies fresh signatures of the exact body only', () => {
+        const body = '{"event":"job.completed"}';
+        const timestamp = Math.floor(Date.now() / 1000);
+        const header = `t=${timestamp},v1=${signWebhookPayload(SECRET, timestamp, body)}`;
+
+        assert.equal(verifyWebhookSignature(SECRET, header, body), true);
+        assert.equal(verifyWebhookSignature(SECRET, header, `${body} `), false);
+        assert.equal(verifyWebhookSignature('whsec_another_secret_000', header, body), false);
+        assert.equal(verifyWebhookSignature(SECRET, header, body, { now: (timestamp + 600) * 1000 }), false);
+        assert.equal(verifyWebhookSignature(SECRET, 'v1=abc', body), false);
+    });
+});
+
+describe('parseWebhook', () => {
+    it('checks the url and events and generates a secret', () => {
+        const settings = parseWebhook({ url: 'https://hooks.example.com/leads', events: ['job.completed', 'job.completed'] });
+
+        assert.deepEqual(settings.events, ['job.completed']);
+        assert.match(settings.secret, /^whsec_[0-9a-f]{48}$/);
+        assert.throws(() => parseWebhook({ url: 'ftp://example.com', events: ['job.completed'] }), /http\(s\) URL/);
+        assert.throws(() => parseWebhook({ url: 'https://example.com', events: ['job.started'] }), /Unknown event "job.started"/);
+        assert.throws(() => parseWebhook({ url: 'https://example.com', events: [] }), /at least one/);
+        assert.throws(() => parseWebhook({ secret: 'short' }, { partial: true }), /at least 16/);
+        assert.deepEqual(parseWebhook({ active: false }, { partial: true }), { active: false });
+    });
+});
+
+describe('WebhookDispatcher', () => {
+    let store;
+    let receiver;
+    let dispatcher;
+
+    beforeEach(() => {
+        store = new LeadStore();
+    });
+
+    afterEach(async () => {
+        dispatcher?.stop();
+        await receiver?.close();
+        store.close();
+    });
+
+    const subscribe = (events, extra = {}) => store.createWebhook({ ...parseWebhook({ url: receiver.url, events, secret: SECRET }), ...extra });
+
+    it('delivers signed payloads to subscribed webhooks only', async () => {
+        receiver = await startReceiver();
+        dispatcher = createDispatcher({ store });
+        const webhook = subscribe(['job.completed']);
+        subscribe(['lead.created']);
+
+        const [delivery] = dispatcher.dispatch('job.completed', () => ({ job: { id: 'job-1' }, results: [{ name: 'Smile Dental' }] }));
+        assert.equal(dispatcher.dispatch('job.failed', () => assert.fail('no subscriber needs the data')).length, 0);
+        await waitFor(() => store.getWebhookDelivery(delivery.id).status === 'succeeded');
+
+        assert.equal(receiver.received.length, 1);
+        const { headers, body } = receiver.received[0];
+        const payload = JSON.parse(body);
+        assert.equal(payload.event, 'job.completed');
+        assert.deepEqual(payload.data.results, [{ name: 'Smile Dental' }]);
+        assert.equal(headers['x-leadgen-event'], 'job.completed');
+        assert.equal(headers['x-leadgen-delivery'], String(delivery.id));
+        assert.equal(verifyWebhookSignature(SECRET, headers['x-leadgen-signature'], body), true);
+
+        const [logged] = store.listWebhookDeliveries(webhook.id);
+        assert.equal(logged.responseStatus, 200);
+        assert.equal(logged.attempts, 1);
+    });
+
+    it('retries with backoff and gives up after the last attempt', async () => {
+        receiver = await startReceiver([500, 503, 500, 500]);
+        dispatcher = createDispatcher({ store, retryDelay: 20, maxAttempts: 3 });
+        subscribe(['lead.created']);
+
+        const [delivery] = dispatcher.dispatch('lead.created', { lead: { id: 1 } });
+        await waitFor(() => store.getWebhookDelivery(delivery.id).status !== 'pending');
+
+        const failed = store.getWebhookDelivery(delivery.id);
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.attempts, 3);
+        assert.equal(failed.error, 'HTTP 500');
+        assert.equal(receiver.received.length, 3);
+    });
+
+    it('redelivers a past payload with the same event id', async () => {
+        receiver = await startReceiver([500]);
+        dispatcher = createDispatcher({ store, maxAttempts: 1 });
+        subscribe(['lead.created']);
+
+        const [first] = dispatcher.dispatch('lead.created', { lead: { id: 7 } });
+        await waitFor(() => store.getWebhookDelivery(first.id).status === 'failed');
+
+        const again = dispatcher.redeliver(first.id);
+        assert.equal(again.redeliveryOf, first.id);
+        await waitFor(() => store.getWebhookDelivery(again.id).status === 'succeeded');
+
+        const [failedBody, redeliveredBody] = receiver.received.map(request => request.body);
+        assert.equal(redeliveredBody, failedBody);
+        assert.equal(dispatcher.redeliver(9999), null);
+    });
+
+    it('resumes pending deliveries and skips disabled webhooks', async () => {
+        receiver = await startReceiver();
+        const webhook = subscribe(['job.failed']);
+        const paused = subscribe(['job.failed']);
+
+        // Queued by a previous run that stopped before sending
+        const stopped = createDispatcher({ store });
+        const deliveries = stopped.dispatch('job.failed', { job: { id: 'job-2' } });
+        stopped.stop();
+        store.updateWebhook(paused.id, { active: false });
+
+        dispatcher = createDispatcher({ store });
+        dispatcher.start();
+        await waitFor(() => deliveries.every(delivery => store.getWebhookDelivery(delivery.id).status !== 'pending'));
+
+        assert.equal(store.listWebhookDeliveries(webhook.id)[0].status, 'succeeded');
+        assert.equal(store.listWebhookDeliveries(paused.id)[0].error, 'The webhook is disabled');
+        assert.equal(receiver.received.length, 1);
+    });
+});
@@ -0,0 +1,195 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebsiteEnricher, EnrichmentQueue, extractEmails, extractPhones, findContactForms } from '../website_enricher.js';
+
+const SITE = {
+    'https://smiledental.com/': `
+        <html><body>
+            <nav><a href="/about-us">About</a> <a href="/kontakt">Kontakt</a> <a href="/blog">Blog</a></nav>
+            <p>Call us: <a href="tel:+1-305-555-0142">(305) 555-0142</a></p>
+            <img src="/img/logo@2x.png">
+        </body></html>`,
+    'https://smiledental.com/kontakt': `
+        <p>Write to frontdesk [at] smiledental [dot] com or <a href="mailto:Info@SmileDental.com?subject=Hi">email us</a>.</p>
+        <p>Billing: (305) 555-0199</p>
+        <form action="/contact/send" method="post"><input type="email" name="from"><textarea name="msg"></textarea></form>
+        <form role="search" action="/search"><input type="email"></form>`,
+    'https://smiledental.com/about-us': `
+        <p>Questions? info@smiledental.com - site by <a href="mailto:hello@webagency.io">Agency</a></p>`
+};
+
+// Every test host resolves to a documentation address that counts as public
+const publicLookup = async () => [{ address: '203.0.113.10', family: 4 }];
+
+const createEnricher = (options) => new WebsiteEnricher({ lookup: publicLookup, ...options });
+
+const fakeFetch = (pages) => async (url) => {
+    const html = pages[url];
+    const response = new Response(html ?? 'Not found', {
+        status: html ? 200 : 404,
+        headers: { 'content-type': 'text/html; charset=utf-8' }
+    });
+    Object.defineProperty(response, 'url', { value: url });
+    return response;
+};
+
+describe('page extraction', () => {
+    it('finds plain, mailto, obfuscated and Cloudflare emails', () => {
+        const emails = extractEmails(`
+            <a href="mailto:sales%40shop.com">Sales</a>
+            <p>jobs(at)shop.com, press at shop dot com, hi&#64;shop.com</p>
+            <span class="__cf_email__" data-cfemail="543d3a323b14273c3b247a373b39">[email&#160;protected]</span>
+            <p>you@example.com</p>`);
+
+        assert.deepEqual(emails, [
+            { email: 'sales@shop.com', source: 'mailto' },
+            { email: 'info@shop.com', source: 'cloudflare' },
+            { email: 'hi@shop.com', source: 'text' },
+            { email: 'jobs@shop.com', source: 'obfuscated' },
+            { email: 'press@shop.com', source: 'obfuscated' }
+        ]);
+    });
+
+    it('reads tel: links and numbers in the text', () => {
+        const phones = extractPhones('<a href="tel:3055550142">Call</a> or fax +44 20 7946 0958', 'US');
+
+        assert.deepEqual(phones.map(({ phone, source }) => [phone, source]), [
+            ['+13055550142', 'tel'],
+            ['+442079460958', 'text']
+        ]);
+    });
+
+    it('keeps going past a malformed tel: link', () => {
+        const phones = extractPhones('<a href="tel:%E0%A4%A">Broken</a> <a href="tel:305%20555%200142">Call</a>', 'US');
+
+        assert.deepEqual(phones.map(({ phone }) => phone), ['+13055550142']);
+    });
+
+    it('skips search forms', () => {
+        const forms = findContactForms(SITE['https://smiledental.com/kontakt'], 'https://smiledental.com/kontakt');
+
+        assert.deepEqual(forms, [
+            { url: 'https://smiledental.com/kontakt', action: 'https://smiledental.com/contact/send', provider: null }
+        ]);
+    });
+});
+
+describe('WebsiteEnricher', () => {
+    it('crawls the contact pages and records where each finding came from', async () => {
+        const enricher = createEnricher({ fetch: fakeFetch(SITE) });
+        const enrichment = await enricher.enrich('smiledental.com', { knownPhones: ['+13055550142'] });
+
+        assert.equal(enrichment.status, 'ok');
+        assert.deepEqual(enrichment.pagesVisited.map(page => page.url), [
+            'https://smiledental.com/',
+            'https://smiledental.com/kontakt',
+            'https://smiledental.com/about-us'
+        ]);
+
+        assert.deepEqual(enrichment.emails.map(({ email, foundOn, sameDomain }) => [email, foundOn.length, sameDomain]), [
+            ['info@smiledental.com', 2, true],
+            ['frontdesk@smiledental.com', 1, true],
+            ['hello@webagency.io', 1, false]
+        ]);
+        assert.deepEqual(enrichment.phones.map(({ phone, foundOn }) => [phone, foundOn]), [
+            ['+13055550199', ['https://smiledental.com/kontakt']]
+        ]);
+        assert.equal(enrichment.contactForms.length, 1);
+    });
+
+    it('stops at the page budget and guesses contact paths', async () => {
+        const requested = [];
+        const fetch = async (url, init) => {
+            requested.push(url);
+            return fakeFetch({ 'https://bare.com/': '<p>Welcome</p>' })(url, init);
+        };
+        const enrichment = await createEnricher({ fetch, maxPages: 3 }).enrich('https://bare.com');
+
+        assert.deepEqual(requested, ['https://bare.com/', 'https://bare.com/contact', 'https://bare.com/contact-us']);
+        assert.equal(enrichment.errors.length, 2);
+        assert.equal(enrichment.status, 'ok');
+    });
+
+    it('stops reading a page at maxBytes', async () => {
+        let pulled = 0;
+        let cancelled = false;
+        const endless = new ReadableStream({
+            pull(controller) {
+                pulled++;
+                controller.enqueue(new TextEncoder().encode('<p>' + 'x'.repeat(1020) + '</p>'));
+            },
+            cancel() {
+                cancelled = true;
+            }
+        });
+        const enricher = createEnricher({
+            maxBytes: 4096,
+            fetch: async () => new Response(endless, { headers: { 'content-type': 'text/html' } })
+        });
+
+        const { html } = await enricher.fetchPage('https://endless.com/');
+        assert.equal(html.length, 4096);
+        assert.equal(cancelled, true);
+        assert.ok(pulled < 10);
+    });
+
+    it('rejects a page whose Content-Length is over maxBytes', async () => {
+        const enricher = createEnricher({
+            maxBytes: 1024,
+            fetch: async () => new Response('x'.repeat(2048), { headers: { 'content-type': 'text/html', 'content-length': '2048' } })
+        });
+
+        await assert.rejects(enricher.fetchPage('https://big.com/'), /Page too large \(2048 bytes\)/);
+    });
+
+    it('refuses private addresses, also behind a redirect', async () => {
+        const requested = [];
+        const fetch = async (url) => {
+            requested.push(url);
+            return new Response(null, { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } });
+        };
+        const lookup = async (host) => [{ address: host === 'internal.shop.com' ? '10.0.0.5' : '203.0.113.10', family: 4 }];
+        const enricher = createEnricher({ fetch, lookup });
+
+        await assert.rejects(enricher.fetchPage('https://shop.com/'), /Refusing to fetch 169\.254\.169\.254/);
+        await assert.rejects(enricher.fetchPage('http://internal.shop.com/'), /Refusing to fetch internal\.shop\.com/);
+        await assert.rejects(enricher.fetchPage('http://[::ffff:127.0.0.1]:8080/'), /Refusing to fetch/);
+        assert.deepEqual(requested, ['https://shop.com/']);
+    });
+
+    it('follows redirects between public pages', async () => {
+        const fetch = async (url) => url === 'http://shop.com/'
+            ? new Response(null, { status: 301, headers: { location: '/home' } })
+            : new Response('<p>Home</p>', { headers: { 'content-type': 'text/html' } });
+
+        assert.deepEqual(await createEnricher({ fetch }).fetchPage('http://shop.com/'), { url: 'http://shop.com/home', html: '<p>Home</p>' });
+    });
+
+    it('reports a lead without a website', async () => {
+        const enrichment = await createEnricher({ fetch: fakeFetch({}) }).enrich(null);
+        assert.equal(enrichment.status, 'no-website');
+    });
+});
+
+describe('EnrichmentQueue', () => {
+    it('runs each key once with limited concurrency', async () => {
+        let active = 0;
+        let peak = 0;
+        const queue = new EnrichmentQueue({
+            concurrency: 2,
+            worker: async () => {
+                active++;
+                peak = Math.max(peak, active);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                active--;
+            }
+        });
+
+        const done = new Promise(resolve => queue.on('done', () => queue.stats().completed === 3 && resolve()));
+        assert.deepEqual([1, 2, 2, 3].map(id => queue.push(id)), [true, true, false, true]);
+        await done;
+
+        assert.equal(peak, 2);
+        assert.deepEqual(queue.stats(), { pending: 0, running: 0, completed: 3, failed: 0 });
+    });
+});
@@ -0,0 +1,307 @@
+/**
+ * 🪝 OUTBOUND WEBHOOKS
+ *
+ * POSTs job and lead events to subscribed URLs so automations can react
+ * to a finished scrape without polling.
+ *
+ * Features:
+ * - Events: job.completed, job.failed, job.cancelled and lead.created
+ * - JSON envelope { id, event, createdAt, data }; `id` is the same for every
+ *   delivery of an event, so receivers can drop repeats
+ * - HMAC-SHA256 signature over "<timestamp>.<body>" in X-LeadGen-Signature
+ *   (t=<unix seconds>,v1=<hex>)
+ * - Retries with exponential backoff, kept in the lead database so pending
+ *   deliveries survive a restart
+ * - Delivery log with redelivery of any past delivery
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import crypto from 'crypto';
+
+const WEBHOOK_EVENTS = ['job.completed', 'job.failed', 'job.cancelled', 'lead.created'];
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+const signWebhookPayload = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Check an X-LeadGen-Signature header against the raw request body, as a
+ * receiver would. Signatures older than `tolerance` seconds are rejected.
+ */
+const verifyWebhookSignature = (secret, header, body, { tolerance = 300, now = Date.now() } = {}) => {
+    const parts = Object.fromEntries(String(header ?? '').split(',').map(part => part.trim().split('=')));
+    const timestamp = parseInt(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) return false;
+    if (Math.abs(now / 1000 - timestamp) > tolerance) return false;
+
+    const expected = Buffer.from(signWebhookPayload(secret, timestamp, body), 'hex');
+    const given = Buffer.from(parts.v1, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * A webhook's settings checked: { url, events, secret, description, active }.
+ * With `partial`, only the given settings are checked and returned; a new
+ * webhook without a secret gets a generated one. Throws when invalid.
+ */
+const parseWebhook = (body = {}, { partial = false } = {}) => {
+    const settings = {};
+
+    if (!partial || body.url !== undefined) {
+        let url;
+        try {
+            url = new URL(body.url);
+        } catch {
+            throw new Error('"url" must be an absolute http(s) URL');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('"url" must be an absolute http(s) URL');
+        settings.url = url.toString();
+    }
+
+    if (!partial || body.events !== undefined) {
+        const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+        if (events.length === 0) throw new Error(`"events" must list at least one of: ${WEBHOOK_EVENTS.join(', ')}`);
+        const unknown = events.find(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown) throw new Error(`Unknown event "${unknown}". Events: ${WEBHOOK_EVENTS.join(', ')}`);
+        settings.events = events;
+    }
+
+    if (body.secret !== undefined) {
+        if (typeof body.secret !== 'string' || body.secret.length < MIN_SECRET_LENGTH) {
+            throw new Error(`"secret" must be at least ${MIN_SECRET_LENGTH} characters`);
+        }
+        settings.secret = body.secret;
+    } else if (!partial) {
+        settings.secret = generateSecret();
+    }
+
+    if (body.description !== undefined) {
+        if (body.description !== null && typeof body.description !== 'string') throw new Error('"description" must be text');
+        settings.description = body.description?.trim().slice(0, MAX_DESCRIPTION_LENGTH) || null;
+    }
+
+    if (body.active !== undefined) {
+        if (typeof body.active !== 'boolean') throw new Error('"active" must be true or false');
+        settings.active = body.active;
+    }
+
+    return settings;
+};
+
+const withoutPayload = ({ payload, ...delivery }) => delivery;
+
+class WebhookDispatcher {
+    /**
+     * @param {object} options
+     * @param {object} options.store - the LeadStore keeping webhooks and deliveries
+     */
+    constructor(options = {}) {
+        this.options = {
+            fetch: globalThis.fetch,
+            concurrency: 4,
+            timeout: 10000,
+            // Attempts per delivery; retry n waits retryDelay * 2^(n-1)
+            maxAttempts: 6,
+            retryDelay: 30000,
+            // Finished deliveries are pruned from the log after this many days
+            retentionDays: 30,
+            verbose: true,
+            ...options
+        };
+
+        if (!this.options.store) {
+            throw new Error('WebhookDispatcher requires a store');
+        }
+
+        this.store = this.options.store;
+        this.timers = new Map();
+        this.pending = [];
+        this.running = new Set();
+        this.lastPruneAt = 0;
+    }
+
+    log(message, type = 'info') {
+        if (!this.options.verbose) return;
+
+        const icons = { info: '🪝', success: '✅', error: '❌', warn: '⚠️' };
+        console.log(`${icons[type]} [webhooks] ${message}`);
+    }
+
+    /**
+     * Schedule the deliveries left pending by the last run
+     */
+    start() {
+        this.prune();
+        const pending = this.store.pendingWebhookDeliveries();
+        pending.forEach(delivery => this.schedule(delivery));
+        if (pending.length > 0) this.log(`Resuming ${pending.length} pending deliveries`);
+    }
+
+    /**
+     * Cancel scheduled attempts. They stay pending and resume on start().
+     */
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.pending = [];
+    }
+
+    /**
+     * Drop finished deliveries past the retention period, at most hourly
+     */
+    prune() {
+        if (Date.now() - this.lastPruneAt < HOUR) return;
+
+        this.lastPruneAt = Date.now();
+        const pruned = this.store.pruneWebhookDeliveries(new Date(Date.now() - this.options.retentionDays * DAY));
+        if (pruned > 0) this.log(`Pruned ${pruned} deliveries older than ${this.options.retentionDays} days`);
+    }
+
+    /**
+     * Queue an event for every active webhook subscribed to it. `data` may
+     * be a function, only called when some webhook is subscribed. Returns
+     * the queued deliveries.
+     */
+    dispatch(event, data) {
+        if (!WEBHOOK_EVENTS.includes(event)) throw new Error(`Unknown webhook event "${event}"`);
+
+        const webhooks = this.store.webhooksForEvent(event);
+        if (webhooks.length === 0) return [];
+
+        const eventId = crypto.randomUUID();
+        const payload = JSON.stringify({
+            id: eventId,
+            event,
+            createdAt: new Date().toISOString(),
+            data: typeof data === 'function' ? data() : data
+        });
+
+        this.prune();
+        return webhooks.map(webhook => {
+            const delivery = this.store.createWebhookDelivery({ webhookId: webhook.id, event, eventId, payload });
+            this.schedule(delivery);
+            return withoutPayload(delivery);
+        });
+    }
+
+    /**
+     * Send a past delivery's payload again as a new delivery
+     */
+    redeliver(deliveryId) {
+        const original = this.store.getWebhookDelivery(deliveryId);
+        if (!original) return null;
+
+        const delivery = this.store.createWebhookDelivery({
+            webhookId: original.webhookId,
+            event: original.event,
+            eventId: original.eventId,
+            payload: original.payload,
+            redeliveryOf: original.id
+        });
+        this.schedule(delivery);
+        return withoutPayload(delivery);
+    }
+
+    schedule(delivery) {
+        clearTimeout(this.timers.get(delivery.id));
+
+        const wait = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+        const timer = setTimeout(() => {
+            this.timers.delete(delivery.id);
+            this.enqueue(delivery.id);
+        }, wait);
+        timer.unref?.();
+        this.timers.set(delivery.id, timer);
+    }
+
+    enqueue(id) {
+        if (this.running.has(id) || this.pending.includes(id)) return;
+        this.pending.push(id);
+        this.next();
+    }
+
+    next() {
+        while (this.running.size < this.options.concurrency && this.pending.length > 0) {
+            const id = this.pending.shift();
+            this.running.add(id);
+
+            this.attempt(id)
+                .catch(error => this.log(`Delivery ${id} crashed: ${error.message}`, 'error'))
+                .finally(() => {
+                    this.running.delete(id);
+                    this.next();
+                });
+        }
+    }
+
+    /**
+     * POST a delivery once and record the outcome, scheduling a retry
+     * while attempts remain. Resolves to the updated delivery.
+     */
+    async attempt(id) {
+        const delivery = this.store.getWebhookDelivery(id);
+        if (!delivery || delivery.status !== 'pending') return delivery;
+
+        const webhook = this.store.getWebhookWithSecret(delivery.webhookId);
+        if (!webhook) return null;
+        if (!webhook.active) {
+            return this.store.saveWebhookAttempt(id, { status: 'failed', error: 'The webhook is disabled' });
+        }
+
+        const { timeout, maxAttempts, retryDelay } = this.options;
+        const timestamp = Math.floor(Date.now() / 1000);
+        let responseStatus = null;
+        let error = null;
+
+        try {
+            const response = await this.options.fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'LeadGen-Copilot-Webhooks/1.0',
+                    'X-LeadGen-Event': delivery.event,
+                    'X-LeadGen-Delivery': String(delivery.id),
+                    'X-LeadGen-Signature': `t=${timestamp},v1=${signWebhookPayload(webhook.secret, timestamp, delivery.payload)}`
+                },
+                body: delivery.payload,
+                // A redirect would resend the signed payload somewhere else
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeout)
+            });
+            responseStatus = response.status;
+            await response.arrayBuffer().catch(() => null);
+            if (!response.ok) error = `HTTP ${response.status}`;
+        } catch (requestError) {
+            error = requestError.name === 'TimeoutError' ? `Timed out after ${timeout}ms` : requestError.message;
+        }
+
+        if (!error) {
+            return this.store.saveWebhookAttempt(id, { status: 'succeeded', responseStatus });
+        }
+
+        const attempts = delivery.attempts + 1;
+        if (attempts >= maxAttempts) {
+            this.log(`Delivery ${id} of ${delivery.event} to ${webhook.url} failed after ${attempts} attempts: ${error}`, 'warn');
+            return this.store.saveWebhookAttempt(id, { status: 'failed', responseStatus, error });
+        }
+
+        const nextAttemptAt = new Date(Date.now() + retryDelay * 2 ** (attempts - 1)).toISOString();
+        const retrying = this.store.saveWebhookAttempt(id, { status: 'pending', responseStatus, error, nextAttemptAt });
+        this.schedule(retrying);
+        return retrying;
+    }
+}
+
+export { WebhookDispatcher, parseWebhook, signWebhookPayload, verifyWebhookSignature, WEBHOOK_EVENTS };
@@ -0,0 +1,497 @@
+/**
+ * 🌐 WEBSITE ENRICHER
+ *
+ * Visits a lead's website and its likely contact pages to find what the
+ * Maps listing does not show: email addresses, extra phone numbers and
+ * the contact form.
+ *
+ * Features:
+ * - Home page plus contact/about/impressum pages, within a page budget
+ * - Emails from mailto: links, page text, "name [at] domain [dot] com"
+ *   style obfuscation and Cloudflare-protected addresses
+ * - Phone numbers from tel: links and page text (E.164)
+ * - Contact forms, including embedded form providers
+ * - Every finding records the page it was found on
+ * - Only public addresses are fetched, redirects included: listings can
+ *   point anywhere, including the server's own network
+ * - Background queue with limited concurrency for bulk enrichment
+ *
+ * @version 1.0.0
+ * @author LeadGen Copilot Team
+ */
+
+import dns from 'dns';
+import { EventEmitter } from 'events';
+import net from 'net';
+import { findPhoneNumbersInText } from 'libphonenumber-js';
+import { normalizePhone, normalizeWebsite } from './normalize_business.js';
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,24}/gi;
+
+// Addresses that appear on many sites but never belong to the business
+const IGNORED_EMAIL_DOMAINS = /(^|\.)(example\.(com|org|net)|domain\.com|yourdomain\.com|email\.com|sentry\.io|sentry-next\.wixpress\.com|wixpress\.com)$/i;
+const ASSET_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|avif|ico|css|js)$/i;
+
+// Link text or path → priority when picking which pages to visit
+const CONTACT_PAGE_PATTERNS = [
+    [/contact|kontakt|contacto|contato|contatti|contactez|get-in-touch/i, 3],
+    [/impressum|imprint|legal-notice|mentions-legales|aviso-legal|colofon/i, 3],
+    [/about|ueber-uns|uber-uns|a-propos|quienes-somos|chi-siamo|over-ons|team/i, 2],
+    [/support|help|locations?|find-us|visit/i, 1]
+];
+
+// Tried when the home page links to none of the pages above
+const GUESSED_PATHS = ['/contact', '/contact-us', '/impressum', '/about'];
+
+// Loopback, private, link-local (cloud metadata), shared and multicast ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]
+    .forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) match the IPv4 ranges too
+const isPrivateAddress = (address) => PRIVATE_NETWORKS.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+const FORM_PROVIDERS = /typeform\.com|jotform\.com|forms\.gle|docs\.google\.com\/forms|hsforms\.(com|net)|wufoo\.com|formstack\.com|cognitoforms\.com|tally\.so/i;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', commat: '@', period: '.' };
+
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+/**
+ * Visible text of a page, with scripts, styles and tags removed
+ */
+const htmlToText = (html) => decodeEntities(html
+    .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ');
+
+const isUsableEmail = (email) => {
+    const domain = email.split('@')[1];
+    return !IGNORED_EMAIL_DOMAINS.test(domain) && !ASSET_EXTENSIONS.test(email);
+};
+
+/**
+ * Cloudflare email protection: the first byte is an XOR key for the rest
+ */
+const decodeCloudflareEmail = (hex) => {
+    const key = parseInt(hex.slice(0, 2), 16);
+    let email = '';
+    for (let i = 2; i < hex.length; i += 2) {
+        email += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16) ^ key);
+    }
+    return email;
+};
+
+/**
+ * Emails on a page as [{ email, source }], source being mailto, text,
+ * obfuscated or cloudflare
+ */
+const extractEmails = (html) => {
+    const found = new Map();
+    const add = (email, source) => {
+        const value = email.trim().replace(/^[.]+|[.]+$/g, '').toLowerCase();
+        if (!found.has(value) && /^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i.test(value) && isUsableEmail(value)) {
+            found.set(value, source);
+        }
+    };
+
+    const decoded = decodeEntities(html);
+
+    for (const match of decoded.matchAll(/href\s*=\s*["']mailto:([^"'?]+)/gi)) {
+        try {
+            add(decodeURIComponent(match[1]), 'mailto');
+        } catch (error) {
+            add(match[1], 'mailto');
+        }
+    }
+
+    for (const match of html.matchAll(/data-cfemail\s*=\s*["']([\da-f]+)["']/gi)) {
+        add(decodeCloudflareEmail(match[1]), 'cloudflare');
+    }
+
+    for (const [email] of decoded.matchAll(EMAIL_PATTERN)) {
+        add(email, 'text');
+    }
+
+    // "info [at] shop [dot] com", "info(at)shop.com", "info at shop dot com"
+    const deobfuscated = htmlToText(html)
+        .replace(/\s*[[({<]\s*(?:at|@)\s*[\])}>]\s*/gi, '@')
+        .replace(/\s*[[({<]\s*(?:dot|\.)\s*[\])}>]\s*/gi, '.')
+        .replace(/\b([\w.+-]+)\s+at\s+([\w-]+(?:\s+dot\s+[\w-]+)+)\b/gi,
+            (match, user, domain) => `${user}@${domain.replace(/\s+dot\s+/gi, '.')}`);
+
+    for (const [email] of deobfuscated.matchAll(EMAIL_PATTERN)) {
+        add(email, 'obfuscated');
+    }
+
+    return [...found].map(([email, source]) => ({ email, source }));
+};
+
+/**
+ * Phone numbers on a page as [{ phone (E.164), phoneRaw, source }]
+ */
+const extractPhones = (html, defaultCountry = 'US') => {
+    const found = new Map();
+    const add = (raw, source) => {
+        const phone = normalizePhone(raw, defaultCountry);
+        if (phone && !found.has(phone)) found.set(phone, { phone, phoneRaw: raw.trim(), source });
+    };
+
+    for (const match of html.matchAll(/href\s*=\s*["']tel:([^"']+)/gi)) {
+        try {
+            add(decodeEntities(decodeURIComponent(match[1])), 'tel');
+        } catch (error) {
+            add(decodeEntities(match[1]), 'tel');
+        }
+    }
+
+    const text = htmlToText(html);
+    for (const { startsAt, endsAt } of findPhoneNumbersInText(text, defaultCountry)) {
+        add(text.slice(startsAt, endsAt), 'text');
+    }
+
+    return [...found.values()];
+};
+
+/**
+ * Links on the page as absolute URLs with their text
+ */
+const extractLinks = (html, pageUrl) => {
+    const links = [];
+    for (const match of html.matchAll(/<a\b[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+        try {
+            links.push({ url: new URL(decodeEntities(match[1]), pageUrl), text: htmlToText(match[2]).trim() });
+        } catch (error) {
+            // Malformed href
+        }
+    }
+    return links;
+};
+
+/**
+ * Contact forms on a page as [{ url, action, provider }]. A form counts
+ * when it has a message box or an email field and is not a search form.
+ */
+const findContactForms = (html, pageUrl) => {
+    const forms = [];
+
+    for (const match of html.matchAll(/<form\b([^>]*)>([\s\S]*?)<\/form>/gi)) {
+        const [, attributes, body] = match;
+        if (/role\s*=\s*["']search["']/i.test(attributes)) continue;
+
+        const looksLikeContact = /<textarea\b/i.test(body) ||
+            /type\s*=\s*["']email["']/i.test(body) ||
+            /contact|kontakt|enquiry|inquiry/i.test(attributes);
+        if (!looksLikeContact) continue;
+
+        const action = attributes.match(/action\s*=\s*["']([^"']*)["']/i)?.[1];
+        let actionUrl = pageUrl;
+        try {
+            if (action) actionUrl = new URL(decodeEntities(action), pageUrl).href;
+        } catch (error) {
+            // Keep the page URL
+        }
+        forms.push({ url: pageUrl, action: actionUrl, provider: null });
+    }
+
+    for (const match of html.matchAll(/<iframe\b[^>]*src\s*=\s*["']([^"']+)["']/gi)) {
+        const src = decodeEntities(match[1]);
+        const provider = src.match(FORM_PROVIDERS)?.[0];
+        if (provider) forms.push({ url: pageUrl, action: src, provider });
+    }
+
+    return forms;
+};
+
+const siteHost = (url) => url.hostname.replace(/^www\./i, '').toLowerCase();
+
+/**
+ * Same-site pages worth visiting, best first
+ */
+const rankContactLinks = (html, pageUrl) => {
+    const home = new URL(pageUrl);
+    const ranked = new Map();
+
+    for (const { url, text } of extractLinks(html, pageUrl)) {
+        if (!['http:', 'https:'].includes(url.protocol) || siteHost(url) !== siteHost(home)) continue;
+        if (/\.(pdf|jpe?g|png|gif|zip|docx?)$/i.test(url.pathname)) continue;
+
+        url.hash = '';
+        const haystack = `${url.pathname} ${text}`;
+        const score = Math.max(0, ...CONTACT_PAGE_PATTERNS.map(([pattern, weight]) => pattern.test(haystack) ? weight : 0));
+        if (score > 0 && url.href !== home.href) {
+            ranked.set(url.href, Math.max(score, ranked.get(url.href) ?? 0));
+        }
+    }
+
+    return [...ranked].sort((a, b) => b[1] - a[1]).map(([url]) => url);
+};
+
+class WebsiteEnricher {
+    constructor(options = {}) {
+        this.options = {
+            maxPages: options.maxPages ?? 5,
+            timeout: options.timeout ?? 10000,
+            maxBytes: options.maxBytes ?? 2 * 1024 * 1024,
+            defaultCountry: options.defaultCountry ?? 'US',
+            userAgent: options.userAgent ?? 'Mozilla/5.0 (compatible; LeadGenCopilot/1.0; +https://github.com/leadgen-copilot)',
+            fetch: options.fetch ?? globalThis.fetch,
+            // dns.lookup-style resolver ({ all: true }), for checking where a URL points
+            lookup: options.lookup ?? dns.promises.lookup,
+            maxRedirects: options.maxRedirects ?? 5,
+            ...options
+        };
+    }
+
+    /**
+     * Throw unless the URL is http(s) and its host resolves only to
+     * public addresses
+     */
+    async checkPublicUrl(url) {
+        const { protocol, hostname } = new URL(url);
+        if (!['http:', 'https:'].includes(protocol)) {
+            throw new Error(`Unsupported protocol ${protocol}`);
+        }
+
+        const host = hostname.replace(/^\[|\]$/g, '');
+        const addresses = net.isIP(host) ? [{ address: host }] : await this.options.lookup(host, { all: true });
+        if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+            throw new Error(`Refusing to fetch ${host}: not a public address`);
+        }
+    }
+
+    /**
+     * Fetch one HTML page. Resolves to { url (after redirects), html }.
+     * Redirects are followed one by one so every hop is checked.
+     */
+    async fetchPage(url) {
+        const signal = AbortSignal.timeout(this.options.timeout);
+        let current = url;
+        let response;
+
+        for (let redirects = 0; ; redirects++) {
+            await this.checkPublicUrl(current);
+            response = await this.options.fetch(current, {
+                redirect: 'manual',
+                headers: { 'User-Agent': this.options.userAgent, Accept: 'text/html,application/xhtml+xml' },
+                signal
+            });
+
+            const location = response.headers.get('location');
+            if (response.status < 300 || response.status >= 400 || !location) break;
+
+            await response.body?.cancel().catch(() => {});
+            if (redirects >= this.options.maxRedirects) {
+                throw new Error(`More than ${this.options.maxRedirects} redirects`);
+            }
+            current = new URL(location, current).toString();
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType && !/html|xml/i.test(contentType)) {
+            throw new Error(`Not an HTML page (${contentType})`);
+        }
+
+        const { maxBytes } = this.options;
+        const contentLength = parseInt(response.headers.get('content-length'));
+        if (contentLength > maxBytes) {
+            await response.body?.cancel().catch(() => {});
+            throw new Error(`Page too large (${contentLength} bytes)`);
+        }
+
+        // Read no more than maxBytes, however long the server keeps sending
+        const chunks = [];
+        let size = 0;
+        if (response.body) {
+            const reader = response.body.getReader();
+            while (size < maxBytes) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                size += value.byteLength;
+            }
+            if (size >= maxBytes) await reader.cancel().catch(() => {});
+        }
+
+        const html = Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8');
+        return { url: current, html };
+    }
+
+    /**
+     * Crawl a website. knownPhones (e.g. the listing's number) are left out
+     * of the phones found.
+     */
+    async enrich(website, { knownPhones = [] } = {}) {
+        const startUrl = normalizeWebsite(website);
+        const enrichment = {
+            website: startUrl,
+            status: 'ok',
+            emails: [],
+            phones: [],
+            contactForms: [],
+            pagesVisited: [],
+            errors: [],
+            enrichedAt: null
+        };
+
+        if (!startUrl) {
+            enrichment.status = 'no-website';
+            enrichment.enrichedAt = new Date().toISOString();
+            return enrichment;
+        }
+
+        const emails = new Map();
+        const phones = new Map();
+        const known = new Set(knownPhones.filter(Boolean));
+        const formUrls = new Set();
+        const queue = [startUrl];
+        const queued = new Set(queue);
+
+        while (queue.length > 0 && enrichment.pagesVisited.length < this.options.maxPages) {
+            const url = queue.shift();
+            let page;
+
+            try {
+                page = await this.fetchPage(url);
+                enrichment.pagesVisited.push({ url: page.url, ok: true });
+            } catch (error) {
+                enrichment.pagesVisited.push({ url, ok: false });
+                enrichment.errors.push({ url, error: error.name === 'TimeoutError' ? 'Timed out' : error.message });
+                continue;
+            }
+
+            for (const { email, source } of extractEmails(page.html)) {
+                const entry = emails.get(email) ?? { email, source, foundOn: [] };
+                if (!entry.foundOn.includes(page.url)) entry.foundOn.push(page.url);
+                emails.set(email, entry);
+            }
+
+            for (const { phone, phoneRaw, source } of extractPhones(page.html, this.options.defaultCountry)) {
+                if (known.has(phone)) continue;
+                const entry = phones.get(phone) ?? { phone, phoneRaw, source, foundOn: [] };
+                if (!entry.foundOn.includes(page.url)) entry.foundOn.push(page.url);
+                phones.set(phone, entry);
+            }
+
+            for (const form of findContactForms(page.html, page.url)) {
+                if (formUrls.has(form.action)) continue;
+                formUrls.add(form.action);
+                enrichment.contactForms.push(form);
+            }
+
+            // Only the first (home) page decides which other pages to visit
+            if (url === startUrl) {
+                const links = rankContactLinks(page.html, page.url);
+                const candidates = links.length > 0
+                    ? links
+                    : GUESSED_PATHS.map(guess => new URL(guess, page.url).href);
+
+                for (const candidate of candidates) {
+                    if (!queued.has(candidate)) {
+                        queued.add(candidate);
+                        queue.push(candidate);
+                    }
+                }
+            }
+        }
+
+        enrichment.emails = this.rankEmails([...emails.values()], startUrl);
+        enrichment.phones = [...phones.values()];
+        enrichment.status = enrichment.pagesVisited.some(page => page.ok) ? 'ok' : 'failed';
+        enrichment.enrichedAt = new Date().toISOString();
+        return enrichment;
+    }
+
+    /**
+     * Addresses on the website's own domain first, then by how many pages
+     * mention them
+     */
+    rankEmails(emails, website) {
+        const host = siteHost(new URL(website));
+        const ownDomain = (email) => {
+            const domain = email.split('@')[1];
+            return domain === host || domain.endsWith(`.${host}`) || host.endsWith(`.${domain}`);
+        };
+
+        return emails
+            .map(entry => ({ ...entry, sameDomain: ownDomain(entry.email) }))
+            .sort((a, b) => (b.sameDomain - a.sameDomain) || (b.foundOn.length - a.foundOn.length));
+    }
+}
+
+/**
+ * Runs enrichment tasks in the background with limited concurrency.
+ * push() ignores keys already waiting or running.
+ */
+class EnrichmentQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = {
+            concurrency: options.concurrency ?? 2,
+            ...options
+        };
+
+        if (typeof this.options.worker !== 'function') {
+            throw new Error('EnrichmentQueue requires a worker(key) function');
+        }
+
+        this.pending = [];
+        this.running = new Set();
+        this.counts = { completed: 0, failed: 0 };
+    }
+
+    push(key) {
+        if (this.running.has(key) || this.pending.includes(key)) return false;
+        this.pending.push(key);
+        this.next();
+        return true;
+    }
+
+    next() {
+        while (this.running.size < this.options.concurrency && this.pending.length > 0) {
+            const key = this.pending.shift();
+            this.running.add(key);
+
+            const settle = (event, value) => {
+                this.running.delete(key);
+                this.counts[event === 'done' ? 'completed' : 'failed']++;
+                this.emit(event, key, value);
+                this.next();
+            };
+
+            Promise.resolve()
+                .then(() => this.options.worker(key))
+                .then(result => settle('done', result), error => settle('failed', error));
+        }
+    }
+
+    stats() {
+        return {
+            pending: this.pending.length,
+            running: this.running.size,
+            ...this.counts
+        };
+    }
+}
+
+export {
+    WebsiteEnricher,
+    EnrichmentQueue,
+    extractEmails,
+    extractPhones,
+    findContactForms,
+    rankContactLinks
+};
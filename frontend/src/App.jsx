@@ -21,12 +21,15 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || 'https://your-backend-app.o
 // Create axios instance with default config
 const api = axios.create({
   baseURL: API_BASE_URL,
-  timeout: 900000, // 5 minutes timeout for scraping
+  timeout: 30000, // Scrapes run as background jobs, so requests return quickly
   headers: {
     'Content-Type': 'application/json',
   },
 })
 
+// How often a running scrape job is polled for status
+const JOB_POLL_INTERVAL = 2000
+
 // Add request interceptor for logging
 api.interceptors.request.use(
   (config) => {
@@ -51,6 +54,53 @@ api.interceptors.response.use(
   }
 )
 
+// ===== SCRAPE JOB TRACKING =====
+const SCRAPE_JOB_EVENTS = ['snapshot', 'scroll', 'tile', 'urls', 'business', 'business-failed', 'status']
+const isJobFinished = (status) => ['completed', 'failed', 'cancelled'].includes(status)
+
+// Poll a scrape job until it finishes, reporting each poll as a snapshot event
+const pollScrapeJob = async (jobId, onEvent) => {
+  while (true) {
+    await delay(JOB_POLL_INTERVAL)
+    const { data } = await api.get(`/api/jobs/${jobId}`)
+    onEvent({ type: 'snapshot', ...data.job })
+    if (isJobFinished(data.job.status)) return data.job
+  }
+}
+
+// Follow a scrape job over Server-Sent Events and resolve with the final job.
+// Falls back to polling when the event stream cannot be used.
+const followScrapeJob = (jobId, onEvent) => new Promise((resolve, reject) => {
+  if (typeof EventSource === 'undefined') {
+    pollScrapeJob(jobId, onEvent).then(resolve, reject)
+    return
+  }
+
+  const source = new EventSource(`${API_BASE_URL}/api/jobs/${jobId}/events`)
+  let settled = false
+
+  const finish = () => {
+    settled = true
+    source.close()
+    api.get(`/api/jobs/${jobId}`).then(({ data }) => resolve(data.job), reject)
+  }
+
+  SCRAPE_JOB_EVENTS.forEach((type) => {
+    source.addEventListener(type, (message) => {
+      const event = { type, ...JSON.parse(message.data) }
+      onEvent(event)
+      if (isJobFinished(event.status)) finish()
+    })
+  })
+
+  source.onerror = () => {
+    if (settled) return
+    settled = true
+    source.close()
+    pollScrapeJob(jobId, onEvent).then(resolve, reject)
+  }
+})
+
 // ===== UTILITY FUNCTIONS =====
 const cn = (...classes) => {
   return classes.filter(Boolean).join(' ')
@@ -476,7 +526,7 @@ const FeaturesSection = () => {
       icon: Mail,
       title: 'Gmail Email Extractor',
       description: 'Automatically extract and verify email addresses from Gmail with advanced pattern recognition and validation.',
-      badge: 'Coming Soon',
+      badge: 'Working',
       color: 'from-rose-500 to-pink-600',
       bgColor: 'bg-rose-500/5',
       borderColor: 'border-rose-500/10',
@@ -499,8 +549,8 @@ const FeaturesSection = () => {
     {
       icon: Phone,
       title: 'WhatsApp Number Checker',
-      description: 'Verify WhatsApp numbers in bulk and check if they\'re active. Perfect for WhatsApp marketing campaigns.',
-      badge: 'New',
+      description: 'Validate numbers in bulk, spot mobile lines and get wa.me links. Perfect for WhatsApp marketing campaigns.',
+      badge: 'Working',
       color: 'from-green-500 to-emerald-600',
       bgColor: 'bg-green-500/5',
       borderColor: 'border-green-500/10',
@@ -624,6 +674,51 @@ const FeaturesSection = () => {
 }
 
 // ===== GOOGLE MAPS SCRAPER SECTION =====
+const WEEK_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+
+const HOURS_FILTERS = [
+  { value: 'any', label: 'Any time' },
+  { value: 'now', label: 'Open now' },
+  { value: 'weekend', label: 'Open on weekends' },
+  { value: 'at', label: 'Open at...' }
+]
+
+const LEAD_ORDERS = [
+  { value: 'search', label: 'Search order' },
+  { value: 'score', label: 'Lead score' }
+]
+
+// Matched scoring rules as tooltip text: "No website +20, Unclaimed listing +25"
+const formatScoreBreakdown = (breakdown = []) =>
+  breakdown.map(({ label, points }) => `${label} ${points >= 0 ? '+' : ''}${points}`).join(', ')
+
+// One day of a lead's openingHours as text: "08:30–12:00, 13:00–17:00"
+const formatDayHours = (entry) => {
+  if (!entry) return null
+  if (entry.status === 'closed') return 'Closed'
+  if (entry.status === 'open-24-hours') return 'Open 24 hours'
+  return entry.intervals.map(({ open, close }) => `${open}–${close}`).join(', ')
+}
+
+// Most results a grid search may ask for (MAX_GRID_RESULTS on the server)
+const MAX_GRID_RESULTS = 2000
+
+// "30.2,-97.8,30.3,-97.7" is a bounding box; anything else is an area name
+const parseGridArea = (value) => (
+  /^\s*-?\d+(\.\d+)?(\s*,\s*-?\d+(\.\d+)?){3}\s*$/.test(value)
+    ? { bounds: value.trim() }
+    : { area: value.trim() }
+)
+
+// Per-tile outcome of a grid search, counted by status
+const summarizeCoverage = (tiles) => ({
+  total: tiles.length,
+  searched: tiles.filter(tile => tile.status === 'searched').length,
+  failed: tiles.filter(tile => tile.status === 'failed').length,
+  saturated: tiles.filter(tile => tile.saturated).length,
+  added: tiles.reduce((sum, tile) => sum + tile.added, 0)
+})
+
 const GoogleMapsScraperSection = () => {
   const [query, setQuery] = useState('restaurants in Miami')
   const [maxResults, setMaxResults] = useState(10)
@@ -633,9 +728,42 @@ const GoogleMapsScraperSection = () => {
   const [results, setResults] = useState([])
   const [stats, setStats] = useState({ processed: 0, successful: 0, failed: 0 })
   const [progress, setProgress] = useState(0)
+  const [phase, setPhase] = useState('')
+  const [jobId, setJobId] = useState(null)
+  const [isStopping, setIsStopping] = useState(false)
   const [isProMode, setIsProMode] = useState(false)
+  const [reviewsPerPlace, setReviewsPerPlace] = useState(0)
+  const [useGrid, setUseGrid] = useState(false)
+  const [gridArea, setGridArea] = useState('')
+  const [gridTileKm, setGridTileKm] = useState(2)
+  const [coverage, setCoverage] = useState(null)
+  const [lastJobId, setLastJobId] = useLocalStorage('gmaps-last-job-id', null)
+  const [hoursFilter, setHoursFilter] = useState('any')
+  const [openDay, setOpenDay] = useState('tuesday')
+  const [openTime, setOpenTime] = useState('08:00')
+  const [leadOrder, setLeadOrder] = useState('search')
+  const [filteredResults, setFilteredResults] = useState(null)
   const { request, loading } = useApiRequest()
   
+  // The job saved before this page load; later scrapes must not trigger a restore
+  const restoredJobId = useRef(lastJobId)
+  
+  const today = WEEK_DAYS[(new Date().getDay() + 6) % 7]
+  
+  // Leads are saved server-side, so a page refresh can restore the last scrape
+  useEffect(() => {
+    const jobId = restoredJobId.current
+    if (!jobId) return
+    
+    api.get('/api/leads', { params: { jobId, sort: 'createdAt', order: 'asc', pageSize: 200 } })
+      .then(({ data }) => {
+        if (data.success) {
+          setResults(prev => (prev.length > 0 ? prev : data.leads))
+        }
+      })
+      .catch(() => {})
+  }, [])
+  
   const handleScrapeStart = async () => {
     if (!query.trim()) {
       toast.error('Please enter a search query')
@@ -643,31 +771,36 @@ const GoogleMapsScraperSection = () => {
     }
     
     const finalMaxResults = useCustomResults ? parseInt(customResults) : maxResults
+    const resultsLimit = useGrid ? MAX_GRID_RESULTS : 500
     
     if (!finalMaxResults || finalMaxResults < 1) {
       toast.error('Please enter a valid number of results')
       return
     }
     
-    if (finalMaxResults > 500) {
-      toast.error('Maximum 500 results allowed')
+    if (finalMaxResults > resultsLimit) {
+      toast.error(`Maximum ${resultsLimit} results allowed`)
+      return
+    }
+    
+    if (useGrid && !gridArea.trim()) {
+      toast.error('Please enter a city, region or bounding box to cover')
       return
     }
     
     setIsRunning(true)
     setResults([])
+    setFilteredResults(null)
+    setHoursFilter('any')
+    setCoverage(null)
     setStats({ processed: 0, successful: 0, failed: 0 })
     setProgress(0)
+    setPhase('Starting browser...')
     
     try {
       const modeType = isProMode ? 'parallel' : 'sequential'
       toast.loading(`Starting ${isProMode ? 'Pro (10x Faster)' : 'Standard'} scraper...`, { id: 'scraper' })
       
-      // Simulate progress updates
-      const progressInterval = setInterval(() => {
-        setProgress(prev => Math.min(prev + Math.random() * 5, 90))
-      }, isProMode ? 500 : 1000) // Faster progress for Pro mode
-      
       const data = await request({
         method: 'POST',
         url: '/api/scrape-gmaps',
@@ -675,40 +808,130 @@ const GoogleMapsScraperSection = () => {
           query: query.trim(), 
           maxResults: finalMaxResults, 
           mode: modeType,
-          proMode: isProMode
+          proMode: isProMode,
+          reviews: reviewsPerPlace,
+          grid: useGrid ? { ...parseGridArea(gridArea), tileSizeKm: gridTileKm } : undefined
         }
       })
       
-      clearInterval(progressInterval)
-      setProgress(100)
-      
-      if (data.success) {
-        setResults(data.results || [])
-        setStats(data.stats || { processed: data.totalResults, successful: data.totalResults, failed: 0 })
-        toast.success(`Successfully scraped ${data.totalResults} businesses in ${(data.processingTime/1000).toFixed(1)}s!`, { id: 'scraper' })
-      } else {
+      if (!data.success) {
         throw new Error(data.error || 'Unknown error occurred')
       }
       
+      // Follow the background job, adding each lead as it is extracted
+      setJobId(data.jobId)
+      setLastJobId(data.jobId)
+      const job = await followScrapeJob(data.jobId, handleJobEvent)
+      
+      if (job.status === 'failed') {
+        throw new Error(job.error || 'Unknown error occurred')
+      }
+      
+      setResults(job.results || [])
+      setCoverage(job.grid?.tiles ?? null)
+      
+      if (job.status === 'cancelled') {
+        toast.success(`Scraping stopped - kept ${job.totalResults} businesses`, { id: 'scraper' })
+        return
+      }
+      
+      setProgress(100)
+      toast.success(`Successfully scraped ${job.totalResults} businesses in ${(job.processingTime/1000).toFixed(1)}s!`, { id: 'scraper' })
+      
     } catch (error) {
       console.error('Scraping error:', error)
       const errorMessage = error.response?.data?.error || error.message || 'Scraping failed'
       toast.error(`Scraping failed: ${errorMessage}`, { id: 'scraper' })
       setProgress(0)
     } finally {
+      setPhase('')
+      setJobId(null)
+      setIsStopping(false)
       setIsRunning(false)
     }
   }
   
-  const downloadResults = (format) => {
+  const handleScrapeStop = async () => {
+    if (!jobId) return
+    
+    setIsStopping(true)
+    setPhase('Stopping - finishing the current business...')
+    try {
+      await request({ method: 'POST', url: `/api/jobs/${jobId}/cancel` })
+    } catch (error) {
+      setIsStopping(false)
+      toast.error(`Could not stop scraping: ${error.response?.data?.error || error.message}`)
+    }
+  }
+  
+  // Narrow the last scrape's saved leads by their opening hours, best prospects first on request
+  const applyLeadFilter = async () => {
+    if (hoursFilter === 'any' && leadOrder === 'search') {
+      setFilteredResults(null)
+      return
+    }
+    
+    const params = leadOrder === 'score'
+      ? { jobId: lastJobId, sort: 'score', order: 'desc', pageSize: 200 }
+      : { jobId: lastJobId, sort: 'createdAt', order: 'asc', pageSize: 200 }
+    if (hoursFilter === 'now') {
+      // Hours have no time zone; "now" in the browser's zone fits businesses near you
+      params.openNow = true
+      params.timezone = Intl.DateTimeFormat().resolvedOptions().timeZone
+    } else if (hoursFilter === 'weekend') {
+      params.openOn = 'weekend'
+    } else if (hoursFilter === 'at') {
+      params.openAt = `${openDay} ${openTime}`
+    }
+    
+    try {
+      const data = await request({ method: 'GET', url: '/api/leads', params })
+      setFilteredResults(data.leads)
+      toast.success(`${data.pagination.total} of ${results.length} businesses match`)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not filter leads')
+    }
+  }
+  
+  const handleJobEvent = (event) => {
+    if (event.stats) {
+      setStats(event.stats)
+      if (event.stats.total > 0) {
+        setProgress((event.stats.processed / event.stats.total) * 100)
+      }
+    }
+    
+    switch (event.type) {
+      case 'snapshot':
+        setResults(event.results || [])
+        setCoverage(event.grid?.tiles ?? null)
+        break
+      case 'scroll':
+        setPhase(`Loading search results... ${event.resultCount} found`)
+        break
+      case 'tile':
+        setCoverage(prev => prev?.map(tile => (tile.index === event.tile.index ? event.tile : tile)) ?? null)
+        setPhase(`Searched map tile ${event.stats.tilesSearched} - ${event.stats.urlsFound} unique places so far`)
+        break
+      case 'urls':
+        setPhase(`Extracting ${event.toProcess} of ${event.found} businesses`)
+        break
+      case 'business':
+        setResults(prev => [...prev, event.business])
+        break
+      default:
+        break
+    }
+  }
+  
+  const downloadResults = () => {
     if (results.length === 0) {
       toast.error('No results to download')
       return
     }
     
-    const filename = `gmaps_results_${Date.now()}.${format}`
-    const data = format === 'json' ? JSON.stringify(results, null, 2) : convertToCSV(results)
-    const blob = new Blob([data], { type: format === 'json' ? 'application/json' : 'text/csv' })
+    const filename = `gmaps_results_${Date.now()}.json`
+    const blob = new Blob([JSON.stringify(results, null, 2)], { type: 'application/json' })
     const url = URL.createObjectURL(blob)
     const a = document.createElement('a')
     a.href = url
@@ -718,15 +941,26 @@ const GoogleMapsScraperSection = () => {
     toast.success(`Downloaded ${filename}`)
   }
   
-  const convertToCSV = (data) => {
-    const headers = ['Name', 'Category', 'Phone', 'Website', 'Address', 'Rating', 'Reviews']
-    const rows = data.map(item => [
-      item.name || '', item.category || '', item.phone || '',
-      item.website || '', item.address || '', item.rating || '', item.reviewCount || ''
-    ])
-    return [headers, ...rows].map(row => row.join(',')).join('\n')
+  // CSV and Excel files are streamed by the backend from the saved leads
+  const downloadExport = (format) => {
+    if (!lastJobId || results.length === 0) {
+      toast.error('No results to download')
+      return
+    }
+    
+    const a = document.createElement('a')
+    // The byte order mark makes Excel read accented names in CSV correctly
+    a.href = `${API_BASE_URL}/api/jobs/${lastJobId}/export?format=${format}${format === 'csv' ? '&bom=true' : ''}`
+    a.click()
   }
   
+  // While scraping, preview the newest leads as they stream in
+  const shownResults = filteredResults ?? results
+  const previewResults = isRunning
+    ? results.slice(-5).reverse().map((business, index) => ({ business, position: results.length - index }))
+    : shownResults.slice(0, 5).map((business, index) => ({ business, position: index + 1 }))
+  const coverageSummary = coverage ? summarizeCoverage(coverage) : null
+  
   return (
     <section id="gmaps-scraper" className="section">
       <div className="container-custom">
@@ -858,9 +1092,9 @@ const GoogleMapsScraperSection = () => {
                       type="number"
                       value={customResults}
                       onChange={(e) => setCustomResults(e.target.value)}
-                      placeholder="Enter custom number (1-500)"
+                      placeholder={`Enter custom number (1-${useGrid ? MAX_GRID_RESULTS : 500})`}
                       min="1"
-                      max="500"
+                      max={useGrid ? MAX_GRID_RESULTS : 500}
                       className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-300"
                       disabled={isRunning}
                     />
@@ -868,6 +1102,67 @@ const GoogleMapsScraperSection = () => {
                 </div>
               </div>
               
+              <div>
+                <label className="block text-white/80 mb-2">Reviews per Place</label>
+                <select
+                  value={reviewsPerPlace}
+                  onChange={(e) => setReviewsPerPlace(Number(e.target.value))}
+                  className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-300"
+                  disabled={isRunning}
+                >
+                  <option value={0} className="bg-gray-800">Don't scrape reviews</option>
+                  <option value={5} className="bg-gray-800">5 Reviews</option>
+                  <option value={10} className="bg-gray-800">10 Reviews</option>
+                  <option value={25} className="bg-gray-800">25 Reviews</option>
+                  <option value={50} className="bg-gray-800">50 Reviews</option>
+                </select>
+                {reviewsPerPlace > 0 && (
+                  <p className="text-white/60 text-sm mt-2">
+                    Opens each place's Reviews tab - expect slower scrapes
+                  </p>
+                )}
+              </div>
+              
+              {/* Grid Search */}
+              <div className="p-4 bg-white/5 border border-white/10 rounded-lg space-y-3">
+                <label className="flex items-center justify-between">
+                  <span className="text-white font-semibold">🗺️ Grid Search</span>
+                  <input
+                    type="checkbox"
+                    checked={useGrid}
+                    onChange={(e) => setUseGrid(e.target.checked)}
+                    className="text-primary focus:ring-primary"
+                    disabled={isRunning}
+                  />
+                </label>
+                <p className="text-white/60 text-sm">
+                  One Maps search stops at about 120 places. Grid search splits an area into tiles and searches each one.
+                </p>
+                {useGrid && (
+                  <div className="grid grid-cols-3 gap-3">
+                    <input
+                      type="text"
+                      value={gridArea}
+                      onChange={(e) => setGridArea(e.target.value)}
+                      placeholder="City, region or south,west,north,east"
+                      className="col-span-2 px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-300"
+                      disabled={isRunning}
+                    />
+                    <select
+                      value={gridTileKm}
+                      onChange={(e) => setGridTileKm(Number(e.target.value))}
+                      className="px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-300"
+                      disabled={isRunning}
+                    >
+                      <option value={1} className="bg-gray-800">1 km tiles</option>
+                      <option value={2} className="bg-gray-800">2 km tiles</option>
+                      <option value={5} className="bg-gray-800">5 km tiles</option>
+                      <option value={10} className="bg-gray-800">10 km tiles</option>
+                    </select>
+                  </div>
+                )}
+              </div>
+              
               {/* Progress Bar */}
               {isRunning && (
                 <div className="space-y-2">
@@ -889,14 +1184,24 @@ const GoogleMapsScraperSection = () => {
                     />
                   </div>
                   <div className="text-xs text-white/60 text-center">
-                    {isProMode 
+                    {phase || (isProMode 
                       ? "Using concurrent processing for maximum speed"
                       : "Using sequential processing for stability"
-                    }
+                    )}
                   </div>
                 </div>
               )}
               
+              {coverageSummary && (
+                <div className="text-sm text-white/70 p-3 bg-white/5 rounded-lg">
+                  🗺️ {coverageSummary.searched} of {coverageSummary.total} tiles searched, {coverageSummary.added} unique places
+                  {coverageSummary.failed > 0 && <span className="text-red-400"> · {coverageSummary.failed} failed</span>}
+                  {coverageSummary.saturated > 0 && (
+                    <span className="text-yellow-400"> · {coverageSummary.saturated} hit the 120-place cap - smaller tiles would find more</span>
+                  )}
+                </div>
+              )}
+              
               <div className="flex gap-4">
                 <button
                   onClick={handleScrapeStart}
@@ -929,24 +1234,41 @@ const GoogleMapsScraperSection = () => {
                     </>
                   )}
                 </button>
+                {isRunning && (
+                  <button
+                    onClick={handleScrapeStop}
+                    disabled={!jobId || isStopping}
+                    className="btn btn-secondary"
+                  >
+                    <X className="w-4 h-4 mr-2" />
+                    {isStopping ? 'Stopping...' : 'Stop'}
+                  </button>
+                )}
               </div>
               
               {results.length > 0 && (
                 <div className="flex gap-4">
                   <button
-                    onClick={() => downloadResults('json')}
+                    onClick={downloadResults}
                     className="btn btn-secondary flex-1"
                   >
                     <Download className="w-4 h-4 mr-2" />
                     JSON
                   </button>
                   <button
-                    onClick={() => downloadResults('csv')}
+                    onClick={() => downloadExport('csv')}
                     className="btn btn-secondary flex-1"
                   >
                     <Download className="w-4 h-4 mr-2" />
                     CSV
                   </button>
+                  <button
+                    onClick={() => downloadExport('xlsx')}
+                    className="btn btn-secondary flex-1"
+                  >
+                    <Download className="w-4 h-4 mr-2" />
+                    Excel
+                  </button>
                 </div>
               )}
             </div>
@@ -986,16 +1308,76 @@ const GoogleMapsScraperSection = () => {
               Results Preview
             </h3>
             
+            {/* Opening Hours Filter */}
+            {!isRunning && lastJobId && results.length > 0 && (
+              <div className="mb-6 p-4 bg-white/5 rounded-lg space-y-3">
+                <div className="flex gap-3">
+                  <select
+                    value={hoursFilter}
+                    onChange={(e) => setHoursFilter(e.target.value)}
+                    className="flex-1 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                  >
+                    {HOURS_FILTERS.map(({ value, label }) => (
+                      <option key={value} value={value} className="bg-gray-800">{label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={leadOrder}
+                    onChange={(e) => setLeadOrder(e.target.value)}
+                    className="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                  >
+                    {LEAD_ORDERS.map(({ value, label }) => (
+                      <option key={value} value={value} className="bg-gray-800">{label}</option>
+                    ))}
+                  </select>
+                  <button onClick={applyLeadFilter} disabled={loading} className="btn btn-secondary text-sm">
+                    <Clock className="w-4 h-4 mr-2" />
+                    Filter
+                  </button>
+                </div>
+                {hoursFilter === 'at' && (
+                  <div className="flex gap-3">
+                    <select
+                      value={openDay}
+                      onChange={(e) => setOpenDay(e.target.value)}
+                      className="flex-1 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm capitalize focus:outline-none focus:ring-2 focus:ring-primary"
+                    >
+                      {WEEK_DAYS.map(day => (
+                        <option key={day} value={day} className="bg-gray-800">{day}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="time"
+                      value={openTime}
+                      onChange={(e) => setOpenTime(e.target.value)}
+                      className="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                    />
+                  </div>
+                )}
+                {filteredResults && (
+                  <div className="text-xs text-white/60">
+                    Showing {filteredResults.length} of {results.length} businesses
+                    {hoursFilter !== 'any' && ' by opening hours'}
+                    {leadOrder === 'score' && ', highest score first'}
+                  </div>
+                )}
+              </div>
+            )}
+            
             <div className="space-y-4 max-h-96 overflow-y-auto">
-              {results.length === 0 ? (
+              {shownResults.length === 0 ? (
                 <div className="text-center py-8 text-white/60">
                   <Search className="w-12 h-12 mx-auto mb-4 opacity-50" />
-                  <p>No results yet. Start scraping to see business data here.</p>
+                  <p>
+                    {results.length === 0
+                      ? 'No results yet. Start scraping to see business data here.'
+                      : 'No businesses match these opening hours.'}
+                  </p>
                 </div>
               ) : (
-                results.slice(0, 5).map((business, index) => (
+                previewResults.map(({ business, position }, index) => (
                   <motion.div
-                    key={index}
+                    key={position}
                     initial={{ opacity: 0, y: 20 }}
                     animate={{ opacity: 1, y: 0 }}
                     transition={{ delay: index * 0.1 }}
@@ -1003,8 +1385,27 @@ const GoogleMapsScraperSection = () => {
                   >
                     <div className="flex items-start justify-between mb-2">
                       <h4 className="font-semibold text-white truncate">{business.name}</h4>
-                      <div className="px-2 py-1 bg-green-500/20 text-green-400 text-xs font-medium rounded-full">
-                        #{index + 1}
+                      <div className="flex items-center space-x-2 flex-shrink-0">
+                        {business.score !== null && business.score !== undefined && (
+                          <div
+                            className="px-2 py-1 bg-blue-500/20 text-blue-400 text-xs font-medium rounded-full"
+                            title={formatScoreBreakdown(business.scoreBreakdown) || 'No scoring rules matched'}
+                          >
+                            <TrendingUp className="w-3 h-3 inline mr-1" />
+                            {business.score}
+                          </div>
+                        )}
+                        {business.claimed === false && (
+                          <div
+                            className="px-2 py-1 bg-orange-500/20 text-orange-400 text-xs font-medium rounded-full"
+                            title="Nobody has claimed this Google listing yet"
+                          >
+                            Unclaimed
+                          </div>
+                        )}
+                        <div className="px-2 py-1 bg-green-500/20 text-green-400 text-xs font-medium rounded-full">
+                          #{position}
+                        </div>
                       </div>
                     </div>
                     <div className="space-y-1 text-sm text-white/80">
@@ -1012,26 +1413,50 @@ const GoogleMapsScraperSection = () => {
                         <MapPin className="w-3 h-3 mr-2 flex-shrink-0" />
                         <span className="truncate">{business.address}</span>
                       </div>
-                      {business.phone && business.phone !== 'Not Found' && (
+                      {(business.phoneRaw || business.phone) && (
                         <div className="flex items-center">
                           <Phone className="w-3 h-3 mr-2 flex-shrink-0" />
-                          <span>{business.phone}</span>
+                          <span>{business.phoneRaw || business.phone}</span>
                         </div>
                       )}
-                      {business.rating && business.rating !== 'Not Found' && (
+                      {business.rating !== null && business.rating !== undefined && (
                         <div className="flex items-center">
                           <Star className="w-3 h-3 mr-2 text-yellow-400 flex-shrink-0" />
                           <span>{business.rating} stars</span>
                         </div>
                       )}
+                      {business.openingHours?.[today] && (
+                        <div className="flex items-center">
+                          <Clock className="w-3 h-3 mr-2 flex-shrink-0" />
+                          <span className="truncate">
+                            Today: {formatDayHours(business.openingHours[today])}
+                            {business.openingHours[today].holiday && ` (${business.openingHours[today].holiday})`}
+                          </span>
+                        </div>
+                      )}
+                      {business.serviceOptions?.length > 0 && (
+                        <div className="flex items-center">
+                          <Check className="w-3 h-3 mr-2 flex-shrink-0" />
+                          <span className="truncate">{business.serviceOptions.join(', ').replace(/-/g, ' ')}</span>
+                        </div>
+                      )}
+                      {business.reviews?.length > 0 && (
+                        <div className="flex items-start">
+                          <MessageSquare className="w-3 h-3 mr-2 mt-1 flex-shrink-0" />
+                          <span className="line-clamp-2">
+                            {business.reviews.length} review{business.reviews.length === 1 ? '' : 's'}
+                            {business.reviews[0].text && ` - "${business.reviews[0].text}"`}
+                          </span>
+                        </div>
+                      )}
                     </div>
                   </motion.div>
                 ))
               )}
               
-              {results.length > 5 && (
+              {shownResults.length > 5 && (
                 <div className="text-center py-4">
-                  <div className="text-white/60">+ {results.length - 5} more results</div>
+                  <div className="text-white/60">+ {shownResults.length - 5} more results</div>
                 </div>
               )}
             </div>
@@ -1042,10 +1467,130 @@ const GoogleMapsScraperSection = () => {
   )
 }
 
-// ===== OTHER TOOL SECTIONS =====
-const ToolSection = ({ id, icon: Icon, title, description, badge, features, comingSoon = false }) => {
+// ===== BATCH SCRAPER SECTION =====
+// Most keyword × location queries per batch (MAX_BATCH_QUERIES on the server)
+const MAX_BATCH_QUERIES = 50
+
+const BATCH_STATUS_STYLES = {
+  queued: 'bg-white/10 text-white/60',
+  running: 'bg-blue-500/20 text-blue-400',
+  interrupted: 'bg-yellow-500/20 text-yellow-400',
+  completed: 'bg-green-500/20 text-green-400',
+  failed: 'bg-red-500/20 text-red-400',
+  cancelled: 'bg-yellow-500/20 text-yellow-400'
+}
+
+// One entry per line, blank lines, "#" comments and repeats dropped. For CSV
+// rows only the first cell counts ("Miami, FL" must then be quoted).
+const parseBatchList = (text, { csv = false } = {}) => {
+  const seen = new Set()
+  return text.split(/\r?\n/)
+    .map(line => (csv ? line.match(/^\s*"((?:[^"]|"")*)"/)?.[1].replace(/""/g, '"') ?? line.split(',')[0] : line))
+    .map(entry => entry.replace(/\s+/g, ' ').trim())
+    .filter(entry => entry && !entry.startsWith('#'))
+    .filter(entry => !seen.has(entry.toLowerCase()) && seen.add(entry.toLowerCase()))
+}
+
+// Poll a batch until all of its queries have finished
+const pollBatch = async (batchId, onUpdate) => {
+  while (true) {
+    await delay(JOB_POLL_INTERVAL)
+    const { data } = await api.get(`/api/batches/${batchId}`)
+    onUpdate(data.batch)
+    if (isJobFinished(data.batch.status)) return data.batch
+  }
+}
+
+const BatchScraperSection = () => {
+  const [keywordsText, setKeywordsText] = useState('')
+  const [locationsText, setLocationsText] = useState('')
+  const [template, setTemplate] = useState('{keyword} in {location}')
+  const [maxResults, setMaxResults] = useState(20)
+  const [batch, setBatch] = useState(null)
+  const [isRunning, setIsRunning] = useState(false)
+  const [isStopping, setIsStopping] = useState(false)
+  const { request, loading } = useApiRequest()
+  
+  const keywords = parseBatchList(keywordsText)
+  const locations = parseBatchList(locationsText)
+  const queryCount = keywords.length * Math.max(locations.length, 1)
+  
+  // Upload a .txt or .csv list into one of the text areas
+  const loadListFile = (setText) => async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    
+    const entries = parseBatchList(await file.text(), { csv: file.name.toLowerCase().endsWith('.csv') })
+    setText(entries.join('\n'))
+    toast.success(`Loaded ${entries.length} entries from ${file.name}`)
+  }
+  
+  const handleBatchStart = async () => {
+    if (keywords.length === 0) {
+      toast.error('Add at least one keyword')
+      return
+    }
+    
+    if (queryCount > MAX_BATCH_QUERIES) {
+      toast.error(`A batch can run at most ${MAX_BATCH_QUERIES} queries - you have ${queryCount}`)
+      return
+    }
+    
+    setIsRunning(true)
+    setBatch(null)
+    toast.loading(`Queuing ${queryCount} searches...`, { id: 'batch' })
+    
+    try {
+      const data = await request({
+        method: 'POST',
+        url: '/api/batches',
+        data: { keywords, locations, template, maxResults }
+      })
+      
+      toast.success(`Batch started with ${data.queries.length} searches`, { id: 'batch' })
+      const finished = await pollBatch(data.batchId, setBatch)
+      
+      toast.success(
+        `Batch ${finished.status} - ${finished.stats.uniqueResults} unique businesses from ${finished.progress.totalQueries} searches`,
+        { id: 'batch' }
+      )
+    } catch (error) {
+      toast.error(`Batch failed: ${error.response?.data?.error || error.message}`, { id: 'batch' })
+    } finally {
+      setIsRunning(false)
+      setIsStopping(false)
+    }
+  }
+  
+  const handleBatchStop = async () => {
+    if (!batch) return
+    
+    setIsStopping(true)
+    try {
+      await request({ method: 'POST', url: `/api/batches/${batch.id}/cancel` })
+    } catch (error) {
+      setIsStopping(false)
+      toast.error(`Could not stop the batch: ${error.response?.data?.error || error.message}`)
+    }
+  }
+  
+  const downloadBatch = () => {
+    const filename = `batch_results_${Date.now()}.json`
+    const blob = new Blob([JSON.stringify(batch.results, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    a.click()
+    URL.revokeObjectURL(url)
+    toast.success(`Downloaded ${filename}`)
+  }
+  
+  const finishedQueries = batch ? batch.progress.totalQueries - batch.progress.queued - batch.progress.running : 0
+  
   return (
-    <section id={id} className="section">
+    <section id="batch-scraper" className="section">
       <div className="container-custom">
         <motion.div
           initial={{ opacity: 0, y: 50 }}
@@ -1054,61 +1599,1137 @@ const ToolSection = ({ id, icon: Icon, title, description, badge, features, comi
           viewport={{ once: true }}
           className="text-center mb-12"
         >
-          <div className={cn(
-            "inline-flex items-center px-4 py-2 rounded-full font-medium text-sm mb-4",
-            comingSoon ? "bg-orange-500/10 border border-orange-500/20 text-orange-400" : "bg-primary/10 border border-primary/20 text-primary"
-          )}>
-            {badge}
+          <div className="inline-flex items-center px-4 py-2 bg-green-500/10 border border-green-500/20 rounded-full text-green-400 font-medium text-sm mb-4">
+            🧮 Working Backend
           </div>
           <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6">
-            <Icon className="w-8 h-8 inline mr-3" />
-            {title}
+            <Database className="w-8 h-8 inline mr-3" />
+            Batch Scraper
           </h2>
-          <p className="text-xl text-white/80 max-w-3xl mx-auto">{description}</p>
+          <p className="text-xl text-white/80 max-w-3xl mx-auto">
+            Scrape the same verticals across many cities at once. Every keyword is searched in
+            every location, and businesses found by several searches are kept once.
+          </p>
         </motion.div>
         
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-12">
-          {/* Feature List */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-12 items-start">
+          {/* Batch Input */}
           <motion.div
             initial={{ opacity: 0, x: -50 }}
             whileInView={{ opacity: 1, x: 0 }}
             transition={{ duration: 0.8 }}
             viewport={{ once: true }}
-            className="space-y-6"
+            className="card p-8"
           >
-            {features.map((feature, index) => (
-              <div key={index} className="flex items-start space-x-4">
-                <div className="w-8 h-8 bg-gradient-to-br from-primary to-secondary rounded-lg flex items-center justify-center flex-shrink-0 mt-1">
-                  <Check className="w-4 h-4 text-white" />
+            <h3 className="text-2xl font-bold text-white mb-6">
+              <Settings className="w-6 h-6 inline mr-2" />
+              Keywords × Locations
+            </h3>
+            
+            <div className="space-y-6">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {[
+                  { label: 'Keywords', value: keywordsText, setText: setKeywordsText, placeholder: 'dentists\northodontists', count: keywords.length },
+                  { label: 'Locations', value: locationsText, setText: setLocationsText, placeholder: 'Miami, FL\nTampa, FL', count: locations.length }
+                ].map(({ label, value, setText, placeholder, count }) => (
+                  <div key={label}>
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="text-white/80">{label}</label>
+                      <label className="text-xs text-white/60 hover:text-white cursor-pointer">
+                        <Upload className="w-3 h-3 inline mr-1" />
+                        Upload
+                        <input type="file" accept=".txt,.csv" onChange={loadListFile(setText)} className="hidden" disabled={isRunning} />
+                      </label>
+                    </div>
+                    <textarea
+                      value={value}
+                      onChange={(e) => setText(e.target.value)}
+                      placeholder={placeholder}
+                      rows={6}
+                      className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-300 text-sm"
+                      disabled={isRunning}
+                    />
+                    <div className="text-xs text-white/60 mt-1">{count} {label.toLowerCase()}</div>
+                  </div>
+                ))}
+              </div>
+              
+              <div className="grid grid-cols-3 gap-4">
+                <div className="col-span-2">
+                  <label className="block text-white/80 mb-2">Query Template</label>
+                  <input
+                    type="text"
+                    value={template}
+                    onChange={(e) => setTemplate(e.target.value)}
+                    className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-300 font-mono text-sm"
+                    disabled={isRunning}
+                  />
                 </div>
                 <div>
-                  <h3 className="font-semibold text-white mb-1">{feature.title}</h3>
-                  <p className="text-white/70">{feature.description}</p>
+                  <label className="block text-white/80 mb-2">Per Search</label>
+                  <select
+                    value={maxResults}
+                    onChange={(e) => setMaxResults(Number(e.target.value))}
+                    className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-300"
+                    disabled={isRunning}
+                  >
+                    {[10, 20, 50, 100, 120].map(value => (
+                      <option key={value} value={value} className="bg-gray-800">{value} results</option>
+                    ))}
+                  </select>
                 </div>
               </div>
-            ))}
-          </motion.div>
-          
-          {/* Interface Preview */}
-          <motion.div
-            initial={{ opacity: 0, x: 50 }}
-            whileInView={{ opacity: 1, x: 0 }}
-            transition={{ duration: 0.8 }}
-            viewport={{ once: true }}
-            className="card p-8 relative"
-          >
-            {comingSoon && (
-              <div className="absolute inset-0 bg-black/50 backdrop-blur-sm rounded-2xl flex items-center justify-center z-10">
-                <div className="text-center">
-                  <Clock className="w-12 h-12 text-white mx-auto mb-4" />
-                  <div className="text-xl font-bold text-white mb-2">Coming Soon</div>
-                  <div className="text-white/70">This feature is under development</div>
-                </div>
+              
+              <div className={cn('text-sm', queryCount > MAX_BATCH_QUERIES ? 'text-red-400' : 'text-white/60')}>
+                {queryCount} search{queryCount === 1 ? '' : 'es'} (up to {MAX_BATCH_QUERIES})
+                {keywords.length > 0 && locations.length > 0 && (
+                  <span> · e.g. "{template.replaceAll('{keyword}', keywords[0]).replaceAll('{location}', locations[0])}"</span>
+                )}
               </div>
-            )}
-            
-            <div className="text-center py-12">
-              <Icon className="w-24 h-24 text-white/20 mx-auto mb-4" />
+              
+              <div className="flex gap-4">
+                <button
+                  onClick={handleBatchStart}
+                  disabled={isRunning || loading || keywords.length === 0}
+                  className="btn btn-primary flex-1"
+                >
+                  {isRunning ? (
+                    <>
+                      <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin mr-2" />
+                      Running Batch...
+                    </>
+                  ) : (
+                    <>
+                      <Zap className="w-4 h-4 mr-2" />
+                      Start Batch
+                    </>
+                  )}
+                </button>
+                {isRunning && (
+                  <button
+                    onClick={handleBatchStop}
+                    disabled={!batch || isStopping}
+                    className="btn btn-secondary"
+                  >
+                    <X className="w-4 h-4 mr-2" />
+                    {isStopping ? 'Stopping...' : 'Stop'}
+                  </button>
+                )}
+              </div>
+              
+              {batch && (
+                <div className="p-4 bg-white/5 rounded-lg space-y-3">
+                  <div className="flex justify-between text-sm text-white/60">
+                    <span>{finishedQueries} of {batch.progress.totalQueries} searches finished</span>
+                    <span>{Math.round((finishedQueries / batch.progress.totalQueries) * 100)}%</span>
+                  </div>
+                  <div className="w-full bg-white/10 rounded-full h-2">
+                    <div
+                      className="h-2 rounded-full bg-gradient-to-r from-primary to-secondary transition-all duration-300"
+                      style={{ width: `${(finishedQueries / batch.progress.totalQueries) * 100}%` }}
+                    />
+                  </div>
+                  <div className="grid grid-cols-3 gap-4 text-center">
+                    <div>
+                      <div className="text-2xl font-bold text-white">{batch.stats.totalResults}</div>
+                      <div className="text-xs text-white/60">Found</div>
+                    </div>
+                    <div>
+                      <div className="text-2xl font-bold text-green-400">{batch.stats.uniqueResults}</div>
+                      <div className="text-xs text-white/60">Unique</div>
+                    </div>
+                    <div>
+                      <div className="text-2xl font-bold text-yellow-400">{batch.stats.duplicates}</div>
+                      <div className="text-xs text-white/60">Duplicates</div>
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+          </motion.div>
+          
+          {/* Per-Search Progress */}
+          <motion.div
+            initial={{ opacity: 0, x: 50 }}
+            whileInView={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.8 }}
+            viewport={{ once: true }}
+            className="card p-8"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="text-2xl font-bold text-white">
+                <Activity className="w-6 h-6 inline mr-2" />
+                Searches
+              </h3>
+              {batch?.results?.length > 0 && (
+                <button onClick={downloadBatch} className="btn btn-secondary text-sm">
+                  <Download className="w-4 h-4 mr-2" />
+                  JSON
+                </button>
+              )}
+            </div>
+            
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+              {!batch ? (
+                <div className="text-center py-8 text-white/60">
+                  <Database className="w-12 h-12 mx-auto mb-4 opacity-50" />
+                  <p>No batch yet. Add keywords and locations, then start a batch to follow every search here.</p>
+                </div>
+              ) : (
+                batch.queries.map(query => (
+                  <div key={query.jobId} className="bg-white/5 rounded-lg p-4 border border-white/10">
+                    <div className="flex items-start justify-between gap-2">
+                      <span className="text-sm text-white">{query.query}</span>
+                      <span className={cn('px-2 py-1 text-xs font-medium rounded-full flex-shrink-0', BATCH_STATUS_STYLES[query.status])}>
+                        {query.status}
+                      </span>
+                    </div>
+                    <div className="mt-1 text-xs text-white/60">
+                      {query.totalResults} found · {query.newResults} new · {query.duplicates} duplicates
+                      {query.stats?.failed > 0 && ` · ${query.stats.failed} failed`}
+                      {query.error && <span className="text-red-400"> · {query.error.split('\n')[0]}</span>}
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+          </motion.div>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+// ===== EMAIL VERIFIER SECTION =====
+const MAX_EMAILS_PER_REQUEST = 100
+
+const VERDICT_STYLES = {
+  deliverable: 'bg-green-500/20 text-green-400',
+  risky: 'bg-yellow-500/20 text-yellow-400',
+  invalid: 'bg-red-500/20 text-red-400'
+}
+
+const VERDICT_REASONS = {
+  accepted: 'Mailbox accepted by the mail server',
+  'catch-all': 'Domain accepts every address',
+  'smtp-unverified': 'Mail server did not confirm the mailbox',
+  unverified: 'Domain receives mail, mailbox not probed',
+  disposable: 'Disposable email provider',
+  'dns-error': 'DNS lookup failed',
+  'no-mx': 'Domain has no mail servers',
+  'mailbox-not-found': 'Mailbox does not exist',
+  syntax: 'Not a valid email address'
+}
+
+// Split pasted text into unique addresses (commas, spaces or new lines)
+const parseEmailList = (text) => [...new Set(text.split(/[\s,;]+/).map(email => email.trim()).filter(Boolean))]
+
+const EmailVerifierSection = () => {
+  const [input, setInput] = useState('')
+  const [results, setResults] = useState([])
+  const [summary, setSummary] = useState(null)
+  const { request, loading } = useApiRequest()
+  
+  const emailCount = parseEmailList(input).length
+  
+  const loadLeadEmails = async () => {
+    try {
+      const data = await request({
+        method: 'GET',
+        url: '/api/leads',
+        params: { hasEmail: true, pageSize: MAX_EMAILS_PER_REQUEST }
+      })
+      const emails = data.leads.map(lead => lead.email).filter(Boolean)
+      
+      if (emails.length === 0) {
+        toast.error('No saved leads have an email yet - enrich them first')
+        return
+      }
+      
+      setInput(emails.join('\n'))
+      toast.success(`Loaded ${emails.length} emails from saved leads`)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not load saved leads')
+    }
+  }
+  
+  const handleVerify = async () => {
+    const emails = parseEmailList(input)
+    
+    if (emails.length === 0) {
+      toast.error('Paste at least one email address')
+      return
+    }
+    
+    if (emails.length > MAX_EMAILS_PER_REQUEST) {
+      toast.error(`Verify at most ${MAX_EMAILS_PER_REQUEST} emails at a time`)
+      return
+    }
+    
+    toast.loading(`Verifying ${emails.length} email${emails.length === 1 ? '' : 's'}...`, { id: 'email-verify' })
+    
+    try {
+      // SMTP probes can take a few seconds per domain
+      const data = await request({
+        method: 'POST',
+        url: '/api/emails/verify',
+        data: { emails },
+        timeout: 300000
+      })
+      
+      setResults(data.results)
+      setSummary(data.summary)
+      toast.success(`${data.summary.deliverable} deliverable, ${data.summary.risky} risky, ${data.summary.invalid} invalid`, { id: 'email-verify' })
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message || 'Verification failed', { id: 'email-verify' })
+    }
+  }
+  
+  const copyDeliverable = async () => {
+    const emails = results.filter(result => result.verdict === 'deliverable').map(result => result.email)
+    
+    try {
+      await navigator.clipboard.writeText(emails.join('\n'))
+      toast.success(`Copied ${emails.length} deliverable email${emails.length === 1 ? '' : 's'}`)
+    } catch (error) {
+      toast.error('Could not copy to the clipboard')
+    }
+  }
+  
+  return (
+    <section id="gmail-extractor" className="section">
+      <div className="container-custom">
+        <motion.div
+          initial={{ opacity: 0, y: 50 }}
+          whileInView={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8 }}
+          viewport={{ once: true }}
+          className="text-center mb-12"
+        >
+          <div className="inline-flex items-center px-4 py-2 bg-green-500/10 border border-green-500/20 rounded-full text-green-400 font-medium text-sm mb-4">
+            📧 Working Backend
+          </div>
+          <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6">
+            <Mail className="w-8 h-8 inline mr-3" />
+            Email Verifier
+          </h2>
+          <p className="text-xl text-white/80 max-w-3xl mx-auto">
+            Check addresses in bulk before you send. Every email gets a deliverable, risky or
+            invalid verdict from syntax, mail server, disposable and catch-all checks.
+          </p>
+        </motion.div>
+        
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-12 items-start">
+          {/* Verifier Input */}
+          <motion.div
+            initial={{ opacity: 0, x: -50 }}
+            whileInView={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.8 }}
+            viewport={{ once: true }}
+            className="card p-8"
+          >
+            <h3 className="text-2xl font-bold text-white mb-6">
+              <Shield className="w-6 h-6 inline mr-2" />
+              Bulk Verification
+            </h3>
+            
+            <div className="space-y-6">
+              <div>
+                <label className="block text-white/80 mb-2">Email Addresses</label>
+                <textarea
+                  value={input}
+                  onChange={(e) => setInput(e.target.value)}
+                  placeholder={'One per line, or separated by commas\ninfo@example.com'}
+                  rows={8}
+                  className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-300 font-mono text-sm"
+                  disabled={loading}
+                />
+                <div className="flex justify-between text-xs text-white/60 mt-2">
+                  <span>{emailCount} unique address{emailCount === 1 ? '' : 'es'}</span>
+                  <span>Up to {MAX_EMAILS_PER_REQUEST} per check</span>
+                </div>
+              </div>
+              
+              <div className="flex gap-4">
+                <button
+                  onClick={handleVerify}
+                  disabled={loading || emailCount === 0}
+                  className="btn btn-primary flex-1"
+                >
+                  {loading ? (
+                    <>
+                      <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin mr-2" />
+                      Verifying...
+                    </>
+                  ) : (
+                    <>
+                      <Check className="w-4 h-4 mr-2" />
+                      Verify Emails
+                    </>
+                  )}
+                </button>
+                <button
+                  onClick={loadLeadEmails}
+                  disabled={loading}
+                  className="btn btn-secondary"
+                >
+                  <Database className="w-4 h-4 mr-2" />
+                  From Leads
+                </button>
+              </div>
+              
+              {summary && (
+                <div className="p-4 bg-white/5 rounded-lg">
+                  <div className="grid grid-cols-3 gap-4 text-center">
+                    <div>
+                      <div className="text-2xl font-bold text-green-400">{summary.deliverable}</div>
+                      <div className="text-xs text-white/60">Deliverable</div>
+                    </div>
+                    <div>
+                      <div className="text-2xl font-bold text-yellow-400">{summary.risky}</div>
+                      <div className="text-xs text-white/60">Risky</div>
+                    </div>
+                    <div>
+                      <div className="text-2xl font-bold text-red-400">{summary.invalid}</div>
+                      <div className="text-xs text-white/60">Invalid</div>
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+          </motion.div>
+          
+          {/* Verification Results */}
+          <motion.div
+            initial={{ opacity: 0, x: 50 }}
+            whileInView={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.8 }}
+            viewport={{ once: true }}
+            className="card p-8"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="text-2xl font-bold text-white">
+                <Activity className="w-6 h-6 inline mr-2" />
+                Results
+              </h3>
+              {summary?.deliverable > 0 && (
+                <button onClick={copyDeliverable} className="btn btn-secondary text-sm">
+                  <Copy className="w-4 h-4 mr-2" />
+                  Copy Deliverable
+                </button>
+              )}
+            </div>
+            
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+              {results.length === 0 ? (
+                <div className="text-center py-8 text-white/60">
+                  <Mail className="w-12 h-12 mx-auto mb-4 opacity-50" />
+                  <p>No results yet. Paste emails and verify them to see verdicts here.</p>
+                </div>
+              ) : (
+                results.map((result, index) => (
+                  <div key={`${result.email}-${index}`} className="bg-white/5 rounded-lg p-4 border border-white/10">
+                    <div className="flex items-start justify-between gap-2">
+                      <span className="font-mono text-sm text-white break-all">{result.email}</span>
+                      <span className={cn('px-2 py-1 text-xs font-medium rounded-full flex-shrink-0', VERDICT_STYLES[result.verdict])}>
+                        {result.verdict}
+                      </span>
+                    </div>
+                    <div className="mt-1 text-xs text-white/60">
+                      {VERDICT_REASONS[result.reason] || result.reason}
+                      {result.checks.role && ' · role account'}
+                      {result.checks.disposable && result.reason !== 'disposable' && ' · disposable'}
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+          </motion.div>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+// ===== CRM SYNC SECTION =====
+const DEDUPE_LABELS = {
+  domain: 'Website domain',
+  phone: 'Phone number',
+  none: 'Always create'
+}
+
+const SYNC_ACTION_STYLES = {
+  created: 'bg-green-500/20 text-green-400',
+  updated: 'bg-blue-500/20 text-blue-400',
+  failed: 'bg-red-500/20 text-red-400'
+}
+
+const CRM_INPUT_CLASS = 'w-full px-3 py-2 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-300 text-sm'
+
+// The scraper section keeps the last job ID in localStorage
+const readLastJobId = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem('gmaps-last-job-id'))
+  } catch (error) {
+    return null
+  }
+}
+
+const CrmSyncSection = () => {
+  const [targets, setTargets] = useState([])
+  const [leadFields, setLeadFields] = useState([])
+  const [dedupeKeys, setDedupeKeys] = useState([])
+  const [selected, setSelected] = useState('')
+  const [mapping, setMapping] = useState([])
+  const [dedupeOn, setDedupeOn] = useState('domain')
+  const [results, setResults] = useState([])
+  const [summary, setSummary] = useState(null)
+  const { request, loading } = useApiRequest()
+  
+  const target = targets.find(entry => entry.target === selected)
+  
+  const selectTarget = (entry) => {
+    setSelected(entry.target)
+    setMapping(entry.mapping.map(row => ({ ...row })))
+    setDedupeOn(entry.dedupeOn)
+  }
+  
+  useEffect(() => {
+    request({ method: 'GET', url: '/api/crm' })
+      .then(data => {
+        setTargets(data.targets)
+        setLeadFields(data.fields)
+        setDedupeKeys(data.dedupeKeys)
+        if (data.targets.length > 0) selectTarget(data.targets.find(entry => entry.configured) || data.targets[0])
+      })
+      .catch(() => toast.error('Could not load CRM settings'))
+  }, [request])
+  
+  const updateRow = (index, changes) => {
+    setMapping(mapping.map((row, i) => (i === index ? { ...row, ...changes } : row)))
+  }
+  
+  const saveMapping = async () => {
+    try {
+      const data = await request({
+        method: 'PUT',
+        url: `/api/crm/${target.adapter}/${target.object}/mapping`,
+        data: { mapping: mapping.filter(row => row.field || row.property), dedupeOn }
+      })
+      setTargets(targets.map(entry => (entry.target === target.target
+        ? { ...entry, mapping: data.mapping, dedupeOn: data.dedupeOn, updatedAt: data.updatedAt }
+        : entry)))
+      setMapping(data.mapping)
+      toast.success(`Saved the ${target.label} mapping`)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not save the mapping')
+    }
+  }
+  
+  const pushLastScrape = async () => {
+    const jobId = readLastJobId()
+    
+    if (!jobId) {
+      toast.error('Run a Google Maps scrape first')
+      return
+    }
+    
+    toast.loading(`Pushing leads to ${target.label}...`, { id: 'crm-sync' })
+    
+    try {
+      const data = await request({
+        method: 'POST',
+        url: `/api/crm/${target.adapter}/${target.object}/sync`,
+        data: { jobId },
+        timeout: 300000
+      })
+      
+      setResults(data.results)
+      setSummary(data)
+      toast.success(`${data.created} created, ${data.updated} updated, ${data.failed} failed`, { id: 'crm-sync' })
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message || 'CRM sync failed', { id: 'crm-sync' })
+    }
+  }
+  
+  return (
+    <section id="crm-sync" className="section">
+      <div className="container-custom">
+        <motion.div
+          initial={{ opacity: 0, y: 50 }}
+          whileInView={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8 }}
+          viewport={{ once: true }}
+          className="text-center mb-12"
+        >
+          <div className="inline-flex items-center px-4 py-2 bg-green-500/10 border border-green-500/20 rounded-full text-green-400 font-medium text-sm mb-4">
+            🤝 Working Backend
+          </div>
+          <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6">
+            <Share2 className="w-8 h-8 inline mr-3" />
+            CRM Sync
+          </h2>
+          <p className="text-xl text-white/80 max-w-3xl mx-auto">
+            Push scraped leads to HubSpot, Pipedrive or your own API. Map lead fields to CRM
+            properties once, and leads already in your CRM are updated instead of duplicated.
+          </p>
+        </motion.div>
+        
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-12 items-start">
+          {/* Field Mapping */}
+          <motion.div
+            initial={{ opacity: 0, x: -50 }}
+            whileInView={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.8 }}
+            viewport={{ once: true }}
+            className="card p-8"
+          >
+            <h3 className="text-2xl font-bold text-white mb-6">
+              <Settings className="w-6 h-6 inline mr-2" />
+              Field Mapping
+            </h3>
+            
+            <div className="space-y-6">
+              <div>
+                <label className="block text-white/80 mb-2">CRM</label>
+                <select
+                  value={selected}
+                  onChange={(e) => selectTarget(targets.find(entry => entry.target === e.target.value))}
+                  className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-300"
+                  disabled={loading || targets.length === 0}
+                >
+                  {targets.map(entry => (
+                    <option key={entry.target} value={entry.target} className="bg-gray-800">
+                      {entry.label}{entry.configured ? '' : ' (not configured)'}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              
+              <div>
+                <div className="grid grid-cols-[1fr_1fr_auto] gap-2 text-xs text-white/60 mb-2">
+                  <span>Lead field</span>
+                  <span>CRM property</span>
+                  <span className="w-8" />
+                </div>
+                <div className="space-y-2 max-h-72 overflow-y-auto">
+                  {mapping.map((row, index) => (
+                    <div key={index} className="grid grid-cols-[1fr_1fr_auto] gap-2">
+                      <input
+                        type="text"
+                        list="crm-lead-fields"
+                        value={row.field}
+                        onChange={(e) => updateRow(index, { field: e.target.value })}
+                        placeholder="name"
+                        className={CRM_INPUT_CLASS}
+                        disabled={loading}
+                      />
+                      <input
+                        type="text"
+                        value={row.property}
+                        onChange={(e) => updateRow(index, { property: e.target.value })}
+                        placeholder="company_name"
+                        className={CRM_INPUT_CLASS}
+                        disabled={loading}
+                      />
+                      <button
+                        onClick={() => setMapping(mapping.filter((_, i) => i !== index))}
+                        disabled={loading}
+                        className="w-8 flex items-center justify-center text-white/60 hover:text-red-400 transition-colors"
+                        title="Remove field"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <datalist id="crm-lead-fields">
+                  {leadFields.map(field => <option key={field} value={field} />)}
+                </datalist>
+                <button
+                  onClick={() => setMapping([...mapping, { field: '', property: '' }])}
+                  disabled={loading || !target}
+                  className="mt-2 text-sm text-primary hover:text-white transition-colors"
+                >
+                  + Add field
+                </button>
+              </div>
+              
+              <div>
+                <label className="block text-white/80 mb-2">Match existing records by</label>
+                <select
+                  value={dedupeOn}
+                  onChange={(e) => setDedupeOn(e.target.value)}
+                  className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-300"
+                  disabled={loading}
+                >
+                  {dedupeKeys.map(key => (
+                    <option key={key} value={key} className="bg-gray-800">{DEDUPE_LABELS[key] || key}</option>
+                  ))}
+                </select>
+              </div>
+              
+              <div className="flex gap-4">
+                <button
+                  onClick={saveMapping}
+                  disabled={loading || !target}
+                  className="btn btn-secondary"
+                >
+                  <Check className="w-4 h-4 mr-2" />
+                  Save Mapping
+                </button>
+                <button
+                  onClick={pushLastScrape}
+                  disabled={loading || !target?.configured}
+                  className="btn btn-primary flex-1"
+                  title={target?.configured ? undefined : 'Set this CRM\'s credentials on the backend first'}
+                >
+                  {loading ? (
+                    <>
+                      <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin mr-2" />
+                      Working...
+                    </>
+                  ) : (
+                    <>
+                      <Send className="w-4 h-4 mr-2" />
+                      Push Last Scrape
+                    </>
+                  )}
+                </button>
+              </div>
+              
+              {summary && (
+                <div className="p-4 bg-white/5 rounded-lg">
+                  <div className="grid grid-cols-3 gap-4 text-center">
+                    <div>
+                      <div className="text-2xl font-bold text-green-400">{summary.created}</div>
+                      <div className="text-xs text-white/60">Created</div>
+                    </div>
+                    <div>
+                      <div className="text-2xl font-bold text-blue-400">{summary.updated}</div>
+                      <div className="text-xs text-white/60">Updated</div>
+                    </div>
+                    <div>
+                      <div className="text-2xl font-bold text-red-400">{summary.failed}</div>
+                      <div className="text-xs text-white/60">Failed</div>
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+          </motion.div>
+          
+          {/* Sync Status */}
+          <motion.div
+            initial={{ opacity: 0, x: 50 }}
+            whileInView={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.8 }}
+            viewport={{ once: true }}
+            className="card p-8"
+          >
+            <h3 className="text-2xl font-bold text-white mb-6">
+              <Activity className="w-6 h-6 inline mr-2" />
+              Sync Status
+            </h3>
+            
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+              {results.length === 0 ? (
+                <div className="text-center py-8 text-white/60">
+                  <Database className="w-12 h-12 mx-auto mb-4 opacity-50" />
+                  <p>No pushes yet. Push your last scrape to see each lead's sync status here.</p>
+                </div>
+              ) : (
+                results.map(result => (
+                  <div key={result.leadId} className="bg-white/5 rounded-lg p-4 border border-white/10">
+                    <div className="flex items-start justify-between gap-2">
+                      <span className="text-sm text-white">Lead #{result.leadId}</span>
+                      <span className={cn('px-2 py-1 text-xs font-medium rounded-full flex-shrink-0', SYNC_ACTION_STYLES[result.action || 'failed'])}>
+                        {result.action || 'failed'}
+                      </span>
+                    </div>
+                    <div className="mt-1 text-xs text-white/60 break-all">
+                      {result.status === 'synced' ? `${target?.label} record ${result.remoteId}` : result.error}
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+          </motion.div>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+// ===== WHATSAPP NUMBER CHECKER SECTION =====
+const MAX_PHONES_PER_REQUEST = 1000
+
+const PHONE_TYPE_STYLES = {
+  mobile: 'bg-green-500/20 text-green-400',
+  'fixed-or-mobile': 'bg-yellow-500/20 text-yellow-400',
+  landline: 'bg-blue-500/20 text-blue-400',
+  voip: 'bg-purple-500/20 text-purple-400',
+  'toll-free': 'bg-red-500/20 text-red-400',
+  unknown: 'bg-white/10 text-white/60'
+}
+
+const PHONE_TYPE_LABELS = {
+  mobile: 'Mobile',
+  'fixed-or-mobile': 'Mobile or landline',
+  landline: 'Landline',
+  'toll-free': 'Toll-free',
+  'premium-rate': 'Premium rate',
+  'shared-cost': 'Shared cost',
+  voip: 'VoIP',
+  personal: 'Personal number',
+  pager: 'Pager',
+  uan: 'Company number',
+  voicemail: 'Voicemail',
+  unknown: 'Unknown'
+}
+
+// Phone numbers contain spaces, so only new lines, commas and semicolons separate them
+const parsePhoneList = (text) => [...new Set(text.split(/[\n,;]+/).map(phone => phone.trim()).filter(Boolean))]
+
+const WhatsAppCheckerSection = () => {
+  const [input, setInput] = useState('')
+  const [country, setCountry] = useState('US')
+  const [mobileOnly, setMobileOnly] = useState(false)
+  const [results, setResults] = useState([])
+  const [summary, setSummary] = useState(null)
+  const { request, loading } = useApiRequest()
+  
+  const phoneCount = parsePhoneList(input).length
+  const visibleResults = mobileOnly ? results.filter(result => result.likelyMobile) : results
+  
+  const loadLeadPhones = async () => {
+    try {
+      const data = await request({
+        method: 'GET',
+        url: '/api/leads',
+        params: { hasPhone: true, likelyMobile: mobileOnly || undefined, pageSize: 200 }
+      })
+      const phones = data.leads.map(lead => lead.phone).filter(Boolean)
+      
+      if (phones.length === 0) {
+        toast.error(mobileOnly ? 'No saved leads have a mobile number' : 'No saved leads have a phone number yet')
+        return
+      }
+      
+      setInput(phones.join('\n'))
+      toast.success(`Loaded ${phones.length} numbers from saved leads`)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not load saved leads')
+    }
+  }
+  
+  const handleCheck = async () => {
+    const phones = parsePhoneList(input)
+    
+    if (phones.length === 0) {
+      toast.error('Paste at least one phone number')
+      return
+    }
+    
+    if (phones.length > MAX_PHONES_PER_REQUEST) {
+      toast.error(`Check at most ${MAX_PHONES_PER_REQUEST} numbers at a time`)
+      return
+    }
+    
+    try {
+      const data = await request({
+        method: 'POST',
+        url: '/api/phones/analyze',
+        data: { phones, country }
+      })
+      
+      setResults(data.results)
+      setSummary(data.summary)
+      toast.success(`${data.summary.mobile} mobile, ${data.results.length - data.summary.invalid} valid, ${data.summary.invalid} invalid`)
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message || 'Phone check failed')
+    }
+  }
+  
+  const copyLinks = async () => {
+    const links = visibleResults.map(result => result.whatsappUrl).filter(Boolean)
+    
+    try {
+      await navigator.clipboard.writeText(links.join('\n'))
+      toast.success(`Copied ${links.length} WhatsApp link${links.length === 1 ? '' : 's'}`)
+    } catch (error) {
+      toast.error('Could not copy to the clipboard')
+    }
+  }
+  
+  return (
+    <section id="whatsapp-checker" className="section">
+      <div className="container-custom">
+        <motion.div
+          initial={{ opacity: 0, y: 50 }}
+          whileInView={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8 }}
+          viewport={{ once: true }}
+          className="text-center mb-12"
+        >
+          <div className="inline-flex items-center px-4 py-2 bg-green-500/10 border border-green-500/20 rounded-full text-green-400 font-medium text-sm mb-4">
+            📱 Working Backend
+          </div>
+          <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6">
+            <Phone className="w-8 h-8 inline mr-3" />
+            WhatsApp Number Checker
+          </h2>
+          <p className="text-xl text-white/80 max-w-3xl mx-auto">
+            Validate numbers in bulk, see which are mobile, landline or toll-free, and get
+            wa.me links ready for your WhatsApp campaign.
+          </p>
+        </motion.div>
+        
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-12 items-start">
+          {/* Checker Input */}
+          <motion.div
+            initial={{ opacity: 0, x: -50 }}
+            whileInView={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.8 }}
+            viewport={{ once: true }}
+            className="card p-8"
+          >
+            <h3 className="text-2xl font-bold text-white mb-6">
+              <Smartphone className="w-6 h-6 inline mr-2" />
+              Bulk Check
+            </h3>
+            
+            <div className="space-y-6">
+              <div>
+                <label className="block text-white/80 mb-2">Phone Numbers</label>
+                <textarea
+                  value={input}
+                  onChange={(e) => setInput(e.target.value)}
+                  placeholder={'One per line, or separated by commas\n+44 7911 123456'}
+                  rows={8}
+                  className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-300 font-mono text-sm"
+                  disabled={loading}
+                />
+                <div className="flex justify-between text-xs text-white/60 mt-2">
+                  <span>{phoneCount} unique number{phoneCount === 1 ? '' : 's'}</span>
+                  <span>Up to {MAX_PHONES_PER_REQUEST} per check</span>
+                </div>
+              </div>
+              
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-white/80 mb-2">Default Country</label>
+                  <input
+                    type="text"
+                    value={country}
+                    onChange={(e) => setCountry(e.target.value.toUpperCase().slice(0, 2))}
+                    placeholder="US"
+                    className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-300"
+                    disabled={loading}
+                  />
+                  <p className="text-xs text-white/60 mt-1">For numbers without a +country code</p>
+                </div>
+                <label className="flex items-center gap-3 text-white/80 cursor-pointer mt-8">
+                  <input
+                    type="checkbox"
+                    checked={mobileOnly}
+                    onChange={(e) => setMobileOnly(e.target.checked)}
+                    className="w-4 h-4"
+                  />
+                  Likely mobile only
+                </label>
+              </div>
+              
+              <div className="flex gap-4">
+                <button
+                  onClick={handleCheck}
+                  disabled={loading || phoneCount === 0 || country.length !== 2}
+                  className="btn btn-primary flex-1"
+                >
+                  {loading ? (
+                    <>
+                      <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin mr-2" />
+                      Checking...
+                    </>
+                  ) : (
+                    <>
+                      <Check className="w-4 h-4 mr-2" />
+                      Check Numbers
+                    </>
+                  )}
+                </button>
+                <button
+                  onClick={loadLeadPhones}
+                  disabled={loading}
+                  className="btn btn-secondary"
+                >
+                  <Database className="w-4 h-4 mr-2" />
+                  From Leads
+                </button>
+              </div>
+              
+              {summary && (
+                <div className="p-4 bg-white/5 rounded-lg">
+                  <div className="grid grid-cols-3 gap-4 text-center">
+                    <div>
+                      <div className="text-2xl font-bold text-green-400">{summary.mobile}</div>
+                      <div className="text-xs text-white/60">Mobile</div>
+                    </div>
+                    <div>
+                      <div className="text-2xl font-bold text-yellow-400">{summary['fixed-or-mobile']}</div>
+                      <div className="text-xs text-white/60">Mobile or Landline</div>
+                    </div>
+                    <div>
+                      <div className="text-2xl font-bold text-red-400">{summary.invalid}</div>
+                      <div className="text-xs text-white/60">Invalid</div>
+                    </div>
+                  </div>
+                  {summary['fixed-or-mobile'] > 0 && (
+                    <p className="text-xs text-white/60 mt-3">
+                      Some countries (such as the US and Canada) do not tell mobile and landline numbers apart.
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          </motion.div>
+          
+          {/* Check Results */}
+          <motion.div
+            initial={{ opacity: 0, x: 50 }}
+            whileInView={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.8 }}
+            viewport={{ once: true }}
+            className="card p-8"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="text-2xl font-bold text-white">
+                <Activity className="w-6 h-6 inline mr-2" />
+                Results
+              </h3>
+              {visibleResults.some(result => result.whatsappUrl) && (
+                <button onClick={copyLinks} className="btn btn-secondary text-sm">
+                  <Copy className="w-4 h-4 mr-2" />
+                  Copy wa.me Links
+                </button>
+              )}
+            </div>
+            
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+              {visibleResults.length === 0 ? (
+                <div className="text-center py-8 text-white/60">
+                  <Phone className="w-12 h-12 mx-auto mb-4 opacity-50" />
+                  <p>
+                    {results.length === 0
+                      ? 'No results yet. Paste numbers and check them to see line types here.'
+                      : 'None of the checked numbers is a mobile number.'}
+                  </p>
+                </div>
+              ) : (
+                visibleResults.map((result, index) => (
+                  <div key={`${result.phoneRaw}-${index}`} className="bg-white/5 rounded-lg p-4 border border-white/10">
+                    <div className="flex items-start justify-between gap-2">
+                      <span className="font-mono text-sm text-white break-all">
+                        {result.valid ? result.internationalFormat : result.phoneRaw}
+                      </span>
+                      <span className={cn('px-2 py-1 text-xs font-medium rounded-full flex-shrink-0', PHONE_TYPE_STYLES[result.type] || PHONE_TYPE_STYLES.unknown)}>
+                        {result.valid ? PHONE_TYPE_LABELS[result.type] || result.type : 'Invalid'}
+                      </span>
+                    </div>
+                    {result.valid && (
+                      <div className="mt-1 text-xs text-white/60 flex items-center gap-2">
+                        <span>{result.country || 'Unknown country'}</span>
+                        {result.whatsappUrl && (
+                          <a
+                            href={result.whatsappUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-green-400 hover:underline inline-flex items-center"
+                          >
+                            {result.whatsappUrl.replace('https://', '')}
+                            <ExternalLink className="w-3 h-3 ml-1" />
+                          </a>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+          </motion.div>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+// ===== OTHER TOOL SECTIONS =====
+const ToolSection = ({ id, icon: Icon, title, description, badge, features, comingSoon = false }) => {
+  return (
+    <section id={id} className="section">
+      <div className="container-custom">
+        <motion.div
+          initial={{ opacity: 0, y: 50 }}
+          whileInView={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8 }}
+          viewport={{ once: true }}
+          className="text-center mb-12"
+        >
+          <div className={cn(
+            "inline-flex items-center px-4 py-2 rounded-full font-medium text-sm mb-4",
+            comingSoon ? "bg-orange-500/10 border border-orange-500/20 text-orange-400" : "bg-primary/10 border border-primary/20 text-primary"
+          )}>
+            {badge}
+          </div>
+          <h2 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-white mb-6">
+            <Icon className="w-8 h-8 inline mr-3" />
+            {title}
+          </h2>
+          <p className="text-xl text-white/80 max-w-3xl mx-auto">{description}</p>
+        </motion.div>
+        
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-12">
+          {/* Feature List */}
+          <motion.div
+            initial={{ opacity: 0, x: -50 }}
+            whileInView={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.8 }}
+            viewport={{ once: true }}
+            className="space-y-6"
+          >
+            {features.map((feature, index) => (
+              <div key={index} className="flex items-start space-x-4">
+                <div className="w-8 h-8 bg-gradient-to-br from-primary to-secondary rounded-lg flex items-center justify-center flex-shrink-0 mt-1">
+                  <Check className="w-4 h-4 text-white" />
+                </div>
+                <div>
+                  <h3 className="font-semibold text-white mb-1">{feature.title}</h3>
+                  <p className="text-white/70">{feature.description}</p>
+                </div>
+              </div>
+            ))}
+          </motion.div>
+          
+          {/* Interface Preview */}
+          <motion.div
+            initial={{ opacity: 0, x: 50 }}
+            whileInView={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.8 }}
+            viewport={{ once: true }}
+            className="card p-8 relative"
+          >
+            {comingSoon && (
+              <div className="absolute inset-0 bg-black/50 backdrop-blur-sm rounded-2xl flex items-center justify-center z-10">
+                <div className="text-center">
+                  <Clock className="w-12 h-12 text-white mx-auto mb-4" />
+                  <div className="text-xl font-bold text-white mb-2">Coming Soon</div>
+                  <div className="text-white/70">This feature is under development</div>
+                </div>
+              </div>
+            )}
+            
+            <div className="text-center py-12">
+              <Icon className="w-24 h-24 text-white/20 mx-auto mb-4" />
               <h3 className="text-xl font-semibold text-white mb-2">Interactive Demo</h3>
               <p className="text-white/70 mb-6">
                 {comingSoon ? 'Preview will be available soon' : 'Click to try the live demo'}
@@ -1347,7 +2968,9 @@ const Footer = () => {
   const footerLinks = {
     'Product': [
       { label: 'Google Maps Scraper', href: '#gmaps-scraper' },
+      { label: 'Batch Scraper', href: '#batch-scraper' },
       { label: 'Email Extractor', href: '#gmail-extractor' },
+      { label: 'CRM Sync', href: '#crm-sync' },
       { label: 'Cold Outreach', href: '#cold-outreach' },
       { label: 'WhatsApp Checker', href: '#whatsapp-checker' },
       { label: 'LinkedIn Auto Apply', href: '#linkedin-auto' },
@@ -1494,22 +3117,11 @@ const App = () => {
         <HeroSection />
         <FeaturesSection />
         <GoogleMapsScraperSection />
+        <BatchScraperSection />
         
         {/* Other Tool Sections */}
-        <ToolSection
-          id="gmail-extractor"
-          icon={Mail}
-          title="Gmail Email Extractor"
-          description="Extract and verify email addresses from Gmail with advanced pattern recognition"
-          badge="🔥 Coming Soon"
-          comingSoon={true}
-          features={[
-            { title: 'Pattern Recognition', description: 'Advanced AI to find email patterns in Gmail' },
-            { title: 'Bulk Verification', description: 'Verify thousands of emails in minutes' },
-            { title: 'Export Options', description: 'CSV, JSON, and direct CRM integration' },
-            { title: 'Privacy Compliant', description: 'GDPR and privacy regulation compliant' }
-          ]}
-        />
+        <EmailVerifierSection />
+        <CrmSyncSection />
         
         <ToolSection
           id="cold-outreach"
@@ -1526,20 +3138,7 @@ const App = () => {
           ]}
         />
         
-        <ToolSection
-          id="whatsapp-checker"
-          icon={Phone}
-          title="WhatsApp Number Checker"
-          description="Verify WhatsApp numbers in bulk for marketing campaigns"
-          badge="📱 New Feature"
-          comingSoon={true}
-          features={[
-            { title: 'Bulk Verification', description: 'Check thousands of numbers at once' },
-            { title: 'Active Status', description: 'See if numbers are active on WhatsApp' },
-            { title: 'Profile Info', description: 'Get profile pictures and status info' },
-            { title: 'Export Results', description: 'Clean lists ready for marketing' }
-          ]}
-        />
+        <WhatsAppCheckerSection />
         
         <ToolSection
           id="linkedin-auto"